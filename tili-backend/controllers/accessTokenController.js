@@ -0,0 +1,189 @@
+const { PersonalAccessToken, Log } = require('../models');
+
+/**
+ * Calculer la date d'expiration demandée (expiresInDays ou expiresAt)
+ * @param {Object} body - Corps de la requête
+ * @returns {{expiresAt: Date|null, error: string|null}}
+ */
+const parseExpiry = ({ expiresInDays, expiresAt }) => {
+  if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+    const days = parseInt(expiresInDays);
+
+    if (!Number.isInteger(days) || days <= 0) {
+      return { expiresAt: null, error: 'expiresInDays doit être un entier positif' };
+    }
+
+    return { expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000), error: null };
+  }
+
+  if (expiresAt) {
+    const date = new Date(expiresAt);
+
+    if (isNaN(date.getTime()) || date <= new Date()) {
+      return { expiresAt: null, error: 'expiresAt doit être une date future valide' };
+    }
+
+    return { expiresAt: date, error: null };
+  }
+
+  return { expiresAt: null, error: null };
+};
+
+/**
+ * @desc    Lister les tokens d'accès personnels de l'utilisateur connecté
+ * @route   GET /api/auth/tokens
+ * @access  Private
+ */
+const getAccessTokens = async (req, res) => {
+  try {
+    const tokens = await PersonalAccessToken.findAll({
+      where: { userId: req.user.id, revokedAt: null },
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tokens: tokens.map(token => token.toPublicJSON()),
+        total: tokens.length,
+        availableScopes: PersonalAccessToken.SCOPES
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des tokens:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des tokens d\'accès'
+    });
+  }
+};
+
+/**
+ * @desc    Créer un token d'accès personnel
+ * @route   POST /api/auth/tokens
+ * @access  Private
+ */
+const createAccessToken = async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Le nom et au moins un scope sont requis',
+        data: { availableScopes: PersonalAccessToken.SCOPES }
+      });
+    }
+
+    const { expiresAt, error } = parseExpiry(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { accessToken, token } = await PersonalAccessToken.issue(req.user.id, {
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt
+    });
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'CREATE_ACCESS_TOKEN',
+      description: `Token d'accès créé: ${accessToken.name} (${req.user.email})`,
+      entityType: 'access_token',
+      entityId: accessToken.id,
+      oldValue: null,
+      newValue: accessToken.toPublicJSON(),
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Token créé. Copiez-le maintenant, il ne sera plus affiché.',
+      data: {
+        token,
+        accessToken: accessToken.toPublicJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la création du token:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Erreur de validation',
+        errors: error.errors.map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la création du token d\'accès'
+    });
+  }
+};
+
+/**
+ * @desc    Révoquer un token d'accès personnel
+ * @route   DELETE /api/auth/tokens/:id
+ * @access  Private
+ */
+const revokeAccessToken = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Un utilisateur ne peut révoquer que ses propres tokens
+    const accessToken = await PersonalAccessToken.findOne({
+      where: { id, userId: req.user.id, revokedAt: null }
+    });
+
+    if (!accessToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'Token d\'accès non trouvé'
+      });
+    }
+
+    accessToken.revokedAt = new Date();
+    await accessToken.save();
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'REVOKE_ACCESS_TOKEN',
+      description: `Token d'accès révoqué: ${accessToken.name} (${req.user.email})`,
+      entityType: 'access_token',
+      entityId: accessToken.id,
+      oldValue: null,
+      newValue: accessToken.toPublicJSON(),
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Token d\'accès révoqué avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la révocation du token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la révocation du token d\'accès'
+    });
+  }
+};
+
+module.exports = {
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken
+};
@@ -1,23 +1,102 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const { User, Log } = require('../models');
+const { sequelize, User, Log, Session, PasswordResetToken, OidcAuthRequest, RegistrationInvite, TeamMember } = require('../models');
+const { sendMail, buildAppUrl, escapeHtml } = require('../utils/mailer');
+const oidc = require('../utils/oidc');
+const ldap = require('../utils/ldap');
+const passwordPolicy = require('../utils/passwordPolicy');
+const { getRegistrationSettings, isEmailDomainAllowed } = require('../utils/registration');
+const {
+  checkIpThrottle,
+  recordLoginFailure,
+  recordLoginSuccess,
+  getLockRetryAfter
+} = require('../utils/loginThrottle');
 
 /**
- * Générer un token JWT
+ * Générer un token d'accès JWT (courte durée) rattaché à une session
  * @param {Object} user - Utilisateur
+ * @param {Object} session - Session serveur
  * @returns {string} - Token JWT
  */
-const generateToken = (user) => {
+const generateToken = (user, session) => {
   return jwt.sign(
     {
       id: user.id,
       email: user.email,
-      role: user.role
+      role: user.role,
+      sid: session.id
     },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
   );
 };
 
+/**
+ * Ouvrir une nouvelle session (un appareil) et générer la paire de tokens
+ * @param {Object} user - Utilisateur
+ * @param {Object} req - Objet Express request (IP et user agent de l'appareil)
+ * @returns {Promise<{token: string, refreshToken: string, session: Object}>}
+ */
+const issueSession = async (user, req) => {
+  const refreshToken = Session.generateRefreshToken();
+  const userAgent = req.get('user-agent');
+
+  const session = await Session.create({
+    userId: user.id,
+    refreshTokenHash: Session.hashToken(refreshToken),
+    expiresAt: Session.getExpiryDate(),
+    ipAddress: req.ip || null,
+    userAgent: userAgent ? userAgent.substring(0, 500) : null,
+    lastSeenAt: new Date()
+  });
+
+  return {
+    token: generateToken(user, session),
+    refreshToken,
+    session
+  };
+};
+
+/**
+ * Générer le token signé d'un lien de vérification d'email
+ * @param {Object} user - Utilisateur
+ * @returns {string} - Token JWT dédié à la vérification
+ */
+const generateVerificationToken = (user) => {
+  return jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      purpose: 'email_verification'
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || '24h' }
+  );
+};
+
+/**
+ * Envoyer l'email contenant le lien de vérification
+ * @param {Object} user - Utilisateur
+ * @returns {Promise<Object>}
+ */
+const sendVerificationEmail = async (user) => {
+  const verifyUrl = buildAppUrl('/verify-email', { token: generateVerificationToken(user) });
+
+  return await sendMail({
+    to: user.email,
+    subject: 'TILI - Confirmez votre adresse email',
+    text: `Bonjour ${user.firstName},\n\n` +
+      `Merci pour votre inscription. Confirmez votre adresse email en ouvrant ce lien :\n\n` +
+      `${verifyUrl}\n\n` +
+      `Votre compte restera inaccessible tant que l'email n'est pas confirmé.`,
+    html: `<p>Bonjour ${escapeHtml(user.firstName)},</p>` +
+      `<p>Merci pour votre inscription. Confirmez votre adresse email en cliquant sur ce lien :</p>` +
+      `<p><a href="${escapeHtml(verifyUrl)}">Confirmer mon email</a></p>` +
+      `<p>Votre compte restera inaccessible tant que l'email n'est pas confirmé.</p>`
+  });
+};
+
 /**
  * @desc    Inscription d'un nouvel utilisateur
  * @route   POST /api/auth/register
@@ -25,7 +104,7 @@ const generateToken = (user) => {
  */
 const register = async (req, res) => {
   try {
-    const { firstName, lastName, username, email, password, phoneNumber } = req.body;
+    const { firstName, lastName, username, email, password, phoneNumber, inviteCode } = req.body;
 
     // Validation des champs requis
     if (!firstName || !lastName || !username || !email || !password) {
@@ -42,6 +121,42 @@ const register = async (req, res) => {
       });
     }
 
+    // Vérifier le mode d'inscription (un code d'invitation valide est accepté dans tous les modes)
+    const registration = await getRegistrationSettings();
+    let invite = null;
+
+    if (inviteCode) {
+      invite = await RegistrationInvite.findByCode(inviteCode);
+
+      if (!invite || !invite.isUsable()) {
+        return res.status(400).json({
+          success: false,
+          code: 'INVALID_INVITE',
+          message: 'Code d\'invitation invalide ou expiré'
+        });
+      }
+
+      if (!invite.allowsEmail(email)) {
+        return res.status(400).json({
+          success: false,
+          code: 'INVALID_INVITE',
+          message: 'Ce code d\'invitation est réservé à une autre adresse email'
+        });
+      }
+    } else if (registration.mode === 'invite_only') {
+      return res.status(403).json({
+        success: false,
+        code: 'INVITE_REQUIRED',
+        message: 'L\'inscription nécessite un code d\'invitation'
+      });
+    } else if (registration.mode === 'domain' && !isEmailDomainAllowed(email, registration.allowedDomains)) {
+      return res.status(403).json({
+        success: false,
+        code: 'EMAIL_DOMAIN_NOT_ALLOWED',
+        message: 'L\'inscription est réservée aux adresses email de l\'organisation'
+      });
+    }
+
     // Vérifier si l'email existe déjà
     const emailExists = await User.findOne({ where: { email } });
     if (emailExists) {
@@ -60,18 +175,62 @@ const register = async (req, res) => {
       });
     }
 
+    // Vérifier la politique de mots de passe
+    const passwordCheck = await passwordPolicy.validatePassword(password, { username, email });
+    if (!passwordCheck.valid) {
+      return passwordPolicy.sendPolicyError(res, passwordCheck.errors);
+    }
+
     // Créer l'utilisateur (le password sera hashé automatiquement par le hook)
-    const user = await User.create({
-      firstName,
-      lastName,
-      username,
-      email,
-      password,
-      phoneNumber: phoneNumber || null,
-      role: 'consultant', // Rôle par défaut
-      isActive: true
+    // et consommer l'invitation dans la même transaction : rôle et équipe pré-assignés
+    const user = await sequelize.transaction(async (transaction) => {
+      // Code utilisé entre-temps par une autre inscription
+      if (invite && !(await invite.claim({ transaction }))) {
+        return null;
+      }
+
+      const created = await User.create({
+        firstName,
+        lastName,
+        username,
+        email,
+        password,
+        phoneNumber: phoneNumber || null,
+        role: invite ? invite.role : 'consultant', // Rôle de l'invitation, sinon rôle par défaut
+        isActive: true,
+        emailVerified: false // En attente de confirmation de l'email
+      }, { transaction });
+
+      if (invite) {
+        await invite.update({ redeemedBy: created.id }, { transaction });
+
+        if (invite.teamId) {
+          await TeamMember.create({
+            teamId: invite.teamId,
+            userId: created.id,
+            role: invite.teamRole || 'member'
+          }, { transaction });
+        }
+      }
+
+      return created;
     });
 
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_INVITE',
+        message: 'Code d\'invitation invalide ou expiré'
+      });
+    }
+
+    // Envoyer le lien de vérification (l'inscription reste valide si l'envoi échoue)
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Erreur lors de l\'envoi de l\'email de vérification:', mailError);
+    }
+
     // Logger l'action
     await Log.createLog({
       action: 'REGISTER',
@@ -82,7 +241,9 @@ const register = async (req, res) => {
       newValue: {
         email: user.email,
         username: user.username,
-        role: user.role
+        role: user.role,
+        inviteId: invite ? invite.id : null,
+        teamId: invite ? invite.teamId : null
       },
       performedBy: user.id,
       ipAddress: req.ip,
@@ -94,7 +255,7 @@ const register = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: 'Inscription réussie',
+      message: 'Inscription réussie. Un email de vérification vous a été envoyé.',
       data: {
         user: userWithoutPassword
       }
@@ -122,6 +283,108 @@ const register = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Obtenir le mode d'inscription (affichage du formulaire d'inscription)
+ * @route   GET /api/auth/registration
+ * @access  Public
+ */
+const getRegistrationMode = async (req, res) => {
+  try {
+    const { mode } = await getRegistrationSettings();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        mode,
+        inviteRequired: mode === 'invite_only'
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération du mode d\'inscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération du mode d\'inscription'
+    });
+  }
+};
+
+/**
+ * Générer le token de challenge de la seconde étape de connexion (2FA)
+ * @param {Object} user - Utilisateur
+ * @returns {string} - Token JWT de courte durée, inutilisable comme token d'accès
+ */
+const generateChallengeToken = (user) => {
+  return jwt.sign(
+    {
+      id: user.id,
+      purpose: '2fa_challenge'
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m' }
+  );
+};
+
+/**
+ * Répondre qu'un compte est temporairement verrouillé
+ * @param {Object} res - Objet Express response
+ * @param {Object} user - Utilisateur verrouillé
+ */
+const sendLockedResponse = (res, user) => {
+  const retryAfter = getLockRetryAfter(user);
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    success: false,
+    message: `Compte temporairement verrouillé suite à trop de tentatives. Réessayez dans ${Math.ceil(retryAfter / 60)} minute(s).`,
+    data: { lockedUntil: user.lockedUntil }
+  });
+};
+
+/**
+ * Finaliser une connexion : ouvrir la session, logger et répondre
+ * @param {Object} req - Objet Express request
+ * @param {Object} res - Objet Express response
+ * @param {Object} user - Utilisateur authentifié
+ * @param {Object} details - Informations ajoutées au log (méthode d'authentification)
+ */
+const completeLogin = async (req, res, user, details = {}) => {
+  // Remettre à zéro le compteur d'échecs
+  await recordLoginSuccess(req, user);
+
+  // Mettre à jour la dernière connexion
+  await user.updateLastLogin();
+
+  // Ouvrir une session et générer les tokens
+  const { token, refreshToken, session } = await issueSession(user, req);
+
+  // Logger l'action
+  await Log.createLog({
+    action: 'LOGIN',
+    description: `Connexion réussie: ${user.email}`,
+    entityType: 'user',
+    entityId: user.id,
+    oldValue: null,
+    newValue: { lastLogin: new Date(), sessionId: session.id, ...details },
+    performedBy: user.id,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  // Retourner le token et l'utilisateur sans password
+  res.status(200).json({
+    success: true,
+    message: 'Connexion réussie',
+    data: {
+      token,
+      refreshToken,
+      user: user.toSafeJSON(),
+      // Mot de passe expiré : seuls le changement de mot de passe et /me restent accessibles
+      passwordChangeRequired: await passwordPolicy.isPasswordChangeRequired(user)
+    }
+  });
+};
+
 /**
  * @desc    Connexion d'un utilisateur
  * @route   POST /api/auth/login
@@ -139,6 +402,18 @@ const login = async (req, res) => {
       });
     }
 
+    // Bloquer temporairement les IP à l'origine de trop d'échecs
+    const ipThrottle = await checkIpThrottle(req);
+    if (ipThrottle.blocked) {
+      res.set('Retry-After', String(ipThrottle.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Trop de tentatives de connexion. Réessayez plus tard.'
+      });
+    }
+
+    const identifier = email || username;
+
     // Trouver l'utilisateur par email OU username (avec le password)
     let user;
     if (email) {
@@ -147,61 +422,115 @@ const login = async (req, res) => {
       user = await User.findByUsername(username);
     }
 
-    // Vérifier si l'utilisateur existe
-    if (!user) {
+    const ldapEnabled = ldap.isLdapEnabled();
+
+    // Vérifier si l'utilisateur existe (un compte absent peut exister dans l'annuaire LDAP)
+    if (!user && !ldapEnabled) {
+      await recordLoginFailure(req, identifier, null, 'unknown_user');
       return res.status(401).json({
         success: false,
         message: 'Identifiants invalides'
       });
     }
 
-    // Vérifier si le compte est actif
-    if (!user.isActive) {
-      return res.status(403).json({
-        success: false,
-        message: 'Votre compte est désactivé. Contactez l\'administrateur.'
-      });
+    if (user) {
+      // Vérifier si le compte est actif
+      if (!user.isActive) {
+        return res.status(403).json({
+          success: false,
+          message: 'Votre compte est désactivé. Contactez l\'administrateur.'
+        });
+      }
+
+      // Les comptes SSO n'ont pas de mot de passe TILI
+      if (user.authProvider === 'oidc') {
+        return res.status(403).json({
+          success: false,
+          code: 'SSO_ACCOUNT',
+          message: 'Ce compte se connecte via le fournisseur d\'identité de l\'organisation (SSO)'
+        });
+      }
+
+      // Vérifier si le compte est temporairement verrouillé
+      if (user.isLocked()) {
+        return sendLockedResponse(res, user);
+      }
     }
 
-    // Vérifier le mot de passe
-    const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: 'Identifiants invalides'
-      });
+    // Vérifier le mot de passe : bcrypt pour les comptes locaux (sauf LDAP exclusif), puis l'annuaire
+    let method = null;
+
+    if (user && user.usesLocalPassword() && !(ldapEnabled && ldap.getLdapConfig().mode === 'exclusive')) {
+      if (await user.comparePassword(password)) {
+        method = 'password';
+      }
     }
 
-    // Mettre à jour la dernière connexion
-    await user.updateLastLogin();
+    if (!method && ldapEnabled) {
+      let profile;
+      try {
+        profile = await ldap.authenticate(identifier, password);
+      } catch (error) {
+        console.error('Erreur lors de l\'authentification LDAP:', error);
+        return res.status(503).json({
+          success: false,
+          message: 'Annuaire LDAP injoignable, veuillez réessayer plus tard'
+        });
+      }
 
-    // Générer le token JWT
-    const token = generateToken(user);
+      if (profile) {
+        try {
+          user = await provisionLdapUser(profile, req);
+        } catch (error) {
+          console.error('Erreur lors de la synchronisation LDAP:', error);
+          return res.status(422).json({
+            success: false,
+            message: error.name === 'SequelizeValidationError'
+              ? 'Les informations de l\'annuaire LDAP sont invalides'
+              : error.message
+          });
+        }
 
-    // Logger l'action
-    await Log.createLog({
-      action: 'LOGIN',
-      description: `Connexion réussie: ${user.email}`,
-      entityType: 'user',
-      entityId: user.id,
-      oldValue: null,
-      newValue: { lastLogin: new Date() },
-      performedBy: user.id,
-      ipAddress: req.ip,
-      userAgent: req.get('user-agent')
-    });
+        if (!user.isActive) {
+          return res.status(403).json({
+            success: false,
+            message: 'Votre compte est désactivé. Contactez l\'administrateur.'
+          });
+        }
 
-    // Retourner le token et l'utilisateur sans password
-    const userWithoutPassword = user.toSafeJSON();
+        if (user.isLocked()) {
+          return sendLockedResponse(res, user);
+        }
 
-    res.status(200).json({
-      success: true,
-      message: 'Connexion réussie',
-      data: {
-        token,
-        user: userWithoutPassword
+        method = 'ldap';
       }
-    });
+    }
+
+    if (!method) {
+      const { locked } = await recordLoginFailure(req, identifier, user, user ? 'invalid_password' : 'unknown_user');
+      if (locked) {
+        return sendLockedResponse(res, user);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Identifiants invalides'
+      });
+    }
+
+    // Double authentification : retourner un challenge au lieu de la session
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Code de double authentification requis',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user)
+        }
+      });
+    }
+
+    await completeLogin(req, res, user, { method });
 
   } catch (error) {
     console.error('Erreur lors de la connexion:', error);
@@ -213,141 +542,1057 @@ const login = async (req, res) => {
 };
 
 /**
- * @desc    Obtenir les informations de l'utilisateur connecté
- * @route   GET /api/auth/me
- * @access  Private
+ * @desc    Seconde étape de connexion : valider le code 2FA
+ * @route   POST /api/auth/2fa/verify
+ * @access  Public (challengeToken requis)
  */
-const getMe = async (req, res) => {
+const verifyTwoFactorLogin = async (req, res) => {
   try {
-    // L'utilisateur est déjà disponible via req.user (mis par authMiddleware)
-    const userId = req.user.id;
+    const { challengeToken, code } = req.body;
 
-    // Récupérer l'utilisateur avec ses projets
-    const user = await User.findByPk(userId, {
-      include: [
-        {
-          association: 'projects',
-          attributes: ['id', 'name', 'status'],
-          through: { attributes: ['role'] }
-        }
-      ]
-    });
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token de challenge et code requis'
+      });
+    }
 
-    if (!user) {
-      return res.status(404).json({
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({
         success: false,
-        message: 'Utilisateur non trouvé'
+        message: 'Challenge invalide ou expiré, veuillez vous reconnecter'
       });
     }
 
-    // Compter le nombre de projets
-    const projectCount = user.projects ? user.projects.length : 0;
+    if (decoded.purpose !== '2fa_challenge') {
+      return res.status(401).json({
+        success: false,
+        message: 'Challenge invalide ou expiré, veuillez vous reconnecter'
+      });
+    }
 
-    // Préparer les données utilisateur
-    const userData = user.toJSON();
-    userData.projectCount = projectCount;
+    const user = await User.scope('withTwoFactor').findByPk(decoded.id);
 
-    res.status(200).json({
-      success: true,
-      data: {
-        user: userData
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Challenge invalide ou expiré, veuillez vous reconnecter'
+      });
+    }
+
+    if (user.isLocked()) {
+      return sendLockedResponse(res, user);
+    }
+
+    const method = await user.verifyTwoFactorCode(code);
+
+    if (!method) {
+      const { locked } = await recordLoginFailure(req, user.email, user, 'invalid_2fa_code');
+      if (locked) {
+        return sendLockedResponse(res, user);
       }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Code de double authentification invalide'
+      });
+    }
+
+    await completeLogin(req, res, user, {
+      method: '2fa',
+      twoFactorMethod: method,
+      remainingRecoveryCodes: (user.twoFactorRecoveryCodes || []).length
     });
 
   } catch (error) {
-    console.error('Erreur lors de la récupération de l\'utilisateur:', error);
+    console.error('Erreur lors de la vérification 2FA:', error);
     res.status(500).json({
       success: false,
-      message: 'Erreur lors de la récupération des informations'
+      message: 'Erreur lors de la connexion'
     });
   }
 };
 
 /**
- * @desc    Déconnexion d'un utilisateur
- * @route   POST /api/auth/logout
- * @access  Private
+ * Lire un nom depuis les claims OIDC (le modèle User exige au moins 2 caractères)
+ * @param {string} value - Valeur du claim
+ * @param {string} fallback - Valeur utilisée si le claim est absent ou trop court
+ * @returns {string}
  */
-const logout = async (req, res) => {
-  try {
-    // Logger l'action
-    if (req.user) {
+const claimName = (value, fallback) => {
+  const name = String(value || '').trim().substring(0, 100);
+  return name.length >= 2 ? name : fallback;
+};
+
+/**
+ * Retrouver ou créer (provisioning JIT) l'utilisateur correspondant aux claims OIDC,
+ * puis synchroniser son profil et son rôle
+ * @param {Object} claims - Claims de l'ID token (complétés par le userinfo)
+ * @param {Object} req - Objet Express request
+ * @returns {Promise<User>}
+ */
+const provisionOidcUser = async (claims, req) => {
+  const { linkByEmail } = oidc.getOidcConfig();
+  const groups = oidc.getGroups(claims);
+  const role = oidc.mapGroupsToRole(groups);
+  const nameParts = String(claims.name || '').trim().split(/\s+/);
+  const emailLocalPart = (claims.email || '').split('@')[0];
+
+  const profile = {
+    firstName: claimName(claims.given_name || nameParts[0], claimName(emailLocalPart, 'Utilisateur')),
+    lastName: claimName(claims.family_name || nameParts.slice(1).join(' '), 'SSO')
+  };
+
+  let user = await User.findOne({
+    where: { authProvider: 'oidc', externalId: claims.sub }
+  });
+
+  // Rattacher un compte local existant par email : uniquement si le fournisseur déclare l'email vérifié
+  // (email_verified absent = non vérifié), et jamais un compte administrateur
+  if (!user && claims.email) {
+    const existing = await User.findOne({ where: { email: claims.email } });
+
+    if (existing) {
+      if (!linkByEmail || claims.email_verified !== true || existing.role === 'admin' || !existing.usesLocalPassword()) {
+        throw new Error('Un compte existe déjà avec cet email et ne peut pas être rattaché automatiquement au fournisseur d\'identité. Contactez l\'administrateur.');
+      }
+
+      user = existing;
+      user.authProvider = 'oidc';
+      user.externalId = claims.sub;
+      await user.save();
+
       await Log.createLog({
-        action: 'LOGOUT',
-        description: `Déconnexion: ${req.user.email}`,
+        action: 'SSO_LINK',
+        description: `Compte rattaché au fournisseur d'identité: ${user.email}`,
         entityType: 'user',
-        entityId: req.user.id,
-        oldValue: null,
-        newValue: null,
-        performedBy: req.user.id,
+        entityId: user.id,
+        oldValue: { authProvider: 'local' },
+        newValue: { authProvider: 'oidc', externalId: claims.sub },
+        performedBy: user.id,
         ipAddress: req.ip,
         userAgent: req.get('user-agent')
       });
     }
+  }
 
-    res.status(200).json({
-      success: true,
-      message: 'Déconnexion réussie'
+  if (!user) {
+    if (!claims.email) {
+      throw new Error('Le fournisseur d\'identité ne transmet pas d\'email (scope "email" requis)');
+    }
+
+    // Mot de passe aléatoire inutilisable : le compte ne se connecte que via le SSO
+    user = await User.create({
+      ...profile,
+      username: await User.generateAvailableUsername(claims.preferred_username || emailLocalPart),
+      email: claims.email,
+      password: crypto.randomBytes(32).toString('hex'),
+      role: role || 'consultant',
+      isActive: true,
+      emailVerified: claims.email_verified === true,
+      emailVerifiedAt: claims.email_verified === true ? new Date() : null,
+      authProvider: 'oidc',
+      externalId: claims.sub
     });
 
-  } catch (error) {
-    console.error('Erreur lors de la déconnexion:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erreur lors de la déconnexion'
+    await Log.createLog({
+      action: 'SSO_PROVISION',
+      description: `Utilisateur créé via SSO: ${user.email}`,
+      entityType: 'user',
+      entityId: user.id,
+      oldValue: null,
+      newValue: {
+        email: user.email,
+        username: user.username,
+        role: user.role,
+        groups
+      },
+      performedBy: user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    return user;
+  }
+
+  // Synchroniser le profil et le rôle depuis le fournisseur d'identité
+  const oldValue = { firstName: user.firstName, lastName: user.lastName, role: user.role };
+
+  user.firstName = profile.firstName;
+  user.lastName = profile.lastName;
+  if (role) {
+    user.role = role;
+  }
+
+  if (user.changed()) {
+    await user.save();
+
+    await Log.createLog({
+      action: 'SSO_SYNC',
+      description: `Profil synchronisé depuis le SSO: ${user.email}`,
+      entityType: 'user',
+      entityId: user.id,
+      oldValue,
+      newValue: { firstName: user.firstName, lastName: user.lastName, role: user.role, groups },
+      performedBy: user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  }
+
+  return user;
+};
+
+/**
+ * Retrouver ou créer l'utilisateur correspondant à une entrée de l'annuaire LDAP,
+ * puis synchroniser son nom, son email et son rôle
+ * @param {Object} profile - Profil retourné par utils/ldap (login, email, firstName, lastName, groups, role)
+ * @param {Object} req - Objet Express request
+ * @returns {Promise<User>}
+ */
+const provisionLdapUser = async (profile, req) => {
+  const externalId = profile.login.toLowerCase();
+  const emailLocalPart = (profile.email || '').split('@')[0];
+
+  const directoryValues = {
+    firstName: claimName(profile.firstName, claimName(profile.login, 'Utilisateur')),
+    lastName: claimName(profile.lastName, 'LDAP')
+  };
+
+  let user = await User.findOne({
+    where: { authProvider: 'ldap', externalId }
+  });
+
+  // Rattacher un compte local existant de même email : uniquement si LDAP_LINK_BY_EMAIL=true,
+  // et jamais un compte administrateur (l'attribut mail de l'annuaire ne suffit pas à en prendre le contrôle)
+  if (!user && profile.email) {
+    const existing = await User.findOne({ where: { email: profile.email } });
+
+    if (existing) {
+      if (!ldap.getLdapConfig().linkByEmail || existing.role === 'admin' || !existing.usesLocalPassword()) {
+        throw new Error('Un compte existe déjà avec cet email et ne peut pas être rattaché automatiquement à l\'annuaire LDAP. Contactez l\'administrateur.');
+      }
+
+      user = existing;
+    }
+  }
+
+  if (!user) {
+    if (!profile.email) {
+      throw new Error('L\'entrée LDAP ne contient pas d\'email');
+    }
+
+    // Mot de passe aléatoire inutilisable : le compte ne se connecte que via l'annuaire
+    user = await User.create({
+      ...directoryValues,
+      username: await User.generateAvailableUsername(profile.login || emailLocalPart),
+      email: profile.email,
+      password: crypto.randomBytes(32).toString('hex'),
+      role: profile.role || 'consultant',
+      isActive: true,
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+      authProvider: 'ldap',
+      externalId
+    });
+
+    await Log.createLog({
+      action: 'LDAP_PROVISION',
+      description: `Utilisateur créé depuis l'annuaire LDAP: ${user.email}`,
+      entityType: 'user',
+      entityId: user.id,
+      oldValue: null,
+      newValue: {
+        email: user.email,
+        username: user.username,
+        role: user.role,
+        groups: profile.groups
+      },
+      performedBy: user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    return user;
+  }
+
+  // Synchroniser le compte avec l'annuaire à chaque connexion
+  const oldValue = {
+    firstName: user.firstName,
+    lastName: user.lastName,
+    email: user.email,
+    role: user.role,
+    authProvider: user.authProvider
+  };
+
+  user.firstName = directoryValues.firstName;
+  user.lastName = directoryValues.lastName;
+  user.authProvider = 'ldap';
+  user.externalId = externalId;
+
+  if (profile.role) {
+    user.role = profile.role;
+  }
+
+  // Ne pas écraser l'email si un autre compte l'utilise déjà
+  if (profile.email && profile.email !== user.email) {
+    const emailTaken = await User.count({ where: { email: profile.email } });
+    if (!emailTaken) {
+      user.email = profile.email;
+    }
+  }
+
+  if (user.changed()) {
+    await user.save();
+
+    await Log.createLog({
+      action: 'LDAP_SYNC',
+      description: `Compte synchronisé depuis l'annuaire LDAP: ${user.email}`,
+      entityType: 'user',
+      entityId: user.id,
+      oldValue,
+      newValue: {
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        role: user.role,
+        authProvider: user.authProvider,
+        groups: profile.groups
+      },
+      performedBy: user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  }
+
+  return user;
+};
+
+/**
+ * @desc    Démarrer une connexion SSO (OIDC authorization code + PKCE)
+ * @route   GET /api/auth/oidc/authorize
+ * @access  Public
+ */
+const getOidcAuthorizationUrl = async (req, res) => {
+  try {
+    if (!oidc.isOidcEnabled()) {
+      return res.status(404).json({
+        success: false,
+        message: 'La connexion SSO n\'est pas configurée'
+      });
+    }
+
+    const state = oidc.randomValue();
+    const nonce = oidc.randomValue();
+    const codeVerifier = oidc.randomValue();
+
+    let authorizationUrl;
+    try {
+      authorizationUrl = await oidc.buildAuthorizationUrl({ state, nonce, codeVerifier });
+    } catch (error) {
+      console.error('Erreur lors de la découverte OIDC:', error);
+      return res.status(502).json({
+        success: false,
+        message: 'Fournisseur d\'identité injoignable'
+      });
+    }
+
+    await OidcAuthRequest.start({
+      state,
+      nonce,
+      codeVerifier,
+      ipAddress: req.ip || null
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        authorizationUrl,
+        state
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'initialisation du SSO:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de l\'initialisation de la connexion SSO'
+    });
+  }
+};
+
+/**
+ * @desc    Finaliser une connexion SSO (échange du code retourné par le fournisseur)
+ * @route   POST /api/auth/oidc/callback
+ * @access  Public
+ */
+const oidcCallback = async (req, res) => {
+  try {
+    const { code, state, error: providerError, error_description: providerErrorDescription } = req.body;
+
+    if (!oidc.isOidcEnabled()) {
+      return res.status(404).json({
+        success: false,
+        message: 'La connexion SSO n\'est pas configurée'
+      });
+    }
+
+    if (providerError) {
+      return res.status(401).json({
+        success: false,
+        message: `Connexion refusée par le fournisseur d'identité: ${providerErrorDescription || providerError}`
+      });
+    }
+
+    if (!code || !state) {
+      return res.status(400).json({
+        success: false,
+        message: 'Code et state requis'
+      });
+    }
+
+    const authRequest = await OidcAuthRequest.consume(state);
+
+    if (!authRequest) {
+      return res.status(400).json({
+        success: false,
+        message: 'Demande de connexion SSO invalide ou expirée, veuillez recommencer'
+      });
+    }
+
+    let claims;
+    try {
+      const tokens = await oidc.exchangeCode(code, authRequest.codeVerifier);
+
+      if (!tokens.id_token) {
+        throw new Error('Réponse du fournisseur sans id_token');
+      }
+
+      claims = await oidc.verifyIdToken(tokens.id_token, authRequest.nonce);
+      claims = await oidc.fetchUserInfo(tokens.access_token, claims);
+    } catch (error) {
+      console.error('Erreur lors de la validation OIDC:', error);
+      return res.status(401).json({
+        success: false,
+        message: 'Échec de l\'authentification auprès du fournisseur d\'identité'
+      });
+    }
+
+    let user;
+    try {
+      user = await provisionOidcUser(claims, req);
+    } catch (error) {
+      console.error('Erreur lors du provisioning SSO:', error);
+      return res.status(422).json({
+        success: false,
+        message: error.name === 'SequelizeValidationError'
+          ? 'Les informations transmises par le fournisseur d\'identité sont invalides'
+          : error.message
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Votre compte est désactivé. Contactez l\'administrateur.'
+      });
+    }
+
+    await completeLogin(req, res, user, { method: 'oidc' });
+
+  } catch (error) {
+    console.error('Erreur lors de la connexion SSO:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la connexion SSO'
+    });
+  }
+};
+
+/**
+ * Révoquer une session dont un refresh token déjà utilisé a été présenté et tracer l'incident
+ * @param {Object} req - Objet Express request
+ * @param {Session} session
+ */
+const revokeReusedSession = async (req, session) => {
+  if (session.revokedAt) {
+    return;
+  }
+
+  await session.revoke('token_reuse');
+
+  await Log.createLog({
+    action: 'REFRESH_TOKEN_REUSE',
+    description: `Réutilisation d'un refresh token détectée (session ${session.id})`,
+    entityType: 'user',
+    entityId: session.userId,
+    oldValue: null,
+    newValue: { sessionId: session.id },
+    performedBy: session.userId,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+};
+
+/**
+ * @desc    Renouveler le token d'accès (rotation du refresh token)
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token requis'
+      });
+    }
+
+    const session = await Session.findByRefreshToken(refreshToken);
+
+    if (!session) {
+      // Un ancien refresh token rejoué indique un vol : on coupe la session concernée
+      const compromised = await Session.findByPreviousRefreshToken(refreshToken);
+      if (compromised) {
+        await revokeReusedSession(req, compromised);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token invalide'
+      });
+    }
+
+    if (!session.isActive()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expirée ou révoquée'
+      });
+    }
+
+    const user = await User.findByPk(session.userId);
+
+    if (!user || !user.isActive) {
+      await session.revoke('user_inactive');
+      return res.status(403).json({
+        success: false,
+        message: 'Compte désactivé'
+      });
+    }
+
+    // Rotation : le refresh token présenté ne sera plus jamais accepté.
+    // Mise à jour conditionnelle : si une requête concurrente a déjà fait tourner ce token,
+    // aucune ligne n'est modifiée et le token présenté est traité comme rejoué.
+    const presentedHash = Session.hashToken(refreshToken);
+    const newRefreshToken = Session.generateRefreshToken();
+    const [rotated] = await Session.update({
+      previousRefreshTokenHash: presentedHash,
+      refreshTokenHash: Session.hashToken(newRefreshToken),
+      expiresAt: Session.getExpiryDate(),
+      lastSeenAt: new Date(),
+      ipAddress: req.ip || session.ipAddress
+    }, {
+      where: { id: session.id, refreshTokenHash: presentedHash }
+    });
+
+    if (rotated === 0) {
+      await revokeReusedSession(req, session);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token invalide'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Token renouvelé',
+      data: {
+        token: generateToken(user, session),
+        refreshToken: newRefreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du renouvellement du token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors du renouvellement du token'
+    });
+  }
+};
+
+/**
+ * @desc    Obtenir les informations de l'utilisateur connecté
+ * @route   GET /api/auth/me
+ * @access  Private
+ */
+const getMe = async (req, res) => {
+  try {
+    // L'utilisateur est déjà disponible via req.user (mis par authMiddleware)
+    const userId = req.user.id;
+
+    // Récupérer l'utilisateur avec ses projets
+    const user = await User.findByPk(userId, {
+      include: [
+        {
+          association: 'projects',
+          attributes: ['id', 'name', 'status'],
+          through: { attributes: ['role'] }
+        }
+      ]
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Utilisateur non trouvé'
+      });
+    }
+
+    // Compter le nombre de projets
+    const projectCount = user.projects ? user.projects.length : 0;
+
+    // Préparer les données utilisateur
+    const userData = user.toJSON();
+    userData.projectCount = projectCount;
+    userData.twoFactorRequired = await user.isTwoFactorRequired();
+    userData.passwordChangeRequired = await passwordPolicy.isPasswordChangeRequired(user);
+
+    // Permettre à l'interface d'afficher qu'un administrateur est connecté en tant que l'utilisateur
+    userData.impersonator = req.impersonator
+      ? {
+        id: req.impersonator.id,
+        email: req.impersonator.email,
+        firstName: req.impersonator.firstName,
+        lastName: req.impersonator.lastName,
+        expiresAt: req.authSession.expiresAt
+      }
+      : null;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: userData
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération de l\'utilisateur:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des informations'
+    });
+  }
+};
+
+/**
+ * @desc    Déconnexion d'un utilisateur
+ * @route   POST /api/auth/logout
+ * @access  Private
+ */
+const logout = async (req, res) => {
+  try {
+    // Fin d'usurpation : seule la session de l'administrateur est révoquée, pas celles de l'utilisateur
+    if (req.impersonator) {
+      await req.authSession.revoke('impersonation_end');
+
+      // Logger l'action
+      await Log.createLog({
+        action: 'IMPERSONATE_STOP',
+        description: `Fin d'usurpation d'identité: ${req.impersonator.email} → ${req.user.email}`,
+        entityType: 'user',
+        entityId: req.user.id,
+        oldValue: null,
+        newValue: { sessionId: req.authSession.id },
+        performedBy: req.impersonator.id,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Usurpation d\'identité terminée'
+      });
+    }
+
+    if (req.user) {
+      // Révoquer toutes les sessions de l'utilisateur
+      const revokedSessions = await Session.revokeAllForUser(req.user.id, 'logout');
+
+      // Logger l'action
+      await Log.createLog({
+        action: 'LOGOUT',
+        description: `Déconnexion: ${req.user.email}`,
+        entityType: 'user',
+        entityId: req.user.id,
+        oldValue: null,
+        newValue: { revokedSessions },
+        performedBy: req.user.id,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Déconnexion réussie'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la déconnexion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la déconnexion'
+    });
+  }
+};
+
+/**
+ * @desc    Mettre à jour le profil de l'utilisateur connecté
+ * @route   PUT /api/auth/profile
+ * @access  Private
+ */
+const updateProfile = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { firstName, lastName, phoneNumber, profilePicture } = req.body;
+
+    // Récupérer l'utilisateur
+    const user = await User.findByPk(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Utilisateur non trouvé'
+      });
+    }
+
+    // Sauvegarder les anciennes valeurs pour le log
+    const oldValues = {
+      firstName: user.firstName,
+      lastName: user.lastName,
+      phoneNumber: user.phoneNumber,
+      profilePicture: user.profilePicture
+    };
+
+    // Mettre à jour les champs
+    if (firstName) user.firstName = firstName;
+    if (lastName) user.lastName = lastName;
+    if (phoneNumber !== undefined) user.phoneNumber = phoneNumber;
+    if (profilePicture !== undefined) user.profilePicture = profilePicture;
+
+    await user.save();
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'UPDATE_PROFILE',
+      description: `Mise à jour du profil: ${user.email}`,
+      entityType: 'user',
+      entityId: user.id,
+      oldValue: oldValues,
+      newValue: {
+        firstName: user.firstName,
+        lastName: user.lastName,
+        phoneNumber: user.phoneNumber,
+        profilePicture: user.profilePicture
+      },
+      performedBy: user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Profil mis à jour avec succès',
+      data: {
+        user: user.toSafeJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour du profil:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Erreur de validation',
+        errors: error.errors.map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la mise à jour du profil'
+    });
+  }
+};
+
+/**
+ * @desc    Changer le mot de passe de l'utilisateur connecté
+ * @route   PUT /api/auth/change-password
+ * @access  Private
+ */
+const changePassword = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { currentPassword, newPassword } = req.body;
+
+    // Validation
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mot de passe actuel et nouveau mot de passe requis'
+      });
+    }
+
+    // Récupérer l'utilisateur avec le password
+    const user = await User.scope('withPassword').findByPk(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Utilisateur non trouvé'
+      });
+    }
+
+    if (!user.usesLocalPassword()) {
+      return res.status(400).json({
+        success: false,
+        code: 'SSO_ACCOUNT',
+        message: 'Le mot de passe de ce compte est géré par le fournisseur d\'identité'
+      });
+    }
+
+    // Vérifier le mot de passe actuel
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Mot de passe actuel incorrect'
+      });
+    }
+
+    // Vérifier la politique de mots de passe (dont les derniers mots de passe utilisés)
+    const passwordCheck = await passwordPolicy.validatePassword(newPassword, user);
+    if (!passwordCheck.valid) {
+      return passwordPolicy.sendPolicyError(res, passwordCheck.errors);
+    }
+
+    // Mettre à jour le mot de passe (sera hashé par le hook)
+    user.password = newPassword;
+    await user.save();
+
+    // Révoquer toutes les sessions puis en rouvrir une pour l'appareil courant
+    const revokedSessions = await Session.revokeAllForUser(user.id, 'password_change');
+    const { token, refreshToken } = await issueSession(user, req);
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'CHANGE_PASSWORD',
+      description: `Changement de mot de passe: ${user.email}`,
+      entityType: 'user',
+      entityId: user.id,
+      oldValue: null,
+      newValue: { revokedSessions },
+      performedBy: user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Mot de passe changé avec succès',
+      data: {
+        token,
+        refreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du changement de mot de passe:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors du changement de mot de passe'
     });
   }
 };
 
 /**
- * @desc    Mettre à jour le profil de l'utilisateur connecté
- * @route   PUT /api/auth/profile
- * @access  Private
+ * @desc    Obtenir les règles de la politique de mots de passe (affichage des formulaires)
+ * @route   GET /api/auth/password-policy
+ * @access  Public
  */
-const updateProfile = async (req, res) => {
+const getPasswordPolicy = async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { firstName, lastName, phoneNumber, profilePicture } = req.body;
+    res.status(200).json({
+      success: true,
+      data: {
+        policy: await passwordPolicy.getPasswordPolicy()
+      }
+    });
 
-    // Récupérer l'utilisateur
-    const user = await User.findByPk(userId);
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la politique de mots de passe:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération de la politique de mots de passe'
+    });
+  }
+};
 
-    if (!user) {
-      return res.status(404).json({
+/**
+ * @desc    Demander un lien de réinitialisation du mot de passe
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+const forgotPassword = async (req, res) => {
+  // Réponse identique que l'email existe ou non (pas d'énumération des comptes)
+  const genericResponse = {
+    success: true,
+    message: 'Si un compte actif correspond à cet email, un lien de réinitialisation a été envoyé'
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
         success: false,
-        message: 'Utilisateur non trouvé'
+        message: 'L\'email est requis'
       });
     }
 
-    // Sauvegarder les anciennes valeurs pour le log
-    const oldValues = {
-      firstName: user.firstName,
-      lastName: user.lastName,
-      phoneNumber: user.phoneNumber,
-      profilePicture: user.profilePicture
-    };
+    const user = await User.findOne({ where: { email } });
 
-    // Mettre à jour les champs
-    if (firstName) user.firstName = firstName;
-    if (lastName) user.lastName = lastName;
-    if (phoneNumber !== undefined) user.phoneNumber = phoneNumber;
-    if (profilePicture !== undefined) user.profilePicture = profilePicture;
+    // Les comptes SSO n'ont pas de mot de passe TILI à réinitialiser
+    if (!user || !user.isActive || !user.usesLocalPassword()) {
+      return res.status(200).json(genericResponse);
+    }
 
-    await user.save();
+    const token = await PasswordResetToken.issue(user.id, req.ip);
+    const resetUrl = buildAppUrl('/reset-password', { token });
+    const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+    await sendMail({
+      to: user.email,
+      subject: 'TILI - Réinitialisation de votre mot de passe',
+      text: `Bonjour ${user.firstName},\n\n` +
+        `Une réinitialisation de votre mot de passe a été demandée. ` +
+        `Ce lien est valable ${minutes} minutes et ne peut être utilisé qu'une fois :\n\n` +
+        `${resetUrl}\n\n` +
+        `Si vous n'êtes pas à l'origine de cette demande, ignorez cet email.`,
+      html: `<p>Bonjour ${escapeHtml(user.firstName)},</p>` +
+        `<p>Une réinitialisation de votre mot de passe a été demandée. ` +
+        `Ce lien est valable ${minutes} minutes et ne peut être utilisé qu'une fois :</p>` +
+        `<p><a href="${escapeHtml(resetUrl)}">Réinitialiser mon mot de passe</a></p>` +
+        `<p>Si vous n'êtes pas à l'origine de cette demande, ignorez cet email.</p>`
+    });
 
     // Logger l'action
     await Log.createLog({
-      action: 'UPDATE_PROFILE',
-      description: `Mise à jour du profil: ${user.email}`,
+      action: 'PASSWORD_RESET_REQUEST',
+      description: `Demande de réinitialisation du mot de passe: ${user.email}`,
       entityType: 'user',
       entityId: user.id,
-      oldValue: oldValues,
-      newValue: {
-        firstName: user.firstName,
-        lastName: user.lastName,
-        phoneNumber: user.phoneNumber,
-        profilePicture: user.profilePicture
-      },
+      oldValue: null,
+      newValue: null,
+      performedBy: user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json(genericResponse);
+
+  } catch (error) {
+    console.error('Erreur lors de la demande de réinitialisation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la demande de réinitialisation du mot de passe'
+    });
+  }
+};
+
+/**
+ * @desc    Réinitialiser le mot de passe avec le token reçu par email
+ * @route   POST /api/auth/reset-password
+ * @access  Public
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token et nouveau mot de passe requis'
+      });
+    }
+
+    const resetToken = await PasswordResetToken.findByToken(token);
+
+    if (!resetToken || !resetToken.isUsable()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lien de réinitialisation invalide ou expiré'
+      });
+    }
+
+    const user = await User.scope('withPassword').findByPk(resetToken.userId);
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lien de réinitialisation invalide ou expiré'
+      });
+    }
+
+    // Vérifier la politique avant de consommer le token, pour permettre une nouvelle saisie
+    const passwordCheck = await passwordPolicy.validatePassword(newPassword, user);
+    if (!passwordCheck.valid) {
+      return passwordPolicy.sendPolicyError(res, passwordCheck.errors);
+    }
+
+    // Consommer le token (usage unique) et changer le mot de passe dans une même transaction :
+    // une requête concurrente avec le même token échoue, un échec de l'enregistrement ne consomme pas le token
+    const consumed = await sequelize.transaction(async (transaction) => {
+      if (!(await resetToken.consume({ transaction }))) {
+        return false;
+      }
+
+      // Mettre à jour le mot de passe (sera hashé par le hook) et lever un éventuel verrouillage
+      user.password = newPassword;
+      user.failedLoginAttempts = 0;
+      user.lockedUntil = null;
+      await user.save({ transaction });
+      return true;
+    });
+
+    if (!consumed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lien de réinitialisation invalide ou expiré'
+      });
+    }
+
+    // Toutes les sessions existantes sont révoquées
+    const revokedSessions = await Session.revokeAllForUser(user.id, 'password_reset');
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'PASSWORD_RESET',
+      description: `Mot de passe réinitialisé: ${user.email}`,
+      entityType: 'user',
+      entityId: user.id,
+      oldValue: null,
+      newValue: { revokedSessions },
       performedBy: user.id,
       ipAddress: req.ip,
       userAgent: req.get('user-agent')
@@ -355,14 +1600,11 @@ const updateProfile = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Profil mis à jour avec succès',
-      data: {
-        user: user.toSafeJSON()
-      }
+      message: 'Mot de passe réinitialisé avec succès. Vous pouvez vous connecter.'
     });
 
   } catch (error) {
-    console.error('Erreur lors de la mise à jour du profil:', error);
+    console.error('Erreur lors de la réinitialisation du mot de passe:', error);
 
     if (error.name === 'SequelizeValidationError') {
       return res.status(400).json({
@@ -377,92 +1619,230 @@ const updateProfile = async (req, res) => {
 
     res.status(500).json({
       success: false,
-      message: 'Erreur lors de la mise à jour du profil'
+      message: 'Erreur lors de la réinitialisation du mot de passe'
     });
   }
 };
 
 /**
- * @desc    Changer le mot de passe de l'utilisateur connecté
- * @route   PUT /api/auth/change-password
- * @access  Private
+ * @desc    Confirmer l'adresse email à partir du lien signé
+ * @route   POST /api/auth/verify-email
+ * @access  Public
  */
-const changePassword = async (req, res) => {
+const verifyEmail = async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { currentPassword, newPassword } = req.body;
+    const { token } = req.body;
 
-    // Validation
-    if (!currentPassword || !newPassword) {
+    if (!token) {
       return res.status(400).json({
         success: false,
-        message: 'Mot de passe actuel et nouveau mot de passe requis'
+        message: 'Token de vérification requis'
       });
     }
 
-    if (newPassword.length < 8) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
       return res.status(400).json({
         success: false,
-        message: 'Le nouveau mot de passe doit contenir au moins 8 caractères'
+        message: 'Lien de vérification invalide ou expiré'
       });
     }
 
-    // Récupérer l'utilisateur avec le password
-    const user = await User.scope('withPassword').findByPk(userId);
-
-    if (!user) {
-      return res.status(404).json({
+    if (decoded.purpose !== 'email_verification') {
+      return res.status(400).json({
         success: false,
-        message: 'Utilisateur non trouvé'
+        message: 'Lien de vérification invalide ou expiré'
       });
     }
 
-    // Vérifier le mot de passe actuel
-    const isPasswordValid = await user.comparePassword(currentPassword);
-    if (!isPasswordValid) {
-      return res.status(401).json({
+    const user = await User.findByPk(decoded.id);
+
+    // Le lien n'est valable que pour l'email auquel il a été envoyé
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
         success: false,
-        message: 'Mot de passe actuel incorrect'
+        message: 'Lien de vérification invalide ou expiré'
       });
     }
 
-    // Mettre à jour le mot de passe (sera hashé par le hook)
-    user.password = newPassword;
-    await user.save();
+    if (user.emailVerified) {
+      return res.status(200).json({
+        success: true,
+        message: 'Email déjà vérifié'
+      });
+    }
+
+    await user.markEmailVerified();
 
     // Logger l'action
     await Log.createLog({
-      action: 'CHANGE_PASSWORD',
-      description: `Changement de mot de passe: ${user.email}`,
+      action: 'VERIFY_EMAIL',
+      description: `Email vérifié: ${user.email}`,
       entityType: 'user',
       entityId: user.id,
+      oldValue: { emailVerified: false },
+      newValue: { emailVerified: true },
+      performedBy: user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email vérifié avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la vérification de l\'email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la vérification de l\'email'
+    });
+  }
+};
+
+/**
+ * @desc    Renvoyer l'email de vérification
+ * @route   POST /api/auth/resend-verification
+ * @access  Private (comptes non vérifiés acceptés)
+ */
+const resendVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email déjà vérifié'
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'RESEND_VERIFICATION',
+      description: `Email de vérification renvoyé: ${req.user.email}`,
+      entityType: 'user',
+      entityId: req.user.id,
       oldValue: null,
       newValue: null,
-      performedBy: user.id,
+      performedBy: req.user.id,
       ipAddress: req.ip,
       userAgent: req.get('user-agent')
     });
 
     res.status(200).json({
       success: true,
-      message: 'Mot de passe changé avec succès'
+      message: 'Email de vérification renvoyé'
     });
 
   } catch (error) {
-    console.error('Erreur lors du changement de mot de passe:', error);
+    console.error('Erreur lors du renvoi de l\'email de vérification:', error);
     res.status(500).json({
       success: false,
-      message: 'Erreur lors du changement de mot de passe'
+      message: 'Erreur lors du renvoi de l\'email de vérification'
+    });
+  }
+};
+
+/**
+ * @desc    Lister les appareils connectés (sessions actives)
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.getActiveForUser(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toPublicJSON(),
+          current: req.authSession ? session.id === req.authSession.id : false
+        })),
+        total: sessions.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des sessions'
+    });
+  }
+};
+
+/**
+ * @desc    Déconnecter un appareil à distance
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Un utilisateur ne peut révoquer que ses propres sessions
+    const session = await Session.findOne({
+      where: { id, userId: req.user.id }
+    });
+
+    if (!session || !session.isActive()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session non trouvée'
+      });
+    }
+
+    await session.revoke('remote_logout');
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'REVOKE_SESSION',
+      description: `Appareil déconnecté: ${req.user.email}`,
+      entityType: 'user',
+      entityId: req.user.id,
+      oldValue: null,
+      newValue: session.toPublicJSON(),
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Appareil déconnecté avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la révocation de la session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la révocation de la session'
     });
   }
 };
 
 module.exports = {
   register,
+  getRegistrationMode,
   login,
+  verifyTwoFactorLogin,
+  getOidcAuthorizationUrl,
+  oidcCallback,
+  refresh,
   getMe,
   logout,
   updateProfile,
-  changePassword
+  changePassword,
+  getPasswordPolicy,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  getSessions,
+  revokeSession
 };
 
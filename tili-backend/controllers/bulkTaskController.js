@@ -0,0 +1,582 @@
+const crypto = require('crypto');
+const { sequelize, Task, TaskAssignee, TaskDependency, LabelAssignment, Project, User, Workflow, Log } = require('../models');
+const { Op } = require('sequelize');
+const { can } = require('../utils/permissions');
+const { parseLabelIds, resolveLabels } = require('../utils/labels');
+const { computeRank } = require('../utils/board');
+
+const BULK_ACTIONS = ['update', 'delete'];
+
+// Nombre maximal de tâches par opération groupée
+const MAX_BULK_TASKS = 200;
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Capacité requise pour chaque champ modifiable en lot
+const FIELD_ABILITIES = {
+  status: 'task.updateStatus',
+  priority: 'task.update',
+  dueDate: 'task.update',
+  assignedTo: 'task.assign',
+  labelIds: 'task.update',
+  addLabelIds: 'task.update',
+  removeLabelIds: 'task.update'
+};
+
+/**
+ * Valider et normaliser les modifications demandées (communes à toutes les tâches du lot)
+ * @param {Object} changes
+ * @returns {Promise<{changes: Object, errors: string[]}>}
+ */
+const parseChanges = async (changes) => {
+  const errors = [];
+  const parsed = {};
+
+  const fields = Object.keys(changes || {});
+  const unknown = fields.filter(field => !FIELD_ABILITIES[field] && field !== 'primaryId');
+
+  if (fields.filter(field => FIELD_ABILITIES[field]).length === 0) {
+    errors.push(`changes doit contenir au moins un champ parmi: ${Object.keys(FIELD_ABILITIES).join(', ')}`);
+  }
+
+  if (unknown.length > 0) {
+    errors.push(`Champs non modifiables en lot: ${unknown.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    return { changes: parsed, errors };
+  }
+
+  if (changes.status !== undefined) {
+    if (typeof changes.status !== 'string' || !changes.status) {
+      errors.push('status doit être un statut du workflow');
+    }
+    parsed.status = changes.status;
+  }
+
+  if (changes.priority !== undefined) {
+    if (!PRIORITIES.includes(changes.priority)) {
+      errors.push(`La priorité doit être: ${PRIORITIES.join(', ')}`);
+    }
+    parsed.priority = changes.priority;
+  }
+
+  if (changes.dueDate !== undefined) {
+    if (changes.dueDate !== null && isNaN(new Date(changes.dueDate).getTime())) {
+      errors.push('dueDate doit être une date valide ou null');
+    }
+    parsed.dueDate = changes.dueDate;
+  }
+
+  // Mêmes formes que PATCH /:id/assign : identifiant, liste d'identifiants ou null
+  if (changes.assignedTo !== undefined) {
+    const userIds = changes.assignedTo === null
+      ? []
+      : [...new Set((Array.isArray(changes.assignedTo) ? changes.assignedTo : [changes.assignedTo]).map(Number))];
+
+    const primaryId = changes.primaryId !== undefined && changes.primaryId !== null ? Number(changes.primaryId) : (userIds[0] || null);
+
+    if (userIds.some(userId => !Number.isInteger(userId) || userId <= 0)) {
+      errors.push('assignedTo doit être un identifiant d\'utilisateur, une liste d\'identifiants ou null');
+    } else if (primaryId && !userIds.includes(primaryId)) {
+      errors.push('L\'assigné principal (primaryId) doit faire partie des assignés');
+    } else if (userIds.length > 0) {
+      const count = await User.count({ where: { id: { [Op.in]: userIds } } });
+      if (count !== userIds.length) {
+        errors.push('Utilisateur à assigner non trouvé');
+      }
+    }
+
+    parsed.assignees = { userIds, primaryId };
+  }
+
+  if (changes.labelIds !== undefined && (changes.addLabelIds !== undefined || changes.removeLabelIds !== undefined)) {
+    errors.push('labelIds remplace les étiquettes : il ne peut pas être combiné avec addLabelIds ou removeLabelIds');
+  }
+
+  ['labelIds', 'addLabelIds', 'removeLabelIds'].forEach(field => {
+    if (changes[field] === undefined) return;
+
+    const ids = parseLabelIds(changes[field]);
+    if (!ids) {
+      errors.push(`${field} doit être une liste d'identifiants d'étiquettes`);
+    }
+    parsed[field] = ids || [];
+  });
+
+  return { changes: parsed, errors };
+};
+
+/**
+ * Contrôler une tâche du lot : permissions, workflow, sous-tâches, dépendances, étiquettes
+ * (les limites WIP sont contrôlées dans la transaction du lot, voir checkWipLimits)
+ * @param {Task} task
+ * @param {Object} context - { user, action, changes, force, batchIds, cache, workflows, targetStatuses }
+ * @returns {Promise<{error: Object|null, warnings: Object[]}>}
+ */
+const checkTask = async (task, context) => {
+  const { user, action, changes, force, batchIds } = context;
+  const warnings = [];
+
+  const abilities = action === 'delete'
+    ? ['task.delete']
+    : [...new Set(Object.keys(FIELD_ABILITIES).filter(field => changes[field === 'assignedTo' ? 'assignees' : field] !== undefined).map(field => FIELD_ABILITIES[field]))];
+
+  for (const ability of abilities) {
+    if (!(await can(user, ability, task, context.cache))) {
+      return { error: { code: 'PERMISSION_DENIED', message: `Accès refusé - Permission requise: ${ability}` }, warnings };
+    }
+  }
+
+  if (action === 'delete') {
+    return { error: null, warnings };
+  }
+
+  if (changes.status !== undefined && changes.status !== task.status) {
+    const workflowKey = task.projectId || 'default';
+    if (!context.workflows.has(workflowKey)) {
+      context.workflows.set(workflowKey, await Workflow.forProject(task.projectId));
+    }
+    const workflow = context.workflows.get(workflowKey);
+
+    const values = {};
+    Workflow.REQUIRED_FIELDS.forEach(field => {
+      values[field] = task[field];
+    });
+    if (changes.assignees) values.assignedTo = changes.assignees.primaryId;
+    if (changes.dueDate !== undefined) values.dueDate = changes.dueDate;
+
+    const check = workflow.checkTransition(task.status, changes.status, values);
+
+    if (!check.status) {
+      return {
+        error: {
+          code: 'INVALID_STATUS',
+          message: `Le statut doit être: ${workflow.statuses.map(s => s.key).join(', ')}`
+        },
+        warnings
+      };
+    }
+
+    if (!check.allowed) {
+      return {
+        error: {
+          code: 'TRANSITION_NOT_ALLOWED',
+          message: `Le workflow du projet n'autorise pas le passage de ${task.status} à ${changes.status}`,
+          data: { allowedTransitions: workflow.getAllowedTransitions(task.status) }
+        },
+        warnings
+      };
+    }
+
+    if (check.missingFields.length > 0) {
+      return {
+        error: {
+          code: 'TRANSITION_REQUIRED_FIELDS',
+          message: `Champs requis pour passer à ${changes.status}: ${check.missingFields.join(', ')}`,
+          data: { missingFields: check.missingFields }
+        },
+        warnings
+      };
+    }
+
+    // Les sous-tâches terminées dans le même lot ne bloquent pas leur parent
+    if (check.status.category === 'done' && task.statusCategory !== 'done' && force !== true) {
+      const openSubtasks = (await task.getOpenSubtasks()).filter(subtask => !batchIds.includes(subtask.id));
+      if (openSubtasks.length > 0) {
+        return {
+          error: {
+            code: 'OPEN_SUBTASKS',
+            message: `${openSubtasks.length} sous-tâche(s) non terminée(s). Envoyez force: true pour la terminer quand même.`,
+            data: { openSubtasks: openSubtasks.map(subtask => ({ id: subtask.id, taskName: subtask.taskName, status: subtask.status })) }
+          },
+          warnings
+        };
+      }
+    }
+
+    context.targetStatuses.set(task.id, check.status);
+
+    if (task.projectId) {
+      const unmet = await TaskDependency.findUnmet(task, check.status.category);
+      if (unmet.length > 0) {
+        const project = await Project.findByPk(task.projectId, { attributes: ['id', 'dependencyEnforcement'] });
+        const unmetDependencies = unmet.map(link => ({
+          dependencyId: link.id,
+          type: link.type,
+          predecessor: { id: link.predecessor.id, taskName: link.predecessor.taskName, status: link.predecessor.status }
+        }));
+
+        if (project && project.dependencyEnforcement === 'block') {
+          return {
+            error: {
+              code: 'UNMET_DEPENDENCIES',
+              message: `Impossible de passer la tâche à ${changes.status} : ${unmet.length} prérequis non satisfait(s)`,
+              data: { unmetDependencies }
+            },
+            warnings
+          };
+        }
+
+        warnings.push({
+          code: 'UNMET_DEPENDENCIES',
+          message: `${unmet.length} prérequis non satisfait(s) pour le statut ${changes.status}`,
+          unmetDependencies
+        });
+      }
+    }
+  }
+
+  const newLabelIds = changes.labelIds || changes.addLabelIds;
+  if (newLabelIds && newLabelIds.length > 0) {
+    const { invalidIds } = await resolveLabels(newLabelIds, { projectId: task.projectId, teamId: task.projectId ? null : task.teamId });
+    if (invalidIds.length > 0) {
+      return {
+        error: {
+          code: 'INVALID_LABELS',
+          message: 'Certaines étiquettes n\'existent pas ou n\'appartiennent pas au projet ou à l\'équipe de la tâche',
+          data: { invalidIds }
+        },
+        warnings
+      };
+    }
+  }
+
+  return { error: null, warnings };
+};
+
+/**
+ * Contrôler les limites WIP des colonnes d'arrivée, verrouillées dans la transaction qui applique le lot
+ * Les tâches du lot entrant dans une colonne comptent au fur et à mesure.
+ * @param {Array<Task>} tasks - Tâches acceptées, dans l'ordre du lot
+ * @param {Map<number, Object>} targetStatuses - Statut d'arrivée des tâches qui changent de colonne
+ * @param {Object} transaction
+ * @returns {Promise<Map<number, Object>>} - Erreur WIP_LIMIT_REACHED par tâche refusée
+ */
+const checkWipLimits = async (tasks, targetStatuses, transaction) => {
+  const counts = new Map();
+  const errors = new Map();
+
+  for (const task of tasks) {
+    const status = targetStatuses.get(task.id);
+    if (!status || !status.wipLimit) {
+      continue;
+    }
+
+    const scope = Task.getBoardScope(task);
+    const wipKey = `${scope.projectId || `team:${scope.teamId}`}:${status.key}`;
+    if (!counts.has(wipKey)) {
+      const rows = await Task.findAll({
+        where: { ...scope, status: status.key },
+        attributes: ['id'],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      counts.set(wipKey, rows.length);
+    }
+
+    const count = counts.get(wipKey);
+    if (count >= status.wipLimit) {
+      errors.set(task.id, {
+        code: 'WIP_LIMIT_REACHED',
+        message: `La colonne ${status.label || status.key} a atteint sa limite de ${status.wipLimit} tâche(s)`,
+        data: { status: status.key, wipLimit: status.wipLimit, count }
+      });
+      continue;
+    }
+    counts.set(wipKey, count + 1);
+  }
+
+  return errors;
+};
+
+/**
+ * Réponse d'un lot refusé : aucune modification appliquée
+ * @param {Object} res - Objet Express response
+ * @param {Array<Object>} results - Résultat par tâche
+ * @param {Object} summary - { requested, succeeded, failed }
+ */
+const sendBatchRejected = (res, results, summary) => {
+  res.status(400).json({
+    success: false,
+    code: 'BULK_REJECTED',
+    message: `${summary.failed} tâche(s) refusée(s) : aucune modification appliquée`,
+    data: {
+      results: results.map(result => (result.success ? { taskId: result.taskId, success: true } : result)),
+      summary: { ...summary, succeeded: 0 }
+    }
+  });
+};
+
+/**
+ * Compter les tâches acceptées et refusées du lot
+ * @param {Array<Object>} results
+ * @returns {Object} - { requested, succeeded, failed }
+ */
+const summarize = (results) => {
+  const failed = results.filter(result => !result.success).length;
+  return { requested: results.length, succeeded: results.length - failed, failed };
+};
+
+/**
+ * Appliquer les modifications à une tâche (dans la transaction du lot)
+ * @param {Task} task
+ * @param {Object} changes
+ * @param {number} userId
+ * @param {Object} transaction
+ * @returns {Promise<{oldValue: Object, newValue: Object}>}
+ */
+const applyChanges = async (task, changes, userId, transaction) => {
+  const oldValue = {};
+  const newValue = {};
+  const updates = {};
+
+  ['status', 'priority', 'dueDate'].forEach(field => {
+    if (changes[field] !== undefined) {
+      oldValue[field] = task[field];
+      updates[field] = changes[field];
+      newValue[field] = changes[field];
+    }
+  });
+
+  if (updates.status !== undefined && updates.status !== task.status) {
+    updates.boardRank = await computeRank(task, updates.status, {}, transaction);
+  }
+
+  if (Object.keys(updates).length > 0) {
+    await task.update(updates, { transaction });
+  }
+
+  if (changes.assignees) {
+    oldValue.assignedTo = task.assignedTo;
+    const { added, removed } = await TaskAssignee.replaceFor(task, changes.assignees.userIds, changes.assignees.primaryId, {
+      assignedBy: userId,
+      transaction
+    });
+    Object.assign(newValue, { assignedTo: changes.assignees.primaryId, assignees: changes.assignees.userIds, added, removed });
+  }
+
+  if (changes.labelIds || changes.addLabelIds || changes.removeLabelIds) {
+    const current = (await LabelAssignment.findAll({
+      where: { entityType: 'task', entityId: task.id },
+      attributes: ['labelId'],
+      transaction
+    })).map(assignment => assignment.labelId);
+
+    const labelIds = changes.labelIds || [
+      ...new Set([...current, ...(changes.addLabelIds || [])])
+    ].filter(labelId => !(changes.removeLabelIds || []).includes(labelId));
+
+    const { added, removed } = await LabelAssignment.replaceFor('task', task.id, labelIds, { createdBy: userId, transaction });
+    oldValue.labelIds = current;
+    Object.assign(newValue, { labelIds, addedLabels: added, removedLabels: removed });
+  }
+
+  return { oldValue, newValue };
+};
+
+/**
+ * @desc    Modifier ou supprimer plusieurs tâches en une transaction (résultat par tâche)
+ * @route   POST /api/tasks/bulk
+ * @access  Private (permissions vérifiées pour chaque tâche)
+ * @body    taskIds, action (update | delete), changes { status?, priority?, dueDate?, assignedTo?, primaryId?,
+ *          labelIds? | addLabelIds?, removeLabelIds? }, force?, atomic? (true par défaut)
+ */
+const bulkUpdateTasks = async (req, res) => {
+  try {
+    const { taskIds, action = 'update', force, atomic = true } = req.body;
+
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `action doit être: ${BULK_ACTIONS.join(', ')}`
+      });
+    }
+
+    const ids = Array.isArray(taskIds) ? [...new Set(taskIds.map(Number))] : [];
+
+    if (ids.length === 0 || ids.some(id => !Number.isInteger(id) || id <= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'taskIds doit être une liste non vide d\'identifiants de tâches'
+      });
+    }
+
+    if (ids.length > MAX_BULK_TASKS) {
+      return res.status(400).json({
+        success: false,
+        message: `Une opération groupée est limitée à ${MAX_BULK_TASKS} tâches`
+      });
+    }
+
+    let changes = {};
+    if (action === 'update') {
+      const parsed = await parseChanges(req.body.changes);
+
+      if (parsed.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Erreur de validation',
+          errors: parsed.errors
+        });
+      }
+      changes = parsed.changes;
+    }
+
+    const tasks = await Task.findAll({ where: { id: { [Op.in]: ids } } });
+    const tasksById = new Map(tasks.map(task => [task.id, task]));
+
+    // Contrôler chaque tâche avant toute modification
+    const context = {
+      user: req.user,
+      action,
+      changes,
+      force,
+      batchIds: ids,
+      cache: new Map(),
+      workflows: new Map(),
+      targetStatuses: new Map()
+    };
+
+    let results = [];
+    for (const id of ids) {
+      const task = tasksById.get(id);
+
+      if (!task) {
+        results.push({ taskId: id, success: false, code: 'NOT_FOUND', message: 'Tâche non trouvée' });
+        continue;
+      }
+
+      const { error, warnings } = await checkTask(task, context);
+      results.push(error
+        ? { taskId: id, success: false, ...error }
+        : { taskId: id, success: true, warnings: warnings.length > 0 ? warnings : undefined });
+    }
+
+    // atomic : une seule tâche refusée annule tout le lot
+    let summary = summarize(results);
+    if (summary.failed > 0 && (atomic !== false || summary.failed === ids.length)) {
+      return sendBatchRejected(res, results, summary);
+    }
+
+    const batchId = crypto.randomUUID();
+    let accepted = results.filter(result => result.success).map(result => tasksById.get(result.taskId));
+    const logs = [];
+    let wipErrors = new Map();
+    let cascaded = new Set();
+    const descendantsById = new Map();
+
+    await sequelize.transaction(async (transaction) => {
+      // Limites WIP comptées sous verrou : un lot concurrent ne peut pas dépasser la limite d'une colonne
+      if (action === 'update') {
+        wipErrors = await checkWipLimits(accepted, context.targetStatuses, transaction);
+        if (wipErrors.size > 0 && (atomic !== false || wipErrors.size === accepted.length)) {
+          return;
+        }
+        accepted = accepted.filter(task => !wipErrors.has(task.id));
+      }
+
+      // Une tâche dont un ancêtre est aussi dans le lot est supprimée (et tracée) avec cet ancêtre
+      if (action === 'delete') {
+        for (const task of accepted) {
+          const subtasks = await Task.findDescendants(task.id, { attributes: ['id'], transaction });
+          descendantsById.set(task.id, subtasks.map(subtask => subtask.id));
+        }
+        cascaded = new Set([...descendantsById.values()].flat());
+        accepted = accepted.filter(task => !cascaded.has(task.id));
+      }
+
+      for (const task of accepted) {
+        if (action === 'delete') {
+          const deletedSubtasks = descendantsById.get(task.id);
+
+          // Les sous-tâches sont supprimées en cascade
+          await task.destroy({ transaction });
+          await LabelAssignment.detach('task', [task.id, ...deletedSubtasks], { transaction });
+
+          logs.push({
+            action: 'DELETE_TASK',
+            description: `Tâche supprimée (lot): ${task.taskName}`,
+            entityId: task.id,
+            oldValue: { id: task.id, taskName: task.taskName, projectId: task.projectId, parentId: task.parentId, status: task.status, deletedSubtasks },
+            newValue: null
+          });
+        } else {
+          const { oldValue, newValue } = await applyChanges(task, changes, req.user.id, transaction);
+
+          logs.push({
+            action: 'UPDATE_TASK',
+            description: `Tâche mise à jour (lot): ${task.taskName}`,
+            entityId: task.id,
+            oldValue,
+            newValue
+          });
+        }
+      }
+    });
+
+    if (wipErrors.size > 0) {
+      results = results.map(result => (wipErrors.has(result.taskId)
+        ? { taskId: result.taskId, success: false, ...wipErrors.get(result.taskId) }
+        : result));
+      summary = summarize(results);
+
+      if (atomic !== false || summary.failed === ids.length) {
+        return sendBatchRejected(res, results, summary);
+      }
+    }
+
+    if (cascaded.size > 0) {
+      results = results.map(result => (result.success && cascaded.has(result.taskId)
+        ? { ...result, warnings: [...(result.warnings || []), { code: 'DELETED_WITH_PARENT', message: 'Supprimée avec sa tâche parente' }] }
+        : result));
+    }
+
+    // Logger chaque modification avec l'identifiant du lot
+    for (const log of logs) {
+      await Log.createLog({
+        ...log,
+        entityType: 'task',
+        performedBy: req.user.id,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+        batchId
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: action === 'delete'
+        ? `${accepted.length + cascaded.size} tâche(s) supprimée(s)`
+        : `${accepted.length} tâche(s) mise(s) à jour`,
+      data: {
+        batchId,
+        results,
+        summary
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'opération groupée sur les tâches:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Erreur de validation (aucune modification appliquée)',
+        errors: error.errors.map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de l\'opération groupée sur les tâches'
+    });
+  }
+};
+
+module.exports = {
+  bulkUpdateTasks
+};
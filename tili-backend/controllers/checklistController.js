@@ -0,0 +1,205 @@
+const { Task, TaskChecklistItem, Log } = require('../models');
+
+/**
+ * Récupérer un élément de checklist appartenant à la tâche de la route
+ * @param {Object} req - Objet Express request (params id et itemId)
+ * @returns {Promise<TaskChecklistItem|null>}
+ */
+const findTaskItem = async (req) => {
+  return await TaskChecklistItem.findOne({
+    where: { id: req.params.itemId, taskId: req.params.id }
+  });
+};
+
+/**
+ * @desc    Ajouter un élément à la checklist d'une tâche
+ * @route   POST /api/tasks/:id/checklist
+ * @access  Private
+ */
+const addChecklistItem = async (req, res) => {
+  try {
+    const { label, position } = req.body;
+
+    if (!label) {
+      return res.status(400).json({
+        success: false,
+        message: 'Le libellé de l\'élément est requis'
+      });
+    }
+
+    const task = await Task.findByPk(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tâche non trouvée'
+      });
+    }
+
+    const item = await TaskChecklistItem.create({
+      taskId: task.id,
+      label,
+      position: Number.isInteger(position) ? position : await TaskChecklistItem.getNextPosition(task.id),
+      createdBy: req.user.id
+    });
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'ADD_CHECKLIST_ITEM',
+      description: `Élément ajouté à la checklist: ${task.taskName} (${item.label})`,
+      entityType: 'task',
+      entityId: task.id,
+      oldValue: null,
+      newValue: { itemId: item.id, label: item.label },
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Élément ajouté avec succès',
+      data: { item }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'ajout de l\'élément de checklist:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Erreur de validation',
+        errors: error.errors.map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de l\'ajout de l\'élément de checklist'
+    });
+  }
+};
+
+/**
+ * @desc    Modifier un élément de checklist (cocher / décocher, libellé, position)
+ * @route   PATCH /api/tasks/:id/checklist/:itemId
+ * @access  Private
+ */
+const updateChecklistItem = async (req, res) => {
+  try {
+    const { label, isDone, position } = req.body;
+
+    const item = await findTaskItem(req);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Élément de checklist non trouvé'
+      });
+    }
+
+    const oldValue = { label: item.label, isDone: item.isDone, position: item.position };
+
+    if (label !== undefined) item.label = label;
+    if (Number.isInteger(position)) item.position = position;
+    if (isDone !== undefined) {
+      item.isDone = !!isDone;
+      if (item.isDone) item.doneBy = req.user.id;
+    }
+
+    // Le hook beforeUpdate gère doneAt
+    await item.save();
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'UPDATE_CHECKLIST_ITEM',
+      description: `Élément de checklist modifié: ${item.label}`,
+      entityType: 'task',
+      entityId: item.taskId,
+      oldValue: { itemId: item.id, ...oldValue },
+      newValue: { itemId: item.id, label: item.label, isDone: item.isDone, position: item.position },
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Élément mis à jour avec succès',
+      data: { item }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour de l\'élément de checklist:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Erreur de validation',
+        errors: error.errors.map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la mise à jour de l\'élément de checklist'
+    });
+  }
+};
+
+/**
+ * @desc    Supprimer un élément de checklist
+ * @route   DELETE /api/tasks/:id/checklist/:itemId
+ * @access  Private
+ */
+const deleteChecklistItem = async (req, res) => {
+  try {
+    const item = await findTaskItem(req);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Élément de checklist non trouvé'
+      });
+    }
+
+    // Logger l'action avant la suppression
+    await Log.createLog({
+      action: 'DELETE_CHECKLIST_ITEM',
+      description: `Élément de checklist supprimé: ${item.label}`,
+      entityType: 'task',
+      entityId: item.taskId,
+      oldValue: { itemId: item.id, label: item.label, isDone: item.isDone },
+      newValue: null,
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    await item.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: 'Élément supprimé avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la suppression de l\'élément de checklist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la suppression de l\'élément de checklist'
+    });
+  }
+};
+
+module.exports = {
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem
+};
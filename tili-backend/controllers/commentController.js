@@ -1,5 +1,6 @@
 const { Comment, User, Project, Document, Task, Meeting } = require('../models');
 const { createLog } = require('../utils/logger');
+const { can } = require('../utils/permissions');
 
 /**
  * @desc    Créer un commentaire
@@ -56,6 +57,16 @@ const createComment = async (req, res) => {
       });
     }
 
+    // Les observateurs ne peuvent pas commenter (lecture seule)
+    const scope = entityType === 'project' ? { projectId: entity.id } : entity;
+    if (!(await can(req.user, 'comment.create', scope))) {
+      return res.status(403).json({
+        success: false,
+        code: 'PERMISSION_DENIED',
+        message: 'Accès refusé - Permission requise: comment.create'
+      });
+    }
+
     // Si parentId est fourni, vérifier que le commentaire parent existe
     if (parentId) {
       const parentComment = await Comment.findByPk(parentId);
@@ -168,6 +179,15 @@ const getEntityComments = async (req, res) => {
       });
     }
 
+    // Les commentaires suivent la visibilité de l'entité commentée
+    if (!(await can(req.user, `${entityType}.read`, entity))) {
+      return res.status(403).json({
+        success: false,
+        code: 'PERMISSION_DENIED',
+        message: `Accès refusé - Permission requise: ${entityType}.read`
+      });
+    }
+
     // Récupérer tous les commentaires de niveau supérieur (parentId = null)
     // avec leurs réponses (replies)
     const comments = await Comment.findAll({
@@ -249,14 +269,6 @@ const updateComment = async (req, res) => {
       });
     }
 
-    // Vérifier que l'utilisateur est l'auteur du commentaire
-    if (existingComment.userId !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Vous n\'êtes pas autorisé à modifier ce commentaire'
-      });
-    }
-
     // Sauvegarder l'ancienne valeur pour le log
     const oldValue = {
       comment: existingComment.comment
@@ -335,14 +347,6 @@ const deleteComment = async (req, res) => {
       });
     }
 
-    // Vérifier que l'utilisateur est l'auteur ou admin
-    if (comment.userId !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Vous n\'êtes pas autorisé à supprimer ce commentaire'
-      });
-    }
-
     // Sauvegarder les informations avant suppression pour le log
     const commentData = {
       id: comment.id,
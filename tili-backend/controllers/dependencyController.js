@@ -0,0 +1,211 @@
+const { Task, TaskDependency, User, Log } = require('../models');
+
+// Attributs des tâches liées affichés avec les dépendances
+const LINKED_TASK_ATTRIBUTES = ['id', 'taskName', 'status', 'statusCategory', 'dueDate', 'estimatedHours'];
+
+/**
+ * @desc    Récupérer les prérequis et les tâches dépendantes d'une tâche
+ * @route   GET /api/tasks/:id/dependencies
+ * @access  Private
+ */
+const getTaskDependencies = async (req, res) => {
+  try {
+    const task = await Task.findByPk(req.params.id, { attributes: ['id', 'taskName', 'status', 'projectId'] });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tâche non trouvée'
+      });
+    }
+
+    const [predecessors, successors] = await Promise.all([
+      TaskDependency.findAll({
+        where: { successorId: task.id },
+        include: [{ model: Task, as: 'predecessor', attributes: LINKED_TASK_ATTRIBUTES }],
+        order: [['createdAt', 'ASC']]
+      }),
+      TaskDependency.findAll({
+        where: { predecessorId: task.id },
+        include: [{ model: Task, as: 'successor', attributes: LINKED_TASK_ATTRIBUTES }],
+        order: [['createdAt', 'ASC']]
+      })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        task,
+        predecessors,
+        successors
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des dépendances:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des dépendances'
+    });
+  }
+};
+
+/**
+ * @desc    Ajouter un prérequis à une tâche (même projet, sans cycle)
+ * @route   POST /api/tasks/:id/dependencies
+ * @access  Private
+ */
+const addTaskDependency = async (req, res) => {
+  try {
+    const { predecessorId, type = 'finish_to_start' } = req.body;
+
+    if (!predecessorId) {
+      return res.status(400).json({
+        success: false,
+        message: 'La tâche prérequise (predecessorId) est requise'
+      });
+    }
+
+    if (!TaskDependency.TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Le type doit être: ${TaskDependency.TYPES.join(', ')}`
+      });
+    }
+
+    const [task, predecessor] = await Promise.all([
+      Task.findByPk(req.params.id),
+      Task.findByPk(predecessorId)
+    ]);
+
+    if (!task || !predecessor) {
+      return res.status(404).json({
+        success: false,
+        message: !task ? 'Tâche non trouvée' : 'Tâche prérequise non trouvée'
+      });
+    }
+
+    if (!task.projectId || task.projectId !== predecessor.projectId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Les dépendances ne sont possibles qu\'entre tâches d\'un même projet'
+      });
+    }
+
+    const existing = await TaskDependency.findOne({
+      where: { predecessorId: predecessor.id, successorId: task.id }
+    });
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cette dépendance existe déjà'
+      });
+    }
+
+    if (await TaskDependency.wouldCreateCycle(predecessor.id, task.id)) {
+      return res.status(400).json({
+        success: false,
+        code: 'DEPENDENCY_CYCLE',
+        message: 'Cette dépendance créerait un cycle : la tâche prérequise dépend déjà de cette tâche'
+      });
+    }
+
+    const dependency = await TaskDependency.create({
+      predecessorId: predecessor.id,
+      successorId: task.id,
+      type,
+      createdBy: req.user.id
+    });
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'ADD_TASK_DEPENDENCY',
+      description: `Dépendance ajoutée: ${predecessor.taskName} → ${task.taskName} (${type})`,
+      entityType: 'task',
+      entityId: task.id,
+      oldValue: null,
+      newValue: { dependencyId: dependency.id, predecessorId: predecessor.id, type },
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    const createdDependency = await TaskDependency.findByPk(dependency.id, {
+      include: [
+        { model: Task, as: 'predecessor', attributes: LINKED_TASK_ATTRIBUTES },
+        { model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName', 'email'] }
+      ]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Dépendance ajoutée avec succès',
+      data: { dependency: createdDependency }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'ajout de la dépendance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de l\'ajout de la dépendance'
+    });
+  }
+};
+
+/**
+ * @desc    Supprimer un prérequis d'une tâche
+ * @route   DELETE /api/tasks/:id/dependencies/:dependencyId
+ * @access  Private
+ */
+const removeTaskDependency = async (req, res) => {
+  try {
+    const dependency = await TaskDependency.findOne({
+      where: { id: req.params.dependencyId, successorId: req.params.id },
+      include: [
+        { model: Task, as: 'predecessor', attributes: ['id', 'taskName'] },
+        { model: Task, as: 'successor', attributes: ['id', 'taskName'] }
+      ]
+    });
+
+    if (!dependency) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dépendance non trouvée'
+      });
+    }
+
+    // Logger l'action avant la suppression
+    await Log.createLog({
+      action: 'REMOVE_TASK_DEPENDENCY',
+      description: `Dépendance supprimée: ${dependency.predecessor.taskName} → ${dependency.successor.taskName}`,
+      entityType: 'task',
+      entityId: dependency.successorId,
+      oldValue: { dependencyId: dependency.id, predecessorId: dependency.predecessorId, type: dependency.type },
+      newValue: null,
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    await dependency.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: 'Dépendance supprimée avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la suppression de la dépendance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la suppression de la dépendance'
+    });
+  }
+};
+
+module.exports = {
+  getTaskDependencies,
+  addTaskDependency,
+  removeTaskDependency
+};
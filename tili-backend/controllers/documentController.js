@@ -1,7 +1,9 @@
-const { Document, User, Project, Meeting, Log } = require('../models');
+const { Document, User, Project, Meeting, Log, LabelAssignment } = require('../models');
 const { Op } = require('sequelize');
 const fs = require('fs');
 const path = require('path');
+const { can, getVisibleScope } = require('../utils/permissions');
+const { LABELS_INCLUDE, buildLabelCondition } = require('../utils/labels');
 
 /**
  * @desc    Upload un document
@@ -56,6 +58,16 @@ const uploadDocument = async (req, res) => {
       }
     }
 
+    // Vérifier le droit d'ajouter un document au projet (ou à la réunion)
+    if (!(await can(req.user, 'document.upload', { projectId, meetingId }))) {
+      fs.unlinkSync(req.file.path);
+      return res.status(403).json({
+        success: false,
+        code: 'PERMISSION_DENIED',
+        message: 'Accès refusé - Permission requise: document.upload'
+      });
+    }
+
     // Créer le document
     const document = await Document.create({
       title,
@@ -166,6 +178,34 @@ const getAllDocuments = async (req, res) => {
     // Filtrer par isArchived
     where.isArchived = isArchived === 'true';
 
+    // Limiter aux documents hors projet ou des projets visibles (directement ou via leur réunion)
+    const visibleScope = await getVisibleScope(req.user);
+    if (visibleScope) {
+      const visibleMeetings = await Meeting.findAll({
+        where: {
+          [Op.or]: [
+            { projectId: null },
+            { projectId: { [Op.in]: visibleScope.projectIds } }
+          ]
+        },
+        attributes: ['id']
+      });
+
+      where[Op.and] = [{
+        [Op.or]: [
+          { projectId: { [Op.in]: visibleScope.projectIds } },
+          { projectId: null, meetingId: null },
+          { projectId: null, meetingId: { [Op.in]: visibleMeetings.map(meeting => meeting.id) } }
+        ]
+      }];
+    }
+
+    // labels=1,2 : documents portant au moins une (labelMatch=any) ou toutes (labelMatch=all) ces étiquettes
+    const labelCondition = await buildLabelCondition('document', req.query);
+    if (labelCondition) {
+      where[Op.and] = [...(where[Op.and] || []), labelCondition];
+    }
+
     // Calculer l'offset pour la pagination
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
@@ -175,7 +215,9 @@ const getAllDocuments = async (req, res) => {
       limit: parseInt(limit),
       offset,
       order: [[sortBy, order.toUpperCase()]],
+      distinct: true,
       include: [
+        LABELS_INCLUDE,
         {
           model: User,
           as: 'uploader',
@@ -228,6 +270,7 @@ const getDocumentById = async (req, res) => {
 
     const document = await Document.findByPk(id, {
       include: [
+        LABELS_INCLUDE,
         {
           model: User,
           as: 'uploader',
@@ -480,6 +523,7 @@ const deleteDocument = async (req, res) => {
 
       // Suppression en base de données
       await document.destroy();
+      await LabelAssignment.detach('document', [document.id]);
 
       return res.status(200).json({
         success: true,
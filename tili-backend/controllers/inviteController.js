@@ -0,0 +1,282 @@
+const { Op } = require('sequelize');
+const { RegistrationInvite, User, Team, Log } = require('../models');
+const { sendMail, buildAppUrl, escapeHtml } = require('../utils/mailer');
+
+// Statuts filtrables dans la liste des invitations
+const INVITE_STATUSES = ['pending', 'redeemed', 'revoked', 'expired'];
+
+/**
+ * Construire le filtre SQL d'un statut d'invitation (voir RegistrationInvite.getStatus)
+ * @param {string} status
+ * @returns {Object}
+ */
+const buildStatusWhere = (status) => {
+  const now = new Date();
+
+  switch (status) {
+    case 'redeemed':
+      return { redeemedAt: { [Op.ne]: null } };
+    case 'revoked':
+      return { redeemedAt: null, revokedAt: { [Op.ne]: null } };
+    case 'expired':
+      return { redeemedAt: null, revokedAt: null, expiresAt: { [Op.lte]: now } };
+    default:
+      return {
+        redeemedAt: null,
+        revokedAt: null,
+        [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: now } }]
+      };
+  }
+};
+
+/**
+ * Envoyer le code d'invitation par email
+ * @param {RegistrationInvite} invite
+ * @param {string} code - Code en clair
+ * @param {Object} inviter - Administrateur à l'origine de l'invitation
+ * @returns {Promise<Object>}
+ */
+const sendInviteEmail = async (invite, code, inviter) => {
+  const registerUrl = buildAppUrl('/register', { invite: code, email: invite.email });
+  const expiry = invite.expiresAt
+    ? `Ce code est valable jusqu'au ${new Date(invite.expiresAt).toLocaleDateString('fr-FR')} et ne peut être utilisé qu'une fois.`
+    : 'Ce code ne peut être utilisé qu\'une fois.';
+
+  return await sendMail({
+    to: invite.email,
+    subject: 'TILI - Invitation à créer votre compte',
+    text: `Bonjour,\n\n` +
+      `${inviter.firstName} ${inviter.lastName} vous invite à créer votre compte TILI. ` +
+      `Votre code d'invitation : ${code}\n\n` +
+      `${registerUrl}\n\n` +
+      expiry,
+    html: `<p>Bonjour,</p>` +
+      `<p>${escapeHtml(inviter.firstName)} ${escapeHtml(inviter.lastName)} vous invite à créer votre compte TILI. ` +
+      `Votre code d'invitation : <strong>${escapeHtml(code)}</strong></p>` +
+      `<p><a href="${escapeHtml(registerUrl)}">Créer mon compte</a></p>` +
+      `<p>${escapeHtml(expiry)}</p>`
+  });
+};
+
+/**
+ * @desc    Lister les invitations d'inscription
+ * @route   GET /api/invites
+ * @access  Private/Admin
+ * @query   status (pending, redeemed, revoked, expired), page, limit
+ */
+const getInvites = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    if (status && !INVITE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status doit être parmi: ${INVITE_STATUSES.join(', ')}`
+      });
+    }
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const { count, rows: invites } = await RegistrationInvite.findAndCountAll({
+      where: status ? buildStatusWhere(status) : {},
+      include: [
+        { model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName', 'email'] },
+        { model: User, as: 'redeemer', attributes: ['id', 'firstName', 'lastName', 'email', 'username'] },
+        { model: User, as: 'revoker', attributes: ['id', 'firstName', 'lastName', 'email'] },
+        { model: Team, as: 'team', attributes: ['id', 'name'] }
+      ],
+      limit: parseInt(limit),
+      offset,
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invites: invites.map(invite => invite.toPublicJSON()),
+        total: count,
+        page: parseInt(page),
+        totalPages: Math.ceil(count / parseInt(limit)),
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des invitations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des invitations'
+    });
+  }
+};
+
+/**
+ * @desc    Créer une invitation d'inscription (code à usage unique)
+ * @route   POST /api/invites
+ * @access  Private/Admin
+ */
+const createInvite = async (req, res) => {
+  try {
+    const { email, role, teamId, teamRole, note, expiresInDays, sendEmail = true } = req.body;
+
+    if (email) {
+      const emailExists = await User.findOne({ where: { email } });
+      if (emailExists) {
+        return res.status(409).json({
+          success: false,
+          message: 'Cet email est déjà utilisé'
+        });
+      }
+    }
+
+    if (teamId) {
+      const team = await Team.findByPk(teamId, { attributes: ['id'] });
+      if (!team) {
+        return res.status(404).json({
+          success: false,
+          message: 'Équipe non trouvée'
+        });
+      }
+    }
+
+    // Durée de validité : expiresInDays (0 = sans expiration), sinon INVITE_EXPIRE_DAYS
+    const days = expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== ''
+      ? parseInt(expiresInDays)
+      : parseInt(process.env.INVITE_EXPIRE_DAYS ?? '7');
+
+    if (!Number.isInteger(days) || days < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'expiresInDays doit être un entier positif (0 pour ne pas expirer)'
+      });
+    }
+
+    const { invite, code } = await RegistrationInvite.issue({
+      email: email || null,
+      role: role || 'consultant',
+      teamId: teamId || null,
+      teamRole: teamId ? (teamRole || 'member') : null,
+      note: note || null,
+      expiresAt: days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null,
+      createdBy: req.user.id
+    });
+
+    // Envoyer le code si l'invitation est nominative (l'invitation reste valide si l'envoi échoue)
+    let emailSent = false;
+    if (invite.email && sendEmail !== false) {
+      try {
+        await sendInviteEmail(invite, code, req.user);
+        emailSent = true;
+      } catch (mailError) {
+        console.error('Erreur lors de l\'envoi de l\'invitation:', mailError);
+      }
+    }
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'CREATE_INVITE',
+      description: `Invitation d'inscription créée${invite.email ? `: ${invite.email}` : ''} (${invite.role})`,
+      entityType: 'invite',
+      entityId: invite.id,
+      oldValue: null,
+      newValue: invite.toPublicJSON(),
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation créée. Copiez le code maintenant, il ne sera plus affiché.',
+      data: {
+        code,
+        emailSent,
+        invite: invite.toPublicJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la création de l\'invitation:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Erreur de validation',
+        errors: error.errors.map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la création de l\'invitation'
+    });
+  }
+};
+
+/**
+ * @desc    Révoquer une invitation d'inscription non utilisée
+ * @route   DELETE /api/invites/:id
+ * @access  Private/Admin
+ */
+const revokeInvite = async (req, res) => {
+  try {
+    const invite = await RegistrationInvite.findByPk(req.params.id);
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation non trouvée'
+      });
+    }
+
+    if (invite.redeemedAt || invite.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: invite.redeemedAt
+          ? 'Cette invitation a déjà été utilisée'
+          : 'Cette invitation est déjà révoquée'
+      });
+    }
+
+    invite.revokedAt = new Date();
+    invite.revokedBy = req.user.id;
+    await invite.save();
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'REVOKE_INVITE',
+      description: `Invitation d'inscription révoquée${invite.email ? `: ${invite.email}` : ''}`,
+      entityType: 'invite',
+      entityId: invite.id,
+      oldValue: null,
+      newValue: invite.toPublicJSON(),
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation révoquée avec succès',
+      data: {
+        invite: invite.toPublicJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la révocation de l\'invitation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la révocation de l\'invitation'
+    });
+  }
+};
+
+module.exports = {
+  getInvites,
+  createInvite,
+  revokeInvite
+};
@@ -0,0 +1,562 @@
+const { sequelize, Label, LabelAssignment, Project, Team, Task, Document, Meeting, Log } = require('../models');
+const { Op } = require('sequelize');
+const { can } = require('../utils/permissions');
+const { LABELS_INCLUDE, parseLabelIds, resolveLabels } = require('../utils/labels');
+
+/**
+ * Refuser un nom déjà utilisé par une autre étiquette du même périmètre
+ * @param {Object} res - Objet Express response
+ * @param {Object} scope - { projectId, teamId }
+ * @param {string} name
+ * @param {number|null} excludeId
+ * @returns {Promise<boolean>} - true si la réponse 409 a été envoyée
+ */
+const rejectDuplicateName = async (res, { projectId, teamId }, name, excludeId = null) => {
+  const where = projectId ? { projectId, name } : { teamId, name };
+  if (excludeId) {
+    where.id = { [Op.ne]: excludeId };
+  }
+
+  const existing = await Label.findOne({ where, attributes: ['id', 'name'] });
+  if (!existing) {
+    return false;
+  }
+
+  res.status(409).json({
+    success: false,
+    code: 'LABEL_EXISTS',
+    message: `L'étiquette "${existing.name}" existe déjà dans ce périmètre : fusionnez les étiquettes plutôt que de les renommer`,
+    data: { labelId: existing.id }
+  });
+  return true;
+};
+
+/**
+ * Nombre d'éléments portant chaque étiquette
+ * @param {Array<number>} labelIds
+ * @returns {Promise<Map<number, Object>>} - { tasks, projects, documents } par étiquette
+ */
+const countAssignments = async (labelIds) => {
+  const usage = new Map(labelIds.map(id => [id, { tasks: 0, projects: 0, documents: 0 }]));
+
+  if (labelIds.length === 0) {
+    return usage;
+  }
+
+  const rows = await LabelAssignment.findAll({
+    where: { labelId: { [Op.in]: labelIds } },
+    attributes: ['labelId', 'entityType', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['labelId', 'entityType'],
+    raw: true
+  });
+
+  rows.forEach(row => {
+    usage.get(row.labelId)[`${row.entityType}s`] = parseInt(row.count);
+  });
+
+  return usage;
+};
+
+/**
+ * @desc    Récupérer les étiquettes utilisables dans un projet (et son équipe) ou une équipe
+ * @route   GET /api/labels
+ * @access  Private (Membres du projet / de l'équipe, Admin)
+ * @query   projectId ou teamId
+ */
+const getLabels = async (req, res) => {
+  try {
+    const { projectId, teamId } = req.query;
+
+    if (!projectId && !teamId) {
+      return res.status(400).json({
+        success: false,
+        message: 'projectId ou teamId est requis'
+      });
+    }
+
+    const owner = projectId ? null : await Team.findByPk(teamId, { attributes: ['id'] });
+    const available = projectId || owner ? await Label.getAvailableWhere({ projectId, teamId: projectId ? null : teamId }) : null;
+    if (!available) {
+      return res.status(404).json({
+        success: false,
+        message: projectId ? 'Projet non trouvé' : 'Équipe non trouvée'
+      });
+    }
+
+    const labels = await Label.findAll({
+      where: available,
+      order: [['name', 'ASC']]
+    });
+
+    const usage = await countAssignments(labels.map(label => label.id));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        labels: labels.map(label => ({ ...label.toJSON(), usage: usage.get(label.id) }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des étiquettes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des étiquettes'
+    });
+  }
+};
+
+/**
+ * @desc    Créer une étiquette dans un projet ou une équipe
+ * @route   POST /api/labels
+ * @access  Private (Lead ou membre du projet / de l'équipe, Admin)
+ */
+const createLabel = async (req, res) => {
+  try {
+    const { name, color, description, projectId, teamId } = req.body;
+
+    if (!projectId === !teamId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Indiquez soit projectId, soit teamId'
+      });
+    }
+
+    const owner = projectId ? await Project.findByPk(projectId, { attributes: ['id'] }) : await Team.findByPk(teamId, { attributes: ['id'] });
+    if (!owner) {
+      return res.status(404).json({
+        success: false,
+        message: projectId ? 'Projet non trouvé' : 'Équipe non trouvée'
+      });
+    }
+
+    if (name && await rejectDuplicateName(res, { projectId, teamId }, name.trim())) {
+      return;
+    }
+
+    const label = await Label.create({
+      name: name ? name.trim() : name,
+      color,
+      description,
+      projectId: projectId || null,
+      teamId: projectId ? null : teamId,
+      createdBy: req.user.id
+    });
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'CREATE_LABEL',
+      description: `Étiquette créée: ${label.name}`,
+      entityType: 'label',
+      entityId: label.id,
+      oldValue: null,
+      newValue: { name: label.name, color: label.color, projectId: label.projectId, teamId: label.teamId },
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Étiquette créée avec succès',
+      data: { label }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la création de l\'étiquette:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Erreur de validation',
+        errors: error.errors.map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la création de l\'étiquette'
+    });
+  }
+};
+
+/**
+ * @desc    Renommer ou recolorer une étiquette (visible aussitôt sur tous les éléments qui la portent)
+ * @route   PUT /api/labels/:id
+ * @access  Private (Lead du projet / de l'équipe, créateur, Admin)
+ */
+const updateLabel = async (req, res) => {
+  try {
+    const { name, color, description } = req.body;
+
+    const label = await Label.findByPk(req.params.id);
+
+    if (!label) {
+      return res.status(404).json({
+        success: false,
+        message: 'Étiquette non trouvée'
+      });
+    }
+
+    if (name && await rejectDuplicateName(res, label, name.trim(), label.id)) {
+      return;
+    }
+
+    const oldValue = { name: label.name, color: label.color, description: label.description };
+
+    await label.update({
+      name: name !== undefined ? name.trim() : label.name,
+      color: color !== undefined ? color : label.color,
+      description: description !== undefined ? description : label.description
+    });
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'UPDATE_LABEL',
+      description: oldValue.name !== label.name
+        ? `Étiquette renommée: ${oldValue.name} → ${label.name}`
+        : `Étiquette modifiée: ${label.name}`,
+      entityType: 'label',
+      entityId: label.id,
+      oldValue,
+      newValue: { name: label.name, color: label.color, description: label.description },
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Étiquette mise à jour avec succès',
+      data: { label }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour de l\'étiquette:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Erreur de validation',
+        errors: error.errors.map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la mise à jour de l\'étiquette'
+    });
+  }
+};
+
+/**
+ * @desc    Fusionner une étiquette dans une autre : ses éléments reçoivent l'étiquette cible, puis elle est supprimée
+ * @route   POST /api/labels/:id/merge
+ * @access  Private (Lead du projet / de l'équipe des deux étiquettes, Admin)
+ * @body    targetId
+ */
+const mergeLabel = async (req, res) => {
+  try {
+    const { targetId } = req.body;
+
+    const label = await Label.findByPk(req.params.id);
+
+    if (!label) {
+      return res.status(404).json({
+        success: false,
+        message: 'Étiquette non trouvée'
+      });
+    }
+
+    const target = targetId ? await Label.findByPk(targetId) : null;
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Étiquette cible non trouvée'
+      });
+    }
+
+    if (!(await can(req.user, 'label.update', target))) {
+      return res.status(403).json({
+        success: false,
+        code: 'PERMISSION_DENIED',
+        message: 'Accès refusé - Permission requise: label.update'
+      });
+    }
+
+    if (!(await label.canMergeInto(target))) {
+      return res.status(400).json({
+        success: false,
+        message: 'L\'étiquette cible doit être une autre étiquette du même projet ou de la même équipe, ou de l\'équipe du projet'
+      });
+    }
+
+    let moved = 0;
+    let alreadyLabelled = 0;
+
+    await sequelize.transaction(async (transaction) => {
+      const assignments = await LabelAssignment.findAll({
+        where: { labelId: label.id },
+        transaction
+      });
+
+      for (const assignment of assignments) {
+        const duplicate = await LabelAssignment.findOne({
+          where: { labelId: target.id, entityType: assignment.entityType, entityId: assignment.entityId },
+          attributes: ['id'],
+          transaction
+        });
+
+        if (duplicate) {
+          await assignment.destroy({ transaction });
+          alreadyLabelled++;
+        } else {
+          await assignment.update({ labelId: target.id }, { transaction });
+          moved++;
+        }
+      }
+
+      await label.destroy({ transaction });
+    });
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'MERGE_LABEL',
+      description: `Étiquette fusionnée: ${label.name} → ${target.name}`,
+      entityType: 'label',
+      entityId: target.id,
+      oldValue: { id: label.id, name: label.name, color: label.color, projectId: label.projectId, teamId: label.teamId },
+      newValue: { targetId: target.id, moved, alreadyLabelled },
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Étiquettes fusionnées avec succès',
+      data: {
+        label: target,
+        moved,
+        alreadyLabelled
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la fusion des étiquettes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la fusion des étiquettes'
+    });
+  }
+};
+
+/**
+ * @desc    Supprimer une étiquette (elle est retirée de tous les éléments qui la portent)
+ * @route   DELETE /api/labels/:id
+ * @access  Private (Lead du projet / de l'équipe, Admin)
+ */
+const deleteLabel = async (req, res) => {
+  try {
+    const label = await Label.findByPk(req.params.id);
+
+    if (!label) {
+      return res.status(404).json({
+        success: false,
+        message: 'Étiquette non trouvée'
+      });
+    }
+
+    const usage = (await countAssignments([label.id])).get(label.id);
+
+    // Logger l'action avant la suppression
+    await Log.createLog({
+      action: 'DELETE_LABEL',
+      description: `Étiquette supprimée: ${label.name}`,
+      entityType: 'label',
+      entityId: label.id,
+      oldValue: { name: label.name, color: label.color, projectId: label.projectId, teamId: label.teamId, usage },
+      newValue: null,
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    // Les affectations sont supprimées en cascade
+    await label.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: 'Étiquette supprimée avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la suppression de l\'étiquette:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la suppression de l\'étiquette'
+    });
+  }
+};
+
+/**
+ * Périmètre d'étiquettes d'un élément étiquetable
+ * @param {string} entityType - task, project ou document
+ * @param {Object} entity
+ * @returns {Promise<Object>} - { projectId, teamId }
+ */
+const getEntityScope = async (entityType, entity) => {
+  if (entityType === 'project') {
+    return { projectId: entity.id, teamId: null };
+  }
+
+  if (entityType === 'document') {
+    let projectId = entity.projectId;
+    if (!projectId && entity.meetingId) {
+      const meeting = await Meeting.findByPk(entity.meetingId, { attributes: ['id', 'projectId'] });
+      projectId = meeting ? meeting.projectId : null;
+    }
+    return { projectId, teamId: null };
+  }
+
+  return { projectId: entity.projectId, teamId: entity.projectId ? null : entity.teamId };
+};
+
+/**
+ * Remplacer les étiquettes d'une tâche, d'un projet ou d'un document
+ * @param {Object} req - Objet Express request
+ * @param {Object} res - Objet Express response
+ * @param {string} entityType
+ * @param {Object} model - Modèle de l'élément
+ * @param {string} notFoundMessage
+ */
+const replaceEntityLabels = async (req, res, entityType, model, notFoundMessage) => {
+  const labelIds = req.body.labelIds !== undefined ? parseLabelIds(req.body.labelIds) : null;
+
+  if (!labelIds) {
+    return res.status(400).json({
+      success: false,
+      message: 'labelIds doit être une liste d\'identifiants d\'étiquettes'
+    });
+  }
+
+  const entity = await model.findByPk(req.params.id);
+
+  if (!entity) {
+    return res.status(404).json({
+      success: false,
+      message: notFoundMessage
+    });
+  }
+
+  const { labels, invalidIds } = await resolveLabels(labelIds, await getEntityScope(entityType, entity));
+
+  if (invalidIds.length > 0) {
+    return res.status(400).json({
+      success: false,
+      code: 'INVALID_LABELS',
+      message: 'Certaines étiquettes n\'existent pas ou n\'appartiennent pas au projet ou à l\'équipe de l\'élément',
+      data: { invalidIds }
+    });
+  }
+
+  const { added, removed } = await LabelAssignment.replaceFor(entityType, entity.id, labelIds, { createdBy: req.user.id });
+
+  if (added.length > 0 || removed.length > 0) {
+    // Logger l'action
+    await Log.createLog({
+      action: 'SET_LABELS',
+      description: `Étiquettes modifiées sur ${entityType} #${entity.id}`,
+      entityType,
+      entityId: entity.id,
+      oldValue: { removed },
+      newValue: { added, labels: labels.map(label => label.name) },
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  }
+
+  const updated = await model.findByPk(entity.id, {
+    attributes: ['id'],
+    include: [LABELS_INCLUDE]
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Étiquettes mises à jour avec succès',
+    data: { labels: updated.labels }
+  });
+};
+
+/**
+ * @desc    Remplacer les étiquettes d'une tâche
+ * @route   PUT /api/tasks/:id/labels
+ * @access  Private (Lead ou membre du projet / de l'équipe, créateur, Admin)
+ * @body    labelIds
+ */
+const setTaskLabels = async (req, res) => {
+  try {
+    await replaceEntityLabels(req, res, 'task', Task, 'Tâche non trouvée');
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour des étiquettes de la tâche:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la mise à jour des étiquettes de la tâche'
+    });
+  }
+};
+
+/**
+ * @desc    Remplacer les étiquettes d'un projet
+ * @route   PUT /api/projects/:id/labels
+ * @access  Private (Lead du projet, Admin)
+ * @body    labelIds
+ */
+const setProjectLabels = async (req, res) => {
+  try {
+    await replaceEntityLabels(req, res, 'project', Project, 'Projet non trouvé');
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour des étiquettes du projet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la mise à jour des étiquettes du projet'
+    });
+  }
+};
+
+/**
+ * @desc    Remplacer les étiquettes d'un document (rattaché à un projet, directement ou via sa réunion)
+ * @route   PUT /api/documents/:id/labels
+ * @access  Private (Lead du projet, auteur de l'upload, Admin)
+ * @body    labelIds
+ */
+const setDocumentLabels = async (req, res) => {
+  try {
+    await replaceEntityLabels(req, res, 'document', Document, 'Document non trouvé');
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour des étiquettes du document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la mise à jour des étiquettes du document'
+    });
+  }
+};
+
+module.exports = {
+  getLabels,
+  createLabel,
+  updateLabel,
+  mergeLabel,
+  deleteLabel,
+  setTaskLabels,
+  setProjectLabels,
+  setDocumentLabels
+};
@@ -1,5 +1,6 @@
 const { Meeting, User, Project, Document, Log } = require('../models');
 const { Op } = require('sequelize');
+const { can, getVisibleScope } = require('../utils/permissions');
 
 /**
  * @desc    Récupérer toutes les réunions
@@ -41,6 +42,17 @@ const getAllMeetings = async (req, res) => {
       }
     }
 
+    // Limiter aux réunions hors projet ou des projets visibles
+    const visibleScope = await getVisibleScope(req.user);
+    if (visibleScope) {
+      where[Op.and] = [{
+        [Op.or]: [
+          { projectId: null },
+          { projectId: { [Op.in]: visibleScope.projectIds } }
+        ]
+      }];
+    }
+
     // Calculer l'offset pour la pagination
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
@@ -350,6 +362,15 @@ const updateMeeting = async (req, res) => {
           message: 'Projet non trouvé'
         });
       }
+
+      // Déplacer la réunion requiert le droit d'en créer dans le projet cible
+      if (!(await can(req.user, 'meeting.create', { projectId }))) {
+        return res.status(403).json({
+          success: false,
+          code: 'PERMISSION_DENIED',
+          message: 'Accès refusé - Permission requise: meeting.create'
+        });
+      }
     }
 
     // Valider que les attendees sont des users valides
@@ -0,0 +1,69 @@
+const { Project, Team } = require('../models');
+const { getAbilities, getScopeRole } = require('../utils/permissions');
+
+/**
+ * @desc    Récupérer les permissions de l'utilisateur connecté
+ * @route   GET /api/auth/permissions
+ * @access  Private
+ * @query   projectId ou teamId (optionnel, pour les permissions dans ce périmètre)
+ */
+const getPermissions = async (req, res) => {
+  try {
+    const { projectId, teamId } = req.query;
+
+    let scope = null;
+
+    if (projectId) {
+      const project = await Project.findByPk(projectId, { attributes: ['id'] });
+      if (!project) {
+        return res.status(404).json({
+          success: false,
+          message: 'Projet non trouvé'
+        });
+      }
+
+      scope = { type: 'project', id: project.id, resource: { projectId: project.id } };
+    } else if (teamId) {
+      const team = await Team.findByPk(teamId, { attributes: ['id'] });
+      if (!team) {
+        return res.status(404).json({
+          success: false,
+          message: 'Équipe non trouvée'
+        });
+      }
+
+      scope = { type: 'team', id: team.id, resource: { teamId: team.id } };
+    }
+
+    const data = {
+      role: req.user.role,
+      abilities: await getAbilities(req.user),
+      scope: null
+    };
+
+    if (scope) {
+      data.scope = {
+        type: scope.type,
+        id: scope.id,
+        role: await getScopeRole(req.user.id, scope.resource),
+        abilities: await getAbilities(req.user, scope.resource)
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des permissions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des permissions'
+    });
+  }
+};
+
+module.exports = {
+  getPermissions
+};
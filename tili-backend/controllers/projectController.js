@@ -1,5 +1,9 @@
-const { Project, ProjectMember, User, Task, Document, Meeting, Log } = require('../models');
+const { Project, ProjectMember, User, Task, Document, Meeting, Log, Workflow } = require('../models');
 const { Op } = require('sequelize');
+const { getVisibleScope } = require('../utils/permissions');
+const { computeCriticalPath } = require('../utils/criticalPath');
+const { computeProjectsProgress, computeProjectProgress } = require('../utils/projectProgress');
+const { LABELS_INCLUDE, buildLabelCondition } = require('../utils/labels');
 
 /**
  * @desc    Récupérer tous les projets
@@ -37,6 +41,18 @@ const getAllProjects = async (req, res) => {
       ];
     }
 
+    // Limiter aux projets visibles par l'utilisateur
+    const visibleScope = await getVisibleScope(req.user);
+    if (visibleScope) {
+      where.id = { [Op.in]: visibleScope.projectIds };
+    }
+
+    // labels=1,2 : projets portant au moins une (labelMatch=any) ou toutes (labelMatch=all) ces étiquettes
+    const labelCondition = await buildLabelCondition('project', req.query);
+    if (labelCondition) {
+      where[Op.and] = [labelCondition];
+    }
+
     // Calculer l'offset pour la pagination
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
@@ -46,7 +62,9 @@ const getAllProjects = async (req, res) => {
       limit: parseInt(limit),
       offset,
       order: [[sortBy, order.toUpperCase()]],
+      distinct: true,
       include: [
+        LABELS_INCLUDE,
         {
           association: 'creator',
           attributes: ['id', 'firstName', 'lastName', 'email']
@@ -63,10 +81,14 @@ const getAllProjects = async (req, res) => {
       ]
     });
 
-    // Ajouter le nombre de membres à chaque projet
+    // Avancement pondéré par les estimations
+    const progressByProject = await computeProjectsProgress(projects.map(project => project.id));
+
+    // Ajouter le nombre de membres et l'avancement à chaque projet
     const projectsWithCounts = projects.map(project => {
       const projectData = project.toJSON();
       projectData.memberCount = projectData.projectMembers ? projectData.projectMembers.length : 0;
+      projectData.progress = progressByProject.get(project.id);
       // Ensure chefProjet and teamId are included
       projectData.chefProjet = project.chefProjet;
       projectData.teamId = project.teamId;
@@ -109,6 +131,7 @@ const getProjectById = async (req, res) => {
     // Récupérer le projet avec toutes ses relations
     const project = await Project.findByPk(id, {
       include: [
+        LABELS_INCLUDE,
         {
           association: 'creator',
           attributes: ['id', 'firstName', 'lastName', 'email', 'phoneNumber', 'profilePicture']
@@ -172,6 +195,7 @@ const getProjectById = async (req, res) => {
       documents: documentsCount,
       meetings: meetingsCount
     };
+    projectData.progress = await computeProjectProgress(project);
 
     res.status(200).json({
       success: true,
@@ -196,7 +220,7 @@ const getProjectById = async (req, res) => {
  */
 const createProject = async (req, res) => {
   try {
-    const { name, description, category, targetGroup, startDate, endDate, budget, status, teamId, chefProjet } = req.body;
+    const { name, description, category, targetGroup, startDate, endDate, budget, status, teamId, chefProjet, dependencyEnforcement, workflowId } = req.body;
 
     // Validation des champs requis
     if (!name) {
@@ -206,6 +230,14 @@ const createProject = async (req, res) => {
       });
     }
 
+    // Workflow partagé des tâches (workflow par défaut si absent)
+    if (workflowId && !(await Workflow.findOne({ where: { id: workflowId, projectId: null } }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workflow non trouvé'
+      });
+    }
+
     // Créer le projet
     const project = await Project.create({
       name,
@@ -216,6 +248,8 @@ const createProject = async (req, res) => {
       endDate,
       budget,
       status: status || 'planning',
+      dependencyEnforcement: dependencyEnforcement || 'warn',
+      workflowId: workflowId || null,
       teamId: teamId || null,
       chefProjet: chefProjet || req.user.id,
       createdBy: req.user.id
@@ -291,7 +325,7 @@ const createProject = async (req, res) => {
 const updateProject = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, status, category, targetGroup, startDate, endDate, budget } = req.body;
+    const { name, description, status, category, targetGroup, startDate, endDate, budget, dependencyEnforcement } = req.body;
 
     // Récupérer le projet
     const project = await Project.findByPk(id);
@@ -303,24 +337,6 @@ const updateProject = async (req, res) => {
       });
     }
 
-    // Vérifier les permissions (Admin ou Lead du projet)
-    const isAdmin = req.user.role === 'admin';
-    const memberRole = await ProjectMember.findOne({
-      where: {
-        projectId: id,
-        userId: req.user.id
-      }
-    });
-
-    const isLead = memberRole && memberRole.role === 'lead';
-
-    if (!isAdmin && !isLead) {
-      return res.status(403).json({
-        success: false,
-        message: 'Non autorisé à modifier ce projet. Seuls le lead du projet ou un admin peuvent le modifier.'
-      });
-    }
-
     // Sauvegarder les anciennes valeurs pour le log
     const oldValues = {
       name: project.name,
@@ -330,7 +346,8 @@ const updateProject = async (req, res) => {
       targetGroup: project.targetGroup,
       startDate: project.startDate,
       endDate: project.endDate,
-      budget: project.budget
+      budget: project.budget,
+      dependencyEnforcement: project.dependencyEnforcement
     };
 
     // Mettre à jour les champs
@@ -342,6 +359,7 @@ const updateProject = async (req, res) => {
     if (startDate !== undefined) project.startDate = startDate;
     if (endDate !== undefined) project.endDate = endDate;
     if (budget !== undefined) project.budget = budget;
+    if (dependencyEnforcement !== undefined) project.dependencyEnforcement = dependencyEnforcement;
 
     await project.save();
 
@@ -360,7 +378,8 @@ const updateProject = async (req, res) => {
         targetGroup: project.targetGroup,
         startDate: project.startDate,
         endDate: project.endDate,
-        budget: project.budget
+        budget: project.budget,
+        dependencyEnforcement: project.dependencyEnforcement
       },
       performedBy: req.user.id,
       ipAddress: req.ip,
@@ -415,24 +434,6 @@ const deleteProject = async (req, res) => {
       });
     }
 
-    // Vérifier les permissions (Admin ou Lead du projet)
-    const isAdmin = req.user.role === 'admin';
-    const memberRole = await ProjectMember.findOne({
-      where: {
-        projectId: id,
-        userId: req.user.id
-      }
-    });
-
-    const isLead = memberRole && memberRole.role === 'lead';
-
-    if (!isAdmin && !isLead) {
-      return res.status(403).json({
-        success: false,
-        message: 'Non autorisé à supprimer ce projet'
-      });
-    }
-
     // Soft delete : changer le statut à 'cancelled'
     project.status = 'cancelled';
     await project.save();
@@ -491,24 +492,6 @@ const addProjectMember = async (req, res) => {
       });
     }
 
-    // Vérifier les permissions (Admin ou Lead du projet)
-    const isAdmin = req.user.role === 'admin';
-    const memberRole = await ProjectMember.findOne({
-      where: {
-        projectId: id,
-        userId: req.user.id
-      }
-    });
-
-    const isLead = memberRole && memberRole.role === 'lead';
-
-    if (!isAdmin && !isLead) {
-      return res.status(403).json({
-        success: false,
-        message: 'Non autorisé à ajouter des membres à ce projet'
-      });
-    }
-
     // Vérifier que l'utilisateur à ajouter existe
     const userToAdd = await User.findByPk(userId);
     if (!userToAdd) {
@@ -602,24 +585,6 @@ const removeProjectMember = async (req, res) => {
       });
     }
 
-    // Vérifier les permissions (Admin ou Lead du projet)
-    const isAdmin = req.user.role === 'admin';
-    const currentUserRole = await ProjectMember.findOne({
-      where: {
-        projectId: id,
-        userId: req.user.id
-      }
-    });
-
-    const isLead = currentUserRole && currentUserRole.role === 'lead';
-
-    if (!isAdmin && !isLead) {
-      return res.status(403).json({
-        success: false,
-        message: 'Non autorisé à retirer des membres de ce projet'
-      });
-    }
-
     // Trouver le membre à retirer
     const member = await ProjectMember.findOne({
       where: {
@@ -731,6 +696,82 @@ const getProjectMembers = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Calculer le chemin critique et la marge de chaque tâche du projet
+ * @route   GET /api/projects/:id/critical-path
+ * @access  Private
+ */
+const getProjectCriticalPath = async (req, res) => {
+  try {
+    const project = await Project.findByPk(req.params.id, {
+      attributes: ['id', 'name', 'startDate', 'endDate']
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Projet non trouvé'
+      });
+    }
+
+    const plan = await computeCriticalPath(project);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        project,
+        ...plan,
+        // Fin calculée au-delà de la date de fin prévue du projet
+        exceedsEndDate: !!project.endDate && plan.finish > new Date(`${project.endDate}T23:59:59`)
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du calcul du chemin critique:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors du calcul du chemin critique'
+    });
+  }
+};
+
+/**
+ * @desc    Avancement du projet pondéré par les estimations, reste à faire et dépassements
+ * @route   GET /api/projects/:id/progress
+ * @access  Private
+ */
+const getProjectProgress = async (req, res) => {
+  try {
+    const project = await Project.findByPk(req.params.id, {
+      attributes: ['id', 'name', 'status', 'startDate', 'endDate']
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Projet non trouvé'
+      });
+    }
+
+    const progress = await computeProjectProgress(project);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        project,
+        progress
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du calcul de l\'avancement du projet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors du calcul de l\'avancement du projet'
+    });
+  }
+};
+
 module.exports = {
   getAllProjects,
   getProjectById,
@@ -739,5 +780,7 @@ module.exports = {
   deleteProject,
   addProjectMember,
   removeProjectMember,
-  getProjectMembers
+  getProjectMembers,
+  getProjectCriticalPath,
+  getProjectProgress
 };
@@ -0,0 +1,235 @@
+const { Setting, Log } = require('../models');
+const { getPasswordPolicy, validatePolicyChanges } = require('../utils/passwordPolicy');
+const { REGISTRATION_MODES, getRegistrationSettings, normalizeDomains } = require('../utils/registration');
+
+// Rôles pour lesquels la double authentification peut être rendue obligatoire
+const TWO_FACTOR_POLICY_ROLES = ['admin', 'project_manager'];
+
+/**
+ * Lire la politique de sécurité courante
+ * @returns {Promise<Object>}
+ */
+const getSecuritySettings = async () => {
+  return {
+    twoFactorRequiredRoles: await Setting.getValue('twoFactorRequiredRoles', []),
+    passwordPolicy: await getPasswordPolicy()
+  };
+};
+
+/**
+ * @desc    Récupérer la politique de sécurité
+ * @route   GET /api/settings/security
+ * @access  Private/Admin
+ */
+const getSecurityPolicy = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        settings: await getSecuritySettings()
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la politique de sécurité:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération de la politique de sécurité'
+    });
+  }
+};
+
+/**
+ * Enregistrer un paramètre et logger le changement
+ * @param {Object} req - Objet Express request
+ * @param {string} key - Clé du paramètre
+ * @param {*} value - Nouvelle valeur
+ * @param {*} oldValue - Ancienne valeur
+ * @returns {Promise<Setting>}
+ */
+const saveSetting = async (req, key, value, oldValue) => {
+  const setting = await Setting.setValue(key, value, req.user.id);
+
+  await Log.createLog({
+    action: 'UPDATE_SETTING',
+    description: `Paramètre mis à jour: ${key}`,
+    entityType: 'setting',
+    entityId: setting.id,
+    oldValue: { [key]: oldValue },
+    newValue: { [key]: value },
+    performedBy: req.user.id,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  return setting;
+};
+
+/**
+ * @desc    Mettre à jour la politique de sécurité
+ * @route   PUT /api/settings/security
+ * @access  Private/Admin
+ */
+const updateSecurityPolicy = async (req, res) => {
+  try {
+    const { twoFactorRequiredRoles, passwordPolicy } = req.body;
+
+    // Valider la politique de mots de passe avant tout enregistrement
+    const policyError = passwordPolicy !== undefined ? validatePolicyChanges(passwordPolicy) : null;
+    if (policyError) {
+      return res.status(400).json({
+        success: false,
+        message: policyError
+      });
+    }
+
+    const current = await getSecuritySettings();
+
+    if (twoFactorRequiredRoles !== undefined) {
+      if (
+        !Array.isArray(twoFactorRequiredRoles) ||
+        twoFactorRequiredRoles.some(role => !TWO_FACTOR_POLICY_ROLES.includes(role))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `twoFactorRequiredRoles doit être une liste parmi: ${TWO_FACTOR_POLICY_ROLES.join(', ')}`
+        });
+      }
+
+      await saveSetting(
+        req,
+        'twoFactorRequiredRoles',
+        [...new Set(twoFactorRequiredRoles)],
+        current.twoFactorRequiredRoles
+      );
+    }
+
+    // Modification partielle : les règles non fournies sont conservées
+    if (passwordPolicy !== undefined) {
+      await saveSetting(
+        req,
+        'passwordPolicy',
+        { ...current.passwordPolicy, ...passwordPolicy },
+        current.passwordPolicy
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Politique de sécurité mise à jour avec succès',
+      data: {
+        settings: await getSecuritySettings()
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour de la politique de sécurité:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la mise à jour de la politique de sécurité'
+    });
+  }
+};
+
+/**
+ * @desc    Récupérer la configuration de l'inscription
+ * @route   GET /api/settings/registration
+ * @access  Private/Admin
+ */
+const getRegistrationPolicy = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        settings: await getRegistrationSettings()
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la configuration d\'inscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération de la configuration d\'inscription'
+    });
+  }
+};
+
+/**
+ * @desc    Mettre à jour la configuration de l'inscription (mode et domaines autorisés)
+ * @route   PUT /api/settings/registration
+ * @access  Private/Admin
+ */
+const updateRegistrationPolicy = async (req, res) => {
+  try {
+    const { mode, allowedDomains } = req.body;
+
+    if (mode !== undefined && !REGISTRATION_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `mode doit être parmi: ${REGISTRATION_MODES.join(', ')}`
+      });
+    }
+
+    let domains;
+    if (allowedDomains !== undefined) {
+      if (!Array.isArray(allowedDomains)) {
+        return res.status(400).json({
+          success: false,
+          message: 'allowedDomains doit être une liste de domaines'
+        });
+      }
+
+      const { domains: normalized, invalid } = normalizeDomains(allowedDomains);
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Domaine(s) invalide(s): ${invalid.join(', ')}`
+        });
+      }
+
+      domains = normalized;
+    }
+
+    const current = await getRegistrationSettings();
+
+    // Le mode domaine sans domaine autorisé fermerait l'inscription sans le dire
+    const nextMode = mode !== undefined ? mode : current.mode;
+    const nextDomains = domains !== undefined ? domains : current.allowedDomains;
+    if (nextMode === 'domain' && nextDomains.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Le mode domain nécessite au moins un domaine autorisé'
+      });
+    }
+
+    if (mode !== undefined) {
+      await saveSetting(req, 'registrationMode', mode, current.mode);
+    }
+
+    if (domains !== undefined) {
+      await saveSetting(req, 'registrationAllowedDomains', domains, current.allowedDomains);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Configuration de l\'inscription mise à jour avec succès',
+      data: {
+        settings: await getRegistrationSettings()
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour de la configuration d\'inscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la mise à jour de la configuration d\'inscription'
+    });
+  }
+};
+
+module.exports = {
+  getSecurityPolicy,
+  updateSecurityPolicy,
+  getRegistrationPolicy,
+  updateRegistrationPolicy
+};
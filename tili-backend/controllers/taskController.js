@@ -1,5 +1,238 @@
-const { Task, Project, User, Log, Team } = require('../models');
+const crypto = require('crypto');
+const { sequelize, Task, TaskDependency, TaskRecurrence, TaskAssignee, TaskWatcher, TaskTemplate, Project, User, Log, Team, Workflow, LabelAssignment } = require('../models');
 const { Op } = require('sequelize');
+const { can, getVisibleScope } = require('../utils/permissions');
+const { buildTaskTree } = require('../utils/taskTree');
+const { parseRule, formatRule } = require('../utils/rrule');
+const { BOARD_ORDER, computeRank } = require('../utils/board');
+const { LABELS_INCLUDE, buildLabelCondition } = require('../utils/labels');
+const { ASSIGNEES_INCLUDE } = require('../utils/taskAssignees');
+const { getTemplateBaseDate, expandTemplate } = require('../utils/taskTemplates');
+
+// Portée d'une modification sur une tâche récurrente
+const RECURRENCE_SCOPES = ['occurrence', 'series'];
+
+/**
+ * Valider une règle de récurrence reçue et la normaliser
+ * @param {Object} res - Objet Express response
+ * @param {string} recurrenceRule
+ * @returns {string|null} - Règle normalisée, null si la réponse 400 a été envoyée
+ */
+const parseRecurrenceRule = (res, recurrenceRule) => {
+  const { options, errors } = parseRule(recurrenceRule);
+
+  if (errors.length > 0) {
+    res.status(400).json({
+      success: false,
+      code: 'INVALID_RECURRENCE',
+      message: 'Règle de récurrence invalide',
+      errors
+    });
+    return null;
+  }
+
+  return formatRule(options);
+};
+
+/**
+ * Date de la première occurrence d'une nouvelle série : l'échéance de la tâche, sinon aujourd'hui
+ * @param {Date|string|null} dueDate
+ * @returns {Date}
+ */
+const getSeriesStart = (dueDate) => {
+  return dueDate ? new Date(dueDate) : new Date(new Date().setHours(0, 0, 0, 0));
+};
+
+/**
+ * Contrôler un changement de statut selon le workflow du projet (statut connu, transition autorisée, champs requis)
+ * @param {Object} res - Objet Express response
+ * @param {Task} task - Tâche avant modification
+ * @param {string} status - Nouveau statut demandé
+ * @param {Object} body - Champs modifiés dans la même requête
+ * @returns {Promise<Object|null>} - Statut demandé { key, label, category }, null si la réponse a été envoyée
+ */
+const checkWorkflowTransition = async (res, task, status, body = {}) => {
+  const workflow = await Workflow.forProject(task.projectId);
+  const values = {};
+  Workflow.REQUIRED_FIELDS.forEach(field => {
+    values[field] = body[field] !== undefined ? body[field] : task[field];
+  });
+
+  const check = workflow.checkTransition(task.status, status, values);
+
+  if (!check.status) {
+    res.status(400).json({
+      success: false,
+      code: 'INVALID_STATUS',
+      message: `Le statut doit être: ${workflow.statuses.map(s => s.key).join(', ')}`,
+      data: { statuses: workflow.statuses }
+    });
+    return null;
+  }
+
+  if (!check.allowed) {
+    res.status(409).json({
+      success: false,
+      code: 'TRANSITION_NOT_ALLOWED',
+      message: `Le workflow du projet n'autorise pas le passage de ${task.status} à ${status}`,
+      data: { allowedTransitions: workflow.getAllowedTransitions(task.status) }
+    });
+    return null;
+  }
+
+  if (check.missingFields.length > 0) {
+    res.status(400).json({
+      success: false,
+      code: 'TRANSITION_REQUIRED_FIELDS',
+      message: `Champs requis pour passer la tâche à ${status}: ${check.missingFields.join(', ')}`,
+      data: { missingFields: check.missingFields }
+    });
+    return null;
+  }
+
+  return check.status;
+};
+
+/**
+ * Refuser l'entrée d'une tâche dans une colonne qui a atteint sa limite WIP (wipLimit du statut)
+ * @param {Object} res - Objet Express response
+ * @param {Task} task - Tâche avant modification
+ * @param {Object} targetStatus - Statut demandé { key, label, category, wipLimit }
+ * @param {Transaction} [transaction] - Transaction du déplacement (colonne verrouillée)
+ * @returns {Promise<boolean>} - true si la réponse 409 a été envoyée
+ */
+const rejectWipLimit = async (res, task, targetStatus, transaction = null) => {
+  if (!targetStatus.wipLimit || targetStatus.key === task.status) {
+    return false;
+  }
+
+  const where = { ...Task.getBoardScope(task), status: targetStatus.key };
+
+  // Dans une transaction, les tâches de la colonne sont verrouillées jusqu'au déplacement
+  const count = transaction
+    ? (await Task.findAll({ where, attributes: ['id'], lock: transaction.LOCK.UPDATE, transaction })).length
+    : await Task.count({ where });
+  if (count < targetStatus.wipLimit) {
+    return false;
+  }
+
+  res.status(409).json({
+    success: false,
+    code: 'WIP_LIMIT_REACHED',
+    message: `La colonne ${targetStatus.label || targetStatus.key} a atteint sa limite de ${targetStatus.wipLimit} tâche(s)`,
+    data: { status: targetStatus.key, wipLimit: targetStatus.wipLimit, count }
+  });
+  return true;
+};
+
+/**
+ * Statistiques d'une liste de tâches par statut et par catégorie de statut
+ * @param {Array<Task>} tasks
+ * @returns {Object}
+ */
+const buildTaskStats = (tasks) => {
+  const byStatus = {};
+  const byCategory = { todo: 0, doing: 0, done: 0 };
+
+  tasks.forEach(task => {
+    byStatus[task.status] = (byStatus[task.status] || 0) + 1;
+    byCategory[task.statusCategory] += 1;
+  });
+
+  return {
+    total: tasks.length,
+    notStarted: byStatus.not_started || 0,
+    inProgress: byStatus.in_progress || 0,
+    completed: byCategory.done,
+    blocked: byStatus.blocked || 0,
+    byStatus,
+    byCategory
+  };
+};
+
+/**
+ * Refuser le passage à un statut terminé tant que des sous-tâches restent ouvertes (sauf forçage)
+ * @param {Object} res - Objet Express response
+ * @param {Task} task - Tâche avant modification
+ * @param {string} category - Catégorie du nouveau statut demandé
+ * @param {boolean} force - Terminer malgré les sous-tâches ouvertes
+ * @returns {Promise<boolean>} - true si la réponse 409 a été envoyée
+ */
+const rejectOpenSubtasks = async (res, task, category, force) => {
+  if (category !== 'done' || task.statusCategory === 'done' || force === true) {
+    return false;
+  }
+
+  const openSubtasks = await task.getOpenSubtasks();
+  if (openSubtasks.length === 0) {
+    return false;
+  }
+
+  res.status(409).json({
+    success: false,
+    code: 'OPEN_SUBTASKS',
+    message: `Impossible de terminer la tâche : ${openSubtasks.length} sous-tâche(s) non terminée(s). Envoyez force: true pour la terminer quand même.`,
+    data: {
+      openSubtasks: openSubtasks.map(subtask => ({
+        id: subtask.id,
+        taskName: subtask.taskName,
+        status: subtask.status,
+        parentId: subtask.parentId
+      }))
+    }
+  });
+  return true;
+};
+
+/**
+ * Contrôler les prérequis d'un changement de statut (dépendances entre tâches du projet)
+ * Selon Project.dependencyEnforcement, les prérequis non terminés bloquent (409) ou sont signalés.
+ * @param {Object} res - Objet Express response
+ * @param {Task} task - Tâche avant modification
+ * @param {string} status - Nouveau statut demandé
+ * @param {string} category - Catégorie du nouveau statut
+ * @returns {Promise<{rejected: boolean, warnings: Object[]}>} - rejected si la réponse 409 a été envoyée
+ */
+const checkDependencies = async (res, task, status, category) => {
+  if (!status || status === task.status || !task.projectId) {
+    return { rejected: false, warnings: [] };
+  }
+
+  const unmet = await TaskDependency.findUnmet(task, category);
+  if (unmet.length === 0) {
+    return { rejected: false, warnings: [] };
+  }
+
+  const project = await Project.findByPk(task.projectId, { attributes: ['id', 'dependencyEnforcement'] });
+  const unmetDependencies = unmet.map(link => ({
+    dependencyId: link.id,
+    type: link.type,
+    predecessor: {
+      id: link.predecessor.id,
+      taskName: link.predecessor.taskName,
+      status: link.predecessor.status
+    }
+  }));
+
+  if (project && project.dependencyEnforcement === 'block') {
+    res.status(409).json({
+      success: false,
+      code: 'UNMET_DEPENDENCIES',
+      message: `Impossible de passer la tâche à ${status} : ${unmet.length} prérequis non satisfait(s)`,
+      data: { unmetDependencies }
+    });
+    return { rejected: true, warnings: [] };
+  }
+
+  return {
+    rejected: false,
+    warnings: [{
+      code: 'UNMET_DEPENDENCIES',
+      message: `${unmet.length} prérequis non satisfait(s) pour le statut ${status}`,
+      unmetDependencies
+    }]
+  };
+};
 
 /**
  * @desc    Récupérer toutes les tâches
@@ -10,10 +243,12 @@ const getAllTasks = async (req, res) => {
   try {
     const {
       status,
+      statusCategory,
       priority,
       projectId,
       teamId,
       assignedTo,
+      parentId,
       page = 1,
       limit = 10,
       sortBy = 'createdAt',
@@ -27,6 +262,10 @@ const getAllTasks = async (req, res) => {
       where.status = status;
     }
 
+    if (statusCategory) {
+      where.statusCategory = statusCategory;
+    }
+
     if (priority) {
       where.priority = priority;
     }
@@ -39,8 +278,31 @@ const getAllTasks = async (req, res) => {
       where.teamId = teamId;
     }
 
+    // parentId=null : tâches de premier niveau uniquement
+    if (parentId !== undefined) {
+      where.parentId = parentId === 'null' ? null : parentId;
+    }
+
+    // Limiter aux tâches des projets et équipes visibles par l'utilisateur
+    const visibleScope = await getVisibleScope(req.user);
+    if (visibleScope) {
+      where[Op.and] = [{
+        [Op.or]: [
+          { projectId: { [Op.in]: visibleScope.projectIds } },
+          { projectId: null, teamId: { [Op.in]: visibleScope.teamIds } }
+        ]
+      }];
+    }
+
+    // labels=1,2 : tâches portant au moins une (labelMatch=any) ou toutes (labelMatch=all) ces étiquettes
+    const labelCondition = await buildLabelCondition('task', req.query);
+    if (labelCondition) {
+      where[Op.and] = [...(where[Op.and] || []), labelCondition];
+    }
+
+    // assignedTo : tâches dont l'utilisateur est l'un des assignés
     if (assignedTo) {
-      where.assignedTo = assignedTo;
+      where[Op.and] = [...(where[Op.and] || []), { id: { [Op.in]: await TaskAssignee.findTaskIds(assignedTo) } }];
     }
 
     // Calculer l'offset pour la pagination
@@ -52,7 +314,10 @@ const getAllTasks = async (req, res) => {
       limit: parseInt(limit),
       offset,
       order: [[sortBy, order.toUpperCase()]],
+      distinct: true,
       include: [
+        LABELS_INCLUDE,
+        ASSIGNEES_INCLUDE,
         {
           model: Project,
           as: 'project',
@@ -98,7 +363,7 @@ const getAllTasks = async (req, res) => {
 };
 
 /**
- * @desc    Récupérer une tâche par ID
+ * @desc    Récupérer une tâche par ID, avec l'arbre de ses sous-tâches et checklists
  * @route   GET /api/tasks/:id
  * @access  Private
  */
@@ -108,6 +373,14 @@ const getTaskById = async (req, res) => {
 
     const task = await Task.findByPk(id, {
       include: [
+        LABELS_INCLUDE,
+        ASSIGNEES_INCLUDE,
+        {
+          model: User,
+          as: 'watchers',
+          attributes: ['id', 'firstName', 'lastName', 'email'],
+          through: { attributes: [] }
+        },
         {
           model: Project,
           as: 'project',
@@ -122,6 +395,15 @@ const getTaskById = async (req, res) => {
           model: User,
           as: 'creator',
           attributes: ['id', 'firstName', 'lastName', 'email', 'phoneNumber']
+        },
+        {
+          model: Task,
+          as: 'parent',
+          attributes: ['id', 'taskName', 'status']
+        },
+        {
+          model: TaskRecurrence,
+          as: 'recurrence'
         }
       ]
     });
@@ -135,7 +417,7 @@ const getTaskById = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: { task }
+      data: { task: await buildTaskTree(task) }
     });
 
   } catch (error) {
@@ -148,30 +430,141 @@ const getTaskById = async (req, res) => {
 };
 
 /**
- * @desc    Créer une nouvelle tâche
+ * Créer les tâches d'un modèle dans un projet ou une équipe (POST /api/tasks avec templateId)
+ * Les échéances sont décalées depuis le début du projet, sinon depuis startDate, sinon aujourd'hui.
+ * @param {Object} req - Objet Express request
+ * @param {Object} res - Objet Express response
+ * @param {Object} target - { templateId, project, teamId, parentId, startDate }
+ * @returns {Promise<void>}
+ */
+const createTasksFromTemplate = async (req, res, { templateId, project, teamId, parentId, startDate }) => {
+  const template = await TaskTemplate.findByPk(templateId);
+  const scope = template ? await getVisibleScope(req.user) : null;
+
+  if (!template || !template.isVisibleTo(req.user, scope ? scope.teamIds : null)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Modèle de tâches non trouvé'
+    });
+  }
+
+  const baseDate = getTemplateBaseDate(project, startDate);
+  if (!baseDate) {
+    return res.status(400).json({
+      success: false,
+      message: 'startDate doit être une date au format YYYY-MM-DD'
+    });
+  }
+
+  const rootParentId = parentId ? Number(parentId) : null;
+
+  const { tasks, warnings } = await sequelize.transaction(async (transaction) => {
+    return await expandTemplate(template, {
+      project,
+      teamId: teamId || null,
+      parentId: rootParentId,
+      baseDate,
+      createdBy: req.user.id
+    }, { transaction });
+  });
+
+  // Logger la création de chaque tâche, regroupées par le même batchId
+  const batchId = crypto.randomUUID();
+  for (const task of tasks) {
+    await Log.createLog({
+      action: 'CREATE_TASK',
+      description: `Tâche créée depuis le modèle ${template.name}: ${task.taskName}`,
+      entityType: 'task',
+      entityId: task.id,
+      oldValue: null,
+      newValue: {
+        taskName: task.taskName,
+        projectId: task.projectId,
+        teamId: task.teamId,
+        parentId: task.parentId,
+        assignedTo: task.assignedTo,
+        priority: task.priority,
+        dueDate: task.dueDate,
+        status: task.status,
+        templateId: template.id
+      },
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      batchId
+    });
+  }
+
+  const roots = tasks.filter(task => task.parentId === rootParentId);
+  const trees = [];
+  for (const task of roots) {
+    trees.push(await buildTaskTree(task));
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `${tasks.length} tâche(s) créée(s) depuis le modèle ${template.name}`,
+    data: {
+      template: { id: template.id, name: template.name },
+      baseDate,
+      batchId,
+      tasks: trees,
+      warnings
+    }
+  });
+};
+
+/**
+ * @desc    Créer une nouvelle tâche, ou les tâches d'un modèle (templateId, startDate)
  * @route   POST /api/tasks
  * @access  Private
  */
 const createTask = async (req, res) => {
   try {
     const {
-      projectId,
-      teamId,
       taskName,
       description,
       priority,
       assignedTo,
-      dueDate
+      dueDate,
+      estimatedHours,
+      estimatedPoints,
+      parentId,
+      recurrenceRule,
+      templateId,
+      startDate
     } = req.body;
+    let { projectId, teamId } = req.body;
 
     // Validation des champs requis - soit projectId soit teamId doit être fourni
-    if (!taskName) {
+    if (!taskName && !templateId) {
       return res.status(400).json({
         success: false,
         message: 'Le nom de la tâche est requis'
       });
     }
 
+    // Une sous-tâche appartient au même projet / à la même équipe que sa tâche parente
+    if (parentId) {
+      const parent = await Task.findByPk(parentId);
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tâche parente non trouvée'
+        });
+      }
+
+      if ((projectId && Number(projectId) !== parent.projectId) || (teamId && Number(teamId) !== parent.teamId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Une sous-tâche doit appartenir au même projet ou à la même équipe que sa tâche parente'
+        });
+      }
+
+      projectId = parent.projectId;
+      teamId = parent.teamId;
+    }
+
     if (!projectId && !teamId) {
       return res.status(400).json({
         success: false,
@@ -180,8 +573,9 @@ const createTask = async (req, res) => {
     }
 
     // Vérifier que le projet existe si fourni
+    let project = null;
     if (projectId) {
-      const project = await Project.findByPk(projectId);
+      project = await Project.findByPk(projectId);
       if (!project) {
         return res.status(404).json({
           success: false,
@@ -201,6 +595,11 @@ const createTask = async (req, res) => {
       }
     }
 
+    // Appliquer un modèle : créer ses tâches à la place d'une tâche unique
+    if (templateId) {
+      return await createTasksFromTemplate(req, res, { templateId, project, teamId, parentId, startDate });
+    }
+
     // Vérifier que l'utilisateur assigné existe si fourni
     if (assignedTo) {
       const user = await User.findByPk(assignedTo);
@@ -212,17 +611,46 @@ const createTask = async (req, res) => {
       }
     }
 
-    // Créer la tâche
-    const task = await Task.create({
+    const rule = recurrenceRule ? parseRecurrenceRule(res, recurrenceRule) : null;
+    if (recurrenceRule && !rule) {
+      return;
+    }
+
+    const data = {
       projectId: projectId || null,
       teamId: teamId || null,
+      parentId: parentId || null,
       taskName,
       description: description || null,
       priority: priority || 'medium',
       assignedTo: assignedTo || null,
       dueDate: dueDate || null,
-      status: 'not_started',
+      estimatedHours: estimatedHours ?? null,
+      estimatedPoints: estimatedPoints ?? null,
       createdBy: req.user.id
+    };
+
+    // Créer la tâche, et sa série si elle est récurrente (première occurrence à l'échéance)
+    const task = await sequelize.transaction(async (transaction) => {
+      if (!rule) {
+        return await Task.create(data, { transaction });
+      }
+
+      const start = getSeriesStart(data.dueDate);
+      const series = await TaskRecurrence.create({
+        rule,
+        template: TaskRecurrence.buildTemplate(data),
+        startDate: start,
+        lastOccurrenceDate: start,
+        createdBy: req.user.id
+      }, { transaction });
+
+      return await Task.create({
+        ...data,
+        dueDate: start,
+        recurrenceId: series.id,
+        occurrenceDate: start
+      }, { transaction });
     });
 
     // Logger l'action
@@ -236,9 +664,13 @@ const createTask = async (req, res) => {
         taskName: task.taskName,
         projectId: task.projectId,
         teamId: task.teamId,
+        parentId: task.parentId,
         assignedTo: task.assignedTo,
         priority: task.priority,
-        status: task.status
+        estimatedHours: task.estimatedHours,
+        estimatedPoints: task.estimatedPoints,
+        status: task.status,
+        recurrenceRule: rule || undefined
       },
       performedBy: req.user.id,
       ipAddress: req.ip,
@@ -254,6 +686,11 @@ const createTask = async (req, res) => {
           attributes: ['id', 'name', 'status'],
           required: false
         },
+        {
+          model: TaskRecurrence,
+          as: 'recurrence',
+          required: false
+        },
         {
           model: User,
           as: 'assignedUser',
@@ -277,6 +714,18 @@ const createTask = async (req, res) => {
 
   } catch (error) {
     console.error('Erreur lors de la création de la tâche:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Erreur de validation',
+        errors: error.errors.map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Erreur lors de la création de la tâche'
@@ -298,9 +747,22 @@ const updateTask = async (req, res) => {
       status,
       priority,
       assignedTo,
-      dueDate
+      dueDate,
+      estimatedHours,
+      estimatedPoints,
+      parentId,
+      force,
+      recurrenceRule,
+      scope = 'occurrence'
     } = req.body;
 
+    if (!RECURRENCE_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: `scope doit être: ${RECURRENCE_SCOPES.join(', ')}`
+      });
+    }
+
     // Récupérer la tâche existante
     const task = await Task.findByPk(id);
 
@@ -311,15 +773,83 @@ const updateTask = async (req, res) => {
       });
     }
 
+    if (scope === 'series' && !task.recurrenceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cette tâche ne fait pas partie d\'une série récurrente'
+      });
+    }
+
+    const rule = recurrenceRule ? parseRecurrenceRule(res, recurrenceRule) : null;
+    if (recurrenceRule && !rule) {
+      return;
+    }
+
     // Sauvegarder les anciennes valeurs pour le log
     const oldValue = {
       taskName: task.taskName,
       status: task.status,
       priority: task.priority,
       assignedTo: task.assignedTo,
-      dueDate: task.dueDate
+      dueDate: task.dueDate,
+      estimatedHours: task.estimatedHours,
+      estimatedPoints: task.estimatedPoints,
+      parentId: task.parentId,
+      recurrenceId: task.recurrenceId
     };
 
+    // Déplacer la tâche sous un autre parent, dans le même projet / la même équipe et sans boucle
+    if (parentId !== undefined && parentId !== null && Number(parentId) !== task.parentId) {
+      const parent = await Task.findByPk(parentId);
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tâche parente non trouvée'
+        });
+      }
+
+      if (parent.projectId !== task.projectId || parent.teamId !== task.teamId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Une sous-tâche doit appartenir au même projet ou à la même équipe que sa tâche parente'
+        });
+      }
+
+      if (parent.id === task.id || await task.hasDescendant(parent.id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Une tâche ne peut pas devenir la sous-tâche d\'une de ses propres sous-tâches'
+        });
+      }
+    }
+
+    // Transition du workflow du projet
+    let targetStatus = null;
+    if (status !== undefined && status !== task.status) {
+      targetStatus = await checkWorkflowTransition(res, task, status, req.body);
+      if (!targetStatus) {
+        return;
+      }
+    }
+
+    if (targetStatus && await rejectOpenSubtasks(res, task, targetStatus.category, force)) {
+      return;
+    }
+
+    const dependencyCheck = await checkDependencies(res, task, status, targetStatus && targetStatus.category);
+    if (dependencyCheck.rejected) {
+      return;
+    }
+
+    // Changer l'assignation requiert la permission d'assigner
+    if (assignedTo !== undefined && String(assignedTo) !== String(task.assignedTo) && !(await can(req.user, 'task.assign', task))) {
+      return res.status(403).json({
+        success: false,
+        code: 'PERMISSION_DENIED',
+        message: 'Accès refusé - Permission requise: task.assign'
+      });
+    }
+
     // Vérifier que l'utilisateur assigné existe si fourni
     if (assignedTo !== undefined && assignedTo !== null) {
       const user = await User.findByPk(assignedTo);
@@ -331,17 +861,90 @@ const updateTask = async (req, res) => {
       }
     }
 
-    // Mettre à jour la tâche
-    // Le hook beforeUpdate gérera automatiquement completedAt si status = 'completed'
-    await task.update({
+    const updates = {
       taskName: taskName !== undefined ? taskName : task.taskName,
       description: description !== undefined ? description : task.description,
       status: status !== undefined ? status : task.status,
       priority: priority !== undefined ? priority : task.priority,
       assignedTo: assignedTo !== undefined ? assignedTo : task.assignedTo,
-      dueDate: dueDate !== undefined ? dueDate : task.dueDate
+      dueDate: dueDate !== undefined ? dueDate : task.dueDate,
+      estimatedHours: estimatedHours !== undefined ? estimatedHours : task.estimatedHours,
+      estimatedPoints: estimatedPoints !== undefined ? estimatedPoints : task.estimatedPoints,
+      parentId: parentId !== undefined ? parentId : task.parentId,
+      boardRank: task.boardRank
+    };
+
+    // Série récurrente : règle (null pour arrêter la récurrence) et champs communs à toute la série.
+    // Appliqué avant la mise à jour, pour qu'une occurrence générée à la complétion reprenne les nouvelles valeurs,
+    // et dans la même transaction que la tâche : un refus de validation n'altère ni la série ni ses occurrences.
+    let updatedOccurrences = 0;
+
+    const updated = await sequelize.transaction(async (transaction) => {
+      // Changement de colonne : limite WIP contrôlée sous verrou, comme pour PATCH /:id/move
+      if (targetStatus) {
+        if (await rejectWipLimit(res, task, targetStatus, transaction)) {
+          return false;
+        }
+        updates.boardRank = await computeRank(task, status, {}, transaction);
+      }
+
+      let series = task.recurrenceId ? await TaskRecurrence.findByPk(task.recurrenceId, { transaction }) : null;
+
+      if (recurrenceRule === null && series && !series.endedAt) {
+        series.endedAt = new Date();
+        await series.save({ transaction });
+      } else if (rule && series) {
+        series.rule = rule;
+        series.endedAt = null;
+        await series.save({ transaction });
+      } else if (rule) {
+        const start = getSeriesStart(updates.dueDate);
+        series = await TaskRecurrence.create({
+          rule,
+          template: TaskRecurrence.buildTemplate({ ...task.get(), ...updates }),
+          startDate: start,
+          lastOccurrenceDate: start,
+          createdBy: req.user.id
+        }, { transaction });
+
+        Object.assign(updates, { recurrenceId: series.id, occurrenceDate: start, dueDate: start });
+      }
+
+      if (scope === 'series') {
+        const seriesChanges = {};
+        TaskRecurrence.TEMPLATE_FIELDS
+          .filter(field => req.body[field] !== undefined && field in updates)
+          .forEach(field => { seriesChanges[field] = updates[field]; });
+
+        if (Object.keys(seriesChanges).length > 0) {
+          series.template = { ...series.template, ...seriesChanges };
+          await series.save({ transaction });
+
+          // Les autres occurrences non terminées suivent la série
+          // (hooks individuels : afterUpdate aligne les assignés quand assignedTo change)
+          [updatedOccurrences] = await Task.update(seriesChanges, {
+            where: {
+              recurrenceId: series.id,
+              id: { [Op.ne]: task.id },
+              statusCategory: { [Op.ne]: 'done' }
+            },
+            individualHooks: true,
+            transaction
+          });
+        }
+      }
+
+      // Mettre à jour la tâche
+      // Le hook beforeUpdate gérera automatiquement completedAt si le statut passe dans la catégorie done
+      // (et le hook afterUpdate générera l'occurrence suivante d'une tâche récurrente)
+      await task.update(updates, { transaction });
+      return true;
     });
 
+    if (!updated) {
+      return;
+    }
+
     // Nouvelles valeurs pour le log
     const newValue = {
       taskName: task.taskName,
@@ -349,7 +952,18 @@ const updateTask = async (req, res) => {
       priority: task.priority,
       assignedTo: task.assignedTo,
       dueDate: task.dueDate,
-      completedAt: task.completedAt
+      estimatedHours: task.estimatedHours,
+      estimatedPoints: task.estimatedPoints,
+      parentId: task.parentId,
+      completedAt: task.completedAt,
+      forced: force === true ? true : undefined,
+      unmetDependencies: dependencyCheck.warnings.length > 0
+        ? dependencyCheck.warnings[0].unmetDependencies.map(link => link.predecessor.id)
+        : undefined,
+      recurrenceId: task.recurrenceId,
+      recurrenceRule: recurrenceRule !== undefined ? (rule || null) : undefined,
+      scope: task.recurrenceId ? scope : undefined,
+      updatedOccurrences: scope === 'series' ? updatedOccurrences : undefined
     };
 
     // Logger l'action
@@ -382,6 +996,10 @@ const updateTask = async (req, res) => {
           model: User,
           as: 'creator',
           attributes: ['id', 'firstName', 'lastName', 'email']
+        },
+        {
+          model: TaskRecurrence,
+          as: 'recurrence'
         }
       ]
     });
@@ -389,11 +1007,29 @@ const updateTask = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Tâche mise à jour avec succès',
-      data: { task: updatedTask }
+      data: {
+        task: updatedTask,
+        nextOccurrence: updatedTask.recurrenceId && updatedTask.statusCategory === 'done'
+          ? await updatedTask.getNextOccurrence()
+          : undefined
+      },
+      warnings: dependencyCheck.warnings.length > 0 ? dependencyCheck.warnings : undefined
     });
 
   } catch (error) {
     console.error('Erreur lors de la mise à jour de la tâche:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Erreur de validation',
+        errors: error.errors.map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Erreur lors de la mise à jour de la tâche'
@@ -403,12 +1039,21 @@ const updateTask = async (req, res) => {
 
 /**
  * @desc    Supprimer une tâche (suppression réelle)
+ *          scope=series arrête aussi la récurrence et supprime les autres occurrences non terminées
  * @route   DELETE /api/tasks/:id
  * @access  Private
  */
 const deleteTask = async (req, res) => {
   try {
     const { id } = req.params;
+    const { scope = 'occurrence' } = req.query;
+
+    if (!RECURRENCE_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: `scope doit être: ${RECURRENCE_SCOPES.join(', ')}`
+      });
+    }
 
     const task = await Task.findByPk(id);
 
@@ -419,30 +1064,58 @@ const deleteTask = async (req, res) => {
       });
     }
 
-    // Sauvegarder les informations avant suppression pour le log
-    const taskData = {
-      id: task.id,
-      taskName: task.taskName,
-      projectId: task.projectId,
-      status: task.status
-    };
+    // Arrêt de la série, occurrences à venir, tâche et étiquettes : tout ou rien
+    let deletedOccurrences = [];
+    let subtasks = [];
+
+    await sequelize.transaction(async (transaction) => {
+      // Arrêter la série et retirer ses occurrences à venir
+      if (scope === 'series' && task.recurrenceId) {
+        await TaskRecurrence.update({ endedAt: new Date() }, { where: { id: task.recurrenceId, endedAt: null }, transaction });
+
+        const occurrences = await Task.findAll({
+          where: { recurrenceId: task.recurrenceId, id: { [Op.ne]: task.id }, statusCategory: { [Op.ne]: 'done' } },
+          attributes: ['id'],
+          transaction
+        });
+        deletedOccurrences = occurrences.map(occurrence => occurrence.id);
+
+        if (deletedOccurrences.length > 0) {
+          await Task.destroy({ where: { id: { [Op.in]: deletedOccurrences } }, transaction });
+        }
+      }
 
-    // Logger l'action avant la suppression
+      // Les sous-tâches et checklists sont supprimées en cascade
+      subtasks = await Task.findDescendants(task.id, { attributes: ['id'], transaction });
+
+      await task.destroy({ transaction });
+
+      // Les étiquettes ne sont pas liées par clé étrangère aux tâches supprimées
+      await LabelAssignment.detach('task', [task.id, ...subtasks.map(subtask => subtask.id), ...deletedOccurrences], { transaction });
+    });
+
+    // Logger l'action
     await Log.create({
       action: 'DELETE_TASK',
       description: `Tâche supprimée: ${task.taskName}`,
       entityType: 'task',
       entityId: task.id,
-      oldValue: taskData,
+      oldValue: {
+        id: task.id,
+        taskName: task.taskName,
+        projectId: task.projectId,
+        parentId: task.parentId,
+        status: task.status,
+        deletedSubtasks: subtasks.map(subtask => subtask.id),
+        recurrenceId: task.recurrenceId,
+        deletedOccurrences: scope === 'series' ? deletedOccurrences : undefined
+      },
       newValue: null,
       performedBy: req.user.id,
       ipAddress: req.ip,
       userAgent: req.get('user-agent')
     });
 
-    // Suppression réelle
-    await task.destroy();
-
     res.status(200).json({
       success: true,
       message: 'Tâche supprimée avec succès'
@@ -465,7 +1138,7 @@ const deleteTask = async (req, res) => {
 const getProjectTasks = async (req, res) => {
   try {
     const { projectId } = req.params;
-    const { status, priority, sortBy = 'createdAt', order = 'ASC' } = req.query;
+    const { status, statusCategory, priority, parentId, sortBy = 'createdAt', order = 'ASC' } = req.query;
 
     // Vérifier que le projet existe
     const project = await Project.findByPk(projectId);
@@ -483,15 +1156,31 @@ const getProjectTasks = async (req, res) => {
       where.status = status;
     }
 
+    if (statusCategory) {
+      where.statusCategory = statusCategory;
+    }
+
     if (priority) {
       where.priority = priority;
     }
 
+    // parentId=null : tâches de premier niveau uniquement
+    if (parentId !== undefined) {
+      where.parentId = parentId === 'null' ? null : parentId;
+    }
+
+    const labelCondition = await buildLabelCondition('task', req.query);
+    if (labelCondition) {
+      where[Op.and] = [labelCondition];
+    }
+
     // Récupérer toutes les tâches du projet
     const tasks = await Task.findAll({
       where,
       order: [[sortBy, order.toUpperCase()]],
       include: [
+        LABELS_INCLUDE,
+        ASSIGNEES_INCLUDE,
         {
           model: User,
           as: 'assignedUser',
@@ -506,13 +1195,7 @@ const getProjectTasks = async (req, res) => {
     });
 
     // Statistiques sur les tâches
-    const stats = {
-      total: tasks.length,
-      notStarted: tasks.filter(t => t.status === 'not_started').length,
-      inProgress: tasks.filter(t => t.status === 'in_progress').length,
-      completed: tasks.filter(t => t.status === 'completed').length,
-      blocked: tasks.filter(t => t.status === 'blocked').length
-    };
+    const stats = buildTaskStats(tasks);
 
     res.status(200).json({
       success: true,
@@ -522,7 +1205,8 @@ const getProjectTasks = async (req, res) => {
         project: {
           id: project.id,
           name: project.name
-        }
+        },
+        workflow: await Workflow.forProject(project.id)
       }
     });
 
@@ -536,15 +1220,16 @@ const getProjectTasks = async (req, res) => {
 };
 
 /**
- * @desc    Récupérer les tâches assignées à un utilisateur
+ * @desc    Récupérer les tâches dont un utilisateur est l'un des assignés (ou qu'il suit avec watching=true)
  * @route   GET /api/tasks/user/:userId?
  * @access  Private
+ * @query   status, statusCategory, priority, primary (assigné principal uniquement), watching
  */
 const getUserTasks = async (req, res) => {
   try {
     // Si userId fourni dans params, l'utiliser, sinon utiliser req.user.id
     const userId = req.params.userId || req.user.id;
-    const { status, priority, sortBy = 'dueDate', order = 'ASC' } = req.query;
+    const { status, statusCategory, priority, primary, watching, sortBy = 'dueDate', order = 'ASC' } = req.query;
 
     // Vérifier que l'utilisateur existe
     const user = await User.findByPk(userId);
@@ -555,22 +1240,43 @@ const getUserTasks = async (req, res) => {
       });
     }
 
+    // Tâches suivies, ou tâches dont l'utilisateur est assigné (principal ou non)
+    const taskIds = watching === 'true'
+      ? await TaskWatcher.findTaskIds(userId)
+      : await TaskAssignee.findTaskIds(userId, { primaryOnly: primary === 'true' });
+
     // Construire les conditions de filtrage
-    const where = { assignedTo: userId };
+    const where = { id: { [Op.in]: taskIds } };
 
     if (status) {
       where.status = status;
     }
 
+    if (statusCategory) {
+      where.statusCategory = statusCategory;
+    }
+
     if (priority) {
       where.priority = priority;
     }
 
+    // Limiter aux tâches des projets et équipes visibles par l'utilisateur
+    const visibleScope = await getVisibleScope(req.user);
+    if (visibleScope) {
+      where[Op.and] = [{
+        [Op.or]: [
+          { projectId: { [Op.in]: visibleScope.projectIds } },
+          { projectId: null, teamId: { [Op.in]: visibleScope.teamIds } }
+        ]
+      }];
+    }
+
     // Récupérer toutes les tâches de l'utilisateur
     const tasks = await Task.findAll({
       where,
       order: [[sortBy, order.toUpperCase()]],
       include: [
+        ASSIGNEES_INCLUDE,
         {
           model: Project,
           as: 'project',
@@ -586,12 +1292,8 @@ const getUserTasks = async (req, res) => {
 
     // Statistiques sur les tâches
     const stats = {
-      total: tasks.length,
-      notStarted: tasks.filter(t => t.status === 'not_started').length,
-      inProgress: tasks.filter(t => t.status === 'in_progress').length,
-      completed: tasks.filter(t => t.status === 'completed').length,
-      blocked: tasks.filter(t => t.status === 'blocked').length,
-      overdue: tasks.filter(t => t.dueDate && new Date(t.dueDate) < new Date() && t.status !== 'completed').length
+      ...buildTaskStats(tasks),
+      overdue: tasks.filter(t => t.dueDate && new Date(t.dueDate) < new Date() && t.statusCategory !== 'done').length
     };
 
     res.status(200).json({
@@ -603,7 +1305,8 @@ const getUserTasks = async (req, res) => {
           id: user.id,
           firstName: user.firstName,
           lastName: user.lastName
-        }
+        },
+        watching: watching === 'true'
       }
     });
 
@@ -624,7 +1327,7 @@ const getUserTasks = async (req, res) => {
 const updateTaskStatus = async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, force } = req.body;
 
     // Validation du champ requis
     if (!status) {
@@ -634,15 +1337,6 @@ const updateTaskStatus = async (req, res) => {
       });
     }
 
-    // Valider que le statut est valide
-    const validStatuses = ['not_started', 'in_progress', 'completed', 'blocked'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: `Le statut doit être: ${validStatuses.join(', ')}`
-      });
-    }
-
     // Récupérer la tâche existante
     const task = await Task.findByPk(id);
 
@@ -653,12 +1347,44 @@ const updateTaskStatus = async (req, res) => {
       });
     }
 
+    // Valider le statut et la transition selon le workflow du projet
+    const targetStatus = await checkWorkflowTransition(res, task, status);
+    if (!targetStatus) {
+      return;
+    }
+
+    if (await rejectOpenSubtasks(res, task, targetStatus.category, force)) {
+      return;
+    }
+
+    const dependencyCheck = await checkDependencies(res, task, status, targetStatus.category);
+    if (dependencyCheck.rejected) {
+      return;
+    }
+
     // Sauvegarder l'ancien statut
     const oldStatus = task.status;
 
     // Mettre à jour uniquement le statut
     // Le hook beforeUpdate gérera automatiquement completedAt
-    await task.update({ status });
+    // (et le hook afterUpdate générera l'occurrence suivante d'une tâche récurrente)
+    // Une tâche qui change de colonne rejoint la fin de sa nouvelle colonne
+    // (limite WIP contrôlée sous verrou, dans la transaction du changement de statut)
+    const updated = await sequelize.transaction(async (transaction) => {
+      if (await rejectWipLimit(res, task, targetStatus, transaction)) {
+        return false;
+      }
+
+      await task.update({
+        status,
+        boardRank: status !== oldStatus ? await computeRank(task, status, {}, transaction) : task.boardRank
+      }, { transaction });
+      return true;
+    });
+
+    if (!updated) {
+      return;
+    }
 
     // Logger l'action
     await Log.create({
@@ -667,7 +1393,14 @@ const updateTaskStatus = async (req, res) => {
       entityType: 'task',
       entityId: task.id,
       oldValue: { status: oldStatus },
-      newValue: { status: task.status, completedAt: task.completedAt },
+      newValue: {
+        status: task.status,
+        completedAt: task.completedAt,
+        forced: force === true ? true : undefined,
+        unmetDependencies: dependencyCheck.warnings.length > 0
+          ? dependencyCheck.warnings[0].unmetDependencies.map(link => link.predecessor.id)
+          : undefined
+      },
       performedBy: req.user.id,
       ipAddress: req.ip,
       userAgent: req.get('user-agent')
@@ -692,7 +1425,13 @@ const updateTaskStatus = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Statut de la tâche mis à jour avec succès',
-      data: { task: updatedTask }
+      data: {
+        task: updatedTask,
+        nextOccurrence: updatedTask.recurrenceId && updatedTask.statusCategory === 'done'
+          ? await updatedTask.getNextOccurrence()
+          : undefined
+      },
+      warnings: dependencyCheck.warnings.length > 0 ? dependencyCheck.warnings : undefined
     });
 
   } catch (error) {
@@ -705,14 +1444,14 @@ const updateTaskStatus = async (req, res) => {
 };
 
 /**
- * @desc    Assigner une tâche à un membre de l'équipe
+ * @desc    Assigner une tâche à un ou plusieurs membres (assignedTo: id, [ids] ou null ; primaryId parmi eux)
  * @route   PATCH /api/tasks/:id/assign
- * @access  Private (Chef de projet)
+ * @access  Private (Lead du projet / de l'équipe ou Admin)
  */
 const assignTask = async (req, res) => {
   try {
     const { id } = req.params;
-    const { assignedTo } = req.body;
+    const { assignedTo, primaryId } = req.body;
 
     // Validation du champ requis
     if (assignedTo === undefined) {
@@ -722,17 +1461,124 @@ const assignTask = async (req, res) => {
       });
     }
 
+    // Un identifiant seul remplace les assignés ; null désassigne la tâche
+    const userIds = assignedTo === null
+      ? []
+      : [...new Set((Array.isArray(assignedTo) ? assignedTo : [assignedTo]).map(Number))];
+
+    if (userIds.some(userId => !Number.isInteger(userId) || userId <= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'assignedTo doit être un identifiant d\'utilisateur, une liste d\'identifiants ou null'
+      });
+    }
+
+    const primaryUserId = primaryId !== undefined && primaryId !== null ? Number(primaryId) : (userIds[0] || null);
+
+    if (primaryUserId && !userIds.includes(primaryUserId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'L\'assigné principal (primaryId) doit faire partie des assignés'
+      });
+    }
+
     // Récupérer la tâche existante
-    const task = await Task.findByPk(id, {
+    const task = await Task.findByPk(id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tâche non trouvée'
+      });
+    }
+
+    // Vérifier que les utilisateurs à assigner existent
+    const usersToAssign = await User.findAll({
+      where: { id: { [Op.in]: userIds } },
+      attributes: ['id', 'firstName', 'lastName']
+    });
+
+    if (usersToAssign.length !== userIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Utilisateur à assigner non trouvé',
+        data: { notFound: userIds.filter(userId => !usersToAssign.some(user => user.id === userId)) }
+      });
+    }
+
+    // Sauvegarder les anciens assignés pour le log
+    const oldValue = {
+      assignedTo: task.assignedTo,
+      assignees: (await TaskAssignee.findAll({ where: { taskId: task.id }, attributes: ['userId'] })).map(assignee => assignee.userId)
+    };
+
+    const { added, removed } = await sequelize.transaction(async (transaction) => {
+      return await TaskAssignee.replaceFor(task, userIds, primaryUserId, { assignedBy: req.user.id, transaction });
+    });
+
+    const names = usersToAssign.map(user => `${user.firstName} ${user.lastName}`).join(', ');
+
+    // Logger l'action
+    await Log.create({
+      action: userIds.length === 0 ? 'UNASSIGN_TASK' : 'ASSIGN_TASK',
+      description: userIds.length === 0
+        ? `Tâche désassignée: ${task.taskName}`
+        : `Tâche assignée: ${task.taskName} à ${names}`,
+      entityType: 'task',
+      entityId: task.id,
+      oldValue,
+      newValue: { assignedTo: primaryUserId, assignees: userIds, added, removed },
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    // Récupérer la tâche mise à jour avec les relations
+    const updatedTask = await Task.findByPk(task.id, {
       include: [
+        ASSIGNEES_INCLUDE,
         {
           model: Project,
           as: 'project',
-          attributes: ['id', 'name', 'createdBy']
+          attributes: ['id', 'name', 'status']
+        },
+        {
+          model: User,
+          as: 'assignedUser',
+          attributes: ['id', 'firstName', 'lastName', 'email']
+        },
+        {
+          model: User,
+          as: 'creator',
+          attributes: ['id', 'firstName', 'lastName', 'email']
         }
       ]
     });
 
+    res.status(200).json({
+      success: true,
+      message: userIds.length === 0 ? 'Tâche désassignée avec succès' : 'Tâche assignée avec succès',
+      data: { task: updatedTask }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'assignation de la tâche:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de l\'assignation de la tâche'
+    });
+  }
+};
+
+/**
+ * @desc    Suivre une tâche (l'utilisateur connecté devient observateur)
+ * @route   POST /api/tasks/:id/watch
+ * @access  Private (Membres du projet / de l'équipe, Admin)
+ */
+const watchTask = async (req, res) => {
+  try {
+    const task = await Task.findByPk(req.params.id, { attributes: ['id', 'taskName'] });
+
     if (!task) {
       return res.status(404).json({
         success: false,
@@ -740,93 +1586,295 @@ const assignTask = async (req, res) => {
       });
     }
 
-    // Vérifier que l'utilisateur connecté est le chef de projet (créateur du projet)
-    // ou un admin
-    if (task.project.createdBy !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Seul le chef de projet peut assigner des tâches'
-      });
-    }
-
-    // Sauvegarder l'ancien assigné pour le log
-    const oldAssignedTo = task.assignedTo;
-
-    // Si assignedTo est null, on désassigne la tâche
-    if (assignedTo === null) {
-      await task.update({ assignedTo: null });
+    const [, created] = await TaskWatcher.findOrCreate({
+      where: { taskId: task.id, userId: req.user.id },
+      defaults: { addedBy: req.user.id }
+    });
 
+    if (created) {
       // Logger l'action
-      await Log.create({
-        action: 'UNASSIGN_TASK',
-        description: `Tâche désassignée: ${task.taskName}`,
+      await Log.createLog({
+        action: 'WATCH_TASK',
+        description: `Tâche suivie: ${task.taskName}`,
         entityType: 'task',
         entityId: task.id,
-        oldValue: { assignedTo: oldAssignedTo },
-        newValue: { assignedTo: null },
+        oldValue: null,
+        newValue: { watcherId: req.user.id },
         performedBy: req.user.id,
         ipAddress: req.ip,
         userAgent: req.get('user-agent')
       });
-    } else {
-      // Vérifier que l'utilisateur à assigner existe
-      const userToAssign = await User.findByPk(assignedTo);
-      if (!userToAssign) {
-        return res.status(404).json({
-          success: false,
-          message: 'Utilisateur à assigner non trouvé'
-        });
-      }
+    }
 
-      // Mettre à jour l'assignation
-      await task.update({ assignedTo });
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Vous suivez désormais cette tâche' : 'Vous suivez déjà cette tâche',
+      data: { watcherCount: await TaskWatcher.count({ where: { taskId: task.id } }) }
+    });
 
+  } catch (error) {
+    console.error('Erreur lors du suivi de la tâche:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors du suivi de la tâche'
+    });
+  }
+};
+
+/**
+ * @desc    Ne plus suivre une tâche
+ * @route   DELETE /api/tasks/:id/watch
+ * @access  Private
+ */
+const unwatchTask = async (req, res) => {
+  try {
+    const task = await Task.findByPk(req.params.id, { attributes: ['id', 'taskName'] });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tâche non trouvée'
+      });
+    }
+
+    const removed = await TaskWatcher.destroy({ where: { taskId: task.id, userId: req.user.id } });
+
+    if (removed > 0) {
       // Logger l'action
-      await Log.create({
-        action: 'ASSIGN_TASK',
-        description: `Tâche assignée: ${task.taskName} à ${userToAssign.firstName} ${userToAssign.lastName}`,
+      await Log.createLog({
+        action: 'UNWATCH_TASK',
+        description: `Tâche plus suivie: ${task.taskName}`,
         entityType: 'task',
         entityId: task.id,
-        oldValue: { assignedTo: oldAssignedTo },
-        newValue: { assignedTo: assignedTo },
+        oldValue: { watcherId: req.user.id },
+        newValue: null,
         performedBy: req.user.id,
         ipAddress: req.ip,
         userAgent: req.get('user-agent')
       });
     }
 
-    // Récupérer la tâche mise à jour avec les relations
-    const updatedTask = await Task.findByPk(task.id, {
+    res.status(200).json({
+      success: true,
+      message: removed > 0 ? 'Vous ne suivez plus cette tâche' : 'Vous ne suiviez pas cette tâche',
+      data: { watcherCount: await TaskWatcher.count({ where: { taskId: task.id } }) }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'arrêt du suivi de la tâche:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de l\'arrêt du suivi de la tâche'
+    });
+  }
+};
+
+/**
+ * @desc    Tableau kanban d'un projet ou d'une équipe : tâches groupées par colonne (statut du workflow), dans l'ordre du tableau
+ * @route   GET /api/tasks/board
+ * @access  Private (Membres du projet / de l'équipe, Admin)
+ * @query   projectId ou teamId, assignedTo, parentId
+ */
+const getBoard = async (req, res) => {
+  try {
+    const { projectId, teamId, assignedTo, parentId } = req.query;
+
+    if (!projectId && !teamId) {
+      return res.status(400).json({
+        success: false,
+        message: 'projectId ou teamId est requis'
+      });
+    }
+
+    const owner = projectId ? await Project.findByPk(projectId, { attributes: ['id', 'name'] }) : await Team.findByPk(teamId, { attributes: ['id', 'name'] });
+    if (!owner) {
+      return res.status(404).json({
+        success: false,
+        message: projectId ? 'Projet non trouvé' : 'Équipe non trouvée'
+      });
+    }
+
+    const workflow = await Workflow.forProject(projectId || null);
+    const where = Task.getBoardScope({ projectId, teamId });
+
+    if (assignedTo) {
+      where.id = { [Op.in]: await TaskAssignee.findTaskIds(assignedTo) };
+    }
+
+    if (parentId !== undefined) {
+      where.parentId = parentId === 'null' ? null : parentId;
+    }
+
+    const tasks = await Task.findAll({
+      where,
+      order: BOARD_ORDER,
       include: [
-        {
-          model: Project,
-          as: 'project',
-          attributes: ['id', 'name', 'status']
-        },
+        LABELS_INCLUDE,
+        ASSIGNEES_INCLUDE,
         {
           model: User,
           as: 'assignedUser',
           attributes: ['id', 'firstName', 'lastName', 'email']
-        },
-        {
-          model: User,
-          as: 'creator',
-          attributes: ['id', 'firstName', 'lastName', 'email']
         }
       ]
     });
 
+    // Le nombre de tâches d'une colonne est compté sur tout le tableau (limite WIP), hors filtres
+    const counts = await Task.findAll({
+      where: Task.getBoardScope({ projectId, teamId }),
+      attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['status'],
+      raw: true
+    });
+    const countByStatus = new Map(counts.map(row => [row.status, parseInt(row.count)]));
+
+    const columns = workflow.statuses.map(status => {
+      const count = countByStatus.get(status.key) || 0;
+      return {
+        key: status.key,
+        label: status.label,
+        category: status.category,
+        wipLimit: status.wipLimit || null,
+        count,
+        overLimit: !!status.wipLimit && count > status.wipLimit,
+        tasks: tasks.filter(task => task.status === status.key)
+      };
+    });
+
     res.status(200).json({
       success: true,
-      message: assignedTo === null ? 'Tâche désassignée avec succès' : 'Tâche assignée avec succès',
-      data: { task: updatedTask }
+      data: {
+        [projectId ? 'project' : 'team']: owner,
+        workflow: {
+          id: workflow.id,
+          name: workflow.name,
+          transitions: workflow.transitions
+        },
+        columns
+      }
     });
 
   } catch (error) {
-    console.error('Erreur lors de l\'assignation de la tâche:', error);
+    console.error('Erreur lors de la récupération du tableau:', error);
     res.status(500).json({
       success: false,
-      message: 'Erreur lors de l\'assignation de la tâche'
+      message: 'Erreur lors de la récupération du tableau'
+    });
+  }
+};
+
+/**
+ * @desc    Déplacer une tâche sur le tableau : changer de colonne et/ou de position en une opération
+ * @route   PATCH /api/tasks/:id/move
+ * @access  Private (Lead ou membre, créateur ou assigné, Admin)
+ * @body    status?, afterId? (placée juste après) ou beforeId? (juste avant), force?
+ */
+const moveTask = async (req, res) => {
+  try {
+    const { afterId, beforeId, force } = req.body;
+
+    const task = await Task.findByPk(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tâche non trouvée'
+      });
+    }
+
+    const status = req.body.status || task.status;
+
+    // Changement de colonne : mêmes règles que PATCH /:id/status
+    let dependencyCheck = { rejected: false, warnings: [] };
+    let targetStatus = null;
+    if (status !== task.status) {
+      targetStatus = await checkWorkflowTransition(res, task, status);
+      if (!targetStatus) {
+        return;
+      }
+
+      if (await rejectOpenSubtasks(res, task, targetStatus.category, force)) {
+        return;
+      }
+
+      dependencyCheck = await checkDependencies(res, task, status, targetStatus.category);
+      if (dependencyCheck.rejected) {
+        return;
+      }
+    }
+
+    // La tâche de référence doit être dans la colonne d'arrivée du même tableau
+    const referenceId = afterId || beforeId;
+    if (referenceId) {
+      const reference = await Task.findByPk(referenceId, { attributes: ['id', 'projectId', 'teamId', 'status'] });
+      const sameBoard = reference &&
+        reference.projectId === task.projectId &&
+        (task.projectId || reference.teamId === task.teamId);
+
+      if (!sameBoard || reference.status !== status || reference.id === task.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'La tâche de référence (afterId / beforeId) doit être une autre tâche de la colonne d\'arrivée'
+        });
+      }
+    }
+
+    const oldValue = { status: task.status, boardRank: task.boardRank };
+
+    // Statut et rang changent ensemble ; la limite WIP est contrôlée sous verrou
+    // pour que deux déplacements simultanés ne dépassent pas la limite de la colonne
+    const moved = await sequelize.transaction(async (transaction) => {
+      await Task.findByPk(task.id, { attributes: ['id'], lock: transaction.LOCK.UPDATE, transaction });
+
+      if (targetStatus && await rejectWipLimit(res, task, targetStatus, transaction)) {
+        return false;
+      }
+
+      const boardRank = await computeRank(task, status, { afterId, beforeId }, transaction);
+      await task.update({ status, boardRank }, { transaction });
+      return true;
+    });
+
+    if (!moved) {
+      return;
+    }
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'MOVE_TASK',
+      description: `Tâche déplacée: ${task.taskName}${oldValue.status !== task.status ? ` (${oldValue.status} → ${task.status})` : ''}`,
+      entityType: 'task',
+      entityId: task.id,
+      oldValue,
+      newValue: {
+        status: task.status,
+        boardRank: task.boardRank,
+        afterId: afterId || undefined,
+        beforeId: beforeId || undefined,
+        forced: force === true ? true : undefined
+      },
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Tâche déplacée avec succès',
+      data: {
+        task,
+        nextOccurrence: task.recurrenceId && oldValue.status !== task.status && task.statusCategory === 'done'
+          ? await task.getNextOccurrence()
+          : undefined
+      },
+      warnings: dependencyCheck.warnings.length > 0 ? dependencyCheck.warnings : undefined
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du déplacement de la tâche:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors du déplacement de la tâche'
     });
   }
 };
@@ -840,5 +1888,9 @@ module.exports = {
   getProjectTasks,
   getUserTasks,
   updateTaskStatus,
-  assignTask
+  assignTask,
+  getBoard,
+  moveTask,
+  watchTask,
+  unwatchTask
 };
@@ -0,0 +1,387 @@
+const { TaskTemplate, Team, User, Log } = require('../models');
+const { Op } = require('sequelize');
+const { getScopeRole, getVisibleScope } = require('../utils/permissions');
+
+const TEMPLATE_INCLUDE = [
+  {
+    model: Team,
+    as: 'team',
+    attributes: ['id', 'name'],
+    required: false
+  },
+  {
+    model: User,
+    as: 'creator',
+    attributes: ['id', 'firstName', 'lastName', 'email'],
+    required: false
+  }
+];
+
+/**
+ * Vérifier qu'un utilisateur peut publier un modèle avec cette visibilité
+ *  - global : admin uniquement
+ *  - team : lead ou membre de l'équipe (admin)
+ * @param {Object} res - Objet Express response
+ * @param {Object} user - Utilisateur (req.user)
+ * @param {string} visibility
+ * @param {number|null} teamId
+ * @returns {Promise<boolean>} - false si la réponse d'erreur a été envoyée
+ */
+const checkPublication = async (res, user, visibility, teamId) => {
+  if (visibility === 'global' && user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      message: 'Seul un administrateur peut publier un modèle global'
+    });
+    return false;
+  }
+
+  if (visibility !== 'team') {
+    return true;
+  }
+
+  if (!teamId) {
+    res.status(400).json({
+      success: false,
+      message: 'teamId est requis pour un modèle partagé avec une équipe'
+    });
+    return false;
+  }
+
+  const team = await Team.findByPk(teamId, { attributes: ['id'] });
+  if (!team) {
+    res.status(404).json({
+      success: false,
+      message: 'Équipe non trouvée'
+    });
+    return false;
+  }
+
+  if (user.role !== 'admin' && !['lead', 'member'].includes(await getScopeRole(user.id, { teamId }))) {
+    res.status(403).json({
+      success: false,
+      message: 'Vous devez être membre de l\'équipe pour lui partager un modèle'
+    });
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Vérifier qu'un utilisateur peut modifier ou supprimer un modèle
+ *  - global : admin ; team : auteur ou lead de l'équipe ; private : auteur
+ * @param {Object} user - Utilisateur (req.user)
+ * @param {TaskTemplate} template
+ * @returns {Promise<boolean>}
+ */
+const canManageTemplate = async (user, template) => {
+  if (user.role === 'admin') return true;
+  if (template.visibility === 'global') return false;
+  if (template.createdBy === user.id) return true;
+
+  return template.visibility === 'team' &&
+    await getScopeRole(user.id, { teamId: template.teamId }) === 'lead';
+};
+
+/**
+ * Charger un modèle visible par l'utilisateur
+ * @param {Object} req - Objet Express request
+ * @param {Object} res - Objet Express response
+ * @returns {Promise<TaskTemplate|null>} - null si la réponse 404 a été envoyée
+ */
+const findVisibleTemplate = async (req, res) => {
+  const template = await TaskTemplate.findByPk(req.params.id, { include: TEMPLATE_INCLUDE });
+  const scope = template ? await getVisibleScope(req.user) : null;
+
+  if (!template || !template.isVisibleTo(req.user, scope ? scope.teamIds : null)) {
+    res.status(404).json({
+      success: false,
+      message: 'Modèle de tâches non trouvé'
+    });
+    return null;
+  }
+
+  return template;
+};
+
+/**
+ * @desc    Récupérer les modèles de tâches visibles (personnels, des équipes de l'utilisateur, globaux)
+ * @route   GET /api/task-templates
+ * @access  Private
+ * @query   visibility, teamId, search
+ */
+const getTaskTemplates = async (req, res) => {
+  try {
+    const { visibility, teamId, search } = req.query;
+    const where = {};
+
+    const scope = await getVisibleScope(req.user);
+    if (scope) {
+      const visible = [{ visibility: 'global' }, { visibility: 'private', createdBy: req.user.id }];
+      if (scope.teamIds.length > 0) {
+        visible.push({ visibility: 'team', teamId: { [Op.in]: scope.teamIds } });
+      }
+      where[Op.or] = visible;
+    }
+
+    if (visibility) {
+      where.visibility = visibility;
+    }
+
+    if (teamId) {
+      where.teamId = teamId;
+    }
+
+    if (search) {
+      where.name = { [Op.like]: `%${search}%` };
+    }
+
+    const templates = await TaskTemplate.findAll({
+      where,
+      include: TEMPLATE_INCLUDE,
+      order: [['name', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        templates: templates.map(template => ({ ...template.toJSON(), taskCount: template.countTasks() }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des modèles de tâches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des modèles de tâches'
+    });
+  }
+};
+
+/**
+ * @desc    Récupérer un modèle de tâches
+ * @route   GET /api/task-templates/:id
+ * @access  Private (Auteur, membres de l'équipe, tous pour un modèle global)
+ */
+const getTaskTemplateById = async (req, res) => {
+  try {
+    const template = await findVisibleTemplate(req, res);
+    if (!template) {
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        template: { ...template.toJSON(), taskCount: template.countTasks() }
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération du modèle de tâches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération du modèle de tâches'
+    });
+  }
+};
+
+/**
+ * @desc    Créer un modèle de tâches (tâches, sous-tâches, checklists, échéances relatives)
+ * @route   POST /api/task-templates
+ * @access  Private (global : Admin ; team : membres de l'équipe)
+ */
+const createTaskTemplate = async (req, res) => {
+  try {
+    const { name, description, tasks } = req.body;
+    const visibility = req.body.visibility || 'private';
+    const teamId = visibility === 'team' ? req.body.teamId : null;
+
+    if (!await checkPublication(res, req.user, visibility, teamId)) {
+      return;
+    }
+
+    const template = await TaskTemplate.create({
+      name: name ? name.trim() : name,
+      description: description || null,
+      visibility,
+      teamId: teamId || null,
+      tasks,
+      createdBy: req.user.id
+    });
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'CREATE_TASK_TEMPLATE',
+      description: `Modèle de tâches créé: ${template.name}`,
+      entityType: 'task_template',
+      entityId: template.id,
+      oldValue: null,
+      newValue: { name: template.name, visibility: template.visibility, teamId: template.teamId, taskCount: template.countTasks() },
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Modèle de tâches créé avec succès',
+      data: { template }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la création du modèle de tâches:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Erreur de validation',
+        errors: error.errors.map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la création du modèle de tâches'
+    });
+  }
+};
+
+/**
+ * @desc    Modifier un modèle de tâches (les tâches déjà créées ne changent pas)
+ * @route   PUT /api/task-templates/:id
+ * @access  Private (Auteur, lead de l'équipe, Admin ; global : Admin)
+ */
+const updateTaskTemplate = async (req, res) => {
+  try {
+    const { name, description, tasks } = req.body;
+
+    const template = await findVisibleTemplate(req, res);
+    if (!template) {
+      return;
+    }
+
+    if (!await canManageTemplate(req.user, template)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Vous n\'avez pas les droits pour modifier ce modèle'
+      });
+    }
+
+    const visibility = req.body.visibility || template.visibility;
+    const teamId = visibility !== 'team' ? null : (req.body.teamId !== undefined ? req.body.teamId : template.teamId);
+
+    if ((visibility !== template.visibility || teamId !== template.teamId) &&
+      !await checkPublication(res, req.user, visibility, teamId)) {
+      return;
+    }
+
+    const oldValue = { name: template.name, visibility: template.visibility, teamId: template.teamId, taskCount: template.countTasks() };
+
+    await template.update({
+      name: name !== undefined ? name.trim() : template.name,
+      description: description !== undefined ? description : template.description,
+      visibility,
+      teamId: teamId || null,
+      tasks: tasks !== undefined ? tasks : template.tasks
+    });
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'UPDATE_TASK_TEMPLATE',
+      description: `Modèle de tâches modifié: ${template.name}`,
+      entityType: 'task_template',
+      entityId: template.id,
+      oldValue,
+      newValue: { name: template.name, visibility: template.visibility, teamId: template.teamId, taskCount: template.countTasks() },
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Modèle de tâches mis à jour avec succès',
+      data: { template }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour du modèle de tâches:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Erreur de validation',
+        errors: error.errors.map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la mise à jour du modèle de tâches'
+    });
+  }
+};
+
+/**
+ * @desc    Supprimer un modèle de tâches (les tâches déjà créées sont conservées)
+ * @route   DELETE /api/task-templates/:id
+ * @access  Private (Auteur, lead de l'équipe, Admin ; global : Admin)
+ */
+const deleteTaskTemplate = async (req, res) => {
+  try {
+    const template = await findVisibleTemplate(req, res);
+    if (!template) {
+      return;
+    }
+
+    if (!await canManageTemplate(req.user, template)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Vous n\'avez pas les droits pour supprimer ce modèle'
+      });
+    }
+
+    await template.destroy();
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'DELETE_TASK_TEMPLATE',
+      description: `Modèle de tâches supprimé: ${template.name}`,
+      entityType: 'task_template',
+      entityId: template.id,
+      oldValue: { name: template.name, visibility: template.visibility, teamId: template.teamId },
+      newValue: null,
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Modèle de tâches supprimé avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la suppression du modèle de tâches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la suppression du modèle de tâches'
+    });
+  }
+};
+
+module.exports = {
+  getTaskTemplates,
+  getTaskTemplateById,
+  createTaskTemplate,
+  updateTaskTemplate,
+  deleteTaskTemplate
+};
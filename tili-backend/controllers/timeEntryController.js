@@ -0,0 +1,548 @@
+const { TimeEntry, Task, Project, Log } = require('../models');
+const { Op } = require('sequelize');
+const { can } = require('../utils/permissions');
+const { findLockingTimesheet } = require('../utils/timesheets');
+
+// Relations incluses avec une saisie de temps
+const ENTRY_INCLUDE = [
+  {
+    model: Task,
+    as: 'task',
+    attributes: ['id', 'taskName', 'status']
+  },
+  {
+    model: Project,
+    as: 'project',
+    attributes: ['id', 'name']
+  }
+];
+
+/**
+ * Refuser une modification dans une semaine dont la feuille de temps est soumise ou approuvée
+ * @param {Object} res - Objet Express response
+ * @param {number} userId
+ * @param {number|null} projectId
+ * @param {Date|string} date - Date de la saisie
+ * @returns {Promise<boolean>} - true si la réponse 409 a été envoyée
+ */
+const rejectLockedWeek = async (res, userId, projectId, date) => {
+  const timesheet = await findLockingTimesheet(userId, projectId, date);
+
+  if (!timesheet) {
+    return false;
+  }
+
+  res.status(409).json({
+    success: false,
+    code: 'TIMESHEET_LOCKED',
+    message: timesheet.status === 'approved'
+      ? 'La feuille de temps de cette semaine est approuvée : les saisies ne sont plus modifiables'
+      : 'La feuille de temps de cette semaine est soumise : les saisies ne sont plus modifiables',
+    data: { timesheetId: timesheet.id, weekStart: timesheet.weekStart, status: timesheet.status }
+  });
+  return true;
+};
+
+/**
+ * Récupérer une saisie modifiable par l'utilisateur connecté (la sienne, ou toute saisie pour un admin)
+ * @param {Object} req - Objet Express request
+ * @param {Object} res - Objet Express response
+ * @returns {Promise<TimeEntry|null>} - null si la réponse 404/403 a été envoyée
+ */
+const findOwnEntry = async (req, res) => {
+  const entry = await TimeEntry.findByPk(req.params.id);
+
+  if (!entry) {
+    res.status(404).json({
+      success: false,
+      message: 'Saisie de temps non trouvée'
+    });
+    return null;
+  }
+
+  if (entry.userId !== req.user.id && req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      message: 'Non autorisé à modifier cette saisie de temps'
+    });
+    return null;
+  }
+
+  return entry;
+};
+
+/**
+ * @desc    Démarrer le chronomètre sur une tâche (arrête le chronomètre en cours)
+ * @route   POST /api/tasks/:id/timer
+ * @access  Private
+ */
+const startTimer = async (req, res) => {
+  try {
+    const { notes, isBillable } = req.body;
+
+    const task = await Task.findByPk(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tâche non trouvée'
+      });
+    }
+
+    const running = await TimeEntry.findRunning(req.user.id);
+
+    if (running && running.taskId === task.id) {
+      return res.status(409).json({
+        success: false,
+        message: 'Un chronomètre est déjà en cours sur cette tâche',
+        data: { entry: running }
+      });
+    }
+
+    if (await rejectLockedWeek(res, req.user.id, task.projectId, new Date())) {
+      return;
+    }
+
+    // Un seul chronomètre à la fois
+    const stopped = running ? await running.stop() : null;
+
+    const entry = await TimeEntry.create({
+      taskId: task.id,
+      userId: req.user.id,
+      projectId: task.projectId,
+      startedAt: new Date(),
+      source: 'timer',
+      isBillable: isBillable !== undefined ? !!isBillable : true,
+      notes: notes || null
+    });
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'START_TIMER',
+      description: `Chronomètre démarré: ${task.taskName}`,
+      entityType: 'task',
+      entityId: task.id,
+      oldValue: stopped ? { stoppedEntryId: stopped.id } : null,
+      newValue: { entryId: entry.id, startedAt: entry.startedAt },
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Chronomètre démarré',
+      data: {
+        entry,
+        stoppedEntry: stopped
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du démarrage du chronomètre:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors du démarrage du chronomètre'
+    });
+  }
+};
+
+/**
+ * @desc    Arrêter le chronomètre en cours
+ * @route   POST /api/time-entries/timer/stop
+ * @access  Private
+ */
+const stopTimer = async (req, res) => {
+  try {
+    const { notes, isBillable } = req.body;
+
+    const entry = await TimeEntry.findRunning(req.user.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Aucun chronomètre en cours'
+      });
+    }
+
+    if (notes !== undefined) entry.notes = notes;
+    if (isBillable !== undefined) entry.isBillable = !!isBillable;
+
+    await entry.stop();
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'STOP_TIMER',
+      description: `Chronomètre arrêté (${entry.durationMinutes} min)`,
+      entityType: 'task',
+      entityId: entry.taskId,
+      oldValue: null,
+      newValue: { entryId: entry.id, durationMinutes: entry.durationMinutes },
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Chronomètre arrêté',
+      data: {
+        entry: await TimeEntry.findByPk(entry.id, { include: ENTRY_INCLUDE })
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'arrêt du chronomètre:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de l\'arrêt du chronomètre'
+    });
+  }
+};
+
+/**
+ * @desc    Récupérer le chronomètre en cours de l'utilisateur connecté
+ * @route   GET /api/time-entries/timer
+ * @access  Private
+ */
+const getRunningTimer = async (req, res) => {
+  try {
+    const entry = await TimeEntry.findOne({
+      where: { userId: req.user.id, endedAt: null },
+      include: ENTRY_INCLUDE
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        entry,
+        elapsedMinutes: entry ? Math.floor((Date.now() - new Date(entry.startedAt)) / 60000) : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération du chronomètre:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération du chronomètre'
+    });
+  }
+};
+
+/**
+ * @desc    Lister les saisies de temps (les siennes ; celles d'un autre utilisateur pour un admin)
+ * @route   GET /api/time-entries
+ * @access  Private
+ * @query   userId, projectId, taskId, from, to, isBillable, page, limit
+ */
+const getTimeEntries = async (req, res) => {
+  try {
+    const { userId, projectId, taskId, from, to, isBillable, page = 1, limit = 50 } = req.query;
+
+    if (userId && parseInt(userId) !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Non autorisé à consulter les saisies de cet utilisateur'
+      });
+    }
+
+    const where = { userId: userId || req.user.id };
+
+    if (projectId) where.projectId = projectId;
+    if (taskId) where.taskId = taskId;
+    if (isBillable !== undefined) where.isBillable = isBillable === 'true';
+
+    if (from || to) {
+      where.startedAt = {};
+      if (from) where.startedAt[Op.gte] = new Date(from);
+      if (to) where.startedAt[Op.lte] = new Date(to);
+    }
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const { count, rows: entries } = await TimeEntry.findAndCountAll({
+      where,
+      include: ENTRY_INCLUDE,
+      limit: parseInt(limit),
+      offset,
+      order: [['startedAt', 'DESC']]
+    });
+
+    const totalMinutes = await TimeEntry.sum('durationMinutes', { where });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        entries,
+        totalHours: Math.round(((totalMinutes || 0) / 60) * 100) / 100,
+        total: count,
+        page: parseInt(page),
+        totalPages: Math.ceil(count / parseInt(limit)),
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des saisies de temps:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des saisies de temps'
+    });
+  }
+};
+
+/**
+ * @desc    Saisir du temps manuellement sur une tâche
+ * @route   POST /api/time-entries
+ * @access  Private
+ */
+const createTimeEntry = async (req, res) => {
+  try {
+    const { taskId, startedAt, durationMinutes, isBillable, notes } = req.body;
+
+    if (!taskId || !startedAt || !durationMinutes) {
+      return res.status(400).json({
+        success: false,
+        message: 'taskId, startedAt et durationMinutes sont requis'
+      });
+    }
+
+    if (isNaN(new Date(startedAt).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'startedAt doit être une date valide'
+      });
+    }
+
+    const task = await Task.findByPk(taskId);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tâche non trouvée'
+      });
+    }
+
+    if (!(await can(req.user, 'task.logTime', task))) {
+      return res.status(403).json({
+        success: false,
+        code: 'PERMISSION_DENIED',
+        message: 'Accès refusé - Permission requise: task.logTime'
+      });
+    }
+
+    if (await rejectLockedWeek(res, req.user.id, task.projectId, startedAt)) {
+      return;
+    }
+
+    const entry = await TimeEntry.create({
+      taskId: task.id,
+      userId: req.user.id,
+      projectId: task.projectId,
+      startedAt,
+      durationMinutes: parseInt(durationMinutes),
+      isBillable: isBillable !== undefined ? !!isBillable : true,
+      notes: notes || null,
+      source: 'manual'
+    });
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'CREATE_TIME_ENTRY',
+      description: `Temps saisi: ${task.taskName} (${entry.durationMinutes} min)`,
+      entityType: 'task',
+      entityId: task.id,
+      oldValue: null,
+      newValue: {
+        entryId: entry.id,
+        startedAt: entry.startedAt,
+        durationMinutes: entry.durationMinutes,
+        isBillable: entry.isBillable
+      },
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Temps saisi avec succès',
+      data: {
+        entry: await TimeEntry.findByPk(entry.id, { include: ENTRY_INCLUDE })
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la saisie de temps:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Erreur de validation',
+        errors: error.errors.map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la saisie de temps'
+    });
+  }
+};
+
+/**
+ * @desc    Modifier une saisie de temps (une correction de durée en fait une saisie manuelle)
+ * @route   PUT /api/time-entries/:id
+ * @access  Private (Auteur de la saisie ou Admin)
+ */
+const updateTimeEntry = async (req, res) => {
+  try {
+    const { startedAt, durationMinutes, isBillable, notes } = req.body;
+
+    const entry = await findOwnEntry(req, res);
+    if (!entry) {
+      return;
+    }
+
+    if (entry.isRunning() && (startedAt !== undefined || durationMinutes !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Arrêtez le chronomètre avant de corriger sa durée'
+      });
+    }
+
+    if (await rejectLockedWeek(res, entry.userId, entry.projectId, entry.startedAt)) {
+      return;
+    }
+
+    if (startedAt !== undefined && await rejectLockedWeek(res, entry.userId, entry.projectId, startedAt)) {
+      return;
+    }
+
+    const oldValue = {
+      startedAt: entry.startedAt,
+      durationMinutes: entry.durationMinutes,
+      isBillable: entry.isBillable,
+      notes: entry.notes
+    };
+
+    if (startedAt !== undefined || durationMinutes !== undefined) {
+      entry.source = 'manual';
+      if (startedAt !== undefined) entry.startedAt = startedAt;
+      if (durationMinutes !== undefined) entry.durationMinutes = parseInt(durationMinutes);
+    }
+    if (isBillable !== undefined) entry.isBillable = !!isBillable;
+    if (notes !== undefined) entry.notes = notes;
+
+    await entry.save();
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'UPDATE_TIME_ENTRY',
+      description: `Saisie de temps modifiée (${entry.durationMinutes} min)`,
+      entityType: 'task',
+      entityId: entry.taskId,
+      oldValue: { entryId: entry.id, ...oldValue },
+      newValue: {
+        entryId: entry.id,
+        startedAt: entry.startedAt,
+        durationMinutes: entry.durationMinutes,
+        isBillable: entry.isBillable,
+        notes: entry.notes
+      },
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Saisie de temps mise à jour avec succès',
+      data: {
+        entry: await TimeEntry.findByPk(entry.id, { include: ENTRY_INCLUDE })
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour de la saisie de temps:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Erreur de validation',
+        errors: error.errors.map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la mise à jour de la saisie de temps'
+    });
+  }
+};
+
+/**
+ * @desc    Supprimer une saisie de temps
+ * @route   DELETE /api/time-entries/:id
+ * @access  Private (Auteur de la saisie ou Admin)
+ */
+const deleteTimeEntry = async (req, res) => {
+  try {
+    const entry = await findOwnEntry(req, res);
+    if (!entry) {
+      return;
+    }
+
+    if (await rejectLockedWeek(res, entry.userId, entry.projectId, entry.startedAt)) {
+      return;
+    }
+
+    // Logger l'action avant la suppression
+    await Log.createLog({
+      action: 'DELETE_TIME_ENTRY',
+      description: `Saisie de temps supprimée (${entry.durationMinutes || 0} min)`,
+      entityType: 'task',
+      entityId: entry.taskId,
+      oldValue: {
+        entryId: entry.id,
+        userId: entry.userId,
+        startedAt: entry.startedAt,
+        durationMinutes: entry.durationMinutes
+      },
+      newValue: null,
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    await entry.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: 'Saisie de temps supprimée avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la suppression de la saisie de temps:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la suppression de la saisie de temps'
+    });
+  }
+};
+
+module.exports = {
+  startTimer,
+  stopTimer,
+  getRunningTimer,
+  getTimeEntries,
+  createTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry
+};
@@ -0,0 +1,633 @@
+const { Timesheet, TimeEntry, Project, ProjectRate, User, Task, Log } = require('../models');
+const { Op } = require('sequelize');
+const { toDateOnly, getWeekStart, getWeekRange, computeProjectTimeReport } = require('../utils/timesheets');
+
+// Rôles de projet pouvant porter un taux horaire
+const RATE_ROLES = ['lead', 'member', 'consultant', 'observer'];
+
+/**
+ * Lire le paramètre weekStart (n'importe quel jour de la semaine, par défaut la semaine en cours)
+ * @param {Object} res - Objet Express response
+ * @param {string} [value]
+ * @returns {string|null} - Lundi YYYY-MM-DD, null si la réponse 400 a été envoyée
+ */
+const parseWeekStart = (res, value) => {
+  const weekStart = value ? getWeekStart(value) : getWeekStart();
+
+  if (!weekStart) {
+    res.status(400).json({
+      success: false,
+      message: 'weekStart doit être une date au format YYYY-MM-DD'
+    });
+    return null;
+  }
+
+  return weekStart;
+};
+
+/**
+ * Vérifier que l'utilisateur peut valider une feuille de temps
+ * (chef de projet du projet, ou admin ; les feuilles hors projet et celles du chef de projet
+ * lui-même sont validées par un admin)
+ * @param {Object} user
+ * @param {Timesheet} timesheet - Avec son projet chargé
+ * @returns {boolean}
+ */
+const canReview = (user, timesheet) => {
+  if (user.role === 'admin') return true;
+  return !!timesheet.project && timesheet.project.chefProjet === user.id && timesheet.userId !== user.id;
+};
+
+/**
+ * @desc    Feuille de temps hebdomadaire d'un utilisateur (saisies, totaux par jour et par projet, statuts)
+ * @route   GET /api/timesheets/week
+ * @access  Private (L'utilisateur lui-même ou Admin)
+ * @query   weekStart, userId
+ */
+const getWeeklyTimesheet = async (req, res) => {
+  try {
+    const userId = req.query.userId ? parseInt(req.query.userId) : req.user.id;
+
+    if (userId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Non autorisé à consulter la feuille de temps de cet utilisateur'
+      });
+    }
+
+    const weekStart = parseWeekStart(res, req.query.weekStart);
+    if (!weekStart) {
+      return;
+    }
+
+    const { start, end } = getWeekRange(weekStart);
+
+    const [entries, timesheets] = await Promise.all([
+      TimeEntry.findAll({
+        where: { userId, startedAt: { [Op.gte]: start, [Op.lt]: end } },
+        include: [
+          { model: Task, as: 'task', attributes: ['id', 'taskName'] },
+          { model: Project, as: 'project', attributes: ['id', 'name'] }
+        ],
+        order: [['startedAt', 'ASC']]
+      }),
+      Timesheet.findAll({
+        where: { userId, weekStart },
+        include: [{ model: User, as: 'reviewer', attributes: ['id', 'firstName', 'lastName'] }]
+      })
+    ]);
+
+    // Totaux par jour (lundi → dimanche)
+    const days = Array.from({ length: 7 }, (_, index) => {
+      const day = new Date(start);
+      day.setDate(day.getDate() + index);
+      return { date: toDateOnly(day), minutes: 0 };
+    });
+
+    entries.filter(entry => !entry.isRunning()).forEach(entry => {
+      const day = days.find(row => row.date === toDateOnly(new Date(entry.startedAt)));
+      if (day) day.minutes += entry.durationMinutes;
+    });
+
+    // Totaux et statut par projet
+    const projects = new Map();
+    entries.forEach(entry => {
+      const key = entry.projectId || 0;
+      if (!projects.has(key)) {
+        projects.set(key, {
+          project: entry.project,
+          minutes: 0,
+          billableMinutes: 0,
+          timesheet: timesheets.find(timesheet => (timesheet.projectId || 0) === key) || null
+        });
+      }
+
+      if (!entry.isRunning()) {
+        projects.get(key).minutes += entry.durationMinutes;
+        if (entry.isBillable) projects.get(key).billableMinutes += entry.durationMinutes;
+      }
+    });
+
+    const totalMinutes = days.reduce((total, day) => total + day.minutes, 0);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        userId,
+        weekStart,
+        days,
+        projects: [...projects.values()].map(row => ({
+          ...row,
+          status: row.timesheet ? row.timesheet.status : 'draft'
+        })),
+        entries,
+        totalHours: Math.round((totalMinutes / 60) * 100) / 100,
+        hasRunningTimer: entries.some(entry => entry.isRunning())
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la feuille de temps:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération de la feuille de temps'
+    });
+  }
+};
+
+/**
+ * @desc    Soumettre sa feuille de temps de la semaine (une feuille par projet, validée par son chef de projet)
+ * @route   POST /api/timesheets/submit
+ * @access  Private
+ */
+const submitTimesheet = async (req, res) => {
+  try {
+    const weekStart = parseWeekStart(res, req.body.weekStart);
+    if (!weekStart) {
+      return;
+    }
+
+    const { start, end } = getWeekRange(weekStart);
+
+    const entries = await TimeEntry.findAll({
+      where: { userId: req.user.id, startedAt: { [Op.gte]: start, [Op.lt]: end } }
+    });
+
+    if (entries.some(entry => entry.isRunning())) {
+      return res.status(409).json({
+        success: false,
+        message: 'Arrêtez le chronomètre en cours avant de soumettre la semaine'
+      });
+    }
+
+    if (entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Aucun temps saisi sur cette semaine'
+      });
+    }
+
+    // Regrouper les saisies par projet
+    const groups = new Map();
+    entries.forEach(entry => {
+      const key = entry.projectId || 0;
+      if (!groups.has(key)) groups.set(key, { projectId: entry.projectId, minutes: 0, billableMinutes: 0 });
+      groups.get(key).minutes += entry.durationMinutes;
+      if (entry.isBillable) groups.get(key).billableMinutes += entry.durationMinutes;
+    });
+
+    const submitted = [];
+    const skipped = [];
+
+    for (const group of groups.values()) {
+      let timesheet = await Timesheet.findForWeek(req.user.id, group.projectId, weekStart);
+
+      // Une feuille déjà approuvée n'est pas resoumise
+      if (timesheet && timesheet.status === 'approved') {
+        skipped.push(timesheet);
+        continue;
+      }
+
+      const values = {
+        status: 'submitted',
+        totalMinutes: group.minutes,
+        billableMinutes: group.billableMinutes,
+        submittedAt: new Date(),
+        reviewedBy: null,
+        reviewedAt: null,
+        reviewComment: null
+      };
+
+      timesheet = timesheet
+        ? await timesheet.update(values)
+        : await Timesheet.create({ userId: req.user.id, projectId: group.projectId, weekStart, ...values });
+
+      // Logger l'action
+      await Log.createLog({
+        action: 'SUBMIT_TIMESHEET',
+        description: `Feuille de temps soumise: semaine du ${weekStart} (${Math.round(group.minutes / 6) / 10} h)`,
+        entityType: 'timesheet',
+        entityId: timesheet.id,
+        oldValue: null,
+        newValue: { projectId: timesheet.projectId, weekStart, totalMinutes: timesheet.totalMinutes },
+        performedBy: req.user.id,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      submitted.push(timesheet);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: submitted.length > 0
+        ? 'Feuille de temps soumise pour validation'
+        : 'La feuille de temps de cette semaine est déjà approuvée',
+      data: {
+        weekStart,
+        timesheets: submitted,
+        alreadyApproved: skipped
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la soumission de la feuille de temps:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la soumission de la feuille de temps'
+    });
+  }
+};
+
+/**
+ * @desc    Feuilles de temps à valider (projets dont l'utilisateur est chef de projet, hors les siennes ; toutes pour un admin)
+ * @route   GET /api/timesheets/pending
+ * @access  Private
+ * @query   status (submitted par défaut, approved, rejected), projectId
+ */
+const getPendingTimesheets = async (req, res) => {
+  try {
+    const { status = 'submitted', projectId } = req.query;
+
+    const where = { status };
+    if (projectId) where.projectId = projectId;
+
+    if (req.user.role !== 'admin') {
+      const projects = await Project.findAll({ where: { chefProjet: req.user.id }, attributes: ['id'] });
+      const projectIds = projects.map(project => project.id);
+
+      if (projectId && !projectIds.includes(parseInt(projectId))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Seul le chef de projet peut consulter les feuilles de temps de ce projet'
+        });
+      }
+
+      if (!projectId) where.projectId = { [Op.in]: projectIds };
+
+      // Le chef de projet ne valide pas ses propres heures : elles reviennent à un admin
+      where.userId = { [Op.ne]: req.user.id };
+    }
+
+    const timesheets = await Timesheet.findAll({
+      where,
+      include: [
+        { model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email'] },
+        { model: Project, as: 'project', attributes: ['id', 'name', 'chefProjet'] },
+        { model: User, as: 'reviewer', attributes: ['id', 'firstName', 'lastName'] }
+      ],
+      order: [['weekStart', 'DESC'], ['submittedAt', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        timesheets,
+        total: timesheets.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des feuilles de temps:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des feuilles de temps'
+    });
+  }
+};
+
+/**
+ * Approuver ou rejeter une feuille de temps soumise
+ * @param {Object} req - Objet Express request
+ * @param {Object} res - Objet Express response
+ * @param {string} decision - approved ou rejected
+ */
+const reviewTimesheet = async (req, res, decision) => {
+  const { comment } = req.body;
+
+  if (decision === 'rejected' && !comment) {
+    return res.status(400).json({
+      success: false,
+      message: 'Un motif de rejet est requis'
+    });
+  }
+
+  const timesheet = await Timesheet.findByPk(req.params.id, {
+    include: [
+      { model: Project, as: 'project', attributes: ['id', 'name', 'chefProjet'] },
+      { model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email'] }
+    ]
+  });
+
+  if (!timesheet) {
+    return res.status(404).json({
+      success: false,
+      message: 'Feuille de temps non trouvée'
+    });
+  }
+
+  if (!canReview(req.user, timesheet)) {
+    return res.status(403).json({
+      success: false,
+      message: timesheet.userId === req.user.id
+        ? 'Vos propres feuilles de temps sont validées par un administrateur'
+        : 'Seul le chef de projet peut valider cette feuille de temps'
+    });
+  }
+
+  if (timesheet.status !== 'submitted') {
+    return res.status(400).json({
+      success: false,
+      message: 'Seule une feuille de temps soumise peut être validée ou rejetée'
+    });
+  }
+
+  // Mise à jour conditionnelle : deux validations simultanées ne peuvent pas aboutir toutes les deux
+  const [affected] = await Timesheet.update({
+    status: decision,
+    reviewedBy: req.user.id,
+    reviewedAt: new Date(),
+    reviewComment: comment || null
+  }, {
+    where: { id: timesheet.id, status: 'submitted' }
+  });
+
+  if (affected === 0) {
+    return res.status(409).json({
+      success: false,
+      message: 'La feuille de temps a déjà été validée ou rejetée'
+    });
+  }
+
+  await timesheet.reload();
+
+  // Logger l'action
+  await Log.createLog({
+    action: decision === 'approved' ? 'APPROVE_TIMESHEET' : 'REJECT_TIMESHEET',
+    description: `Feuille de temps ${decision === 'approved' ? 'approuvée' : 'rejetée'}: ${timesheet.user.firstName} ${timesheet.user.lastName}, semaine du ${timesheet.weekStart}`,
+    entityType: 'timesheet',
+    entityId: timesheet.id,
+    oldValue: { status: 'submitted' },
+    newValue: { status: decision, comment: comment || null },
+    performedBy: req.user.id,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(200).json({
+    success: true,
+    message: decision === 'approved' ? 'Feuille de temps approuvée' : 'Feuille de temps rejetée',
+    data: { timesheet }
+  });
+};
+
+/**
+ * @desc    Approuver une feuille de temps
+ * @route   POST /api/timesheets/:id/approve
+ * @access  Private (Chef de projet ou Admin)
+ */
+const approveTimesheet = async (req, res) => {
+  try {
+    await reviewTimesheet(req, res, 'approved');
+  } catch (error) {
+    console.error('Erreur lors de l\'approbation de la feuille de temps:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de l\'approbation de la feuille de temps'
+    });
+  }
+};
+
+/**
+ * @desc    Rejeter une feuille de temps (les saisies redeviennent modifiables)
+ * @route   POST /api/timesheets/:id/reject
+ * @access  Private (Chef de projet ou Admin)
+ */
+const rejectTimesheet = async (req, res) => {
+  try {
+    await reviewTimesheet(req, res, 'rejected');
+  } catch (error) {
+    console.error('Erreur lors du rejet de la feuille de temps:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors du rejet de la feuille de temps'
+    });
+  }
+};
+
+/**
+ * @desc    Temps passé sur un projet, valorisé et comparé au budget
+ * @route   GET /api/projects/:id/time-report
+ * @access  Private (Lead ou Admin)
+ * @query   from, to
+ */
+const getProjectTimeReport = async (req, res) => {
+  try {
+    const project = await Project.findByPk(req.params.id, {
+      attributes: ['id', 'name', 'budget', 'chefProjet', 'startDate', 'endDate']
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Projet non trouvé'
+      });
+    }
+
+    const report = await computeProjectTimeReport(project, { from: req.query.from, to: req.query.to });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        project,
+        ...report
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du calcul du temps passé sur le projet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors du calcul du temps passé sur le projet'
+    });
+  }
+};
+
+/**
+ * @desc    Taux horaires d'un projet (par utilisateur et par rôle)
+ * @route   GET /api/projects/:id/rates
+ * @access  Private (Lead ou Admin)
+ */
+const getProjectRates = async (req, res) => {
+  try {
+    const rates = await ProjectRate.findAll({
+      where: { projectId: req.params.id },
+      include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email'] }],
+      order: [['projectRole', 'ASC'], ['userId', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { rates }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des taux horaires:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des taux horaires'
+    });
+  }
+};
+
+/**
+ * @desc    Définir le taux horaire d'un utilisateur ou d'un rôle sur un projet
+ * @route   PUT /api/projects/:id/rates
+ * @access  Private (Lead ou Admin)
+ */
+const setProjectRate = async (req, res) => {
+  try {
+    const { userId, projectRole, hourlyRate } = req.body;
+
+    if (!userId === !projectRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'Indiquez soit userId, soit projectRole'
+      });
+    }
+
+    if (projectRole && !RATE_ROLES.includes(projectRole)) {
+      return res.status(400).json({
+        success: false,
+        message: `projectRole doit être: ${RATE_ROLES.join(', ')}`
+      });
+    }
+
+    if (hourlyRate === undefined || hourlyRate === null || isNaN(parseFloat(hourlyRate))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Le taux horaire (hourlyRate) est requis'
+      });
+    }
+
+    const project = await Project.findByPk(req.params.id, { attributes: ['id', 'name'] });
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Projet non trouvé'
+      });
+    }
+
+    if (userId && !(await User.findByPk(userId, { attributes: ['id'] }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Utilisateur non trouvé'
+      });
+    }
+
+    const where = { projectId: project.id, userId: userId || null, projectRole: projectRole || null };
+    const existing = await ProjectRate.findOne({ where });
+    const oldRate = existing ? existing.hourlyRate : null;
+
+    const rate = existing
+      ? await existing.update({ hourlyRate })
+      : await ProjectRate.create({ ...where, hourlyRate, createdBy: req.user.id });
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'SET_PROJECT_RATE',
+      description: `Taux horaire défini sur le projet ${project.name}: ${userId ? `utilisateur ${userId}` : `rôle ${projectRole}`}`,
+      entityType: 'project',
+      entityId: project.id,
+      oldValue: oldRate !== null ? { hourlyRate: oldRate } : null,
+      newValue: { rateId: rate.id, userId: rate.userId, projectRole: rate.projectRole, hourlyRate: rate.hourlyRate },
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: 'Taux horaire enregistré',
+      data: { rate }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'enregistrement du taux horaire:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Erreur de validation',
+        errors: error.errors.map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de l\'enregistrement du taux horaire'
+    });
+  }
+};
+
+/**
+ * @desc    Supprimer un taux horaire d'un projet
+ * @route   DELETE /api/projects/:id/rates/:rateId
+ * @access  Private (Lead ou Admin)
+ */
+const deleteProjectRate = async (req, res) => {
+  try {
+    const rate = await ProjectRate.findOne({
+      where: { id: req.params.rateId, projectId: req.params.id }
+    });
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Taux horaire non trouvé'
+      });
+    }
+
+    // Logger l'action avant la suppression
+    await Log.createLog({
+      action: 'DELETE_PROJECT_RATE',
+      description: 'Taux horaire supprimé',
+      entityType: 'project',
+      entityId: rate.projectId,
+      oldValue: { rateId: rate.id, userId: rate.userId, projectRole: rate.projectRole, hourlyRate: rate.hourlyRate },
+      newValue: null,
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    await rate.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: 'Taux horaire supprimé avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la suppression du taux horaire:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la suppression du taux horaire'
+    });
+  }
+};
+
+module.exports = {
+  getWeeklyTimesheet,
+  submitTimesheet,
+  getPendingTimesheets,
+  approveTimesheet,
+  rejectTimesheet,
+  getProjectTimeReport,
+  getProjectRates,
+  setProjectRate,
+  deleteProjectRate
+};
@@ -0,0 +1,259 @@
+const { User, Log } = require('../models');
+const totp = require('../utils/totp');
+
+/**
+ * @desc    Démarrer l'enrôlement 2FA (génère un secret et l'URI du QR code)
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.scope('withTwoFactor').findByPk(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'La double authentification est déjà activée'
+      });
+    }
+
+    // Le secret n'est actif qu'après confirmation d'un premier code (enable)
+    user.twoFactorSecret = totp.generateSecret();
+    user.twoFactorLastCounter = null;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Scannez le QR code puis confirmez avec un code de l\'application',
+      data: {
+        secret: user.twoFactorSecret,
+        otpauthUrl: totp.buildOtpAuthUrl(user.twoFactorSecret, user.email)
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'initialisation de la 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de l\'initialisation de la double authentification'
+    });
+  }
+};
+
+/**
+ * @desc    Confirmer l'enrôlement 2FA avec un premier code
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Le code est requis'
+      });
+    }
+
+    const user = await User.scope('withTwoFactor').findByPk(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'La double authentification est déjà activée'
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Aucun enrôlement en cours. Appelez d\'abord /api/auth/2fa/setup'
+      });
+    }
+
+    const counter = totp.verify(user.twoFactorSecret, code);
+
+    if (counter === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Code invalide'
+      });
+    }
+
+    user.twoFactorEnabled = true;
+    user.twoFactorLastCounter = counter;
+    const recoveryCodes = user.regenerateRecoveryCodes();
+    await user.save();
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'ENABLE_2FA',
+      description: `Double authentification activée: ${user.email}`,
+      entityType: 'user',
+      entityId: user.id,
+      oldValue: { twoFactorEnabled: false },
+      newValue: { twoFactorEnabled: true },
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Double authentification activée. Conservez vos codes de récupération en lieu sûr.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'activation de la 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de l\'activation de la double authentification'
+    });
+  }
+};
+
+/**
+ * @desc    Désactiver la 2FA (mot de passe et code requis)
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mot de passe et code requis'
+      });
+    }
+
+    // withPassword remplace le scope par défaut : les champs 2FA sont aussi chargés
+    const user = await User.scope('withPassword').findByPk(req.user.id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'La double authentification n\'est pas activée'
+      });
+    }
+
+    if (await user.isTwoFactorRequired()) {
+      return res.status(403).json({
+        success: false,
+        message: 'La double authentification est obligatoire pour votre rôle'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid || !(await user.verifyTwoFactorCode(code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Mot de passe ou code invalide'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorRecoveryCodes = null;
+    user.twoFactorLastCounter = null;
+    await user.save();
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'DISABLE_2FA',
+      description: `Double authentification désactivée: ${user.email}`,
+      entityType: 'user',
+      entityId: user.id,
+      oldValue: { twoFactorEnabled: true },
+      newValue: { twoFactorEnabled: false },
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Double authentification désactivée'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la désactivation de la 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la désactivation de la double authentification'
+    });
+  }
+};
+
+/**
+ * @desc    Régénérer les codes de récupération (invalide les anciens)
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Le code est requis'
+      });
+    }
+
+    const user = await User.scope('withTwoFactor').findByPk(req.user.id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'La double authentification n\'est pas activée'
+      });
+    }
+
+    if (!(await user.verifyTwoFactorCode(code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Code invalide'
+      });
+    }
+
+    const recoveryCodes = user.regenerateRecoveryCodes();
+    await user.save();
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'REGENERATE_2FA_RECOVERY_CODES',
+      description: `Codes de récupération régénérés: ${user.email}`,
+      entityType: 'user',
+      entityId: user.id,
+      oldValue: null,
+      newValue: null,
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Nouveaux codes de récupération générés',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la régénération des codes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la régénération des codes de récupération'
+    });
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
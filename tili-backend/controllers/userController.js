@@ -1,5 +1,9 @@
-const { User, Project, Task, Document, Log } = require('../models');
+const jwt = require('jsonwebtoken');
+const { User, Project, Task, TaskAssignee, Document, Log, Session } = require('../models');
 const { Op } = require('sequelize');
+const ldap = require('../utils/ldap');
+const { runLdapSync } = require('../utils/ldapSync');
+const passwordPolicy = require('../utils/passwordPolicy');
 
 /**
  * @desc    Récupérer tous les utilisateurs
@@ -12,6 +16,7 @@ const getAllUsers = async (req, res) => {
     const {
       role,
       isActive,
+      emailVerified,
       page = 1,
       limit = 10,
       sortBy = 'createdAt',
@@ -30,6 +35,11 @@ const getAllUsers = async (req, res) => {
       where.isActive = isActive === 'true';
     }
 
+    // emailVerified=false : comptes en attente de vérification
+    if (emailVerified !== undefined) {
+      where.emailVerified = emailVerified === 'true';
+    }
+
     // Recherche par nom, email ou username
     if (search) {
       where[Op.or] = [
@@ -181,6 +191,12 @@ const createUser = async (req, res) => {
       });
     }
 
+    // Vérifier la politique de mots de passe
+    const passwordCheck = await passwordPolicy.validatePassword(password, { username, email });
+    if (!passwordCheck.valid) {
+      return passwordPolicy.sendPolicyError(res, passwordCheck.errors);
+    }
+
     // Créer l'utilisateur
     const user = await User.create({
       firstName,
@@ -247,7 +263,7 @@ const createUser = async (req, res) => {
 const updateUser = async (req, res) => {
   try {
     const { id } = req.params;
-    const { firstName, lastName, phoneNumber, profilePicture, role, isActive, password } = req.body;
+    const { firstName, lastName, phoneNumber, profilePicture, role, isActive, password, emailVerified, hourlyRate } = req.body;
 
     // Récupérer l'utilisateur
     const user = await User.findByPk(id);
@@ -269,6 +285,24 @@ const updateUser = async (req, res) => {
       });
     }
 
+    // Mot de passe, rôle et statut ne se modifient pas pendant une usurpation d'identité
+    if (req.impersonator && (password !== undefined || role !== undefined || isActive !== undefined)) {
+      return res.status(403).json({
+        success: false,
+        code: 'IMPERSONATION_FORBIDDEN',
+        message: 'Action interdite pendant une usurpation d\'identité'
+      });
+    }
+
+    // Comme /api/auth/change-password, le mot de passe ne se modifie pas avec un token personnel
+    if (req.accessToken && password !== undefined) {
+      return res.status(403).json({
+        success: false,
+        code: 'ACCESS_TOKEN_NOT_ALLOWED',
+        message: 'Cette action nécessite une connexion avec vos identifiants'
+      });
+    }
+
     // Sauvegarder les anciennes valeurs pour le log
     const oldValues = {
       firstName: user.firstName,
@@ -276,7 +310,9 @@ const updateUser = async (req, res) => {
       phoneNumber: user.phoneNumber,
       profilePicture: user.profilePicture,
       role: user.role,
-      isActive: user.isActive
+      isActive: user.isActive,
+      emailVerified: user.emailVerified,
+      hourlyRate: user.hourlyRate
     };
 
     // Mettre à jour les champs de base (tous les utilisateurs)
@@ -285,14 +321,29 @@ const updateUser = async (req, res) => {
     if (phoneNumber !== undefined) user.phoneNumber = phoneNumber;
     if (profilePicture !== undefined) user.profilePicture = profilePicture;
 
-    // Mettre à jour le password si fourni
+    // Mettre à jour le password si fourni (réinitialisation par un admin)
+    // Un utilisateur change son propre mot de passe via /api/auth/change-password (mot de passe actuel requis)
     if (password) {
-      if (password.length < 8) {
+      if (req.user.id === user.id) {
         return res.status(400).json({
           success: false,
-          message: 'Le mot de passe doit contenir au moins 8 caractères'
+          code: 'USE_CHANGE_PASSWORD',
+          message: 'Utilisez /api/auth/change-password pour changer votre mot de passe'
         });
       }
+
+      if (!user.usesLocalPassword()) {
+        return res.status(400).json({
+          success: false,
+          code: 'SSO_ACCOUNT',
+          message: 'Le mot de passe de ce compte est géré par le fournisseur d\'identité'
+        });
+      }
+
+      const passwordCheck = await passwordPolicy.validatePassword(password, user);
+      if (!passwordCheck.valid) {
+        return passwordPolicy.sendPolicyError(res, passwordCheck.errors);
+      }
       user.password = password; // Sera hashé par le hook
     }
 
@@ -300,10 +351,39 @@ const updateUser = async (req, res) => {
     if (req.user.role === 'admin') {
       if (role !== undefined) user.role = role;
       if (isActive !== undefined) user.isActive = isActive;
+      if (hourlyRate !== undefined) user.hourlyRate = hourlyRate;
+
+      // Vérification forcée de l'email par un admin
+      if (emailVerified === true && !user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+      }
     }
 
+    const passwordChanged = user.changed('password');
+
     await user.save();
 
+    // Une désactivation par l'admin coupe toutes les sessions ouvertes
+    if (oldValues.isActive && !user.isActive) {
+      await Session.revokeAllForUser(user.id, 'user_deactivated');
+    } else if (passwordChanged) {
+      // Comme changePassword et resetPassword : le nouveau mot de passe coupe les sessions ouvertes
+      const revokedSessions = await Session.revokeAllForUser(user.id, 'password_change');
+
+      await Log.createLog({
+        action: 'CHANGE_PASSWORD',
+        description: `Mot de passe réinitialisé par un administrateur: ${user.email}`,
+        entityType: 'user',
+        entityId: user.id,
+        oldValue: null,
+        newValue: { revokedSessions },
+        performedBy: req.user.id,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+    }
+
     // Logger l'action
     await Log.createLog({
       action: 'UPDATE_USER',
@@ -317,7 +397,9 @@ const updateUser = async (req, res) => {
         phoneNumber: user.phoneNumber,
         profilePicture: user.profilePicture,
         role: user.role,
-        isActive: user.isActive
+        isActive: user.isActive,
+        emailVerified: user.emailVerified,
+        hourlyRate: user.hourlyRate
       },
       performedBy: req.user.id,
       ipAddress: req.ip,
@@ -384,6 +466,9 @@ const deleteUser = async (req, res) => {
     user.isActive = false;
     await user.save();
 
+    // Couper immédiatement toutes les sessions ouvertes
+    const revokedSessions = await Session.revokeAllForUser(user.id, 'user_deactivated');
+
     // Logger l'action
     await Log.createLog({
       action: 'DELETE_USER',
@@ -391,7 +476,7 @@ const deleteUser = async (req, res) => {
       entityType: 'user',
       entityId: user.id,
       oldValue: { isActive: true },
-      newValue: { isActive: false },
+      newValue: { isActive: false, revokedSessions },
       performedBy: req.user.id,
       ipAddress: req.ip,
       userAgent: req.get('user-agent')
@@ -472,6 +557,185 @@ const activateUser = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Lancer la synchronisation LDAP (désactive les comptes absents de l'annuaire)
+ * @route   POST /api/users/ldap-sync
+ * @access  Private/Admin
+ */
+const syncLdapUsers = async (req, res) => {
+  try {
+    if (!ldap.isLdapEnabled()) {
+      return res.status(400).json({
+        success: false,
+        message: 'L\'authentification LDAP n\'est pas configurée'
+      });
+    }
+
+    const result = await runLdapSync(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: `Synchronisation terminée: ${result.deactivated.length} compte(s) désactivé(s)`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la synchronisation LDAP:', error);
+    res.status(502).json({
+      success: false,
+      message: `Erreur lors de la synchronisation LDAP: ${error.message}`
+    });
+  }
+};
+
+/**
+ * @desc    Déverrouiller un compte bloqué après trop d'échecs de connexion
+ * @route   PATCH /api/users/:id/unlock
+ * @access  Private/Admin
+ */
+const unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findByPk(id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Utilisateur non trouvé'
+      });
+    }
+
+    const oldValue = {
+      failedLoginAttempts: user.failedLoginAttempts,
+      lockedUntil: user.lockedUntil
+    };
+
+    await user.resetFailedLogins();
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'UNLOCK_USER',
+      description: `Compte déverrouillé: ${user.email}`,
+      entityType: 'user',
+      entityId: user.id,
+      oldValue,
+      newValue: { failedLoginAttempts: 0, lockedUntil: null },
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Compte déverrouillé avec succès',
+      data: {
+        user: user.toSafeJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du déverrouillage de l\'utilisateur:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors du déverrouillage de l\'utilisateur'
+    });
+  }
+};
+
+/**
+ * @desc    Se connecter en tant qu'un autre utilisateur (usurpation d'identité pour le support)
+ * @route   POST /api/users/:id/impersonate
+ * @access  Private/Admin
+ */
+const impersonateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+
+    if (req.user.id === parseInt(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Vous ne pouvez pas usurper votre propre identité'
+      });
+    }
+
+    const user = await User.findByPk(id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Utilisateur non trouvé'
+      });
+    }
+
+    // Un admin ne peut pas acquérir les droits d'un autre admin
+    if (user.role === 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Impossible d\'usurper l\'identité d\'un administrateur'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Impossible d\'usurper l\'identité d\'un compte désactivé'
+      });
+    }
+
+    const session = await Session.startImpersonation(user.id, req.user.id, req);
+
+    const token = jwt.sign(
+      {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        sid: session.id,
+        imp: req.user.id
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: `${Session.getImpersonationMinutes()}m` }
+    );
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'IMPERSONATE_START',
+      description: `Usurpation d'identité: ${req.user.email} → ${user.email}`,
+      entityType: 'user',
+      entityId: user.id,
+      oldValue: null,
+      newValue: { sessionId: session.id, expiresAt: session.expiresAt, reason: reason || null },
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Connecté en tant que ${user.firstName} ${user.lastName}`,
+      data: {
+        token,
+        expiresAt: session.expiresAt,
+        user: user.toSafeJSON(),
+        impersonator: {
+          id: req.user.id,
+          email: req.user.email,
+          firstName: req.user.firstName,
+          lastName: req.user.lastName
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'usurpation d\'identité:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de l\'usurpation d\'identité'
+    });
+  }
+};
+
 /**
  * @desc    Obtenir les statistiques d'un utilisateur
  * @route   GET /api/users/:id/stats
@@ -499,9 +763,9 @@ const getUserStats = async (req, res) => {
       }]
     });
 
-    // Compter les tâches assignées
-    const assignedTaskCount = await Task.count({
-      where: { assignedTo: id }
+    // Compter les tâches assignées (assigné principal ou co-assigné)
+    const assignedTaskCount = await TaskAssignee.count({
+      where: { userId: id }
     });
 
     // Compter les tâches créées
@@ -541,6 +805,111 @@ const getUserStats = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Lister les appareils connectés d'un utilisateur
+ * @route   GET /api/users/:id/sessions
+ * @access  Private/Admin
+ */
+const getUserSessions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Vérifier que l'utilisateur existe
+    const user = await User.findByPk(id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Utilisateur non trouvé'
+      });
+    }
+
+    const sessions = await Session.getActiveForUser(user.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => session.toPublicJSON()),
+        total: sessions.length,
+        user: {
+          id: user.id,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          email: user.email
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des sessions'
+    });
+  }
+};
+
+/**
+ * @desc    Réinitialiser la double authentification d'un utilisateur (appareil perdu)
+ * @route   DELETE /api/users/:id/2fa
+ * @access  Private/Admin
+ */
+const resetUserTwoFactor = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.scope('withTwoFactor').findByPk(id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Utilisateur non trouvé'
+      });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'La double authentification n\'est pas activée pour cet utilisateur'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorRecoveryCodes = null;
+    user.twoFactorLastCounter = null;
+    await user.save();
+
+    // Les sessions ouvertes avec l'ancien facteur sont révoquées
+    const revokedSessions = await Session.revokeAllForUser(user.id, '2fa_reset');
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'RESET_2FA',
+      description: `Double authentification réinitialisée par admin: ${user.email}`,
+      entityType: 'user',
+      entityId: user.id,
+      oldValue: { twoFactorEnabled: true },
+      newValue: { twoFactorEnabled: false, revokedSessions },
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Double authentification réinitialisée avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la réinitialisation de la 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la réinitialisation de la double authentification'
+    });
+  }
+};
+
 module.exports = {
   getAllUsers,
   getUserById,
@@ -548,6 +917,11 @@ module.exports = {
   updateUser,
   deleteUser,
   activateUser,
-  getUserStats
+  unlockUser,
+  impersonateUser,
+  syncLdapUsers,
+  getUserStats,
+  getUserSessions,
+  resetUserTwoFactor
 };
 
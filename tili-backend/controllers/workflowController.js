@@ -0,0 +1,575 @@
+const { sequelize, Workflow, Project, Task, Log } = require('../models');
+const { Op } = require('sequelize');
+
+/**
+ * Valider une définition de workflow reçue
+ * @param {Object} res - Objet Express response
+ * @param {Array} statuses
+ * @param {Array} transitions
+ * @returns {boolean} - true si la réponse 400 a été envoyée
+ */
+const rejectInvalidDefinition = (res, statuses, transitions) => {
+  const errors = Workflow.validateDefinition(statuses, transitions);
+
+  if (errors.length === 0) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    code: 'INVALID_WORKFLOW',
+    message: 'Définition de workflow invalide',
+    errors
+  });
+  return true;
+};
+
+/**
+ * Statuts utilisés par des tâches et absents d'une nouvelle liste de statuts
+ * @param {Object} scope - Clause where désignant les tâches concernées
+ * @param {Array} statuses - Nouveaux statuts
+ * @param {Object} statusMapping - { ancienStatut: nouveauStatut }
+ * @returns {Promise<{removed: Array, unmapped: Array}>} - [{ status, count }]
+ */
+const findRemovedStatuses = async (scope, statuses, statusMapping = {}) => {
+  const keys = statuses.map(status => status.key);
+
+  const rows = await Task.findAll({
+    where: { [Op.and]: [scope, { status: { [Op.notIn]: keys } }] },
+    attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['status'],
+    raw: true
+  });
+
+  const removed = rows.map(row => ({ status: row.status, count: parseInt(row.count) }));
+
+  return {
+    removed,
+    unmapped: removed.filter(row => !keys.includes(statusMapping[row.status]))
+  };
+};
+
+/**
+ * Refuser un changement de workflow qui laisserait des tâches sur un statut inexistant
+ * @param {Object} res - Objet Express response
+ * @param {Array} unmapped - [{ status, count }]
+ * @returns {boolean} - true si la réponse 409 a été envoyée
+ */
+const rejectUnmappedStatuses = (res, unmapped) => {
+  if (unmapped.length === 0) {
+    return false;
+  }
+
+  res.status(409).json({
+    success: false,
+    code: 'UNMAPPED_STATUSES',
+    message: 'Des tâches utilisent des statuts absents du workflow : indiquez leur nouveau statut dans statusMapping',
+    data: { statuses: unmapped }
+  });
+  return true;
+};
+
+/**
+ * Reporter les tâches des statuts supprimés sur leur nouveau statut
+ * @param {Object} scope - Clause where désignant les tâches concernées
+ * @param {Array} removed - [{ status, count }]
+ * @param {Object} statusMapping
+ * @param {Object} transaction
+ * @returns {Promise<number>} - Nombre de tâches déplacées
+ */
+const applyStatusMapping = async (scope, removed, statusMapping, transaction) => {
+  let moved = 0;
+
+  for (const row of removed) {
+    const [count] = await Task.update(
+      { status: statusMapping[row.status] },
+      { where: { [Op.and]: [scope, { status: row.status }] }, transaction }
+    );
+    moved += count;
+  }
+
+  return moved;
+};
+
+/**
+ * Transitions autorisées depuis chaque statut (pour l'interface)
+ * @param {Workflow} workflow
+ * @returns {Object} - { statut: [statuts accessibles] }
+ */
+const describeTransitions = (workflow) => {
+  return workflow.statuses.reduce((allowed, status) => {
+    allowed[status.key] = workflow.getAllowedTransitions(status.key);
+    return allowed;
+  }, {});
+};
+
+/**
+ * @desc    Récupérer les workflows partagés
+ * @route   GET /api/workflows
+ * @access  Private
+ */
+const getWorkflows = async (req, res) => {
+  try {
+    await Workflow.getDefault();
+
+    const workflows = await Workflow.findAll({
+      where: { projectId: null },
+      order: [['isDefault', 'DESC'], ['name', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { workflows }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des workflows:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des workflows'
+    });
+  }
+};
+
+/**
+ * @desc    Récupérer un workflow partagé
+ * @route   GET /api/workflows/:id
+ * @access  Private
+ */
+const getWorkflowById = async (req, res) => {
+  try {
+    const workflow = await Workflow.findOne({ where: { id: req.params.id, projectId: null } });
+
+    if (!workflow) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workflow non trouvé'
+      });
+    }
+
+    const projectCount = await Project.count({ where: { workflowId: workflow.id } });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        workflow,
+        allowedTransitions: describeTransitions(workflow),
+        projectCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération du workflow:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération du workflow'
+    });
+  }
+};
+
+/**
+ * @desc    Créer un workflow partagé
+ * @route   POST /api/workflows
+ * @access  Private/Admin
+ */
+const createWorkflow = async (req, res) => {
+  try {
+    const { name, statuses, transitions = [] } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Le nom du workflow est requis'
+      });
+    }
+
+    if (rejectInvalidDefinition(res, statuses, transitions)) {
+      return;
+    }
+
+    const workflow = await Workflow.create({
+      name,
+      statuses,
+      transitions,
+      createdBy: req.user.id
+    });
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'CREATE_WORKFLOW',
+      description: `Workflow créé: ${workflow.name}`,
+      entityType: 'workflow',
+      entityId: workflow.id,
+      oldValue: null,
+      newValue: { name: workflow.name, statuses: workflow.statuses, transitions: workflow.transitions },
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Workflow créé avec succès',
+      data: { workflow }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la création du workflow:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Erreur de validation',
+        errors: error.errors.map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la création du workflow'
+    });
+  }
+};
+
+/**
+ * @desc    Modifier un workflow partagé (les tâches des statuts supprimés sont reportées via statusMapping)
+ * @route   PUT /api/workflows/:id
+ * @access  Private/Admin
+ */
+const updateWorkflow = async (req, res) => {
+  try {
+    const { name, statuses, transitions, statusMapping = {} } = req.body;
+
+    const workflow = await Workflow.findOne({ where: { id: req.params.id, projectId: null } });
+
+    if (!workflow) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workflow non trouvé'
+      });
+    }
+
+    const definition = {
+      statuses: statuses !== undefined ? statuses : workflow.statuses,
+      transitions: transitions !== undefined ? transitions : workflow.transitions
+    };
+
+    if (rejectInvalidDefinition(res, definition.statuses, definition.transitions)) {
+      return;
+    }
+
+    const scope = await workflow.getTaskScope();
+    const { removed, unmapped } = await findRemovedStatuses(scope, definition.statuses, statusMapping);
+
+    if (rejectUnmappedStatuses(res, unmapped)) {
+      return;
+    }
+
+    const oldValue = { name: workflow.name, statuses: workflow.statuses, transitions: workflow.transitions };
+
+    const movedTasks = await sequelize.transaction(async (transaction) => {
+      const moved = await applyStatusMapping(scope, removed, statusMapping, transaction);
+
+      await workflow.update({
+        name: name !== undefined ? name : workflow.name,
+        ...definition
+      }, { transaction });
+
+      await workflow.syncTaskCategories({ transaction });
+      return moved;
+    });
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'UPDATE_WORKFLOW',
+      description: `Workflow modifié: ${workflow.name}`,
+      entityType: 'workflow',
+      entityId: workflow.id,
+      oldValue,
+      newValue: {
+        name: workflow.name,
+        statuses: workflow.statuses,
+        transitions: workflow.transitions,
+        statusMapping: removed.length > 0 ? statusMapping : undefined,
+        movedTasks: movedTasks || undefined
+      },
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Workflow mis à jour avec succès',
+      data: {
+        workflow,
+        movedTasks
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour du workflow:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Erreur de validation',
+        errors: error.errors.map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la mise à jour du workflow'
+    });
+  }
+};
+
+/**
+ * @desc    Supprimer un workflow partagé inutilisé
+ * @route   DELETE /api/workflows/:id
+ * @access  Private/Admin
+ */
+const deleteWorkflow = async (req, res) => {
+  try {
+    const workflow = await Workflow.findOne({ where: { id: req.params.id, projectId: null } });
+
+    if (!workflow) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workflow non trouvé'
+      });
+    }
+
+    if (workflow.isDefault) {
+      return res.status(400).json({
+        success: false,
+        message: 'Le workflow par défaut ne peut pas être supprimé'
+      });
+    }
+
+    const projectCount = await Project.count({ where: { workflowId: workflow.id } });
+    if (projectCount > 0) {
+      return res.status(409).json({
+        success: false,
+        code: 'WORKFLOW_IN_USE',
+        message: `Ce workflow est utilisé par ${projectCount} projet(s)`,
+        data: { projectCount }
+      });
+    }
+
+    // Logger l'action avant la suppression
+    await Log.createLog({
+      action: 'DELETE_WORKFLOW',
+      description: `Workflow supprimé: ${workflow.name}`,
+      entityType: 'workflow',
+      entityId: workflow.id,
+      oldValue: { name: workflow.name, statuses: workflow.statuses, transitions: workflow.transitions },
+      newValue: null,
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    await workflow.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: 'Workflow supprimé avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la suppression du workflow:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la suppression du workflow'
+    });
+  }
+};
+
+/**
+ * @desc    Récupérer le workflow suivi par les tâches d'un projet
+ * @route   GET /api/projects/:id/workflow
+ * @access  Private
+ */
+const getProjectWorkflow = async (req, res) => {
+  try {
+    const project = await Project.findByPk(req.params.id, { attributes: ['id', 'name', 'workflowId'] });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Projet non trouvé'
+      });
+    }
+
+    const workflow = await Workflow.forProject(project.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        workflow,
+        allowedTransitions: describeTransitions(workflow)
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération du workflow du projet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération du workflow du projet'
+    });
+  }
+};
+
+/**
+ * @desc    Changer le workflow d'un projet : workflow partagé (workflowId, null pour le défaut)
+ *          ou workflow propre au projet (statuses, transitions)
+ * @route   PUT /api/projects/:id/workflow
+ * @access  Private (Lead ou Admin)
+ */
+const setProjectWorkflow = async (req, res) => {
+  try {
+    const { workflowId, name, statuses, transitions = [], statusMapping = {} } = req.body;
+
+    const project = await Project.findByPk(req.params.id, { attributes: ['id', 'name', 'workflowId'] });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Projet non trouvé'
+      });
+    }
+
+    if ((workflowId !== undefined) === (statuses !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Indiquez soit workflowId (workflow partagé), soit statuses (workflow propre au projet)'
+      });
+    }
+
+    // Définition cible : workflow partagé existant, ou workflow propre au projet
+    let shared = null;
+    let definition;
+
+    if (workflowId !== undefined) {
+      shared = workflowId === null
+        ? await Workflow.getDefault()
+        : await Workflow.findOne({ where: { id: workflowId, projectId: null } });
+
+      if (!shared) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workflow non trouvé'
+        });
+      }
+
+      definition = { statuses: shared.statuses, transitions: shared.transitions };
+    } else {
+      if (rejectInvalidDefinition(res, statuses, transitions)) {
+        return;
+      }
+
+      definition = { statuses, transitions };
+    }
+
+    const scope = { projectId: project.id };
+    const { removed, unmapped } = await findRemovedStatuses(scope, definition.statuses, statusMapping);
+
+    if (rejectUnmappedStatuses(res, unmapped)) {
+      return;
+    }
+
+    const oldWorkflow = await Workflow.forProject(project.id);
+
+    const { workflow, movedTasks } = await sequelize.transaction(async (transaction) => {
+      let target = shared;
+
+      if (!target) {
+        const [own] = await Workflow.findOrCreate({
+          where: { projectId: project.id },
+          defaults: { name: name || `Workflow ${project.name}`, ...definition, createdBy: req.user.id },
+          transaction
+        });
+
+        target = await own.update({ name: name || own.name, ...definition }, { transaction });
+      }
+
+      const moved = await applyStatusMapping(scope, removed, statusMapping, transaction);
+
+      // Le workflow par défaut s'applique sans référence explicite
+      await project.update({ workflowId: target.isDefault ? null : target.id }, { transaction });
+
+      // Un workflow propre abandonné pour un workflow partagé est supprimé
+      if (shared) {
+        await Workflow.destroy({ where: { projectId: project.id }, transaction });
+      }
+
+      await target.syncTaskCategories({ transaction });
+      return { workflow: target, movedTasks: moved };
+    });
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'SET_PROJECT_WORKFLOW',
+      description: `Workflow du projet ${project.name}: ${workflow.name}`,
+      entityType: 'project',
+      entityId: project.id,
+      oldValue: { workflowId: oldWorkflow.id, statuses: oldWorkflow.statuses.map(status => status.key) },
+      newValue: {
+        workflowId: workflow.id,
+        statuses: workflow.statuses.map(status => status.key),
+        statusMapping: removed.length > 0 ? statusMapping : undefined,
+        movedTasks: movedTasks || undefined
+      },
+      performedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Workflow du projet mis à jour avec succès',
+      data: {
+        workflow,
+        allowedTransitions: describeTransitions(workflow),
+        movedTasks
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du changement de workflow du projet:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Erreur de validation',
+        errors: error.errors.map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors du changement de workflow du projet'
+    });
+  }
+};
+
+module.exports = {
+  getWorkflows,
+  getWorkflowById,
+  createWorkflow,
+  updateWorkflow,
+  deleteWorkflow,
+  getProjectWorkflow,
+  setProjectWorkflow
+};
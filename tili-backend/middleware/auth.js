@@ -1,11 +1,66 @@
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { User, Session, PersonalAccessToken } = require('../models');
+const { runWithContext } = require('../utils/requestContext');
+const { isPasswordChangeRequired } = require('../utils/passwordPolicy');
 
 /**
- * Middleware pour protéger les routes (vérifier JWT)
- * @desc Vérifie le token JWT et ajoute l'utilisateur à req.user
+ * Vérifier que la session rattachée au token est toujours valide
+ * @param {Object} decoded - Payload JWT décodé
+ * @returns {Promise<Session|null>} - La session si elle est active, sinon null
  */
-const protect = async (req, res, next) => {
+const findActiveSession = async (decoded) => {
+  if (!decoded.sid) return null;
+
+  const session = await Session.findByPk(decoded.sid);
+
+  if (!session || session.userId !== decoded.id || !session.isActive()) {
+    return null;
+  }
+
+  return session;
+};
+
+/**
+ * Retrouver un token personnel encore valide à partir de sa valeur en clair
+ * @param {string} token
+ * @returns {Promise<PersonalAccessToken|null>}
+ */
+const findActiveAccessToken = async (token) => {
+  const accessToken = await PersonalAccessToken.findByToken(token);
+
+  if (!accessToken || !accessToken.isActive()) {
+    return null;
+  }
+
+  return accessToken;
+};
+
+/**
+ * Retrouver l'administrateur d'une session d'usurpation d'identité
+ * @param {Session} session
+ * @returns {Promise<User|null>} - null si l'administrateur n'est plus un admin actif
+ */
+const findImpersonator = async (session) => {
+  const impersonator = await User.findByPk(session.impersonatorId);
+
+  if (!impersonator || !impersonator.isActive || impersonator.role !== 'admin') {
+    return null;
+  }
+
+  return impersonator;
+};
+
+/**
+ * Créer un middleware de protection des routes (vérifier JWT ou token personnel)
+ * @desc Vérifie le token JWT ou le token d'accès personnel et ajoute l'utilisateur à req.user
+ * @param {Object} options
+ * @param {boolean} options.allowAccessToken - Accepter les tokens personnels (défaut: true)
+ * @param {boolean} options.allowUnverified - Laisser passer les comptes dont l'email n'est pas vérifié
+ * @param {boolean} options.allowTwoFactorSetup - Laisser passer les comptes devant encore activer la 2FA
+ * @param {boolean} options.allowPasswordChange - Laisser passer les comptes dont le mot de passe a expiré
+ * @returns {Function} Middleware
+ */
+const authenticate = (options = {}) => async (req, res, next) => {
   try {
     let token;
 
@@ -27,11 +82,63 @@ const protect = async (req, res, next) => {
     }
 
     try {
-      // Vérifier et décoder le token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      let session = null;
+      let accessToken = null;
+      let impersonator = null;
+      let userId;
+
+      if (PersonalAccessToken.isAccessToken(token)) {
+        // Token personnel : refusé sur les routes de gestion du compte
+        if (options.allowAccessToken === false) {
+          return res.status(403).json({
+            success: false,
+            code: 'ACCESS_TOKEN_NOT_ALLOWED',
+            message: 'Cette action nécessite une connexion avec vos identifiants'
+          });
+        }
+
+        accessToken = await findActiveAccessToken(token);
+
+        if (!accessToken) {
+          return res.status(401).json({
+            success: false,
+            message: 'Token d\'accès révoqué ou expiré'
+          });
+        }
+
+        userId = accessToken.userId;
+      } else {
+        // Vérifier et décoder le token
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        // Vérifier que la session n'a pas été révoquée
+        session = await findActiveSession(decoded);
+
+        if (!session) {
+          return res.status(401).json({
+            success: false,
+            message: 'Session révoquée ou expirée'
+          });
+        }
+
+        // Session d'usurpation : l'administrateur doit toujours en avoir le droit
+        if (session.isImpersonation()) {
+          impersonator = await findImpersonator(session);
+
+          if (!impersonator) {
+            await session.revoke('impersonator_invalid');
+            return res.status(401).json({
+              success: false,
+              message: 'Session d\'usurpation d\'identité invalide'
+            });
+          }
+        }
+
+        userId = decoded.id;
+      }
 
       // Récupérer l'utilisateur depuis la base de données (sans le password)
-      const user = await User.findByPk(decoded.id);
+      const user = await User.findByPk(userId);
 
       if (!user) {
         return res.status(401).json({
@@ -48,9 +155,50 @@ const protect = async (req, res, next) => {
         });
       }
 
-      // Ajouter l'utilisateur à la requête
+      // Bloquer les comptes non vérifiés (sauf routes explicitement autorisées)
+      if (!user.emailVerified && !options.allowUnverified) {
+        return res.status(403).json({
+          success: false,
+          code: 'EMAIL_NOT_VERIFIED',
+          message: 'Veuillez vérifier votre adresse email avant de continuer'
+        });
+      }
+
+      // Bloquer les comptes soumis à la 2FA obligatoire tant qu'ils ne l'ont pas activée
+      if (!options.allowTwoFactorSetup && !user.twoFactorEnabled && await user.isTwoFactorRequired()) {
+        return res.status(403).json({
+          success: false,
+          code: 'TWO_FACTOR_SETUP_REQUIRED',
+          message: 'La double authentification est obligatoire pour votre rôle. Veuillez l\'activer.'
+        });
+      }
+
+      // Bloquer les comptes dont le mot de passe a expiré tant qu'ils ne l'ont pas changé
+      if (!options.allowPasswordChange && await isPasswordChangeRequired(user)) {
+        return res.status(403).json({
+          success: false,
+          code: 'PASSWORD_CHANGE_REQUIRED',
+          message: 'Votre mot de passe a expiré. Veuillez le changer pour continuer.'
+        });
+      }
+
+      // Mettre à jour la dernière activité de l'appareil ou du token
+      if (session) {
+        await session.touch(req);
+      } else {
+        await accessToken.touch(req);
+      }
+
+      // Ajouter l'utilisateur et la session (ou le token personnel) à la requête
+      // Pendant une usurpation, req.user est l'utilisateur usurpé et req.user.impersonator l'administrateur
+      user.impersonator = impersonator;
       req.user = user;
-      next();
+      req.impersonator = impersonator;
+      req.authSession = session;
+      req.accessToken = accessToken;
+
+      // Les logs écrits pendant la requête enregistrent l'administrateur réel
+      runWithContext({ impersonatorId: impersonator ? impersonator.id : null }, next);
 
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
@@ -79,6 +227,16 @@ const protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware pour protéger les routes (comptes actifs et vérifiés)
+ */
+const protect = authenticate();
+
+/**
+ * Middleware pour les routes de gestion du compte (sessions JWT uniquement)
+ */
+const protectSession = authenticate({ allowAccessToken: false });
+
 /**
  * Middleware pour vérifier le rôle de l'utilisateur
  * @param {...string} roles - Rôles autorisés
@@ -104,6 +262,45 @@ const authorize = (...roles) => {
   };
 };
 
+/**
+ * Middleware pour interdire une action sensible pendant une usurpation d'identité
+ */
+const forbidImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      success: false,
+      code: 'IMPERSONATION_FORBIDDEN',
+      message: 'Action interdite pendant une usurpation d\'identité'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware pour vérifier les scopes d'un token personnel
+ * Les requêtes authentifiées par session JWT ne sont pas concernées
+ * @param {...string} scopes - Scopes requis (ex: 'tasks:read')
+ * @returns {Function} Middleware
+ */
+const requireScope = (...scopes) => {
+  return (req, res, next) => {
+    if (!req.accessToken) {
+      return next();
+    }
+
+    if (!req.accessToken.hasScopes(scopes)) {
+      return res.status(403).json({
+        success: false,
+        code: 'INSUFFICIENT_SCOPE',
+        message: `Accès refusé - Scope(s) requis: ${scopes.join(', ')}`
+      });
+    }
+
+    next();
+  };
+};
+
 /**
  * Middleware optionnel - ajoute l'utilisateur si token présent, sinon continue
  * Utile pour les routes publiques qui peuvent bénéficier d'infos utilisateur
@@ -121,11 +318,23 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findByPk(decoded.id);
+        let session = null;
+        let accessToken = null;
+        let user = null;
+
+        if (PersonalAccessToken.isAccessToken(token)) {
+          accessToken = await findActiveAccessToken(token);
+          user = accessToken ? await User.findByPk(accessToken.userId) : null;
+        } else {
+          const decoded = jwt.verify(token, process.env.JWT_SECRET);
+          session = await findActiveSession(decoded);
+          user = session ? await User.findByPk(decoded.id) : null;
+        }
 
-        if (user && user.isActive) {
+        if (user && user.isActive && user.emailVerified) {
           req.user = user;
+          req.authSession = session;
+          req.accessToken = accessToken;
         }
       } catch (error) {
         // Ignorer les erreurs de token pour optionalAuth
@@ -141,8 +350,12 @@ const optionalAuth = async (req, res, next) => {
 };
 
 module.exports = {
+  authenticate,
   protect,
+  protectSession,
   authorize,
+  forbidImpersonation,
+  requireScope,
   optionalAuth
 };
 
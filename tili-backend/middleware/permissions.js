@@ -0,0 +1,51 @@
+const { can, getResourceType, RESOURCE_MODELS } = require('../utils/permissions');
+
+/**
+ * Exiger une capacité du moteur de permissions (utils/permissions.js)
+ * Par défaut, la ressource est chargée depuis req.params.id selon le type de la capacité.
+ * Si elle n'existe pas, la requête continue pour que le contrôleur renvoie son 404.
+ * @param {string} ability - Capacité `<ressource>.<action>` (ex: task.update)
+ * @param {Function|string} [loadResource] - (req) => ressource (ex: req => req.body pour une création),
+ *                                           ou nom du paramètre de route portant l'ID (ex: 'projectId')
+ * @returns {Function} - Middleware Express
+ */
+const requirePermission = (ability, loadResource = null) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Non autorisé'
+      });
+    }
+
+    try {
+      const resource = typeof loadResource === 'function'
+        ? await loadResource(req)
+        : await RESOURCE_MODELS[getResourceType(ability)].findByPk(req.params[loadResource || 'id']);
+
+      if (!resource) {
+        return next();
+      }
+
+      if (!(await can(req.user, ability, resource))) {
+        return res.status(403).json({
+          success: false,
+          code: 'PERMISSION_DENIED',
+          message: `Accès refusé - Permission requise: ${ability}`
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Erreur lors de la vérification des permissions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la vérification des permissions'
+      });
+    }
+  };
+};
+
+module.exports = {
+  requirePermission
+};
@@ -0,0 +1,129 @@
+module.exports = (sequelize, DataTypes) => {
+  const Label = sequelize.define('Label', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'Le nom de l\'étiquette est requis'
+        },
+        len: {
+          args: [1, 50],
+          msg: 'Le nom de l\'étiquette doit contenir entre 1 et 50 caractères'
+        }
+      }
+    },
+    color: {
+      type: DataTypes.STRING(7),
+      allowNull: false,
+      defaultValue: '#6B7280',
+      validate: {
+        is: {
+          args: /^#[0-9A-Fa-f]{6}$/,
+          msg: 'La couleur doit être au format hexadécimal #RRGGBB'
+        }
+      }
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    projectId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'projects',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      comment: 'Étiquette propre à un projet'
+    },
+    teamId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'teams',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      comment: 'Étiquette partagée par les projets et tâches d\'une équipe'
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    }
+  }, {
+    tableName: 'labels',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['projectId', 'name']
+      },
+      {
+        unique: true,
+        fields: ['teamId', 'name']
+      }
+    ],
+    validate: {
+      projectOrTeam() {
+        if (!this.projectId === !this.teamId) {
+          throw new Error('Une étiquette appartient soit à un projet, soit à une équipe');
+        }
+      }
+    }
+  });
+
+  /**
+   * Clause where des étiquettes utilisables dans un périmètre :
+   * celles du projet et de son équipe, ou celles de l'équipe pour une tâche d'équipe
+   * @param {Object} scope - { projectId, teamId }
+   * @param {Object} [options] - { transaction }
+   * @returns {Promise<Object|null>} - null si le périmètre n'a pas d'étiquettes
+   */
+  Label.getAvailableWhere = async function({ projectId, teamId }, { transaction } = {}) {
+    const { Op } = sequelize.Sequelize;
+
+    if (projectId) {
+      const project = await sequelize.models.Project.findByPk(projectId, { attributes: ['id', 'teamId'], transaction });
+      if (!project) return null;
+
+      return project.teamId
+        ? { [Op.or]: [{ projectId: project.id }, { teamId: project.teamId }] }
+        : { projectId: project.id };
+    }
+
+    return teamId ? { teamId } : null;
+  };
+
+  /**
+   * Vérifier qu'une étiquette peut en remplacer une autre partout où celle-ci est posée
+   * (même périmètre, ou étiquette de projet fusionnée dans une étiquette de l'équipe du projet)
+   * @param {Label} target
+   * @returns {Promise<boolean>}
+   */
+  Label.prototype.canMergeInto = async function(target) {
+    if (target.id === this.id) return false;
+
+    if (this.projectId) {
+      if (target.projectId === this.projectId) return true;
+
+      const project = await sequelize.models.Project.findByPk(this.projectId, { attributes: ['id', 'teamId'] });
+      return !!project && !!target.teamId && target.teamId === project.teamId;
+    }
+
+    return target.teamId === this.teamId;
+  };
+
+  return Label;
+};
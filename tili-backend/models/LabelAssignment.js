@@ -0,0 +1,135 @@
+module.exports = (sequelize, DataTypes) => {
+  const ENTITY_TYPES = ['task', 'project', 'document'];
+
+  const LabelAssignment = sequelize.define('LabelAssignment', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    labelId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'labels',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    entityType: {
+      type: DataTypes.ENUM(...ENTITY_TYPES),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [ENTITY_TYPES],
+          msg: 'Le type d\'entité doit être task, project ou document'
+        }
+      }
+    },
+    entityId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    }
+  }, {
+    tableName: 'label_assignments',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['labelId', 'entityType', 'entityId']
+      },
+      {
+        fields: ['entityType', 'entityId']
+      }
+    ]
+  });
+
+  LabelAssignment.ENTITY_TYPES = ENTITY_TYPES;
+
+  /**
+   * Identifiants des entités portant les étiquettes demandées
+   * @param {string} entityType
+   * @param {Array<number>} labelIds
+   * @param {string} [match] - 'any' (au moins une) ou 'all' (toutes)
+   * @returns {Promise<Array<number>>}
+   */
+  LabelAssignment.findEntityIds = async function(entityType, labelIds, match = 'any') {
+    const rows = await LabelAssignment.findAll({
+      where: { entityType, labelId: labelIds },
+      attributes: ['entityId'],
+      group: ['entityId'],
+      having: match === 'all'
+        ? sequelize.where(sequelize.fn('COUNT', sequelize.fn('DISTINCT', sequelize.col('labelId'))), labelIds.length)
+        : undefined,
+      raw: true
+    });
+
+    return rows.map(row => row.entityId);
+  };
+
+  /**
+   * Remplacer les étiquettes d'une entité
+   * @param {string} entityType
+   * @param {number} entityId
+   * @param {Array<number>} labelIds - Étiquettes à conserver ou poser
+   * @param {Object} [options] - { createdBy, transaction }
+   * @returns {Promise<{added: Array<number>, removed: Array<number>}>}
+   */
+  LabelAssignment.replaceFor = async function(entityType, entityId, labelIds, { createdBy = null, transaction } = {}) {
+    const { Op } = sequelize.Sequelize;
+
+    const current = await LabelAssignment.findAll({
+      where: { entityType, entityId },
+      attributes: ['labelId'],
+      transaction
+    });
+    const currentIds = current.map(assignment => assignment.labelId);
+
+    const added = labelIds.filter(labelId => !currentIds.includes(labelId));
+    const removed = currentIds.filter(labelId => !labelIds.includes(labelId));
+
+    if (removed.length > 0) {
+      await LabelAssignment.destroy({
+        where: { entityType, entityId, labelId: { [Op.in]: removed } },
+        transaction
+      });
+    }
+
+    if (added.length > 0) {
+      await LabelAssignment.bulkCreate(
+        added.map(labelId => ({ labelId, entityType, entityId, createdBy })),
+        { transaction }
+      );
+    }
+
+    return { added, removed };
+  };
+
+  /**
+   * Retirer les étiquettes d'entités supprimées (pas de clé étrangère sur entityId)
+   * @param {string} entityType
+   * @param {Array<number>} entityIds
+   * @param {Object} [options] - { transaction }
+   * @returns {Promise<number>}
+   */
+  LabelAssignment.detach = async function(entityType, entityIds, { transaction } = {}) {
+    if (entityIds.length === 0) return 0;
+
+    return await LabelAssignment.destroy({
+      where: { entityType, entityId: entityIds },
+      transaction
+    });
+  };
+
+  return LabelAssignment;
+};
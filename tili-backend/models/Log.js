@@ -1,3 +1,5 @@
+const { getRequestContext } = require('../utils/requestContext');
+
 module.exports = (sequelize, DataTypes) => {
   const Log = sequelize.define('Log', {
     id: {
@@ -62,6 +64,20 @@ module.exports = (sequelize, DataTypes) => {
         }
       }
     },
+    impersonatorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Administrateur réellement à l\'origine de l\'action (usurpation d\'identité)'
+    },
+    batchId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Identifiant commun aux logs d\'une opération groupée (POST /api/tasks/bulk)'
+    },
     ipAddress: {
       type: DataTypes.STRING(45),
       allowNull: true,
@@ -89,12 +105,31 @@ module.exports = (sequelize, DataTypes) => {
       {
         fields: ['performedBy']
       },
+      {
+        fields: ['impersonatorId']
+      },
+      {
+        fields: ['batchId']
+      },
       {
         fields: ['timestamp']
       }
     ]
   });
 
+  // ============================================
+  // HOOKS
+  // ============================================
+
+  // Pendant une usurpation d'identité, chaque log enregistre l'administrateur réel
+  Log.beforeCreate((log) => {
+    const context = getRequestContext();
+
+    if (context && context.impersonatorId && !log.impersonatorId) {
+      log.impersonatorId = context.impersonatorId;
+    }
+  });
+
   // ============================================
   // MÉTHODES STATIQUES
   // ============================================
@@ -104,7 +139,7 @@ module.exports = (sequelize, DataTypes) => {
    * @param {Object} logData
    * @returns {Promise<Log>}
    */
-  Log.createLog = async function({ action, description, entityType, entityId, oldValue, newValue, performedBy, ipAddress, userAgent }) {
+  Log.createLog = async function({ action, description, entityType, entityId, oldValue, newValue, performedBy, ipAddress, userAgent, batchId = null }) {
     return await Log.create({
       action,
       description,
@@ -115,6 +150,7 @@ module.exports = (sequelize, DataTypes) => {
       performedBy,
       ipAddress,
       userAgent,
+      batchId,
       timestamp: new Date()
     });
   };
@@ -133,6 +169,11 @@ module.exports = (sequelize, DataTypes) => {
           model: sequelize.models.User,
           as: 'user',
           attributes: ['id', 'firstName', 'lastName', 'email']
+        },
+        {
+          model: sequelize.models.User,
+          as: 'impersonator',
+          attributes: ['id', 'firstName', 'lastName', 'email']
         }
       ]
     });
@@ -167,6 +208,11 @@ module.exports = (sequelize, DataTypes) => {
           model: sequelize.models.User,
           as: 'user',
           attributes: ['id', 'firstName', 'lastName']
+        },
+        {
+          model: sequelize.models.User,
+          as: 'impersonator',
+          attributes: ['id', 'firstName', 'lastName']
         }
       ]
     });
@@ -0,0 +1,73 @@
+module.exports = (sequelize, DataTypes) => {
+  const LoginAttempt = sequelize.define('LoginAttempt', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    identifier: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Email ou username saisi (le compte peut ne pas exister)'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    ipAddress: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+      comment: 'Support IPv4 et IPv6'
+    },
+    success: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    timestamp: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'login_attempts',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['ipAddress', 'timestamp']
+      },
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  // ============================================
+  // MÉTHODES STATIQUES
+  // ============================================
+
+  /**
+   * Compter les échecs récents depuis une adresse IP
+   * @param {string} ipAddress
+   * @param {number} windowMinutes - Fenêtre d'observation en minutes
+   * @returns {Promise<number>}
+   */
+  LoginAttempt.countRecentFailuresByIp = async function(ipAddress, windowMinutes) {
+    return await LoginAttempt.count({
+      where: {
+        ipAddress,
+        success: false,
+        timestamp: {
+          [sequelize.Sequelize.Op.gte]: new Date(Date.now() - windowMinutes * 60 * 1000)
+        }
+      }
+    });
+  };
+
+  return LoginAttempt;
+};
@@ -0,0 +1,81 @@
+module.exports = (sequelize, DataTypes) => {
+  const OidcAuthRequest = sequelize.define('OidcAuthRequest', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    state: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    codeVerifier: {
+      type: DataTypes.STRING(128),
+      allowNull: false,
+      comment: 'code_verifier PKCE, conservé côté serveur jusqu\'au callback'
+    },
+    nonce: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    ipAddress: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    }
+  }, {
+    tableName: 'oidc_auth_requests',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['state']
+      },
+      {
+        fields: ['expiresAt']
+      }
+    ]
+  });
+
+  // ============================================
+  // MÉTHODES STATIQUES
+  // ============================================
+
+  /**
+   * Enregistrer une demande d'autorisation en cours (valable 10 minutes)
+   * @param {Object} data - { state, codeVerifier, nonce, ipAddress }
+   * @returns {Promise<OidcAuthRequest>}
+   */
+  OidcAuthRequest.start = async function(data) {
+    // Nettoyer les demandes abandonnées
+    await OidcAuthRequest.destroy({
+      where: { expiresAt: { [sequelize.Sequelize.Op.lt]: new Date() } }
+    });
+
+    return await OidcAuthRequest.create({
+      ...data,
+      expiresAt: new Date(Date.now() + 10 * 60 * 1000)
+    });
+  };
+
+  /**
+   * Consommer une demande par son state (usage unique)
+   * @param {string} state
+   * @returns {Promise<OidcAuthRequest|null>} - null si inconnue ou expirée
+   */
+  OidcAuthRequest.consume = async function(state) {
+    const request = await OidcAuthRequest.findOne({ where: { state } });
+
+    if (!request) return null;
+
+    await request.destroy();
+
+    return new Date(request.expiresAt) > new Date() ? request : null;
+  };
+
+  return OidcAuthRequest;
+};
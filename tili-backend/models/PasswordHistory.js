@@ -0,0 +1,84 @@
+module.exports = (sequelize, DataTypes) => {
+  const PasswordHistory = sequelize.define('PasswordHistory', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    passwordHash: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Hash bcrypt d\'un ancien mot de passe'
+    }
+  }, {
+    tableName: 'password_history',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['userId', 'createdAt']
+      }
+    ]
+  });
+
+  // Nombre maximal de mots de passe conservés par utilisateur
+  PasswordHistory.MAX_HISTORY = 24;
+
+  // ============================================
+  // MÉTHODES STATIQUES
+  // ============================================
+
+  /**
+   * Enregistrer un mot de passe dans l'historique et supprimer les plus anciens
+   * @param {number} userId
+   * @param {string} passwordHash
+   * @param {Object} [options] - Options Sequelize (transaction)
+   * @returns {Promise<void>}
+   */
+  PasswordHistory.record = async function(userId, passwordHash, options = {}) {
+    await PasswordHistory.create({ userId, passwordHash }, { transaction: options.transaction });
+
+    const obsolete = await PasswordHistory.findAll({
+      where: { userId },
+      attributes: ['id'],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      offset: PasswordHistory.MAX_HISTORY,
+      transaction: options.transaction
+    });
+
+    if (obsolete.length > 0) {
+      await PasswordHistory.destroy({
+        where: { id: obsolete.map(entry => entry.id) },
+        transaction: options.transaction
+      });
+    }
+  };
+
+  /**
+   * Obtenir les hash des derniers mots de passe d'un utilisateur
+   * @param {number} userId
+   * @param {number} count
+   * @returns {Promise<string[]>}
+   */
+  PasswordHistory.getRecentHashes = async function(userId, count) {
+    const entries = await PasswordHistory.findAll({
+      where: { userId },
+      attributes: ['passwordHash'],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: count
+    });
+
+    return entries.map(entry => entry.passwordHash);
+  };
+
+  return PasswordHistory;
+};
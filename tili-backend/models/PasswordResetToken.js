@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+
+module.exports = (sequelize, DataTypes) => {
+  const PasswordResetToken = sequelize.define('PasswordResetToken', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: 'SHA-256 du token envoyé par email (jamais stocké en clair)'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    requestedIp: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    }
+  }, {
+    tableName: 'password_reset_tokens',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['tokenHash']
+      },
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  // ============================================
+  // MÉTHODES D'INSTANCE
+  // ============================================
+
+  /**
+   * Vérifier si le token peut encore être utilisé
+   * @returns {boolean}
+   */
+  PasswordResetToken.prototype.isUsable = function() {
+    return !this.usedAt && new Date(this.expiresAt) > new Date();
+  };
+
+  /**
+   * Consommer le token (usage unique, sûr en cas de requêtes simultanées)
+   * @param {Object} [options] - Options Sequelize (transaction)
+   * @returns {Promise<boolean>} - false si le token a été utilisé ou a expiré entre-temps
+   */
+  PasswordResetToken.prototype.consume = async function(options = {}) {
+    const { Op } = sequelize.Sequelize;
+    const usedAt = new Date();
+
+    const [affected] = await PasswordResetToken.update(
+      { usedAt },
+      {
+        where: { id: this.id, usedAt: null, expiresAt: { [Op.gt]: usedAt } },
+        transaction: options.transaction
+      }
+    );
+
+    if (affected === 0) return false;
+
+    this.usedAt = usedAt;
+    return true;
+  };
+
+  // ============================================
+  // MÉTHODES STATIQUES
+  // ============================================
+
+  /**
+   * Hasher un token pour le stockage
+   * @param {string} token
+   * @returns {string}
+   */
+  PasswordResetToken.hashToken = function(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  };
+
+  /**
+   * Créer un token de réinitialisation (invalide les demandes précédentes)
+   * @param {number} userId
+   * @param {string} requestedIp
+   * @returns {Promise<string>} - Le token en clair, à envoyer par email
+   */
+  PasswordResetToken.issue = async function(userId, requestedIp) {
+    const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await PasswordResetToken.update(
+      { usedAt: new Date() },
+      { where: { userId, usedAt: null } }
+    );
+
+    await PasswordResetToken.create({
+      userId,
+      tokenHash: PasswordResetToken.hashToken(token),
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+      requestedIp: requestedIp || null
+    });
+
+    return token;
+  };
+
+  /**
+   * Trouver un token par sa valeur en clair
+   * @param {string} token
+   * @returns {Promise<PasswordResetToken|null>}
+   */
+  PasswordResetToken.findByToken = async function(token) {
+    return await PasswordResetToken.findOne({
+      where: { tokenHash: PasswordResetToken.hashToken(token) }
+    });
+  };
+
+  return PasswordResetToken;
+};
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+
+// Préfixe permettant de distinguer un token personnel d'un JWT
+const TOKEN_PREFIX = 'tili_pat_';
+
+// Scopes disponibles : <ressource>:<read|write>
+const RESOURCES = ['projects', 'tasks', 'documents', 'meetings', 'comments', 'teams', 'users', 'timesheets', 'labels'];
+const SCOPES = RESOURCES.flatMap(resource => [`${resource}:read`, `${resource}:write`]);
+
+module.exports = (sequelize, DataTypes) => {
+  const PersonalAccessToken = sequelize.define('PersonalAccessToken', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'Le nom du token est requis'
+        },
+        len: {
+          args: [1, 100],
+          msg: 'Le nom du token doit contenir au maximum 100 caractères'
+        }
+      }
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: 'SHA-256 du token (jamais stocké en clair)'
+    },
+    tokenHint: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      comment: 'Derniers caractères du token, pour l\'identifier dans la liste'
+    },
+    scopes: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      validate: {
+        isValidScopes(value) {
+          if (!Array.isArray(value) || value.length === 0) {
+            throw new Error('Au moins un scope est requis');
+          }
+
+          const invalid = value.filter(scope => !SCOPES.includes(scope));
+          if (invalid.length > 0) {
+            throw new Error(`Scope(s) invalide(s): ${invalid.join(', ')}`);
+          }
+        }
+      }
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'null = pas d\'expiration'
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastUsedIp: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'personal_access_tokens',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['tokenHash']
+      },
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  // ============================================
+  // MÉTHODES D'INSTANCE
+  // ============================================
+
+  /**
+   * Vérifier si le token est encore utilisable
+   * @returns {boolean}
+   */
+  PersonalAccessToken.prototype.isActive = function() {
+    if (this.revokedAt) return false;
+    return !this.expiresAt || new Date(this.expiresAt) > new Date();
+  };
+
+  /**
+   * Vérifier que le token possède tous les scopes demandés
+   * @param {string[]} scopes
+   * @returns {boolean}
+   */
+  PersonalAccessToken.prototype.hasScopes = function(scopes) {
+    const granted = this.scopes || [];
+    return scopes.every(scope => granted.includes(scope));
+  };
+
+  /**
+   * Enregistrer la dernière utilisation (au plus une écriture par minute)
+   * @param {Object} req - Objet Express request
+   * @returns {Promise<PersonalAccessToken>}
+   */
+  PersonalAccessToken.prototype.touch = async function(req) {
+    const lastUsed = this.lastUsedAt ? new Date(this.lastUsedAt).getTime() : 0;
+    if (Date.now() - lastUsed < 60 * 1000) return this;
+
+    this.lastUsedAt = new Date();
+    if (req) {
+      this.lastUsedIp = req.ip || this.lastUsedIp;
+    }
+    return await this.save();
+  };
+
+  /**
+   * Retourner les informations affichables du token (sans le hash)
+   * @returns {Object}
+   */
+  PersonalAccessToken.prototype.toPublicJSON = function() {
+    return {
+      id: this.id,
+      name: this.name,
+      tokenHint: this.tokenHint,
+      scopes: this.scopes,
+      expiresAt: this.expiresAt,
+      lastUsedAt: this.lastUsedAt,
+      lastUsedIp: this.lastUsedIp,
+      revokedAt: this.revokedAt,
+      active: this.isActive(),
+      createdAt: this.createdAt
+    };
+  };
+
+  // ============================================
+  // MÉTHODES STATIQUES
+  // ============================================
+
+  PersonalAccessToken.TOKEN_PREFIX = TOKEN_PREFIX;
+  PersonalAccessToken.SCOPES = SCOPES;
+
+  /**
+   * Vérifier si une valeur Bearer a le format d'un token personnel
+   * @param {string} token
+   * @returns {boolean}
+   */
+  PersonalAccessToken.isAccessToken = function(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+  };
+
+  /**
+   * Hasher un token pour le stockage
+   * @param {string} token
+   * @returns {string}
+   */
+  PersonalAccessToken.hashToken = function(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  };
+
+  /**
+   * Créer un token personnel
+   * @param {number} userId
+   * @param {Object} data - { name, scopes, expiresAt }
+   * @returns {Promise<{accessToken: PersonalAccessToken, token: string}>} - Le token en clair n'est retourné qu'ici
+   */
+  PersonalAccessToken.issue = async function(userId, { name, scopes, expiresAt = null }) {
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+
+    const accessToken = await PersonalAccessToken.create({
+      userId,
+      name,
+      scopes,
+      expiresAt,
+      tokenHash: PersonalAccessToken.hashToken(token),
+      tokenHint: token.slice(-6)
+    });
+
+    return { accessToken, token };
+  };
+
+  /**
+   * Trouver un token par sa valeur en clair
+   * @param {string} token
+   * @returns {Promise<PersonalAccessToken|null>}
+   */
+  PersonalAccessToken.findByToken = async function(token) {
+    return await PersonalAccessToken.findOne({
+      where: { tokenHash: PersonalAccessToken.hashToken(token) }
+    });
+  };
+
+  return PersonalAccessToken;
+};
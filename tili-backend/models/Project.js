@@ -75,6 +75,28 @@ module.exports = (sequelize, DataTypes) => {
       },
       onDelete: 'SET NULL'
     },
+    dependencyEnforcement: {
+      type: DataTypes.ENUM('warn', 'block'),
+      allowNull: false,
+      defaultValue: 'warn',
+      validate: {
+        isIn: {
+          args: [['warn', 'block']],
+          msg: 'Le contrôle des dépendances doit être warn ou block'
+        }
+      },
+      comment: 'Changement de statut avec des prérequis non terminés : avertir ou bloquer'
+    },
+    workflowId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'workflows',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      comment: 'Workflow des tâches (null = workflow par défaut)'
+    },
     chefProjet: {
       type: DataTypes.INTEGER,
       allowNull: true,
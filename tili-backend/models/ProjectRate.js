@@ -0,0 +1,70 @@
+module.exports = (sequelize, DataTypes) => {
+  const ProjectRate = sequelize.define('ProjectRate', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    projectId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'projects',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      comment: 'Taux propre à un utilisateur sur ce projet'
+    },
+    projectRole: {
+      type: DataTypes.ENUM('lead', 'member', 'consultant', 'observer'),
+      allowNull: true,
+      comment: 'Taux des membres ayant ce rôle sur le projet'
+    },
+    hourlyRate: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: {
+          args: [0],
+          msg: 'Le taux horaire ne peut pas être négatif'
+        }
+      }
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    }
+  }, {
+    tableName: 'project_rates',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['projectId', 'userId', 'projectRole']
+      }
+    ],
+    validate: {
+      userOrRole() {
+        if (!this.userId === !this.projectRole) {
+          throw new Error('Un taux concerne soit un utilisateur, soit un rôle du projet');
+        }
+      }
+    }
+  });
+
+  return ProjectRate;
+};
@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+
+// Alphabet des codes d'invitation (sans 0/O ni 1/I, faciles à confondre à la saisie)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 16;
+
+module.exports = (sequelize, DataTypes) => {
+  const RegistrationInvite = sequelize.define('RegistrationInvite', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    codeHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: 'SHA-256 du code d\'invitation (jamais stocké en clair)'
+    },
+    codeHint: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      comment: 'Derniers caractères du code, pour l\'identifier dans la liste'
+    },
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      validate: {
+        isEmail: {
+          msg: 'L\'email n\'est pas valide'
+        }
+      },
+      comment: 'Si renseigné, seule cette adresse peut utiliser le code'
+    },
+    role: {
+      type: DataTypes.ENUM('admin', 'project_manager', 'consultant'),
+      allowNull: false,
+      defaultValue: 'consultant',
+      validate: {
+        isIn: {
+          args: [['admin', 'project_manager', 'consultant']],
+          msg: 'Le rôle doit être admin, project_manager ou consultant'
+        }
+      }
+    },
+    teamId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'teams',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      comment: 'Équipe rejointe à l\'inscription'
+    },
+    teamRole: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      defaultValue: 'member'
+    },
+    note: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'null = pas d\'expiration'
+    },
+    redeemedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    redeemedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      comment: 'Compte créé avec le code'
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revokedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    }
+  }, {
+    tableName: 'registration_invites',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['codeHash']
+      },
+      {
+        fields: ['email']
+      },
+      {
+        fields: ['redeemedAt']
+      }
+    ]
+  });
+
+  // ============================================
+  // MÉTHODES D'INSTANCE
+  // ============================================
+
+  /**
+   * Statut de l'invitation
+   * @returns {string} - pending, redeemed, revoked ou expired
+   */
+  RegistrationInvite.prototype.getStatus = function() {
+    if (this.redeemedAt) return 'redeemed';
+    if (this.revokedAt) return 'revoked';
+    if (this.expiresAt && new Date(this.expiresAt) <= new Date()) return 'expired';
+    return 'pending';
+  };
+
+  /**
+   * Vérifier si le code peut encore être utilisé
+   * @returns {boolean}
+   */
+  RegistrationInvite.prototype.isUsable = function() {
+    return this.getStatus() === 'pending';
+  };
+
+  /**
+   * Vérifier si une adresse email peut utiliser le code
+   * @param {string} email
+   * @returns {boolean}
+   */
+  RegistrationInvite.prototype.allowsEmail = function(email) {
+    return !this.email || this.email.toLowerCase() === String(email || '').toLowerCase();
+  };
+
+  /**
+   * Réserver le code (usage unique, sûr en cas d'inscriptions simultanées)
+   * Le compte créé est ensuite renseigné dans redeemedBy, dans la même transaction.
+   * @param {Object} [options] - Options Sequelize (transaction)
+   * @returns {Promise<boolean>} - false si le code a été utilisé ou révoqué entre-temps
+   */
+  RegistrationInvite.prototype.claim = async function(options = {}) {
+    const redeemedAt = new Date();
+
+    const [affected] = await RegistrationInvite.update(
+      { redeemedAt },
+      {
+        where: { id: this.id, redeemedAt: null, revokedAt: null },
+        transaction: options.transaction
+      }
+    );
+
+    if (affected === 0) return false;
+
+    this.redeemedAt = redeemedAt;
+    return true;
+  };
+
+  /**
+   * Retourner les informations affichables de l'invitation (sans le hash)
+   * @returns {Object}
+   */
+  RegistrationInvite.prototype.toPublicJSON = function() {
+    const values = { ...this.get() };
+    delete values.codeHash;
+    values.status = this.getStatus();
+    return values;
+  };
+
+  // ============================================
+  // MÉTHODES STATIQUES
+  // ============================================
+
+  /**
+   * Normaliser un code saisi (casse, espaces et tirets ignorés)
+   * @param {string} code
+   * @returns {string}
+   */
+  RegistrationInvite.normalizeCode = function(code) {
+    return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+  };
+
+  /**
+   * Hasher un code pour le stockage
+   * @param {string} code
+   * @returns {string}
+   */
+  RegistrationInvite.hashCode = function(code) {
+    return crypto.createHash('sha256').update(RegistrationInvite.normalizeCode(code)).digest('hex');
+  };
+
+  /**
+   * Créer une invitation
+   * @param {Object} data - { email, role, teamId, teamRole, note, expiresAt, createdBy }
+   * @returns {Promise<{invite: RegistrationInvite, code: string}>} - Le code en clair n'est retourné qu'ici
+   */
+  RegistrationInvite.issue = async function(data) {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    const raw = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    const code = raw.match(/.{4}/g).join('-');
+
+    const invite = await RegistrationInvite.create({
+      ...data,
+      codeHash: RegistrationInvite.hashCode(code),
+      codeHint: raw.slice(-4)
+    });
+
+    return { invite, code };
+  };
+
+  /**
+   * Trouver une invitation par son code en clair
+   * @param {string} code
+   * @returns {Promise<RegistrationInvite|null>}
+   */
+  RegistrationInvite.findByCode = async function(code) {
+    if (!code) return null;
+
+    return await RegistrationInvite.findOne({
+      where: { codeHash: RegistrationInvite.hashCode(code) }
+    });
+  };
+
+  return RegistrationInvite;
+};
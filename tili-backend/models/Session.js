@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+
+module.exports = (sequelize, DataTypes) => {
+  const Session = sequelize.define('Session', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    refreshTokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: 'SHA-256 du refresh token courant (jamais stocké en clair)'
+    },
+    previousRefreshTokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: 'SHA-256 du refresh token précédent (détection de réutilisation)'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revokedReason: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    ipAddress: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+      comment: 'Support IPv4 et IPv6'
+    },
+    userAgent: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    lastSeenAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    impersonatorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      comment: 'Administrateur connecté en tant que l\'utilisateur (session d\'usurpation, non renouvelable)'
+    }
+  }, {
+    tableName: 'sessions',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['refreshTokenHash']
+      },
+      {
+        fields: ['previousRefreshTokenHash']
+      },
+      {
+        fields: ['userId']
+      },
+      {
+        fields: ['revokedAt']
+      },
+      {
+        fields: ['impersonatorId']
+      }
+    ]
+  });
+
+  // ============================================
+  // MÉTHODES D'INSTANCE
+  // ============================================
+
+  /**
+   * Vérifier si la session est encore utilisable
+   * @returns {boolean}
+   */
+  Session.prototype.isActive = function() {
+    return !this.revokedAt && new Date(this.expiresAt) > new Date();
+  };
+
+  /**
+   * Révoquer la session
+   * @param {string} reason - Motif de la révocation (logout, password_change, ...)
+   * @returns {Promise<Session>}
+   */
+  Session.prototype.revoke = async function(reason) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason || null;
+    return await this.save();
+  };
+
+  /**
+   * Enregistrer l'activité de l'appareil (au plus une écriture par minute)
+   * @param {Object} req - Objet Express request
+   * @returns {Promise<Session>}
+   */
+  Session.prototype.touch = async function(req) {
+    const lastSeen = this.lastSeenAt ? new Date(this.lastSeenAt).getTime() : 0;
+    if (Date.now() - lastSeen < 60 * 1000) return this;
+
+    this.lastSeenAt = new Date();
+    if (req) {
+      this.ipAddress = req.ip || this.ipAddress;
+      this.userAgent = (req.get('user-agent') || this.userAgent || '').substring(0, 500) || null;
+    }
+    return await this.save();
+  };
+
+  /**
+   * Retourner les informations affichables de la session (sans les hash)
+   * @returns {Object}
+   */
+  Session.prototype.toPublicJSON = function() {
+    return {
+      id: this.id,
+      ipAddress: this.ipAddress,
+      userAgent: this.userAgent,
+      lastSeenAt: this.lastSeenAt,
+      createdAt: this.createdAt,
+      expiresAt: this.expiresAt,
+      impersonatorId: this.impersonatorId
+    };
+  };
+
+  /**
+   * Vérifier s'il s'agit d'une session d'usurpation d'identité
+   * @returns {boolean}
+   */
+  Session.prototype.isImpersonation = function() {
+    return !!this.impersonatorId;
+  };
+
+  // ============================================
+  // MÉTHODES STATIQUES
+  // ============================================
+
+  /**
+   * Durée d'une session d'usurpation d'identité, en minutes
+   * @returns {number}
+   */
+  Session.getImpersonationMinutes = function() {
+    return parseInt(process.env.IMPERSONATION_EXPIRE_MINUTES) || 30;
+  };
+
+  /**
+   * Ouvrir une session d'usurpation d'identité (courte durée, sans refresh token utilisable)
+   * @param {number} userId - Utilisateur usurpé
+   * @param {number} impersonatorId - Administrateur
+   * @param {Object} req - Objet Express request
+   * @returns {Promise<Session>}
+   */
+  Session.startImpersonation = async function(userId, impersonatorId, req) {
+    const userAgent = req.get('user-agent');
+
+    return await Session.create({
+      userId,
+      impersonatorId,
+      // Le refresh token n'est jamais communiqué : la session ne peut pas être prolongée
+      refreshTokenHash: Session.hashToken(Session.generateRefreshToken()),
+      expiresAt: new Date(Date.now() + Session.getImpersonationMinutes() * 60 * 1000),
+      ipAddress: req.ip || null,
+      userAgent: userAgent ? userAgent.substring(0, 500) : null,
+      lastSeenAt: new Date()
+    });
+  };
+
+  /**
+   * Générer un refresh token aléatoire
+   * @returns {string}
+   */
+  Session.generateRefreshToken = function() {
+    return crypto.randomBytes(48).toString('hex');
+  };
+
+  /**
+   * Hasher un refresh token pour le stockage
+   * @param {string} refreshToken
+   * @returns {string}
+   */
+  Session.hashToken = function(refreshToken) {
+    return crypto.createHash('sha256').update(refreshToken).digest('hex');
+  };
+
+  /**
+   * Calculer la date d'expiration d'un refresh token
+   * @returns {Date}
+   */
+  Session.getExpiryDate = function() {
+    const days = parseInt(process.env.JWT_REFRESH_EXPIRE_DAYS) || 30;
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  };
+
+  /**
+   * Trouver une session par son refresh token en clair
+   * @param {string} refreshToken
+   * @returns {Promise<Session|null>}
+   */
+  Session.findByRefreshToken = async function(refreshToken) {
+    return await Session.findOne({
+      where: { refreshTokenHash: Session.hashToken(refreshToken) }
+    });
+  };
+
+  /**
+   * Trouver une session dont le refresh token a déjà été remplacé
+   * @param {string} refreshToken
+   * @returns {Promise<Session|null>}
+   */
+  Session.findByPreviousRefreshToken = async function(refreshToken) {
+    return await Session.findOne({
+      where: { previousRefreshTokenHash: Session.hashToken(refreshToken) }
+    });
+  };
+
+  /**
+   * Obtenir les sessions actives d'un utilisateur (appareils connectés)
+   * @param {number} userId
+   * @returns {Promise<Session[]>}
+   */
+  Session.getActiveForUser = async function(userId) {
+    const Op = sequelize.Sequelize.Op;
+    return await Session.findAll({
+      where: {
+        userId,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      order: [['lastSeenAt', 'DESC']]
+    });
+  };
+
+  /**
+   * Révoquer toutes les sessions actives d'un utilisateur
+   * @param {number} userId
+   * @param {string} reason
+   * @returns {Promise<number>} - Nombre de sessions révoquées
+   */
+  Session.revokeAllForUser = async function(userId, reason) {
+    const [count] = await Session.update(
+      { revokedAt: new Date(), revokedReason: reason || null },
+      { where: { userId, revokedAt: null } }
+    );
+    return count;
+  };
+
+  return Session;
+};
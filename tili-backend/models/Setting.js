@@ -0,0 +1,83 @@
+module.exports = (sequelize, DataTypes) => {
+  const Setting = sequelize.define('Setting', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    key: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+      validate: {
+        notEmpty: {
+          msg: 'La clé du paramètre est requise'
+        }
+      }
+    },
+    value: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    updatedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    }
+  }, {
+    tableName: 'settings',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['key']
+      }
+    ]
+  });
+
+  // Cache mémoire pour éviter une requête par appel (paramètres lus dans les middlewares)
+  const CACHE_TTL = 30 * 1000;
+  const cache = new Map();
+
+  // ============================================
+  // MÉTHODES STATIQUES
+  // ============================================
+
+  /**
+   * Lire la valeur d'un paramètre
+   * @param {string} key
+   * @param {*} defaultValue - Valeur retournée si le paramètre n'existe pas
+   * @returns {Promise<*>}
+   */
+  Setting.getValue = async function(key, defaultValue = null) {
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+
+    const setting = await Setting.findOne({ where: { key } });
+    const value = setting && setting.value !== null ? setting.value : defaultValue;
+
+    cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL });
+    return value;
+  };
+
+  /**
+   * Enregistrer la valeur d'un paramètre
+   * @param {string} key
+   * @param {*} value
+   * @param {number} updatedBy - ID de l'utilisateur qui modifie le paramètre
+   * @returns {Promise<Setting>}
+   */
+  Setting.setValue = async function(key, value, updatedBy = null) {
+    await Setting.upsert({ key, value, updatedBy });
+    cache.delete(key);
+    return await Setting.findOne({ where: { key } });
+  };
+
+  return Setting;
+};
@@ -23,6 +23,16 @@ module.exports = (sequelize, DataTypes) => {
       },
       onDelete: 'CASCADE'
     },
+    parentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      comment: 'Tâche parente (sous-tâche), même projet / équipe que le parent'
+    },
     taskName: {
       type: DataTypes.STRING(255),
       allowNull: false,
@@ -41,15 +51,15 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true
     },
     status: {
-      type: DataTypes.ENUM('not_started', 'in_progress', 'completed', 'blocked'),
+      type: DataTypes.STRING(50),
       allowNull: false,
-      defaultValue: 'not_started',
-      validate: {
-        isIn: {
-          args: [['not_started', 'in_progress', 'completed', 'blocked']],
-          msg: 'Le statut doit être not_started, in_progress, completed ou blocked'
-        }
-      }
+      comment: 'Clé d\'un statut du workflow du projet (statut initial du workflow par défaut)'
+    },
+    statusCategory: {
+      type: DataTypes.ENUM('todo', 'doing', 'done'),
+      allowNull: false,
+      defaultValue: 'todo',
+      comment: 'Catégorie du statut dans le workflow, maintenue par le hook beforeValidate'
     },
     priority: {
       type: DataTypes.ENUM('low', 'medium', 'high', 'urgent'),
@@ -83,9 +93,51 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.DATE,
       allowNull: true
     },
+    estimatedHours: {
+      type: DataTypes.DECIMAL(8, 2),
+      allowNull: true,
+      validate: {
+        min: {
+          args: [0],
+          msg: 'L\'estimation ne peut pas être négative'
+        }
+      },
+      comment: 'Charge estimée en heures'
+    },
+    estimatedPoints: {
+      type: DataTypes.DECIMAL(5, 1),
+      allowNull: true,
+      validate: {
+        min: {
+          args: [0],
+          msg: 'Les points d\'estimation ne peuvent pas être négatifs'
+        }
+      },
+      comment: 'Estimation en points (story points)'
+    },
     completedAt: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    recurrenceId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'task_recurrences',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      comment: 'Série de tâches récurrentes'
+    },
+    occurrenceDate: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Date prévue de cette occurrence dans la série'
+    },
+    boardRank: {
+      type: DataTypes.DOUBLE,
+      allowNull: true,
+      comment: 'Position dans la colonne du tableau kanban (ordre fractionnaire croissant)'
     }
   }, {
     tableName: 'tasks',
@@ -97,17 +149,26 @@ module.exports = (sequelize, DataTypes) => {
       {
         fields: ['teamId']
       },
+      {
+        fields: ['parentId']
+      },
       {
         fields: ['assignedTo']
       },
       {
         fields: ['status']
       },
+      {
+        fields: ['projectId', 'status', 'boardRank']
+      },
       {
         fields: ['priority']
       },
       {
         fields: ['dueDate']
+      },
+      {
+        fields: ['recurrenceId', 'occurrenceDate']
       }
     ]
   });
@@ -117,18 +178,92 @@ module.exports = (sequelize, DataTypes) => {
   // ============================================
 
   /**
-   * Hook beforeUpdate - Définir completedAt quand status devient completed
+   * Hook beforeValidate - Statut initial du workflow et catégorie du statut
+   */
+  Task.beforeValidate(async (task, options) => {
+    if (!task.isNewRecord && !task.changed('status')) {
+      return;
+    }
+
+    const workflow = await sequelize.models.Workflow.forProject(task.projectId, { transaction: options.transaction });
+
+    if (!task.status) {
+      task.status = workflow.getInitialStatus();
+    }
+
+    const status = workflow.getStatus(task.status);
+    if (!status) {
+      const message = `Le statut doit être: ${workflow.statuses.map(s => s.key).join(', ')}`;
+      throw new sequelize.Sequelize.ValidationError(message, [
+        new sequelize.Sequelize.ValidationErrorItem(message, 'validation error', 'status', task.status)
+      ]);
+    }
+
+    task.statusCategory = status.category;
+  });
+
+  /**
+   * Hook beforeCreate - Placer la nouvelle tâche en fin de tableau
+   */
+  Task.beforeCreate(async (task, options) => {
+    if (task.boardRank === null || task.boardRank === undefined) {
+      const max = await Task.max('boardRank', { where: Task.getBoardScope(task), transaction: options.transaction });
+      task.boardRank = (max || 0) + Task.RANK_STEP;
+    }
+  });
+
+  /**
+   * Hook beforeUpdate - Définir completedAt quand le statut passe dans la catégorie done
    */
   Task.beforeUpdate(async (task) => {
     if (task.changed('status')) {
-      if (task.status === 'completed' && !task.completedAt) {
+      if (task.statusCategory === 'done' && !task.completedAt) {
         task.completedAt = new Date();
-      } else if (task.status !== 'completed') {
+      } else if (task.statusCategory !== 'done') {
         task.completedAt = null;
       }
     }
   });
 
+  /**
+   * Hook afterCreate - Enregistrer l'assigné principal parmi les assignés
+   */
+  Task.afterCreate(async (task, options) => {
+    if (task.assignedTo) {
+      await sequelize.models.TaskAssignee.syncPrimary(task, null, { transaction: options.transaction });
+    }
+  });
+
+  /**
+   * Hook afterUpdate - Aligner les assignés quand assignedTo change (updateTask, assignTask, assignTo)
+   */
+  Task.afterUpdate(async (task, options) => {
+    if (task.changed('assignedTo')) {
+      await sequelize.models.TaskAssignee.syncPrimary(task, task.previous('assignedTo'), { transaction: options.transaction });
+    }
+  });
+
+  /**
+   * Hook afterUpdate - Générer l'occurrence suivante quand la dernière occurrence d'une série est terminée
+   * (updateTaskStatus, updateTask ou markAsCompleted)
+   */
+  Task.afterUpdate(async (task, options) => {
+    if (!task.recurrenceId || !task.changed('status') || task.statusCategory !== 'done') {
+      return;
+    }
+
+    const series = await sequelize.models.TaskRecurrence.findByPk(task.recurrenceId, {
+      transaction: options.transaction
+    });
+
+    if (series && new Date(series.lastOccurrenceDate).getTime() === new Date(task.occurrenceDate).getTime()) {
+      await series.generateNext({ transaction: options.transaction });
+    }
+  });
+
+  // Écart entre deux tâches consécutives lors d'un renumérotage du tableau
+  Task.RANK_STEP = 1024;
+
   // ============================================
   // MÉTHODES D'INSTANCE
   // ============================================
@@ -138,7 +273,7 @@ module.exports = (sequelize, DataTypes) => {
    * @returns {boolean}
    */
   Task.prototype.isCompleted = function() {
-    return this.status === 'completed';
+    return this.statusCategory === 'done';
   };
 
   /**
@@ -159,15 +294,51 @@ module.exports = (sequelize, DataTypes) => {
   };
 
   /**
-   * Marquer comme terminée
+   * Marquer comme terminée (premier statut de catégorie done du workflow)
    * @returns {Promise<Task>}
    */
   Task.prototype.markAsCompleted = async function() {
-    this.status = 'completed';
+    const workflow = await sequelize.models.Workflow.forProject(this.projectId);
+    this.status = workflow.getDoneStatus();
     this.completedAt = new Date();
     return await this.save();
   };
 
+  /**
+   * Obtenir les sous-tâches non terminées, à tous les niveaux
+   * @returns {Promise<Task[]>}
+   */
+  Task.prototype.getOpenSubtasks = async function() {
+    const descendants = await Task.findDescendants(this.id);
+    return descendants.filter(task => !task.isCompleted());
+  };
+
+  /**
+   * Vérifier si une tâche fait partie des sous-tâches de celle-ci (à tous les niveaux)
+   * @param {number} taskId
+   * @returns {Promise<boolean>}
+   */
+  Task.prototype.hasDescendant = async function(taskId) {
+    const descendants = await Task.findDescendants(this.id, { attributes: ['id'] });
+    return descendants.some(task => task.id === Number(taskId));
+  };
+
+  /**
+   * Obtenir l'occurrence qui suit celle-ci dans sa série
+   * @returns {Promise<Task|null>}
+   */
+  Task.prototype.getNextOccurrence = async function() {
+    if (!this.recurrenceId || !this.occurrenceDate) return null;
+
+    return await Task.findOne({
+      where: {
+        recurrenceId: this.recurrenceId,
+        occurrenceDate: { [sequelize.Sequelize.Op.gt]: this.occurrenceDate }
+      },
+      order: [['occurrenceDate', 'ASC']]
+    });
+  };
+
   /**
    * Assigner à un utilisateur
    * @param {number} userId
@@ -182,6 +353,36 @@ module.exports = (sequelize, DataTypes) => {
   // MÉTHODES STATIQUES
   // ============================================
 
+  /**
+   * Obtenir toutes les sous-tâches d'une tâche, à tous les niveaux (parcours niveau par niveau)
+   * @param {number} taskId
+   * @param {Object} [options] - Options Sequelize supplémentaires (attributes, include)
+   * @returns {Promise<Task[]>}
+   */
+  Task.findDescendants = async function(taskId, options = {}) {
+    const descendants = [];
+    const seen = new Set([Number(taskId)]);
+    let parentIds = [Number(taskId)];
+
+    while (parentIds.length > 0) {
+      const children = await Task.findAll({
+        ...options,
+        attributes: options.attributes ? [...new Set([...options.attributes, 'id', 'parentId'])] : undefined,
+        where: { parentId: { [sequelize.Sequelize.Op.in]: parentIds } },
+        order: [['createdAt', 'ASC'], ['id', 'ASC']]
+      });
+
+      // Garde-fou contre une boucle parentId qui aurait été écrite hors de l'API
+      const fresh = children.filter(child => !seen.has(child.id));
+      fresh.forEach(child => seen.add(child.id));
+
+      descendants.push(...fresh);
+      parentIds = fresh.map(child => child.id);
+    }
+
+    return descendants;
+  };
+
   /**
    * Obtenir les tâches par statut
    * @param {string} status
@@ -200,8 +401,8 @@ module.exports = (sequelize, DataTypes) => {
   Task.getOverdue = async function() {
     return await Task.findAll({
       where: {
-        status: {
-          [sequelize.Sequelize.Op.ne]: 'completed'
+        statusCategory: {
+          [sequelize.Sequelize.Op.ne]: 'done'
         },
         dueDate: {
           [sequelize.Sequelize.Op.lt]: new Date()
@@ -210,6 +411,17 @@ module.exports = (sequelize, DataTypes) => {
     });
   };
 
+  /**
+   * Tableau kanban d'une tâche : son projet, ou son équipe pour une tâche d'équipe
+   * @param {Object} task - Tâche ou { projectId, teamId }
+   * @returns {Object} - Clause where
+   */
+  Task.getBoardScope = function(task) {
+    return task.projectId
+      ? { projectId: task.projectId }
+      : { projectId: null, teamId: task.teamId || null };
+  };
+
   /**
    * Obtenir les tâches par priorité
    * @param {string} priority
@@ -222,22 +434,28 @@ module.exports = (sequelize, DataTypes) => {
   };
 
   /**
-   * Compter les tâches par statut
+   * Compter les tâches par statut et par catégorie de statut
    * @returns {Promise<Object>}
    */
   Task.countByStatus = async function() {
-    const notStarted = await Task.count({ where: { status: 'not_started' } });
-    const inProgress = await Task.count({ where: { status: 'in_progress' } });
-    const completed = await Task.count({ where: { status: 'completed' } });
-    const blocked = await Task.count({ where: { status: 'blocked' } });
-
-    return {
-      not_started: notStarted,
-      in_progress: inProgress,
-      completed,
-      blocked,
-      total: notStarted + inProgress + completed + blocked
-    };
+    const rows = await Task.findAll({
+      attributes: [
+        'status',
+        'statusCategory',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+      ],
+      group: ['status', 'statusCategory'],
+      raw: true
+    });
+
+    const counts = { byCategory: { todo: 0, doing: 0, done: 0 }, total: 0 };
+    rows.forEach(row => {
+      counts[row.status] = (counts[row.status] || 0) + parseInt(row.count);
+      counts.byCategory[row.statusCategory] += parseInt(row.count);
+      counts.total += parseInt(row.count);
+    });
+
+    return counts;
   };
 
   return Task;
@@ -0,0 +1,154 @@
+module.exports = (sequelize, DataTypes) => {
+  const TaskAssignee = sequelize.define('TaskAssignee', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    taskId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    isPrimary: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Assigné principal, recopié dans Task.assignedTo'
+    },
+    assignedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    assignedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'task_assignees',
+    timestamps: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['taskId', 'userId']
+      },
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  /**
+   * Aligner les assignés sur Task.assignedTo (hooks de Task) :
+   * l'assigné principal a toujours une ligne isPrimary, un ancien principal encore marqué
+   * comme tel est remplacé, et une tâche sans assignedTo n'a plus d'assigné principal (les co-assignés restent)
+   * @param {Task} task
+   * @param {number|null} previousUserId - Ancienne valeur de assignedTo
+   * @param {Object} [options] - { assignedBy, transaction }
+   */
+  TaskAssignee.syncPrimary = async function(task, previousUserId, { assignedBy = null, transaction } = {}) {
+    const { Op } = sequelize.Sequelize;
+
+    if (!task.assignedTo) {
+      await TaskAssignee.destroy({ where: { taskId: task.id, isPrimary: true }, transaction });
+      return;
+    }
+
+    if (previousUserId && previousUserId !== task.assignedTo) {
+      await TaskAssignee.destroy({ where: { taskId: task.id, userId: previousUserId, isPrimary: true }, transaction });
+    }
+
+    await TaskAssignee.update(
+      { isPrimary: false },
+      { where: { taskId: task.id, userId: { [Op.ne]: task.assignedTo }, isPrimary: true }, transaction }
+    );
+
+    const [primary, created] = await TaskAssignee.findOrCreate({
+      where: { taskId: task.id, userId: task.assignedTo },
+      defaults: { isPrimary: true, assignedBy: assignedBy || task.createdBy },
+      transaction
+    });
+
+    if (!created && !primary.isPrimary) {
+      await primary.update({ isPrimary: true }, { transaction });
+    }
+  };
+
+  /**
+   * Remplacer les assignés d'une tâche
+   * @param {Task} task
+   * @param {Array<number>} userIds - Assignés (vide pour désassigner)
+   * @param {number|null} primaryId - Assigné principal, parmi userIds
+   * @param {Object} [options] - { assignedBy, transaction }
+   * @returns {Promise<{added: Array<number>, removed: Array<number>}>}
+   */
+  TaskAssignee.replaceFor = async function(task, userIds, primaryId, { assignedBy = null, transaction } = {}) {
+    const { Op } = sequelize.Sequelize;
+
+    const current = await TaskAssignee.findAll({ where: { taskId: task.id }, transaction });
+    const currentIds = current.map(assignee => assignee.userId);
+
+    const added = userIds.filter(userId => !currentIds.includes(userId));
+    const removed = currentIds.filter(userId => !userIds.includes(userId));
+
+    if (removed.length > 0) {
+      await TaskAssignee.destroy({ where: { taskId: task.id, userId: { [Op.in]: removed } }, transaction });
+    }
+
+    await TaskAssignee.update(
+      { isPrimary: false },
+      { where: { taskId: task.id, userId: { [Op.ne]: primaryId || 0 } }, transaction }
+    );
+
+    if (added.length > 0) {
+      await TaskAssignee.bulkCreate(
+        added.map(userId => ({ taskId: task.id, userId, isPrimary: userId === primaryId, assignedBy })),
+        { transaction }
+      );
+    }
+
+    if (primaryId) {
+      await TaskAssignee.update({ isPrimary: true }, { where: { taskId: task.id, userId: primaryId }, transaction });
+    }
+
+    // Le hook afterUpdate de Task ne fait alors que confirmer l'assigné principal
+    await task.update({ assignedTo: primaryId || null }, { transaction });
+
+    return { added, removed };
+  };
+
+  /**
+   * Identifiants des tâches dont un utilisateur est assigné
+   * @param {number} userId
+   * @param {Object} [options] - { primaryOnly }
+   * @returns {Promise<Array<number>>}
+   */
+  TaskAssignee.findTaskIds = async function(userId, { primaryOnly = false } = {}) {
+    const where = { userId };
+    if (primaryOnly) where.isPrimary = true;
+
+    const rows = await TaskAssignee.findAll({ where, attributes: ['taskId'], raw: true });
+    return rows.map(row => row.taskId);
+  };
+
+  return TaskAssignee;
+};
@@ -0,0 +1,104 @@
+module.exports = (sequelize, DataTypes) => {
+  const TaskChecklistItem = sequelize.define('TaskChecklistItem', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    taskId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    label: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'Le libellé de l\'élément est requis'
+        },
+        len: {
+          args: [1, 255],
+          msg: 'Le libellé de l\'élément doit contenir entre 1 et 255 caractères'
+        }
+      }
+    },
+    isDone: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Ordre d\'affichage dans la checklist'
+    },
+    doneAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    doneBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    }
+  }, {
+    tableName: 'task_checklist_items',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['taskId', 'position']
+      }
+    ]
+  });
+
+  // ============================================
+  // HOOKS
+  // ============================================
+
+  /**
+   * Hook beforeUpdate - Définir doneAt quand l'élément est coché ou décoché
+   */
+  TaskChecklistItem.beforeUpdate(async (item) => {
+    if (item.changed('isDone')) {
+      item.doneAt = item.isDone ? new Date() : null;
+      if (!item.isDone) {
+        item.doneBy = null;
+      }
+    }
+  });
+
+  // ============================================
+  // MÉTHODES STATIQUES
+  // ============================================
+
+  /**
+   * Position à donner à un nouvel élément (fin de la checklist)
+   * @param {number} taskId
+   * @returns {Promise<number>}
+   */
+  TaskChecklistItem.getNextPosition = async function(taskId) {
+    const max = await TaskChecklistItem.max('position', { where: { taskId } });
+    return Number.isFinite(max) ? max + 1 : 0;
+  };
+
+  return TaskChecklistItem;
+};
@@ -0,0 +1,157 @@
+// Types de dépendance : la tâche suivante ne peut démarrer (ou se terminer) qu'après la précédente
+const DEPENDENCY_TYPES = ['finish_to_start', 'start_to_start', 'finish_to_finish'];
+
+// Catégories de statut considérées comme « démarrées »
+const STARTED_CATEGORIES = ['doing', 'done'];
+
+module.exports = (sequelize, DataTypes) => {
+  const TaskDependency = sequelize.define('TaskDependency', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    predecessorId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      comment: 'Tâche prérequise'
+    },
+    successorId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      comment: 'Tâche qui dépend du prérequis'
+    },
+    type: {
+      type: DataTypes.ENUM(...DEPENDENCY_TYPES),
+      allowNull: false,
+      defaultValue: 'finish_to_start',
+      validate: {
+        isIn: {
+          args: [DEPENDENCY_TYPES],
+          msg: 'Le type doit être finish_to_start, start_to_start ou finish_to_finish'
+        }
+      }
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    }
+  }, {
+    tableName: 'task_dependencies',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['predecessorId', 'successorId']
+      },
+      {
+        fields: ['successorId']
+      }
+    ]
+  });
+
+  TaskDependency.TYPES = DEPENDENCY_TYPES;
+
+  // ============================================
+  // MÉTHODES D'INSTANCE
+  // ============================================
+
+  /**
+   * Vérifier si la dépendance est satisfaite pour un nouveau statut de la tâche suivante
+   * @param {string} predecessorCategory - Catégorie du statut actuel de la tâche prérequise
+   * @param {string} successorCategory - Catégorie du statut demandé pour la tâche suivante
+   * @returns {boolean}
+   */
+  TaskDependency.prototype.isSatisfiedFor = function(predecessorCategory, successorCategory) {
+    const starting = STARTED_CATEGORIES.includes(successorCategory);
+    const finishing = successorCategory === 'done';
+
+    switch (this.type) {
+      case 'finish_to_start':
+        return !starting || predecessorCategory === 'done';
+      case 'start_to_start':
+        return !starting || STARTED_CATEGORIES.includes(predecessorCategory);
+      case 'finish_to_finish':
+        return !finishing || predecessorCategory === 'done';
+      default:
+        return true;
+    }
+  };
+
+  // ============================================
+  // MÉTHODES STATIQUES
+  // ============================================
+
+  /**
+   * Vérifier si une dépendance predecessorId → successorId créerait un cycle,
+   * c'est-à-dire si predecessorId dépend déjà (directement ou non) de successorId
+   * @param {number} predecessorId
+   * @param {number} successorId
+   * @returns {Promise<boolean>}
+   */
+  TaskDependency.wouldCreateCycle = async function(predecessorId, successorId) {
+    const target = Number(predecessorId);
+    const seen = new Set([Number(successorId)]);
+    let frontier = [Number(successorId)];
+
+    if (target === Number(successorId)) return true;
+
+    while (frontier.length > 0) {
+      const links = await TaskDependency.findAll({
+        where: { predecessorId: { [sequelize.Sequelize.Op.in]: frontier } },
+        attributes: ['successorId']
+      });
+
+      const next = [];
+      for (const link of links) {
+        if (link.successorId === target) return true;
+        if (!seen.has(link.successorId)) {
+          seen.add(link.successorId);
+          next.push(link.successorId);
+        }
+      }
+
+      frontier = next;
+    }
+
+    return false;
+  };
+
+  /**
+   * Obtenir les dépendances non satisfaites d'une tâche pour un nouveau statut
+   * @param {Task} task - Tâche suivante
+   * @param {string} category - Catégorie du statut demandé
+   * @returns {Promise<TaskDependency[]>} - Dépendances avec leur prédécesseur chargé (as 'predecessor')
+   */
+  TaskDependency.findUnmet = async function(task, category) {
+    if (!STARTED_CATEGORIES.includes(category)) return [];
+
+    const links = await TaskDependency.findAll({
+      where: { successorId: task.id },
+      include: [{
+        model: sequelize.models.Task,
+        as: 'predecessor',
+        attributes: ['id', 'taskName', 'status', 'statusCategory', 'dueDate']
+      }]
+    });
+
+    return links.filter(link => link.predecessor && !link.isSatisfiedFor(link.predecessor.statusCategory, category));
+  };
+
+  return TaskDependency;
+};
@@ -0,0 +1,203 @@
+const { parseRule, nextOccurrence } = require('../utils/rrule');
+
+// Champs d'une tâche repris d'une occurrence à l'autre (modifiables pour toute la série)
+const TEMPLATE_FIELDS = ['taskName', 'description', 'priority', 'assignedTo', 'estimatedHours', 'estimatedPoints', 'projectId', 'teamId', 'parentId', 'createdBy'];
+
+module.exports = (sequelize, DataTypes) => {
+  const TaskRecurrence = sequelize.define('TaskRecurrence', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    rule: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: {
+        isSupportedRule(value) {
+          const { errors } = parseRule(value);
+          if (errors.length > 0) {
+            throw new Error(errors.join(', '));
+          }
+        }
+      },
+      comment: 'Règle RRULE (sous-ensemble RFC 5545)'
+    },
+    template: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: 'Champs recopiés dans chaque nouvelle occurrence'
+    },
+    startDate: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Date de la première occurrence (DTSTART)'
+    },
+    lastOccurrenceDate: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Date de la dernière occurrence générée'
+    },
+    occurrenceCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    endedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Fin de la série (UNTIL / COUNT atteint ou récurrence arrêtée)'
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    }
+  }, {
+    tableName: 'task_recurrences',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['endedAt', 'lastOccurrenceDate']
+      }
+    ]
+  });
+
+  TaskRecurrence.TEMPLATE_FIELDS = TEMPLATE_FIELDS;
+
+  // ============================================
+  // MÉTHODES D'INSTANCE
+  // ============================================
+
+  /**
+   * Date de la prochaine occurrence
+   * @returns {Date|null} - null si la série est terminée
+   */
+  TaskRecurrence.prototype.getNextDate = function() {
+    if (this.endedAt) return null;
+
+    const { options } = parseRule(this.rule);
+    if (!options) return null;
+
+    return nextOccurrence(options, new Date(this.startDate), new Date(this.lastOccurrenceDate), this.occurrenceCount);
+  };
+
+  /**
+   * Générer l'occurrence suivante de la série
+   * Sûr en cas d'appels simultanés (complétion et tâche planifiée) : une seule occurrence est créée.
+   * Sans transaction fournie (tâche planifiée), l'avancement de la série et la création de l'occurrence
+   * sont faits dans une transaction : un échec de création ne fait pas sauter l'occurrence.
+   * @param {Object} [options] - { transaction, performedBy }
+   * @returns {Promise<Task|null>} - null si la série est terminée ou l'occurrence déjà générée
+   */
+  TaskRecurrence.prototype.generateNext = async function(options = {}) {
+    if (!options.transaction) {
+      const { lastOccurrenceDate, occurrenceCount } = this;
+
+      try {
+        return await sequelize.transaction(transaction => this.generateNext({ ...options, transaction }));
+      } catch (error) {
+        this.lastOccurrenceDate = lastOccurrenceDate;
+        this.occurrenceCount = occurrenceCount;
+        throw error;
+      }
+    }
+
+    const { transaction } = options;
+    const { Task, TaskChecklistItem, Log } = sequelize.models;
+
+    const next = this.getNextDate();
+
+    if (!next) {
+      if (!this.endedAt) {
+        this.endedAt = new Date();
+        await this.save({ transaction });
+      }
+      return null;
+    }
+
+    const previousDate = this.lastOccurrenceDate;
+    const [affected] = await TaskRecurrence.update(
+      { lastOccurrenceDate: next, occurrenceCount: this.occurrenceCount + 1 },
+      {
+        where: { id: this.id, lastOccurrenceDate: previousDate, endedAt: null },
+        transaction
+      }
+    );
+
+    if (affected === 0) return null;
+
+    this.lastOccurrenceDate = next;
+    this.occurrenceCount += 1;
+
+    const previous = await Task.findOne({
+      where: { recurrenceId: this.id, occurrenceDate: previousDate },
+      transaction
+    });
+
+    const task = await Task.create({
+      ...this.template,
+      recurrenceId: this.id,
+      occurrenceDate: next,
+      dueDate: next
+    }, { transaction });
+
+    // Reprendre la checklist de l'occurrence précédente, décochée
+    if (previous) {
+      const items = await TaskChecklistItem.findAll({
+        where: { taskId: previous.id },
+        order: [['position', 'ASC'], ['id', 'ASC']],
+        transaction
+      });
+
+      if (items.length > 0) {
+        await TaskChecklistItem.bulkCreate(items.map(item => ({
+          taskId: task.id,
+          label: item.label,
+          position: item.position,
+          createdBy: item.createdBy
+        })), { transaction });
+      }
+    }
+
+    const performedBy = options.performedBy || this.createdBy;
+    if (performedBy) {
+      await Log.create({
+        action: 'GENERATE_TASK_OCCURRENCE',
+        description: `Occurrence générée: ${task.taskName} (${next.toISOString().slice(0, 10)})`,
+        entityType: 'task',
+        entityId: task.id,
+        oldValue: previous ? { previousTaskId: previous.id } : null,
+        newValue: { recurrenceId: this.id, occurrenceDate: next, occurrence: this.occurrenceCount },
+        performedBy,
+        ipAddress: null,
+        userAgent: null,
+        timestamp: new Date()
+      }, { transaction });
+    }
+
+    return task;
+  };
+
+  // ============================================
+  // MÉTHODES STATIQUES
+  // ============================================
+
+  /**
+   * Extraire le modèle de série des champs d'une tâche
+   * @param {Task|Object} task
+   * @returns {Object}
+   */
+  TaskRecurrence.buildTemplate = function(task) {
+    return TEMPLATE_FIELDS.reduce((template, field) => {
+      template[field] = task[field] === undefined ? null : task[field];
+      return template;
+    }, {});
+  };
+
+  return TaskRecurrence;
+};
@@ -0,0 +1,214 @@
+// Visibilité d'un modèle : son auteur, les membres d'une équipe, ou tous (admin)
+const VISIBILITIES = ['private', 'team', 'global'];
+
+// Rôles de périmètre pouvant recevoir une tâche du modèle (assigné par défaut)
+const ASSIGNEE_ROLES = ['lead', 'member', 'consultant', 'observer'];
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Profondeur maximale des sous-tâches et nombre maximal de tâches d'un modèle
+const MAX_DEPTH = 5;
+const MAX_TASKS = 200;
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Valider la définition des tâches d'un modèle
+ * @param {Array} tasks - [{ taskName, description?, priority?, dueOffsetDays?, estimatedHours?,
+ *   estimatedPoints?, assigneeRole?, checklist?: [string], subtasks?: [...] }]
+ * @returns {Array<string>} - Erreurs (vide si la définition est valide)
+ */
+const validateDefinition = (tasks) => {
+  if (!Array.isArray(tasks) || tasks.length === 0) {
+    return ['Le modèle doit définir au moins une tâche'];
+  }
+
+  const errors = [];
+  let count = 0;
+
+  const visit = (items, path, depth) => {
+    if (depth > MAX_DEPTH) {
+      errors.push(`${path} : ${MAX_DEPTH} niveaux de sous-tâches au maximum`);
+      return;
+    }
+
+    items.forEach((item, index) => {
+      const label = `${path}${index + 1}`;
+      count += 1;
+
+      if (!item || typeof item.taskName !== 'string' || item.taskName.trim() === '' || item.taskName.length > 255) {
+        errors.push(`Tâche ${label} : le nom est requis (255 caractères au maximum)`);
+        return;
+      }
+
+      if (item.description !== undefined && item.description !== null && typeof item.description !== 'string') {
+        errors.push(`Tâche ${label} : la description doit être un texte`);
+      }
+
+      if (item.priority !== undefined && !PRIORITIES.includes(item.priority)) {
+        errors.push(`Tâche ${label} : la priorité doit être ${PRIORITIES.join(', ')}`);
+      }
+
+      if (item.dueOffsetDays !== undefined && item.dueOffsetDays !== null &&
+        !(Number.isInteger(item.dueOffsetDays) && item.dueOffsetDays >= 0)) {
+        errors.push(`Tâche ${label} : le décalage d'échéance doit être un nombre de jours positif ou nul`);
+      }
+
+      ['estimatedHours', 'estimatedPoints'].forEach(field => {
+        if (item[field] !== undefined && item[field] !== null && !isNonNegativeNumber(item[field])) {
+          errors.push(`Tâche ${label} : ${field} doit être un nombre positif ou nul`);
+        }
+      });
+
+      if (item.assigneeRole !== undefined && item.assigneeRole !== null && !ASSIGNEE_ROLES.includes(item.assigneeRole)) {
+        errors.push(`Tâche ${label} : le rôle de l'assigné doit être ${ASSIGNEE_ROLES.join(', ')}`);
+      }
+
+      if (item.checklist !== undefined) {
+        if (!Array.isArray(item.checklist) ||
+          item.checklist.some(entry => typeof entry !== 'string' || entry.trim() === '' || entry.length > 255)) {
+          errors.push(`Tâche ${label} : la checklist doit être une liste de libellés (255 caractères au maximum)`);
+        }
+      }
+
+      if (item.subtasks !== undefined) {
+        if (!Array.isArray(item.subtasks)) {
+          errors.push(`Tâche ${label} : les sous-tâches doivent être une liste`);
+        } else {
+          visit(item.subtasks, `${label}.`, depth + 1);
+        }
+      }
+    });
+  };
+
+  visit(tasks, '', 1);
+
+  if (count > MAX_TASKS) {
+    errors.push(`Le modèle ne peut pas contenir plus de ${MAX_TASKS} tâches`);
+  }
+
+  return errors;
+};
+
+module.exports = (sequelize, DataTypes) => {
+  const TaskTemplate = sequelize.define('TaskTemplate', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(150),
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'Le nom du modèle est requis'
+        },
+        len: {
+          args: [1, 150],
+          msg: 'Le nom du modèle doit contenir entre 1 et 150 caractères'
+        }
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    visibility: {
+      type: DataTypes.ENUM(...VISIBILITIES),
+      allowNull: false,
+      defaultValue: 'private',
+      validate: {
+        isIn: {
+          args: [VISIBILITIES],
+          msg: `La visibilité doit être ${VISIBILITIES.join(', ')}`
+        }
+      }
+    },
+    teamId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'teams',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      comment: 'Équipe partageant le modèle (visibilité team)'
+    },
+    tasks: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: 'Tâches du modèle : [{ taskName, priority, dueOffsetDays, assigneeRole, checklist, subtasks, ... }]'
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    }
+  }, {
+    tableName: 'task_templates',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['visibility']
+      },
+      {
+        fields: ['teamId']
+      },
+      {
+        fields: ['createdBy']
+      }
+    ],
+    validate: {
+      teamVisibility() {
+        if (this.visibility === 'team' && !this.teamId) {
+          throw new Error('Un modèle partagé avec une équipe doit indiquer cette équipe');
+        }
+        if (this.visibility !== 'team' && this.teamId) {
+          throw new Error('Seul un modèle de visibilité team peut être rattaché à une équipe');
+        }
+      },
+      definition() {
+        const errors = validateDefinition(this.tasks);
+        if (errors.length > 0) {
+          throw new Error(errors.join(' ; '));
+        }
+      }
+    }
+  });
+
+  TaskTemplate.VISIBILITIES = VISIBILITIES;
+  TaskTemplate.ASSIGNEE_ROLES = ASSIGNEE_ROLES;
+  TaskTemplate.validateDefinition = validateDefinition;
+
+  // ============================================
+  // MÉTHODES D'INSTANCE
+  // ============================================
+
+  /**
+   * Nombre de tâches (sous-tâches comprises) créées par le modèle
+   * @returns {number}
+   */
+  TaskTemplate.prototype.countTasks = function() {
+    const count = (items) => (items || []).reduce((total, item) => total + 1 + count(item.subtasks), 0);
+    return count(this.tasks);
+  };
+
+  /**
+   * Vérifier qu'un utilisateur peut voir et appliquer le modèle
+   * @param {Object} user - Utilisateur (req.user)
+   * @param {Array<number>|null} teamIds - Équipes de l'utilisateur, null pour un admin
+   * @returns {boolean}
+   */
+  TaskTemplate.prototype.isVisibleTo = function(user, teamIds) {
+    if (teamIds === null || this.visibility === 'global') return true;
+    if (this.visibility === 'team') return teamIds.includes(this.teamId);
+    return this.createdBy === user.id;
+  };
+
+  return TaskTemplate;
+};
@@ -0,0 +1,62 @@
+module.exports = (sequelize, DataTypes) => {
+  const TaskWatcher = sequelize.define('TaskWatcher', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    taskId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    addedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      comment: 'Utilisateur ayant ajouté l\'observateur (lui-même s\'il suit la tâche)'
+    }
+  }, {
+    tableName: 'task_watchers',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['taskId', 'userId']
+      },
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  /**
+   * Identifiants des tâches suivies par un utilisateur
+   * @param {number} userId
+   * @returns {Promise<Array<number>>}
+   */
+  TaskWatcher.findTaskIds = async function(userId) {
+    const rows = await TaskWatcher.findAll({ where: { userId }, attributes: ['taskId'], raw: true });
+    return rows.map(row => row.taskId);
+  };
+
+  return TaskWatcher;
+};
@@ -0,0 +1,164 @@
+module.exports = (sequelize, DataTypes) => {
+  const TimeEntry = sequelize.define('TimeEntry', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    taskId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    projectId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'projects',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      comment: 'Projet de la tâche au moment de la saisie (totaux et feuilles de temps)'
+    },
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    endedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'null = chronomètre en cours',
+      validate: {
+        isAfterStart(value) {
+          if (value && this.startedAt && new Date(value) < new Date(this.startedAt)) {
+            throw new Error('La fin doit être après le début');
+          }
+        }
+      }
+    },
+    durationMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: {
+          args: [1],
+          msg: 'La durée doit être d\'au moins 1 minute'
+        },
+        isManualDurationValid(value) {
+          if (this.source === 'manual' && value > 24 * 60) {
+            throw new Error('Une saisie manuelle ne peut pas dépasser 24 heures');
+          }
+        }
+      }
+    },
+    isBillable: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    source: {
+      type: DataTypes.ENUM('timer', 'manual'),
+      allowNull: false,
+      defaultValue: 'manual'
+    }
+  }, {
+    tableName: 'time_entries',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId', 'startedAt']
+      },
+      {
+        fields: ['projectId', 'startedAt']
+      },
+      {
+        fields: ['taskId']
+      },
+      {
+        fields: ['endedAt']
+      }
+    ]
+  });
+
+  // ============================================
+  // HOOKS
+  // ============================================
+
+  /**
+   * Hook beforeSave - Calculer la fin d'une saisie manuelle, ou la durée d'un chronomètre arrêté
+   */
+  TimeEntry.beforeSave(async (entry) => {
+    if (entry.durationMinutes && (entry.changed('durationMinutes') || entry.changed('startedAt')) && entry.source === 'manual') {
+      entry.endedAt = new Date(new Date(entry.startedAt).getTime() + entry.durationMinutes * 60 * 1000);
+    } else if (entry.endedAt && entry.changed('endedAt')) {
+      const minutes = Math.round((new Date(entry.endedAt) - new Date(entry.startedAt)) / 60000);
+      entry.durationMinutes = Math.max(1, minutes);
+    }
+  });
+
+  // ============================================
+  // MÉTHODES D'INSTANCE
+  // ============================================
+
+  /**
+   * Vérifier si le chronomètre tourne
+   * @returns {boolean}
+   */
+  TimeEntry.prototype.isRunning = function() {
+    return !this.endedAt;
+  };
+
+  /**
+   * Arrêter le chronomètre
+   * @returns {Promise<TimeEntry>}
+   */
+  TimeEntry.prototype.stop = async function() {
+    this.endedAt = new Date();
+    return await this.save();
+  };
+
+  /**
+   * Durée en heures (chronomètre en cours : jusqu'à maintenant)
+   * @returns {number}
+   */
+  TimeEntry.prototype.getHours = function() {
+    const minutes = this.durationMinutes !== null && this.durationMinutes !== undefined
+      ? this.durationMinutes
+      : (Date.now() - new Date(this.startedAt)) / 60000;
+    return Math.round((minutes / 60) * 100) / 100;
+  };
+
+  // ============================================
+  // MÉTHODES STATIQUES
+  // ============================================
+
+  /**
+   * Obtenir le chronomètre en cours d'un utilisateur
+   * @param {number} userId
+   * @returns {Promise<TimeEntry|null>}
+   */
+  TimeEntry.findRunning = async function(userId) {
+    return await TimeEntry.findOne({
+      where: { userId, endedAt: null }
+    });
+  };
+
+  return TimeEntry;
+};
@@ -0,0 +1,118 @@
+module.exports = (sequelize, DataTypes) => {
+  const Timesheet = sequelize.define('Timesheet', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    projectId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'projects',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      comment: 'null = temps passé sur des tâches d\'équipe (validé par un admin)'
+    },
+    weekStart: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      comment: 'Lundi de la semaine'
+    },
+    status: {
+      type: DataTypes.ENUM('submitted', 'approved', 'rejected'),
+      allowNull: false,
+      defaultValue: 'submitted',
+      validate: {
+        isIn: {
+          args: [['submitted', 'approved', 'rejected']],
+          msg: 'Le statut doit être submitted, approved ou rejected'
+        }
+      }
+    },
+    totalMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Temps soumis (instantané à la soumission)'
+    },
+    billableMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    submittedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    reviewedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    reviewedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    reviewComment: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'timesheets',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId', 'weekStart']
+      },
+      {
+        fields: ['projectId', 'status']
+      }
+    ]
+  });
+
+  // ============================================
+  // MÉTHODES D'INSTANCE
+  // ============================================
+
+  /**
+   * Vérifier si les saisies de la feuille sont verrouillées (soumise ou approuvée)
+   * @returns {boolean}
+   */
+  Timesheet.prototype.isLocked = function() {
+    return ['submitted', 'approved'].includes(this.status);
+  };
+
+  // ============================================
+  // MÉTHODES STATIQUES
+  // ============================================
+
+  /**
+   * Trouver la feuille de temps d'un utilisateur pour une semaine et un projet
+   * @param {number} userId
+   * @param {number|null} projectId
+   * @param {string} weekStart - YYYY-MM-DD (lundi)
+   * @returns {Promise<Timesheet|null>}
+   */
+  Timesheet.findForWeek = async function(userId, projectId, weekStart) {
+    return await Timesheet.findOne({
+      where: { userId, projectId: projectId || null, weekStart }
+    });
+  };
+
+  return Timesheet;
+};
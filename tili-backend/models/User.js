@@ -1,4 +1,5 @@
 const bcrypt = require('bcryptjs');
+const totp = require('../utils/totp');
 
 module.exports = (sequelize, DataTypes) => {
   const User = sequelize.define('User', {
@@ -118,6 +119,73 @@ module.exports = (sequelize, DataTypes) => {
     lastLogin: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    emailVerified: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: 'false tant que l\'utilisateur inscrit n\'a pas confirmé son email'
+    },
+    emailVerifiedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    twoFactorEnabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    twoFactorSecret: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: 'Secret TOTP (base32), défini à l\'enrôlement'
+    },
+    twoFactorRecoveryCodes: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Hash SHA-256 des codes de récupération non utilisés'
+    },
+    failedLoginAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    lockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Verrouillage temporaire après trop d\'échecs de connexion'
+    },
+    twoFactorLastCounter: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      comment: 'Dernier pas TOTP accepté (anti-rejeu)'
+    },
+    authProvider: {
+      type: DataTypes.ENUM('local', 'oidc', 'ldap'),
+      allowNull: false,
+      defaultValue: 'local',
+      comment: 'Origine des identifiants (local = mot de passe TILI)'
+    },
+    externalId: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Identifiant chez le fournisseur d\'identité (claim sub OIDC, login LDAP)'
+    },
+    passwordChangedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Dernier changement du mot de passe (rotation obligatoire)'
+    },
+    hourlyRate: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      validate: {
+        min: {
+          args: [0],
+          msg: 'Le taux horaire ne peut pas être négatif'
+        }
+      },
+      comment: 'Taux horaire par défaut (si aucun taux n\'est défini sur le projet)'
     }
   }, {
     tableName: 'users',
@@ -136,12 +204,19 @@ module.exports = (sequelize, DataTypes) => {
       },
       {
         fields: ['isActive']
+      },
+      {
+        fields: ['emailVerified']
+      },
+      {
+        unique: true,
+        fields: ['authProvider', 'externalId']
       }
     ],
-    // Exclure le password par défaut dans les queries
+    // Exclure le password et les secrets 2FA par défaut dans les queries
     defaultScope: {
       attributes: {
-        exclude: ['password']
+        exclude: ['password', 'twoFactorSecret', 'twoFactorRecoveryCodes', 'twoFactorLastCounter']
       }
     },
     // Scope pour inclure le password quand nécessaire
@@ -150,6 +225,12 @@ module.exports = (sequelize, DataTypes) => {
         attributes: {
           include: ['password']
         }
+      },
+      // Scope pour les opérations de double authentification
+      withTwoFactor: {
+        attributes: {
+          include: ['twoFactorSecret', 'twoFactorRecoveryCodes', 'twoFactorLastCounter']
+        }
       }
     }
   });
@@ -166,6 +247,7 @@ module.exports = (sequelize, DataTypes) => {
       try {
         const salt = await bcrypt.genSalt(10);
         user.password = await bcrypt.hash(user.password, salt);
+        user.passwordChangedAt = new Date();
       } catch (error) {
         throw new Error('Erreur lors du hashage du mot de passe');
       }
@@ -181,12 +263,26 @@ module.exports = (sequelize, DataTypes) => {
       try {
         const salt = await bcrypt.genSalt(10);
         user.password = await bcrypt.hash(user.password, salt);
+        user.passwordChangedAt = new Date();
       } catch (error) {
         throw new Error('Erreur lors du hashage du mot de passe');
       }
     }
   });
 
+  /**
+   * Hooks afterCreate / afterUpdate - Conserver le mot de passe dans l'historique
+   * (comptes locaux uniquement : les comptes SSO / LDAP ont un mot de passe aléatoire inutilisé)
+   */
+  const recordPasswordHistory = async (user, options) => {
+    if (user.changed('password') && user.usesLocalPassword()) {
+      await sequelize.models.PasswordHistory.record(user.id, user.password, options);
+    }
+  };
+
+  User.afterCreate(recordPasswordHistory);
+  User.afterUpdate(recordPasswordHistory);
+
   // ============================================
   // MÉTHODES D'INSTANCE
   // ============================================
@@ -204,6 +300,45 @@ module.exports = (sequelize, DataTypes) => {
     }
   };
 
+  /**
+   * Vérifier si le compte est temporairement verrouillé
+   * @returns {boolean}
+   */
+  User.prototype.isLocked = function() {
+    return !!this.lockedUntil && new Date(this.lockedUntil) > new Date();
+  };
+
+  /**
+   * Remettre à zéro le compteur d'échecs et lever le verrouillage
+   * @returns {Promise<User>}
+   */
+  User.prototype.resetFailedLogins = async function() {
+    if (this.failedLoginAttempts === 0 && !this.lockedUntil) return this;
+    this.failedLoginAttempts = 0;
+    this.lockedUntil = null;
+    return await this.save();
+  };
+
+  /**
+   * Vérifier si l'utilisateur s'authentifie avec un mot de passe TILI
+   * @returns {boolean}
+   */
+  User.prototype.usesLocalPassword = function() {
+    return this.authProvider === 'local';
+  };
+
+  /**
+   * Vérifier si le mot de passe a dépassé la durée de validité de la politique
+   * @param {number} maxAgeDays - Durée de validité en jours (0 = pas d'expiration)
+   * @returns {boolean}
+   */
+  User.prototype.isPasswordExpired = function(maxAgeDays) {
+    if (!(maxAgeDays > 0)) return false;
+
+    const changedAt = new Date(this.passwordChangedAt || this.createdAt);
+    return Date.now() - changedAt.getTime() > maxAgeDays * 24 * 60 * 60 * 1000;
+  };
+
   /**
    * Obtenir le nom complet de l'utilisateur
    * @returns {string} - Prénom et nom
@@ -246,12 +381,76 @@ module.exports = (sequelize, DataTypes) => {
   };
 
   /**
-   * Retourner un objet JSON sécurisé (sans password)
+   * Marquer l'email comme vérifié
+   * @returns {Promise<User>}
+   */
+  User.prototype.markEmailVerified = async function() {
+    this.emailVerified = true;
+    this.emailVerifiedAt = new Date();
+    return await this.save();
+  };
+
+  /**
+   * Vérifier un code de double authentification (TOTP ou code de récupération)
+   * Un code TOTP ne peut servir qu'une fois, un code de récupération est consommé.
+   * @param {string} code
+   * @returns {Promise<string|null>} - 'totp', 'recovery_code' ou null si invalide
+   */
+  User.prototype.verifyTwoFactorCode = async function(code) {
+    if (!this.twoFactorSecret || !code) return null;
+
+    const lastCounter = this.twoFactorLastCounter !== null && this.twoFactorLastCounter !== undefined
+      ? Number(this.twoFactorLastCounter)
+      : null;
+    const counter = totp.verify(this.twoFactorSecret, code, { lastCounter });
+
+    if (counter !== null) {
+      this.twoFactorLastCounter = counter;
+      await this.save();
+      return 'totp';
+    }
+
+    const codes = this.twoFactorRecoveryCodes || [];
+    const hash = totp.hashRecoveryCode(code);
+
+    if (codes.includes(hash)) {
+      this.twoFactorRecoveryCodes = codes.filter(c => c !== hash);
+      await this.save();
+      return 'recovery_code';
+    }
+
+    return null;
+  };
+
+  /**
+   * Générer de nouveaux codes de récupération (remplace les anciens)
+   * @returns {string[]} - Codes en clair, à n'afficher qu'une seule fois
+   */
+  User.prototype.regenerateRecoveryCodes = function() {
+    const codes = totp.generateRecoveryCodes();
+    this.twoFactorRecoveryCodes = codes.map(totp.hashRecoveryCode);
+    return codes;
+  };
+
+  /**
+   * Vérifier si la politique de sécurité impose la 2FA à cet utilisateur
+   * @returns {Promise<boolean>}
+   */
+  User.prototype.isTwoFactorRequired = async function() {
+    const requiredRoles = await sequelize.models.Setting.getValue('twoFactorRequiredRoles', []);
+    return requiredRoles.includes(this.role);
+  };
+
+  /**
+   * Retourner un objet JSON sécurisé (sans password ni secrets 2FA)
    * @returns {Object}
    */
   User.prototype.toSafeJSON = function() {
     const values = { ...this.get() };
     delete values.password;
+    delete values.twoFactorSecret;
+    delete values.twoFactorRecoveryCodes;
+    delete values.twoFactorLastCounter;
     return values;
   };
 
@@ -281,6 +480,26 @@ module.exports = (sequelize, DataTypes) => {
     });
   };
 
+  /**
+   * Trouver un username disponible à partir d'une base (suffixe numérique si déjà pris)
+   * @param {string} base - Username souhaité (les caractères non alphanumériques sont retirés)
+   * @returns {Promise<string>}
+   */
+  User.generateAvailableUsername = async function(base) {
+    let root = String(base || '').normalize('NFD').replace(/[^a-zA-Z0-9]/g, '').substring(0, 40);
+    if (root.length < 3) root = `user${root}`;
+
+    let candidate = root;
+    let suffix = 1;
+
+    while (await User.count({ where: { username: candidate } }) > 0) {
+      suffix++;
+      candidate = `${root}${suffix}`;
+    }
+
+    return candidate;
+  };
+
   /**
    * Obtenir tous les utilisateurs actifs
    * @returns {Promise<User[]>}
@@ -0,0 +1,313 @@
+// Catégories de statut : à faire, en cours, terminé
+const CATEGORIES = ['todo', 'doing', 'done'];
+
+// Champs de la tâche pouvant être exigés par une transition
+const REQUIRED_FIELDS = ['assignedTo', 'dueDate', 'description', 'estimatedHours', 'estimatedPoints'];
+
+// Workflow historique des tâches, appliqué aux projets sans workflow propre et aux tâches d'équipe
+const DEFAULT_DEFINITION = {
+  name: 'Workflow par défaut',
+  statuses: [
+    { key: 'not_started', label: 'À faire', category: 'todo' },
+    { key: 'in_progress', label: 'En cours', category: 'doing' },
+    { key: 'blocked', label: 'Bloquée', category: 'todo' },
+    { key: 'completed', label: 'Terminée', category: 'done' }
+  ],
+  transitions: []
+};
+
+/**
+ * Valider la définition d'un workflow
+ * @param {Array} statuses - [{ key, label, category, wipLimit? }]
+ * @param {Array} transitions - [{ from, to, requiredFields? }] ; from peut valoir '*'
+ * @returns {Array<string>} - Erreurs (vide si la définition est valide)
+ */
+const validateDefinition = (statuses, transitions) => {
+  const errors = [];
+
+  if (!Array.isArray(statuses) || statuses.length === 0) {
+    return ['Le workflow doit définir au moins un statut'];
+  }
+
+  const keys = new Set();
+  statuses.forEach((status, index) => {
+    if (!status || typeof status.key !== 'string' || !/^[a-z][a-z0-9_]{0,49}$/.test(status.key)) {
+      errors.push(`Statut ${index + 1} : la clé doit être en minuscules (lettres, chiffres, _)`);
+    } else if (keys.has(status.key)) {
+      errors.push(`Statut ${status.key} : clé en double`);
+    } else {
+      keys.add(status.key);
+    }
+
+    if (status && !CATEGORIES.includes(status.category)) {
+      errors.push(`Statut ${status.key || index + 1} : la catégorie doit être ${CATEGORIES.join(', ')}`);
+    }
+
+    if (status && status.wipLimit !== undefined && status.wipLimit !== null &&
+      !(Number.isInteger(status.wipLimit) && status.wipLimit > 0)) {
+      errors.push(`Statut ${status.key || index + 1} : la limite WIP doit être un entier positif`);
+    }
+  });
+
+  if (!statuses.some(status => status && status.category === 'done')) {
+    errors.push('Le workflow doit avoir au moins un statut de catégorie done');
+  }
+
+  if (!Array.isArray(transitions)) {
+    errors.push('Les transitions doivent être une liste');
+    return errors;
+  }
+
+  transitions.forEach((transition, index) => {
+    if (!transition || (transition.from !== '*' && !keys.has(transition.from)) || !keys.has(transition.to)) {
+      errors.push(`Transition ${index + 1} : statut de départ ou d'arrivée inconnu`);
+      return;
+    }
+
+    const requiredFields = transition.requiredFields || [];
+    if (!Array.isArray(requiredFields) || requiredFields.some(field => !REQUIRED_FIELDS.includes(field))) {
+      errors.push(`Transition ${index + 1} : champs requis possibles : ${REQUIRED_FIELDS.join(', ')}`);
+    }
+  });
+
+  return errors;
+};
+
+module.exports = (sequelize, DataTypes) => {
+  const Workflow = sequelize.define('Workflow', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'Le nom du workflow est requis'
+        }
+      }
+    },
+    projectId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      unique: true,
+      // Sans contrainte : projects.workflowId référence déjà workflows
+      comment: 'Workflow propre à un projet (null = workflow partagé)'
+    },
+    isDefault: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Workflow des projets sans workflow et des tâches d\'équipe'
+    },
+    statuses: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: 'Statuts ordonnés (colonnes) : [{ key, label, category, wipLimit }] ; le premier est le statut initial'
+    },
+    transitions: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Transitions autorisées : [{ from, to, requiredFields }] ; vide = toutes'
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    }
+  }, {
+    tableName: 'workflows',
+    timestamps: true,
+    validate: {
+      definition() {
+        const errors = validateDefinition(this.statuses, this.transitions);
+        if (errors.length > 0) {
+          throw new Error(errors.join(' ; '));
+        }
+      }
+    }
+  });
+
+  Workflow.CATEGORIES = CATEGORIES;
+  Workflow.REQUIRED_FIELDS = REQUIRED_FIELDS;
+  Workflow.DEFAULT_DEFINITION = DEFAULT_DEFINITION;
+  Workflow.validateDefinition = validateDefinition;
+
+  // ============================================
+  // MÉTHODES D'INSTANCE
+  // ============================================
+
+  /**
+   * Obtenir un statut du workflow
+   * @param {string} key
+   * @returns {Object|null} - { key, label, category, wipLimit }
+   */
+  Workflow.prototype.getStatus = function(key) {
+    return this.statuses.find(status => status.key === key) || null;
+  };
+
+  /**
+   * Statut initial des nouvelles tâches (premier statut)
+   * @returns {string}
+   */
+  Workflow.prototype.getInitialStatus = function() {
+    return this.statuses[0].key;
+  };
+
+  /**
+   * Premier statut de catégorie done (utilisé pour terminer une tâche)
+   * @returns {string}
+   */
+  Workflow.prototype.getDoneStatus = function() {
+    return this.statuses.find(status => status.category === 'done').key;
+  };
+
+  /**
+   * Statuts accessibles depuis un statut
+   * @param {string} from
+   * @returns {Array<string>}
+   */
+  Workflow.prototype.getAllowedTransitions = function(from) {
+    const others = this.statuses.map(status => status.key).filter(key => key !== from);
+
+    if (this.transitions.length === 0) {
+      return others;
+    }
+
+    return others.filter(key => this.transitions.some(t => (t.from === from || t.from === '*') && t.to === key));
+  };
+
+  /**
+   * Contrôler un changement de statut
+   * @param {string} from - Statut actuel
+   * @param {string} to - Statut demandé
+   * @param {Object} values - Valeurs de la tâche après modification (pour les champs requis)
+   * @returns {{status: Object|null, allowed: boolean, missingFields: Array<string>}}
+   */
+  Workflow.prototype.checkTransition = function(from, to, values) {
+    const status = this.getStatus(to);
+
+    if (!status || from === to) {
+      return { status, allowed: !!status, missingFields: [] };
+    }
+
+    // Les tâches dont le statut n'existe plus dans le workflow peuvent rejoindre n'importe quel statut
+    if (!this.getStatus(from)) {
+      return { status, allowed: true, missingFields: [] };
+    }
+
+    if (!this.getAllowedTransitions(from).includes(to)) {
+      return { status, allowed: false, missingFields: [] };
+    }
+
+    const requiredFields = new Set(this.transitions
+      .filter(t => (t.from === from || t.from === '*') && t.to === to)
+      .flatMap(t => t.requiredFields || []));
+
+    const missingFields = [...requiredFields].filter(field =>
+      values[field] === null || values[field] === undefined || values[field] === ''
+    );
+
+    return { status, allowed: true, missingFields };
+  };
+
+  /**
+   * Conditions désignant les tâches qui suivent ce workflow
+   * @param {Object} [options] - { transaction }
+   * @returns {Promise<Object>} - Clause where sur Task
+   */
+  Workflow.prototype.getTaskScope = async function({ transaction } = {}) {
+    const { Op } = sequelize.Sequelize;
+    const { Project } = sequelize.models;
+
+    if (this.projectId) {
+      return { projectId: this.projectId };
+    }
+
+    const projects = await Project.findAll({
+      where: this.isDefault
+        ? { [Op.or]: [{ workflowId: this.id }, { workflowId: null }] }
+        : { workflowId: this.id },
+      attributes: ['id'],
+      transaction
+    });
+    const projectIds = projects.map(project => project.id);
+
+    return this.isDefault
+      ? { [Op.or]: [{ projectId: null }, { projectId: { [Op.in]: projectIds } }] }
+      : { projectId: { [Op.in]: projectIds } };
+  };
+
+  /**
+   * Recalculer la catégorie de statut (et completedAt) des tâches qui suivent ce workflow
+   * @param {Object} [options] - { transaction }
+   * @returns {Promise<number>} - Nombre de tâches modifiées
+   */
+  Workflow.prototype.syncTaskCategories = async function({ transaction } = {}) {
+    const { Op } = sequelize.Sequelize;
+    const scope = await this.getTaskScope({ transaction });
+    let updated = 0;
+
+    for (const status of this.statuses) {
+      const completedAt = status.category === 'done'
+        ? sequelize.fn('COALESCE', sequelize.col('completedAt'), sequelize.fn('NOW'))
+        : null;
+
+      const [count] = await sequelize.models.Task.update(
+        { statusCategory: status.category, completedAt },
+        { where: { [Op.and]: [scope, { status: status.key, statusCategory: { [Op.ne]: status.category } }] }, transaction }
+      );
+      updated += count;
+    }
+
+    return updated;
+  };
+
+  // ============================================
+  // MÉTHODES STATIQUES
+  // ============================================
+
+  /**
+   * Obtenir le workflow par défaut (créé à partir du workflow historique s'il n'existe pas)
+   * @param {Object} [options] - { transaction }
+   * @returns {Promise<Workflow>}
+   */
+  Workflow.getDefault = async function({ transaction } = {}) {
+    const [workflow] = await Workflow.findOrCreate({
+      where: { isDefault: true },
+      defaults: { ...DEFAULT_DEFINITION },
+      transaction
+    });
+    return workflow;
+  };
+
+  /**
+   * Obtenir le workflow suivi par les tâches d'un projet (workflow par défaut sans projet)
+   * @param {number|null} projectId
+   * @param {Object} [options] - { transaction }
+   * @returns {Promise<Workflow>}
+   */
+  Workflow.forProject = async function(projectId, { transaction } = {}) {
+    if (projectId) {
+      const project = await sequelize.models.Project.findByPk(projectId, { attributes: ['id', 'workflowId'], transaction });
+      const workflow = project && project.workflowId
+        ? await Workflow.findByPk(project.workflowId, { transaction })
+        : null;
+
+      if (workflow) {
+        return workflow;
+      }
+    }
+
+    return await Workflow.getDefault({ transaction });
+  };
+
+  return Workflow;
+};
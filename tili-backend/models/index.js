@@ -35,14 +35,34 @@ db.sequelize = sequelize;
 db.User = require('./User')(sequelize, Sequelize);
 db.Project = require('./Project')(sequelize, Sequelize);
 db.ProjectMember = require('./ProjectMember')(sequelize, Sequelize);
+db.Workflow = require('./Workflow')(sequelize, Sequelize);
 db.Task = require('./Task')(sequelize, Sequelize);
+db.TaskChecklistItem = require('./TaskChecklistItem')(sequelize, Sequelize);
+db.TaskDependency = require('./TaskDependency')(sequelize, Sequelize);
+db.TaskRecurrence = require('./TaskRecurrence')(sequelize, Sequelize);
+db.TaskAssignee = require('./TaskAssignee')(sequelize, Sequelize);
+db.TaskWatcher = require('./TaskWatcher')(sequelize, Sequelize);
+db.TaskTemplate = require('./TaskTemplate')(sequelize, Sequelize);
+db.TimeEntry = require('./TimeEntry')(sequelize, Sequelize);
+db.Timesheet = require('./Timesheet')(sequelize, Sequelize);
+db.ProjectRate = require('./ProjectRate')(sequelize, Sequelize);
 db.Document = require('./Document')(sequelize, Sequelize);
+db.Label = require('./Label')(sequelize, Sequelize);
+db.LabelAssignment = require('./LabelAssignment')(sequelize, Sequelize);
 db.Meeting = require('./Meeting')(sequelize, Sequelize);
 db.Comment = require('./Comment')(sequelize, Sequelize);
 db.Log = require('./Log')(sequelize, Sequelize);
 db.Team = require('./Team')(sequelize, Sequelize);
 db.TeamMember = require('./TeamMember')(sequelize, Sequelize);
 db.TeamInvitation = require('./TeamInvitation')(sequelize, Sequelize);
+db.Session = require('./Session')(sequelize, Sequelize);
+db.PasswordResetToken = require('./PasswordResetToken')(sequelize, Sequelize);
+db.PasswordHistory = require('./PasswordHistory')(sequelize, Sequelize);
+db.Setting = require('./Setting')(sequelize, Sequelize);
+db.LoginAttempt = require('./LoginAttempt')(sequelize, Sequelize);
+db.PersonalAccessToken = require('./PersonalAccessToken')(sequelize, Sequelize);
+db.OidcAuthRequest = require('./OidcAuthRequest')(sequelize, Sequelize);
+db.RegistrationInvite = require('./RegistrationInvite')(sequelize, Sequelize);
 
 // ============================================
 // DÉFINITION DES ASSOCIATIONS
@@ -166,6 +186,223 @@ db.Task.belongsTo(db.User, {
   as: 'creator'
 });
 
+// Task ↔ Users (assignés, dont l'assigné principal recopié dans assignedTo)
+db.Task.belongsToMany(db.User, {
+  through: db.TaskAssignee,
+  foreignKey: 'taskId',
+  otherKey: 'userId',
+  as: 'assignees'
+});
+
+db.User.belongsToMany(db.Task, {
+  through: db.TaskAssignee,
+  foreignKey: 'userId',
+  otherKey: 'taskId',
+  as: 'coAssignedTasks'
+});
+
+db.Task.hasMany(db.TaskAssignee, {
+  foreignKey: 'taskId',
+  as: 'assigneeLinks',
+  onDelete: 'CASCADE'
+});
+
+db.TaskAssignee.belongsTo(db.User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// Task ↔ Users (observateurs)
+db.Task.belongsToMany(db.User, {
+  through: db.TaskWatcher,
+  foreignKey: 'taskId',
+  otherKey: 'userId',
+  as: 'watchers'
+});
+
+db.User.belongsToMany(db.Task, {
+  through: db.TaskWatcher,
+  foreignKey: 'userId',
+  otherKey: 'taskId',
+  as: 'watchedTasks'
+});
+
+// Task → Subtasks (arborescence via parentId)
+db.Task.hasMany(db.Task, {
+  foreignKey: 'parentId',
+  as: 'subtasks',
+  onDelete: 'CASCADE'
+});
+
+db.Task.belongsTo(db.Task, {
+  foreignKey: 'parentId',
+  as: 'parent'
+});
+
+// Task → ChecklistItems
+db.Task.hasMany(db.TaskChecklistItem, {
+  foreignKey: 'taskId',
+  as: 'checklistItems',
+  onDelete: 'CASCADE'
+});
+
+db.TaskChecklistItem.belongsTo(db.Task, {
+  foreignKey: 'taskId',
+  as: 'task'
+});
+
+db.TaskChecklistItem.belongsTo(db.User, {
+  foreignKey: 'doneBy',
+  as: 'completedBy'
+});
+
+// Task ↔ Task (dépendances entre tâches d'un même projet)
+db.Task.hasMany(db.TaskDependency, {
+  foreignKey: 'successorId',
+  as: 'predecessorLinks',
+  onDelete: 'CASCADE'
+});
+
+db.Task.hasMany(db.TaskDependency, {
+  foreignKey: 'predecessorId',
+  as: 'successorLinks',
+  onDelete: 'CASCADE'
+});
+
+db.TaskDependency.belongsTo(db.Task, {
+  foreignKey: 'predecessorId',
+  as: 'predecessor'
+});
+
+db.TaskDependency.belongsTo(db.Task, {
+  foreignKey: 'successorId',
+  as: 'successor'
+});
+
+db.TaskDependency.belongsTo(db.User, {
+  foreignKey: 'createdBy',
+  as: 'creator'
+});
+
+// Workflow → Projects (workflow des tâches du projet)
+db.Workflow.hasMany(db.Project, {
+  foreignKey: 'workflowId',
+  as: 'projects'
+});
+
+db.Project.belongsTo(db.Workflow, {
+  foreignKey: 'workflowId',
+  as: 'workflow'
+});
+
+// Workflow propre à un projet (sans contrainte, la référence inverse existe déjà)
+db.Workflow.belongsTo(db.Project, {
+  foreignKey: 'projectId',
+  as: 'ownerProject',
+  constraints: false
+});
+
+db.Workflow.belongsTo(db.User, {
+  foreignKey: 'createdBy',
+  as: 'creator'
+});
+
+// TaskRecurrence → Tasks (occurrences d'une série)
+db.TaskRecurrence.hasMany(db.Task, {
+  foreignKey: 'recurrenceId',
+  as: 'occurrences',
+  onDelete: 'SET NULL'
+});
+
+db.Task.belongsTo(db.TaskRecurrence, {
+  foreignKey: 'recurrenceId',
+  as: 'recurrence'
+});
+
+db.TaskRecurrence.belongsTo(db.User, {
+  foreignKey: 'createdBy',
+  as: 'creator'
+});
+
+// Task → TimeEntries (temps passé)
+db.Task.hasMany(db.TimeEntry, {
+  foreignKey: 'taskId',
+  as: 'timeEntries',
+  onDelete: 'CASCADE'
+});
+
+db.TimeEntry.belongsTo(db.Task, {
+  foreignKey: 'taskId',
+  as: 'task'
+});
+
+db.User.hasMany(db.TimeEntry, {
+  foreignKey: 'userId',
+  as: 'timeEntries',
+  onDelete: 'CASCADE'
+});
+
+db.TimeEntry.belongsTo(db.User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+db.Project.hasMany(db.TimeEntry, {
+  foreignKey: 'projectId',
+  as: 'timeEntries',
+  onDelete: 'CASCADE'
+});
+
+db.TimeEntry.belongsTo(db.Project, {
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+// User → Timesheets (feuilles de temps hebdomadaires, par projet)
+db.User.hasMany(db.Timesheet, {
+  foreignKey: 'userId',
+  as: 'timesheets',
+  onDelete: 'CASCADE'
+});
+
+db.Timesheet.belongsTo(db.User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+db.Timesheet.belongsTo(db.User, {
+  foreignKey: 'reviewedBy',
+  as: 'reviewer'
+});
+
+db.Project.hasMany(db.Timesheet, {
+  foreignKey: 'projectId',
+  as: 'timesheets',
+  onDelete: 'CASCADE'
+});
+
+db.Timesheet.belongsTo(db.Project, {
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+// Project → ProjectRates (taux horaires par utilisateur ou par rôle)
+db.Project.hasMany(db.ProjectRate, {
+  foreignKey: 'projectId',
+  as: 'rates',
+  onDelete: 'CASCADE'
+});
+
+db.ProjectRate.belongsTo(db.Project, {
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+db.ProjectRate.belongsTo(db.User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
 // Project → Documents
 db.Project.hasMany(db.Document, {
   foreignKey: 'projectId',
@@ -248,6 +485,78 @@ db.Comment.belongsTo(db.Comment, {
   as: 'parent'
 });
 
+// Project / Team → Labels (étiquettes du périmètre)
+db.Project.hasMany(db.Label, {
+  foreignKey: 'projectId',
+  as: 'ownLabels',
+  onDelete: 'CASCADE'
+});
+
+db.Label.belongsTo(db.Project, {
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+db.Team.hasMany(db.Label, {
+  foreignKey: 'teamId',
+  as: 'labels',
+  onDelete: 'CASCADE'
+});
+
+db.Label.belongsTo(db.Team, {
+  foreignKey: 'teamId',
+  as: 'team'
+});
+
+db.Label.belongsTo(db.User, {
+  foreignKey: 'createdBy',
+  as: 'creator'
+});
+
+// Label → LabelAssignments
+db.Label.hasMany(db.LabelAssignment, {
+  foreignKey: 'labelId',
+  as: 'assignments',
+  onDelete: 'CASCADE'
+});
+
+db.LabelAssignment.belongsTo(db.Label, {
+  foreignKey: 'labelId',
+  as: 'label'
+});
+
+// Tasks / Projects / Documents ↔ Labels (polymorphe via LabelAssignment, comme les commentaires)
+[['task', db.Task], ['project', db.Project], ['document', db.Document]].forEach(([entityType, model]) => {
+  model.belongsToMany(db.Label, {
+    through: {
+      model: db.LabelAssignment,
+      unique: false,
+      scope: { entityType }
+    },
+    foreignKey: 'entityId',
+    otherKey: 'labelId',
+    constraints: false,
+    as: 'labels'
+  });
+});
+
+// Team → TaskTemplates (modèles partagés avec l'équipe)
+db.Team.hasMany(db.TaskTemplate, {
+  foreignKey: 'teamId',
+  as: 'taskTemplates',
+  onDelete: 'CASCADE'
+});
+
+db.TaskTemplate.belongsTo(db.Team, {
+  foreignKey: 'teamId',
+  as: 'team'
+});
+
+db.TaskTemplate.belongsTo(db.User, {
+  foreignKey: 'createdBy',
+  as: 'creator'
+});
+
 // User → Logs (performedBy)
 db.User.hasMany(db.Log, {
   foreignKey: 'performedBy',
@@ -259,6 +568,103 @@ db.Log.belongsTo(db.User, {
   as: 'user'
 });
 
+db.Log.belongsTo(db.User, {
+  foreignKey: 'impersonatorId',
+  as: 'impersonator'
+});
+
+// User → Sessions
+db.User.hasMany(db.Session, {
+  foreignKey: 'userId',
+  as: 'sessions',
+  onDelete: 'CASCADE'
+});
+
+db.Session.belongsTo(db.User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+db.Session.belongsTo(db.User, {
+  foreignKey: 'impersonatorId',
+  as: 'impersonator'
+});
+
+// User → PasswordResetTokens
+db.User.hasMany(db.PasswordResetToken, {
+  foreignKey: 'userId',
+  as: 'passwordResetTokens',
+  onDelete: 'CASCADE'
+});
+
+db.PasswordResetToken.belongsTo(db.User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// User → PasswordHistory
+db.User.hasMany(db.PasswordHistory, {
+  foreignKey: 'userId',
+  as: 'passwordHistory',
+  onDelete: 'CASCADE'
+});
+
+db.PasswordHistory.belongsTo(db.User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// User → LoginAttempts
+db.User.hasMany(db.LoginAttempt, {
+  foreignKey: 'userId',
+  as: 'loginAttempts',
+  onDelete: 'CASCADE'
+});
+
+db.LoginAttempt.belongsTo(db.User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// User → PersonalAccessTokens
+db.User.hasMany(db.PersonalAccessToken, {
+  foreignKey: 'userId',
+  as: 'accessTokens',
+  onDelete: 'CASCADE'
+});
+
+db.PersonalAccessToken.belongsTo(db.User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// RegistrationInvite → Users (créateur, compte créé, révocation) et équipe pré-assignée
+db.RegistrationInvite.belongsTo(db.User, {
+  foreignKey: 'createdBy',
+  as: 'creator'
+});
+
+db.RegistrationInvite.belongsTo(db.User, {
+  foreignKey: 'redeemedBy',
+  as: 'redeemer'
+});
+
+db.RegistrationInvite.belongsTo(db.User, {
+  foreignKey: 'revokedBy',
+  as: 'revoker'
+});
+
+db.RegistrationInvite.belongsTo(db.Team, {
+  foreignKey: 'teamId',
+  as: 'team'
+});
+
+// User → Settings (dernier modificateur)
+db.Setting.belongsTo(db.User, {
+  foreignKey: 'updatedBy',
+  as: 'updater'
+});
+
 // ============================================
 // TEAM ASSOCIATIONS
 // ============================================
@@ -2,13 +2,42 @@ const express = require('express');
 const router = express.Router();
 const {
   register,
+  getRegistrationMode,
   login,
+  verifyTwoFactorLogin,
+  getOidcAuthorizationUrl,
+  oidcCallback,
+  refresh,
   getMe,
   logout,
   updateProfile,
-  changePassword
+  changePassword,
+  getPasswordPolicy,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  getSessions,
+  revokeSession
 } = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
+const {
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken
+} = require('../controllers/accessTokenController');
+const { getPermissions } = require('../controllers/permissionController');
+const { authenticate, protect, protectSession, forbidImpersonation } = require('../middleware/auth');
+
+// Les routes de gestion du compte n'acceptent pas les tokens d'accès personnels.
+// Routes accessibles aux comptes qui doivent encore activer la 2FA obligatoire
+// ou changer un mot de passe expiré :
+const protectTwoFactorSetup = authenticate({ allowTwoFactorSetup: true, allowPasswordChange: true, allowAccessToken: false });
 
 /**
  * @route   POST /api/auth/register
@@ -17,6 +46,13 @@ const { protect } = require('../middleware/auth');
  */
 router.post('/register', register);
 
+/**
+ * @route   GET /api/auth/registration
+ * @desc    Mode d'inscription (open, domain, invite_only)
+ * @access  Public
+ */
+router.get('/registration', getRegistrationMode);
+
 /**
  * @route   POST /api/auth/login
  * @desc    Connexion d'un utilisateur
@@ -24,33 +60,167 @@ router.post('/register', register);
  */
 router.post('/login', login);
 
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Seconde étape de connexion : valider le code 2FA
+ * @access  Public (challengeToken requis)
+ */
+router.post('/2fa/verify', verifyTwoFactorLogin);
+
+/**
+ * @route   GET /api/auth/oidc/authorize
+ * @desc    Démarrer une connexion SSO (retourne l'URL du fournisseur d'identité)
+ * @access  Public
+ */
+router.get('/oidc/authorize', getOidcAuthorizationUrl);
+
+/**
+ * @route   POST /api/auth/oidc/callback
+ * @desc    Finaliser une connexion SSO (code et state retournés par le fournisseur)
+ * @access  Public
+ */
+router.post('/oidc/callback', oidcCallback);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Renouveler le token d'accès à partir du refresh token
+ * @access  Public
+ */
+router.post('/refresh', refresh);
+
+/**
+ * @route   GET /api/auth/password-policy
+ * @desc    Règles de la politique de mots de passe
+ * @access  Public
+ */
+router.get('/password-policy', getPasswordPolicy);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Demander un lien de réinitialisation du mot de passe
+ * @access  Public
+ */
+router.post('/forgot-password', forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Réinitialiser le mot de passe avec le token reçu par email
+ * @access  Public
+ */
+router.post('/reset-password', resetPassword);
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirmer l'adresse email à partir du lien reçu
+ * @access  Public
+ */
+router.post('/verify-email', verifyEmail);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Renvoyer l'email de vérification
+ * @access  Private (comptes non vérifiés acceptés)
+ */
+router.post('/resend-verification', authenticate({ allowUnverified: true, allowAccessToken: false }), resendVerification);
+
 /**
  * @route   GET /api/auth/me
  * @desc    Obtenir les informations de l'utilisateur connecté
  * @access  Private
  */
-router.get('/me', protect, getMe);
+router.get('/me', protectTwoFactorSetup, getMe);
+
+/**
+ * @route   GET /api/auth/permissions
+ * @desc    Capacités de l'utilisateur connecté (globales, ou dans un projet / une équipe)
+ * @access  Private
+ * @query   projectId ou teamId (optionnel)
+ */
+router.get('/permissions', protect, getPermissions);
 
 /**
  * @route   POST /api/auth/logout
  * @desc    Déconnexion d'un utilisateur
  * @access  Private
  */
-router.post('/logout', protect, logout);
+router.post('/logout', authenticate({ allowUnverified: true, allowTwoFactorSetup: true, allowPasswordChange: true, allowAccessToken: false }), logout);
 
 /**
  * @route   PUT /api/auth/profile
  * @desc    Mettre à jour le profil de l'utilisateur connecté
  * @access  Private
  */
-router.put('/profile', protect, updateProfile);
+router.put('/profile', protectSession, updateProfile);
 
 /**
  * @route   PUT /api/auth/change-password
  * @desc    Changer le mot de passe de l'utilisateur connecté
+ * @access  Private (mot de passe expiré accepté)
+ */
+router.put('/change-password', authenticate({ allowPasswordChange: true, allowAccessToken: false }), forbidImpersonation, changePassword);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Démarrer l'enrôlement 2FA (secret + URI du QR code)
+ * @access  Private
+ */
+router.post('/2fa/setup', protectTwoFactorSetup, forbidImpersonation, setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirmer l'enrôlement 2FA avec un premier code
+ * @access  Private
+ */
+router.post('/2fa/enable', protectTwoFactorSetup, forbidImpersonation, enableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Désactiver la 2FA
+ * @access  Private
+ */
+router.post('/2fa/disable', protectSession, forbidImpersonation, disableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Régénérer les codes de récupération
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', protectSession, forbidImpersonation, regenerateRecoveryCodes);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Lister les appareils connectés
+ * @access  Private
+ */
+router.get('/sessions', protectSession, getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Déconnecter un appareil à distance
+ * @access  Private
+ */
+router.delete('/sessions/:id', protectSession, forbidImpersonation, revokeSession);
+
+/**
+ * @route   GET /api/auth/tokens
+ * @desc    Lister les tokens d'accès personnels
+ * @access  Private
+ */
+router.get('/tokens', protectSession, getAccessTokens);
+
+/**
+ * @route   POST /api/auth/tokens
+ * @desc    Créer un token d'accès personnel (scopes, expiration optionnelle)
+ * @access  Private
+ */
+router.post('/tokens', protectSession, forbidImpersonation, createAccessToken);
+
+/**
+ * @route   DELETE /api/auth/tokens/:id
+ * @desc    Révoquer un token d'accès personnel
  * @access  Private
  */
-router.put('/change-password', protect, changePassword);
+router.delete('/tokens/:id', protectSession, forbidImpersonation, revokeAccessToken);
 
 module.exports = router;
 
@@ -6,14 +6,15 @@ const {
   updateComment,
   deleteComment
 } = require('../controllers/commentController');
-const { protect } = require('../middleware/auth');
+const { protect, requireScope } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 
 /**
  * @route   POST /api/comments
  * @desc    Créer un commentaire
  * @access  Private
  */
-router.post('/', protect, createComment);
+router.post('/', protect, requireScope('comments:write'), createComment);
 
 /**
  * @route   GET /api/comments/:entityType/:entityId
@@ -22,21 +23,21 @@ router.post('/', protect, createComment);
  * @params  entityType: project | document | task | meeting
  * @params  entityId: ID de l'entité
  */
-router.get('/:entityType/:entityId', protect, getEntityComments);
+router.get('/:entityType/:entityId', protect, requireScope('comments:read'), getEntityComments);
 
 /**
  * @route   PUT /api/comments/:id
  * @desc    Mettre à jour un commentaire
  * @access  Private (Auteur uniquement)
  */
-router.put('/:id', protect, updateComment);
+router.put('/:id', protect, requireScope('comments:write'), requirePermission('comment.update'), updateComment);
 
 /**
  * @route   DELETE /api/comments/:id
  * @desc    Supprimer un commentaire
  * @access  Private (Auteur ou Admin)
  */
-router.delete('/:id', protect, deleteComment);
+router.delete('/:id', protect, requireScope('comments:write'), requirePermission('comment.delete'), deleteComment);
 
 module.exports = router;
 
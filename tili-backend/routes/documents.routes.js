@@ -9,7 +9,9 @@ const {
   deleteDocument,
   getProjectDocuments
 } = require('../controllers/documentController');
-const { protect } = require('../middleware/auth');
+const { setDocumentLabels } = require('../controllers/labelController');
+const { protect, requireScope } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 const upload = require('../middleware/upload');
 
 /**
@@ -17,49 +19,56 @@ const upload = require('../middleware/upload');
  * @desc    Récupérer tous les documents
  * @access  Private
  */
-router.get('/', protect, getAllDocuments);
+router.get('/', protect, requireScope('documents:read'), getAllDocuments);
 
 /**
  * @route   GET /api/documents/:id
  * @desc    Récupérer un document par ID
- * @access  Private
+ * @access  Private (Membres du projet, Admin)
  */
-router.get('/:id', protect, getDocumentById);
+router.get('/:id', protect, requireScope('documents:read'), requirePermission('document.read'), getDocumentById);
 
 /**
  * @route   POST /api/documents
  * @desc    Upload un document
- * @access  Private
+ * @access  Private (Lead, membre ou consultant du projet, Admin)
  */
-router.post('/', protect, upload.single('file'), uploadDocument);
+router.post('/', protect, requireScope('documents:write'), upload.single('file'), uploadDocument);
 
 /**
  * @route   GET /api/documents/:id/download
  * @desc    Télécharger un document
- * @access  Private
+ * @access  Private (Membres du projet, Admin)
  */
-router.get('/:id/download', protect, downloadDocument);
+router.get('/:id/download', protect, requireScope('documents:read'), requirePermission('document.read'), downloadDocument);
 
 /**
  * @route   PUT /api/documents/:id
  * @desc    Mettre à jour les métadonnées d'un document
- * @access  Private
+ * @access  Private (Lead du projet, auteur de l'upload, Admin)
  */
-router.put('/:id', protect, updateDocument);
+router.put('/:id', protect, requireScope('documents:write'), requirePermission('document.update'), updateDocument);
+
+/**
+ * @route   PUT /api/documents/:id/labels
+ * @desc    Remplacer les étiquettes d'un document (labelIds)
+ * @access  Private (Lead du projet, auteur de l'upload, Admin)
+ */
+router.put('/:id/labels', protect, requireScope('documents:write'), requirePermission('document.update'), setDocumentLabels);
 
 /**
  * @route   DELETE /api/documents/:id
  * @desc    Archiver ou supprimer définitivement un document
- * @access  Private
+ * @access  Private (Lead du projet, auteur de l'upload, Admin)
  * @query   permanent=true (optionnel pour suppression physique)
  */
-router.delete('/:id', protect, deleteDocument);
+router.delete('/:id', protect, requireScope('documents:write'), requirePermission('document.delete'), deleteDocument);
 
 /**
  * @route   GET /api/documents/project/:projectId
  * @desc    Récupérer tous les documents d'un projet
- * @access  Private
+ * @access  Private (Membres du projet ou de son équipe, chef de projet, Admin)
  */
-router.get('/project/:projectId', protect, getProjectDocuments);
+router.get('/project/:projectId', protect, requireScope('documents:read'), requirePermission('project.read', 'projectId'), getProjectDocuments);
 
 module.exports = router;
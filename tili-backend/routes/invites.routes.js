@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getInvites,
+  createInvite,
+  revokeInvite
+} = require('../controllers/inviteController');
+const { protectSession, authorize } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/invites
+ * @desc    Lister les invitations d'inscription et leur statut d'utilisation
+ * @access  Private/Admin
+ */
+router.get('/', protectSession, authorize('admin'), getInvites);
+
+/**
+ * @route   POST /api/invites
+ * @desc    Créer une invitation d'inscription (code à usage unique, rôle et équipe pré-assignés)
+ * @access  Private/Admin
+ */
+router.post('/', protectSession, authorize('admin'), createInvite);
+
+/**
+ * @route   DELETE /api/invites/:id
+ * @desc    Révoquer une invitation non utilisée
+ * @access  Private/Admin
+ */
+router.delete('/:id', protectSession, authorize('admin'), revokeInvite);
+
+module.exports = router;
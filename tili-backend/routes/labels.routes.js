@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getLabels,
+  createLabel,
+  updateLabel,
+  mergeLabel,
+  deleteLabel
+} = require('../controllers/labelController');
+const { protect, requireScope } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+
+/**
+ * Périmètre (projet ou équipe) désigné par la requête
+ * @param {Object} source - req.query ou req.body
+ * @returns {Object|null}
+ */
+const scopeFrom = (source) => {
+  if (source.projectId) return { projectId: source.projectId };
+  if (source.teamId) return { teamId: source.teamId };
+  return null;
+};
+
+/**
+ * @route   GET /api/labels
+ * @desc    Récupérer les étiquettes d'un projet (et de son équipe) ou d'une équipe (?projectId= ou ?teamId=)
+ * @access  Private (Membres du projet / de l'équipe, Admin)
+ */
+router.get('/', protect, requireScope('labels:read'), requirePermission('label.read', req => scopeFrom(req.query)), getLabels);
+
+/**
+ * @route   POST /api/labels
+ * @desc    Créer une étiquette dans un projet ou une équipe
+ * @access  Private (Lead ou membre du projet / de l'équipe, Admin)
+ */
+router.post('/', protect, requireScope('labels:write'), requirePermission('label.create', req => scopeFrom(req.body)), createLabel);
+
+/**
+ * @route   PUT /api/labels/:id
+ * @desc    Renommer ou recolorer une étiquette
+ * @access  Private (Lead du projet / de l'équipe, créateur, Admin)
+ */
+router.put('/:id', protect, requireScope('labels:write'), requirePermission('label.update'), updateLabel);
+
+/**
+ * @route   POST /api/labels/:id/merge
+ * @desc    Fusionner une étiquette dans une autre (targetId) ; l'étiquette source est supprimée
+ * @access  Private (Lead du projet / de l'équipe, Admin)
+ */
+router.post('/:id/merge', protect, requireScope('labels:write'), requirePermission('label.delete'), mergeLabel);
+
+/**
+ * @route   DELETE /api/labels/:id
+ * @desc    Supprimer une étiquette
+ * @access  Private (Lead du projet / de l'équipe, Admin)
+ */
+router.delete('/:id', protect, requireScope('labels:write'), requirePermission('label.delete'), deleteLabel);
+
+module.exports = router;
@@ -8,49 +8,50 @@ const {
   deleteMeeting,
   getMeetingDocuments
 } = require('../controllers/meetingController');
-const { protect } = require('../middleware/auth');
+const { protect, requireScope } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 
 /**
  * @route   GET /api/meetings
  * @desc    Récupérer toutes les réunions
  * @access  Private
  */
-router.get('/', protect, getAllMeetings);
+router.get('/', protect, requireScope('meetings:read'), getAllMeetings);
 
 /**
  * @route   GET /api/meetings/:id
  * @desc    Récupérer une réunion par ID
- * @access  Private
+ * @access  Private (Membres du projet, Admin)
  */
-router.get('/:id', protect, getMeetingById);
+router.get('/:id', protect, requireScope('meetings:read'), requirePermission('meeting.read'), getMeetingById);
 
 /**
  * @route   POST /api/meetings
  * @desc    Créer une nouvelle réunion
- * @access  Private
+ * @access  Private (Lead ou membre du projet, Admin)
  */
-router.post('/', protect, createMeeting);
+router.post('/', protect, requireScope('meetings:write'), requirePermission('meeting.create', req => req.body), createMeeting);
 
 /**
  * @route   PUT /api/meetings/:id
  * @desc    Mettre à jour une réunion
- * @access  Private
+ * @access  Private (Lead du projet, organisateur, Admin)
  */
-router.put('/:id', protect, updateMeeting);
+router.put('/:id', protect, requireScope('meetings:write'), requirePermission('meeting.update'), updateMeeting);
 
 /**
  * @route   DELETE /api/meetings/:id
  * @desc    Annuler une réunion (soft delete)
- * @access  Private
+ * @access  Private (Lead du projet, organisateur, Admin)
  */
-router.delete('/:id', protect, deleteMeeting);
+router.delete('/:id', protect, requireScope('meetings:write'), requirePermission('meeting.delete'), deleteMeeting);
 
 /**
  * @route   GET /api/meetings/:id/documents
  * @desc    Récupérer tous les documents liés à une réunion
- * @access  Private
+ * @access  Private (Membres du projet, Admin)
  */
-router.get('/:id/documents', protect, getMeetingDocuments);
+router.get('/:id/documents', protect, requireScope('meetings:read'), requirePermission('meeting.read'), getMeetingDocuments);
 
 module.exports = router;
 
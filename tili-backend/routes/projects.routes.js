@@ -8,65 +8,142 @@ const {
   deleteProject,
   addProjectMember,
   removeProjectMember,
-  getProjectMembers
+  getProjectMembers,
+  getProjectCriticalPath,
+  getProjectProgress
 } = require('../controllers/projectController');
-const { protect, authorize } = require('../middleware/auth');
+const {
+  getProjectTimeReport,
+  getProjectRates,
+  setProjectRate,
+  deleteProjectRate
+} = require('../controllers/timesheetController');
+const {
+  getProjectWorkflow,
+  setProjectWorkflow
+} = require('../controllers/workflowController');
+const { setProjectLabels } = require('../controllers/labelController');
+const { protect, requireScope } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 
 /**
  * @route   GET /api/projects
  * @desc    Récupérer tous les projets
  * @access  Private
  */
-router.get('/', protect, getAllProjects);
+router.get('/', protect, requireScope('projects:read'), getAllProjects);
 
 /**
  * @route   GET /api/projects/:id
  * @desc    Récupérer un projet par ID
- * @access  Private
+ * @access  Private (Membres du projet ou de son équipe, chef de projet, Admin)
  */
-router.get('/:id', protect, getProjectById);
+router.get('/:id', protect, requireScope('projects:read'), requirePermission('project.read'), getProjectById);
 
 /**
  * @route   POST /api/projects
  * @desc    Créer un nouveau projet
  * @access  Private
  */
-router.post('/', protect, createProject);
+router.post('/', protect, requireScope('projects:write'), requirePermission('project.create', req => req.body || {}), createProject);
 
 /**
  * @route   PUT /api/projects/:id
  * @desc    Mettre à jour un projet
  * @access  Private (Lead ou Admin)
  */
-router.put('/:id', protect, updateProject);
+router.put('/:id', protect, requireScope('projects:write'), requirePermission('project.update'), updateProject);
 
 /**
  * @route   DELETE /api/projects/:id
  * @desc    Supprimer (annuler) un projet
  * @access  Private (Lead ou Admin)
  */
-router.delete('/:id', protect, deleteProject);
+router.delete('/:id', protect, requireScope('projects:write'), requirePermission('project.delete'), deleteProject);
 
 /**
  * @route   GET /api/projects/:id/members
  * @desc    Récupérer tous les membres d'un projet
- * @access  Private
+ * @access  Private (Membres du projet ou de son équipe, chef de projet, Admin)
+ */
+router.get('/:id/members', protect, requireScope('projects:read'), requirePermission('project.read'), getProjectMembers);
+
+/**
+ * @route   GET /api/projects/:id/critical-path
+ * @desc    Chemin critique et marge de chaque tâche (dépendances, estimations, échéances)
+ * @access  Private (Membres du projet ou de son équipe, chef de projet, Admin)
+ */
+router.get('/:id/critical-path', protect, requireScope('projects:read'), requirePermission('project.read'), getProjectCriticalPath);
+
+/**
+ * @route   GET /api/projects/:id/workflow
+ * @desc    Récupérer le workflow des tâches du projet et ses transitions
+ * @access  Private (Membres du projet ou de son équipe, chef de projet, Admin)
+ */
+router.get('/:id/workflow', protect, requireScope('projects:read'), requirePermission('project.read'), getProjectWorkflow);
+
+/**
+ * @route   PUT /api/projects/:id/workflow
+ * @desc    Changer le workflow du projet (workflow partagé ou propre au projet)
+ * @access  Private (Lead ou Admin)
+ */
+router.put('/:id/workflow', protect, requireScope('projects:write'), requirePermission('project.update'), setProjectWorkflow);
+
+/**
+ * @route   PUT /api/projects/:id/labels
+ * @desc    Remplacer les étiquettes du projet (labelIds)
+ * @access  Private (Lead ou Admin)
+ */
+router.put('/:id/labels', protect, requireScope('projects:write'), requirePermission('project.update'), setProjectLabels);
+
+/**
+ * @route   GET /api/projects/:id/progress
+ * @desc    Avancement pondéré par les estimations, reste à faire et tâches en dépassement
+ * @access  Private (Membres du projet ou de son équipe, chef de projet, Admin)
+ */
+router.get('/:id/progress', protect, requireScope('projects:read'), requirePermission('project.read'), getProjectProgress);
+
+/**
+ * @route   GET /api/projects/:id/time-report
+ * @desc    Temps passé par utilisateur, valorisé aux taux horaires et comparé au budget
+ * @access  Private (Lead ou Admin)
+ */
+router.get('/:id/time-report', protect, requireScope('timesheets:read'), requirePermission('project.update'), getProjectTimeReport);
+
+/**
+ * @route   GET /api/projects/:id/rates
+ * @desc    Récupérer les taux horaires du projet (par utilisateur et par rôle)
+ * @access  Private (Lead ou Admin)
+ */
+router.get('/:id/rates', protect, requireScope('projects:read'), requirePermission('project.update'), getProjectRates);
+
+/**
+ * @route   PUT /api/projects/:id/rates
+ * @desc    Définir le taux horaire d'un utilisateur ou d'un rôle sur le projet
+ * @access  Private (Lead ou Admin)
+ */
+router.put('/:id/rates', protect, requireScope('projects:write'), requirePermission('project.update'), setProjectRate);
+
+/**
+ * @route   DELETE /api/projects/:id/rates/:rateId
+ * @desc    Supprimer un taux horaire du projet
+ * @access  Private (Lead ou Admin)
  */
-router.get('/:id/members', protect, getProjectMembers);
+router.delete('/:id/rates/:rateId', protect, requireScope('projects:write'), requirePermission('project.update'), deleteProjectRate);
 
 /**
  * @route   POST /api/projects/:id/members
  * @desc    Ajouter un membre au projet
  * @access  Private (Lead ou Admin)
  */
-router.post('/:id/members', protect, addProjectMember);
+router.post('/:id/members', protect, requireScope('projects:write'), requirePermission('project.manageMembers'), addProjectMember);
 
 /**
  * @route   DELETE /api/projects/:id/members/:userId
  * @desc    Retirer un membre du projet
  * @access  Private (Lead ou Admin)
  */
-router.delete('/:id/members/:userId', protect, removeProjectMember);
+router.delete('/:id/members/:userId', protect, requireScope('projects:write'), requirePermission('project.manageMembers'), removeProjectMember);
 
 module.exports = router;
 
@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSecurityPolicy,
+  updateSecurityPolicy,
+  getRegistrationPolicy,
+  updateRegistrationPolicy
+} = require('../controllers/settingController');
+const { protectSession, authorize } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/settings/security
+ * @desc    Récupérer la politique de sécurité
+ * @access  Private/Admin
+ */
+router.get('/security', protectSession, authorize('admin'), getSecurityPolicy);
+
+/**
+ * @route   PUT /api/settings/security
+ * @desc    Mettre à jour la politique de sécurité (2FA obligatoire par rôle, politique de mots de passe)
+ * @access  Private/Admin
+ */
+router.put('/security', protectSession, authorize('admin'), updateSecurityPolicy);
+
+/**
+ * @route   GET /api/settings/registration
+ * @desc    Récupérer la configuration de l'inscription
+ * @access  Private/Admin
+ */
+router.get('/registration', protectSession, authorize('admin'), getRegistrationPolicy);
+
+/**
+ * @route   PUT /api/settings/registration
+ * @desc    Mettre à jour la configuration de l'inscription (open, domain, invite_only)
+ * @access  Private/Admin
+ */
+router.put('/registration', protectSession, authorize('admin'), updateRegistrationPolicy);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTaskTemplates,
+  getTaskTemplateById,
+  createTaskTemplate,
+  updateTaskTemplate,
+  deleteTaskTemplate
+} = require('../controllers/taskTemplateController');
+const { protect, requireScope } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/task-templates
+ * @desc    Récupérer les modèles de tâches visibles (?visibility=, ?teamId=, ?search=)
+ * @access  Private
+ */
+router.get('/', protect, requireScope('tasks:read'), getTaskTemplates);
+
+/**
+ * @route   GET /api/task-templates/:id
+ * @desc    Récupérer un modèle de tâches
+ * @access  Private (Auteur, membres de l'équipe, tous pour un modèle global)
+ */
+router.get('/:id', protect, requireScope('tasks:read'), getTaskTemplateById);
+
+/**
+ * @route   POST /api/task-templates
+ * @desc    Créer un modèle de tâches (private, team ou global)
+ * @access  Private (global : Admin ; team : membres de l'équipe)
+ */
+router.post('/', protect, requireScope('tasks:write'), createTaskTemplate);
+
+/**
+ * @route   PUT /api/task-templates/:id
+ * @desc    Modifier un modèle de tâches
+ * @access  Private (Auteur, lead de l'équipe, Admin ; global : Admin)
+ */
+router.put('/:id', protect, requireScope('tasks:write'), updateTaskTemplate);
+
+/**
+ * @route   DELETE /api/task-templates/:id
+ * @desc    Supprimer un modèle de tâches
+ * @access  Private (Auteur, lead de l'équipe, Admin ; global : Admin)
+ */
+router.delete('/:id', protect, requireScope('tasks:write'), deleteTaskTemplate);
+
+module.exports = router;
@@ -9,78 +9,191 @@ const {
   getProjectTasks,
   getUserTasks,
   updateTaskStatus,
-  assignTask
+  assignTask,
+  getBoard,
+  moveTask,
+  watchTask,
+  unwatchTask
 } = require('../controllers/taskController');
-const { protect } = require('../middleware/auth');
+const {
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem
+} = require('../controllers/checklistController');
+const {
+  getTaskDependencies,
+  addTaskDependency,
+  removeTaskDependency
+} = require('../controllers/dependencyController');
+const { startTimer } = require('../controllers/timeEntryController');
+const { setTaskLabels } = require('../controllers/labelController');
+const { bulkUpdateTasks } = require('../controllers/bulkTaskController');
+const { protect, requireScope } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 
 /**
  * @route   GET /api/tasks
  * @desc    Récupérer toutes les tâches
  * @access  Private
  */
-router.get('/', protect, getAllTasks);
+router.get('/', protect, requireScope('tasks:read'), getAllTasks);
 
 /**
  * @route   GET /api/tasks/project/:projectId
  * @desc    Récupérer toutes les tâches d'un projet
- * @access  Private
+ * @access  Private (Membres du projet ou de son équipe, chef de projet, Admin)
  */
-router.get('/project/:projectId', protect, getProjectTasks);
+router.get('/project/:projectId', protect, requireScope('tasks:read'), requirePermission('project.read', 'projectId'), getProjectTasks);
 
 /**
  * @route   GET /api/tasks/user
  * @desc    Récupérer les tâches de l'utilisateur connecté
  * @access  Private
  */
-router.get('/user', protect, getUserTasks);
+router.get('/user', protect, requireScope('tasks:read'), getUserTasks);
 
 /**
  * @route   GET /api/tasks/user/:userId
  * @desc    Récupérer les tâches assignées à un utilisateur spécifique
  * @access  Private
  */
-router.get('/user/:userId', protect, getUserTasks);
+router.get('/user/:userId', protect, requireScope('tasks:read'), getUserTasks);
+
+/**
+ * @route   GET /api/tasks/board
+ * @desc    Tableau kanban d'un projet ou d'une équipe (?projectId= ou ?teamId=)
+ * @access  Private (Membres du projet / de l'équipe, Admin)
+ */
+router.get('/board', protect, requireScope('tasks:read'), requirePermission('task.read', (req) => {
+  if (req.query.projectId) return { projectId: req.query.projectId };
+  if (req.query.teamId) return { teamId: req.query.teamId };
+  return null;
+}), getBoard);
+
+/**
+ * @route   POST /api/tasks/bulk
+ * @desc    Modifier (statut, priorité, assignés, échéance, étiquettes) ou supprimer plusieurs tâches en une transaction
+ * @access  Private (permissions vérifiées pour chaque tâche)
+ */
+router.post('/bulk', protect, requireScope('tasks:write'), bulkUpdateTasks);
 
 /**
  * @route   GET /api/tasks/:id
- * @desc    Récupérer une tâche par ID
- * @access  Private
+ * @desc    Récupérer une tâche par ID (arbre des sous-tâches, checklists et avancement)
+ * @access  Private (Membres du projet / de l'équipe, Admin)
  */
-router.get('/:id', protect, getTaskById);
+router.get('/:id', protect, requireScope('tasks:read'), requirePermission('task.read'), getTaskById);
 
 /**
  * @route   POST /api/tasks
- * @desc    Créer une nouvelle tâche
- * @access  Private
+ * @desc    Créer une nouvelle tâche (ou une sous-tâche avec parentId, ou les tâches d'un modèle avec templateId)
+ * @access  Private (Lead ou membre du projet / de l'équipe, Admin)
  */
-router.post('/', protect, createTask);
+router.post('/', protect, requireScope('tasks:write'), requirePermission('task.create', req => req.body), createTask);
 
 /**
  * @route   PUT /api/tasks/:id
- * @desc    Mettre à jour une tâche
- * @access  Private
+ * @desc    Mettre à jour une tâche (ou toute sa série récurrente avec scope=series)
+ * @access  Private (Lead ou membre du projet / de l'équipe, créateur, Admin)
  */
-router.put('/:id', protect, updateTask);
+router.put('/:id', protect, requireScope('tasks:write'), requirePermission('task.update'), updateTask);
+
+/**
+ * @route   PUT /api/tasks/:id/labels
+ * @desc    Remplacer les étiquettes d'une tâche (labelIds)
+ * @access  Private (Lead ou membre du projet / de l'équipe, créateur, Admin)
+ */
+router.put('/:id/labels', protect, requireScope('tasks:write'), requirePermission('task.update'), setTaskLabels);
 
 /**
  * @route   PATCH /api/tasks/:id/status
  * @desc    Mettre à jour uniquement le statut d'une tâche
- * @access  Private
+ * @access  Private (Lead ou membre, créateur ou assigné, Admin)
+ */
+router.patch('/:id/status', protect, requireScope('tasks:write'), requirePermission('task.updateStatus'), updateTaskStatus);
+
+/**
+ * @route   PATCH /api/tasks/:id/move
+ * @desc    Déplacer une tâche sur le tableau kanban (colonne et position)
+ * @access  Private (Lead ou membre, créateur ou assigné, Admin)
  */
-router.patch('/:id/status', protect, updateTaskStatus);
+router.patch('/:id/move', protect, requireScope('tasks:write'), requirePermission('task.updateStatus'), moveTask);
 
 /**
  * @route   PATCH /api/tasks/:id/assign
- * @desc    Assigner une tâche à un membre de l'équipe
- * @access  Private (Chef de projet)
+ * @desc    Assigner une tâche à un ou plusieurs membres (assigné principal : primaryId)
+ * @access  Private (Lead du projet / de l'équipe ou Admin)
  */
-router.patch('/:id/assign', protect, assignTask);
+router.patch('/:id/assign', protect, requireScope('tasks:write'), requirePermission('task.assign'), assignTask);
 
 /**
- * @route   DELETE /api/tasks/:id
- * @desc    Supprimer une tâche
+ * @route   POST /api/tasks/:id/watch
+ * @desc    Suivre une tâche
+ * @access  Private (Membres du projet / de l'équipe, Admin)
+ */
+router.post('/:id/watch', protect, requireScope('tasks:write'), requirePermission('task.read'), watchTask);
+
+/**
+ * @route   DELETE /api/tasks/:id/watch
+ * @desc    Ne plus suivre une tâche
  * @access  Private
  */
-router.delete('/:id', protect, deleteTask);
+router.delete('/:id/watch', protect, requireScope('tasks:write'), unwatchTask);
+
+/**
+ * @route   DELETE /api/tasks/:id
+ * @desc    Supprimer une tâche (scope=series : arrêter aussi sa récurrence)
+ * @access  Private (Lead du projet / de l'équipe, créateur, Admin)
+ */
+router.delete('/:id', protect, requireScope('tasks:write'), requirePermission('task.delete'), deleteTask);
+
+/**
+ * @route   POST /api/tasks/:id/checklist
+ * @desc    Ajouter un élément à la checklist d'une tâche
+ * @access  Private (Lead ou membre du projet / de l'équipe, créateur, Admin)
+ */
+router.post('/:id/checklist', protect, requireScope('tasks:write'), requirePermission('task.update'), addChecklistItem);
+
+/**
+ * @route   PATCH /api/tasks/:id/checklist/:itemId
+ * @desc    Cocher / décocher ou modifier un élément de checklist
+ * @access  Private (Lead ou membre, créateur ou assigné, Admin)
+ */
+router.patch('/:id/checklist/:itemId', protect, requireScope('tasks:write'), requirePermission('task.updateStatus'), updateChecklistItem);
+
+/**
+ * @route   DELETE /api/tasks/:id/checklist/:itemId
+ * @desc    Supprimer un élément de checklist
+ * @access  Private (Lead ou membre du projet / de l'équipe, créateur, Admin)
+ */
+router.delete('/:id/checklist/:itemId', protect, requireScope('tasks:write'), requirePermission('task.update'), deleteChecklistItem);
+
+/**
+ * @route   GET /api/tasks/:id/dependencies
+ * @desc    Récupérer les prérequis et les tâches dépendantes d'une tâche
+ * @access  Private (Membres du projet / de l'équipe, Admin)
+ */
+router.get('/:id/dependencies', protect, requireScope('tasks:read'), requirePermission('task.read'), getTaskDependencies);
+
+/**
+ * @route   POST /api/tasks/:id/dependencies
+ * @desc    Ajouter un prérequis (finish_to_start, start_to_start, finish_to_finish)
+ * @access  Private (Lead ou membre du projet, créateur, Admin)
+ */
+router.post('/:id/dependencies', protect, requireScope('tasks:write'), requirePermission('task.update'), addTaskDependency);
+
+/**
+ * @route   DELETE /api/tasks/:id/dependencies/:dependencyId
+ * @desc    Supprimer un prérequis
+ * @access  Private (Lead ou membre du projet, créateur, Admin)
+ */
+router.delete('/:id/dependencies/:dependencyId', protect, requireScope('tasks:write'), requirePermission('task.update'), removeTaskDependency);
+
+/**
+ * @route   POST /api/tasks/:id/timer
+ * @desc    Démarrer un chronomètre sur une tâche (arrête le chronomètre en cours)
+ * @access  Private (Assigné ou membre du projet / de l'équipe, Admin)
+ */
+router.post('/:id/timer', protect, requireScope('timesheets:write'), requirePermission('task.logTime'), startTimer);
 
 module.exports = router;
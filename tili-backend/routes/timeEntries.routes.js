@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const {
+  stopTimer,
+  getRunningTimer,
+  getTimeEntries,
+  createTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry
+} = require('../controllers/timeEntryController');
+const { protect, requireScope } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/time-entries/timer
+ * @desc    Récupérer le chronomètre en cours de l'utilisateur connecté
+ * @access  Private
+ */
+router.get('/timer', protect, requireScope('timesheets:read'), getRunningTimer);
+
+/**
+ * @route   POST /api/time-entries/timer/stop
+ * @desc    Arrêter le chronomètre en cours
+ * @access  Private
+ */
+router.post('/timer/stop', protect, requireScope('timesheets:write'), stopTimer);
+
+/**
+ * @route   GET /api/time-entries
+ * @desc    Récupérer les saisies de temps (filtres : userId, projectId, taskId, from, to, isBillable)
+ * @access  Private (Ses propres saisies, toutes pour un Admin)
+ */
+router.get('/', protect, requireScope('timesheets:read'), getTimeEntries);
+
+/**
+ * @route   POST /api/time-entries
+ * @desc    Saisir manuellement du temps passé sur une tâche
+ * @access  Private (Assigné ou membre du projet / de l'équipe, Admin)
+ */
+router.post('/', protect, requireScope('timesheets:write'), createTimeEntry);
+
+/**
+ * @route   PUT /api/time-entries/:id
+ * @desc    Modifier une saisie de temps (semaine non soumise)
+ * @access  Private (Auteur de la saisie ou Admin)
+ */
+router.put('/:id', protect, requireScope('timesheets:write'), updateTimeEntry);
+
+/**
+ * @route   DELETE /api/time-entries/:id
+ * @desc    Supprimer une saisie de temps (semaine non soumise)
+ * @access  Private (Auteur de la saisie ou Admin)
+ */
+router.delete('/:id', protect, requireScope('timesheets:write'), deleteTimeEntry);
+
+module.exports = router;
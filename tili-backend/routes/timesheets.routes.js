@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getWeeklyTimesheet,
+  submitTimesheet,
+  getPendingTimesheets,
+  approveTimesheet,
+  rejectTimesheet
+} = require('../controllers/timesheetController');
+const { protect, requireScope } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/timesheets/week
+ * @desc    Feuille de temps hebdomadaire (totaux par jour et par projet, statut de validation)
+ * @access  Private (L'utilisateur lui-même ou Admin)
+ */
+router.get('/week', protect, requireScope('timesheets:read'), getWeeklyTimesheet);
+
+/**
+ * @route   POST /api/timesheets/submit
+ * @desc    Soumettre sa semaine aux chefs de projet concernés
+ * @access  Private
+ */
+router.post('/submit', protect, requireScope('timesheets:write'), submitTimesheet);
+
+/**
+ * @route   GET /api/timesheets/pending
+ * @desc    Feuilles de temps à valider
+ * @access  Private (Chef de projet ou Admin)
+ */
+router.get('/pending', protect, requireScope('timesheets:read'), getPendingTimesheets);
+
+/**
+ * @route   POST /api/timesheets/:id/approve
+ * @desc    Approuver une feuille de temps soumise
+ * @access  Private (Chef de projet ou Admin)
+ */
+router.post('/:id/approve', protect, requireScope('timesheets:write'), approveTimesheet);
+
+/**
+ * @route   POST /api/timesheets/:id/reject
+ * @desc    Rejeter une feuille de temps soumise (motif requis)
+ * @access  Private (Chef de projet ou Admin)
+ */
+router.post('/:id/reject', protect, requireScope('timesheets:write'), rejectTimesheet);
+
+module.exports = router;
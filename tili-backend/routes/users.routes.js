@@ -7,58 +7,98 @@ const {
   updateUser,
   deleteUser,
   activateUser,
-  getUserStats
+  unlockUser,
+  impersonateUser,
+  syncLdapUsers,
+  getUserStats,
+  getUserSessions,
+  resetUserTwoFactor
 } = require('../controllers/userController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, protectSession, authorize, forbidImpersonation, requireScope } = require('../middleware/auth');
 
 /**
  * @route   GET /api/users
  * @desc    Récupérer tous les utilisateurs
  * @access  Private
  */
-router.get('/', protect, getAllUsers);
+router.get('/', protect, requireScope('users:read'), getAllUsers);
 
 /**
  * @route   GET /api/users/:id
  * @desc    Récupérer un utilisateur par ID
  * @access  Private
  */
-router.get('/:id', protect, getUserById);
+router.get('/:id', protect, requireScope('users:read'), getUserById);
 
 /**
  * @route   GET /api/users/:id/stats
  * @desc    Récupérer les statistiques d'un utilisateur
  * @access  Private
  */
-router.get('/:id/stats', protect, getUserStats);
+router.get('/:id/stats', protect, requireScope('users:read'), getUserStats);
+
+/**
+ * @route   GET /api/users/:id/sessions
+ * @desc    Lister les appareils connectés d'un utilisateur
+ * @access  Private/Admin
+ */
+router.get('/:id/sessions', protectSession, authorize('admin'), getUserSessions);
 
 /**
  * @route   POST /api/users
  * @desc    Créer un nouvel utilisateur
  * @access  Private/Admin
  */
-router.post('/', protect, authorize('admin'), createUser);
+router.post('/', protect, requireScope('users:write'), authorize('admin'), createUser);
+
+/**
+ * @route   POST /api/users/ldap-sync
+ * @desc    Désactiver les comptes supprimés de l'annuaire LDAP
+ * @access  Private/Admin
+ */
+router.post('/ldap-sync', protectSession, authorize('admin'), syncLdapUsers);
 
 /**
  * @route   PUT /api/users/:id
  * @desc    Mettre à jour un utilisateur
  * @access  Private (Admin ou utilisateur lui-même)
  */
-router.put('/:id', protect, updateUser);
+router.put('/:id', protect, requireScope('users:write'), updateUser);
 
 /**
  * @route   DELETE /api/users/:id
  * @desc    Supprimer (désactiver) un utilisateur
  * @access  Private/Admin
  */
-router.delete('/:id', protect, authorize('admin'), deleteUser);
+router.delete('/:id', protect, requireScope('users:write'), forbidImpersonation, authorize('admin'), deleteUser);
 
 /**
  * @route   PATCH /api/users/:id/activate
  * @desc    Activer/Réactiver un utilisateur
  * @access  Private/Admin
  */
-router.patch('/:id/activate', protect, authorize('admin'), activateUser);
+router.patch('/:id/activate', protect, requireScope('users:write'), forbidImpersonation, authorize('admin'), activateUser);
+
+/**
+ * @route   PATCH /api/users/:id/unlock
+ * @desc    Déverrouiller un compte bloqué après trop d'échecs de connexion
+ * @access  Private/Admin
+ */
+router.patch('/:id/unlock', protectSession, authorize('admin'), unlockUser);
+
+/**
+ * @route   DELETE /api/users/:id/2fa
+ * @desc    Réinitialiser la double authentification d'un utilisateur
+ * @access  Private/Admin
+ */
+router.delete('/:id/2fa', protectSession, forbidImpersonation, authorize('admin'), resetUserTwoFactor);
+
+/**
+ * @route   POST /api/users/:id/impersonate
+ * @desc    Obtenir un token temporaire pour se connecter en tant que l'utilisateur (support)
+ * @access  Private/Admin
+ */
+router.post('/:id/impersonate', protectSession, forbidImpersonation, authorize('admin'), impersonateUser);
 
 module.exports = router;
 
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getWorkflows,
+  getWorkflowById,
+  createWorkflow,
+  updateWorkflow,
+  deleteWorkflow
+} = require('../controllers/workflowController');
+const { protect, requireScope, authorize } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/workflows
+ * @desc    Récupérer les workflows partagés (dont le workflow par défaut)
+ * @access  Private
+ */
+router.get('/', protect, requireScope('projects:read'), getWorkflows);
+
+/**
+ * @route   GET /api/workflows/:id
+ * @desc    Récupérer un workflow partagé et ses transitions
+ * @access  Private
+ */
+router.get('/:id', protect, requireScope('projects:read'), getWorkflowById);
+
+/**
+ * @route   POST /api/workflows
+ * @desc    Créer un workflow partagé (statuts, catégories, transitions)
+ * @access  Private/Admin
+ */
+router.post('/', protect, requireScope('projects:write'), authorize('admin'), createWorkflow);
+
+/**
+ * @route   PUT /api/workflows/:id
+ * @desc    Modifier un workflow partagé (statusMapping pour les statuts supprimés)
+ * @access  Private/Admin
+ */
+router.put('/:id', protect, requireScope('projects:write'), authorize('admin'), updateWorkflow);
+
+/**
+ * @route   DELETE /api/workflows/:id
+ * @desc    Supprimer un workflow partagé inutilisé
+ * @access  Private/Admin
+ */
+router.delete('/:id', protect, requireScope('projects:write'), authorize('admin'), deleteWorkflow);
+
+module.exports = router;
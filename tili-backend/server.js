@@ -8,6 +8,10 @@ dotenv.config();
 
 // Importer les modèles
 const db = require('./models');
+const { scheduleLdapSync } = require('./utils/ldapSync');
+const { scheduleRecurringTasks } = require('./utils/recurringTasks');
+const { migrateTaskWorkflows } = require('./utils/workflows');
+const { migrateTaskAssignees } = require('./utils/taskAssignees');
 
 // Créer l'application Express
 const app = express();
@@ -68,6 +72,13 @@ app.use('/api/documents', require('./routes/documents.routes'));
 app.use('/api/meetings', require('./routes/meetings.routes'));
 app.use('/api/comments', require('./routes/comments.routes'));
 app.use('/api/teams', require('./routes/teams.routes'));
+app.use('/api/settings', require('./routes/settings.routes'));
+app.use('/api/invites', require('./routes/invites.routes'));
+app.use('/api/time-entries', require('./routes/timeEntries.routes'));
+app.use('/api/timesheets', require('./routes/timesheets.routes'));
+app.use('/api/workflows', require('./routes/workflows.routes'));
+app.use('/api/labels', require('./routes/labels.routes'));
+app.use('/api/task-templates', require('./routes/taskTemplates.routes'));
 // app.use('/api/dashboard', require('./routes/dashboard.routes'));
 
 // ============================================
@@ -164,6 +175,12 @@ const startServer = async () => {
       console.warn('⚠️ La synchronisation a échoué, le serveur démarre quand même...');
     }
 
+    // Rattacher les tâches existantes au workflow par défaut (catégories de statut)
+    await migrateTaskWorkflows();
+
+    // Enregistrer l'assigné des tâches existantes parmi leurs assignés
+    await migrateTaskAssignees();
+
 
 
 
@@ -185,6 +202,12 @@ const startServer = async () => {
       console.error('❌ Erreur du serveur:', err);
     });
 
+    // Désactiver périodiquement les comptes supprimés de l'annuaire LDAP
+    scheduleLdapSync();
+
+    // Générer les occurrences des tâches récurrentes arrivées à échéance
+    scheduleRecurringTasks();
+
   } catch (error) {
     console.error('❌ Erreur lors du démarrage du serveur:', error);
     process.exit(1);
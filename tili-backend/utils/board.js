@@ -0,0 +1,91 @@
+const { Op } = require('sequelize');
+const { Task } = require('../models');
+
+// Écart minimal entre deux rangs avant de renuméroter la colonne
+const MIN_RANK_GAP = 1e-6;
+
+// Ordre d'affichage d'une colonne : rang, puis tâches jamais classées par ancienneté
+const BOARD_ORDER = [
+  [Task.sequelize.literal('`Task`.`boardRank` IS NULL'), 'ASC'],
+  ['boardRank', 'ASC'],
+  ['createdAt', 'ASC'],
+  ['id', 'ASC']
+];
+
+/**
+ * Tâches d'une colonne du tableau, dans l'ordre d'affichage
+ * @param {Object} scope - Tableau (Task.getBoardScope)
+ * @param {string} status - Colonne
+ * @param {Object} [options] - { excludeId, transaction }
+ * @returns {Promise<Task[]>}
+ */
+const getColumnTasks = async (scope, status, { excludeId = null, transaction } = {}) => {
+  const where = { ...scope, status };
+  if (excludeId) where.id = { [Op.ne]: excludeId };
+
+  return await Task.findAll({
+    where,
+    attributes: ['id', 'boardRank', 'createdAt'],
+    order: BOARD_ORDER,
+    transaction
+  });
+};
+
+/**
+ * Renuméroter une colonne (RANK_STEP, 2 × RANK_STEP...) en conservant son ordre
+ * @param {Task[]} column - Tâches dans l'ordre d'affichage
+ * @param {Object} transaction
+ */
+const rebalanceColumn = async (column, transaction) => {
+  for (const [index, task] of column.entries()) {
+    const rank = (index + 1) * Task.RANK_STEP;
+    if (task.boardRank !== rank) {
+      await Task.update({ boardRank: rank }, { where: { id: task.id }, transaction });
+      task.boardRank = rank;
+    }
+  }
+};
+
+/**
+ * Calculer le rang d'une tâche déplacée dans une colonne (rang fractionnaire entre ses voisines)
+ * @param {Task} task - Tâche déplacée
+ * @param {string} status - Colonne d'arrivée
+ * @param {Object} position - { afterId } (placée juste après) ou { beforeId } (juste avant) ; sinon en fin de colonne
+ * @param {Object} transaction
+ * @returns {Promise<number>}
+ */
+const computeRank = async (task, status, { afterId, beforeId }, transaction) => {
+  const column = await getColumnTasks(Task.getBoardScope(task), status, { excludeId: task.id, transaction });
+
+  // Des tâches jamais classées : fixer d'abord l'ordre de la colonne
+  if (column.some(entry => entry.boardRank === null)) {
+    await rebalanceColumn(column, transaction);
+  }
+
+  let index = column.length;
+  if (afterId) {
+    index = column.findIndex(entry => entry.id === Number(afterId)) + 1;
+  } else if (beforeId) {
+    index = column.findIndex(entry => entry.id === Number(beforeId));
+  }
+
+  let previous = column[index - 1];
+  let next = column[index];
+
+  if (previous && next && next.boardRank - previous.boardRank < MIN_RANK_GAP) {
+    await rebalanceColumn(column, transaction);
+    previous = column[index - 1];
+    next = column[index];
+  }
+
+  if (previous && next) return (previous.boardRank + next.boardRank) / 2;
+  if (previous) return previous.boardRank + Task.RANK_STEP;
+  if (next) return next.boardRank - Task.RANK_STEP;
+  return Task.RANK_STEP;
+};
+
+module.exports = {
+  BOARD_ORDER,
+  getColumnTasks,
+  computeRank
+};
@@ -0,0 +1,182 @@
+const { Op } = require('sequelize');
+const { Task, TaskDependency } = require('../models');
+
+// Une journée de travail, pour convertir les estimations en durées
+const HOURS_PER_DAY = parseFloat(process.env.WORKDAY_HOURS || '8');
+
+// Durée retenue pour une tâche sans estimation
+const DEFAULT_DURATION_DAYS = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Arrondir une durée en jours (évite les résidus de calcul flottant)
+ * @param {number} value
+ * @returns {number}
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Ordonner les tâches pour que chaque prérequis précède les tâches qui en dépendent
+ * Les tâches prises dans un cycle (écrit hors de l'API) sont ajoutées à la fin, par ID.
+ * @param {number[]} taskIds
+ * @param {Object[]} dependencies - { predecessorId, successorId }
+ * @returns {number[]}
+ */
+const topologicalOrder = (taskIds, dependencies) => {
+  const incoming = new Map(taskIds.map(id => [id, 0]));
+  dependencies.forEach(link => incoming.set(link.successorId, incoming.get(link.successorId) + 1));
+
+  const queue = taskIds.filter(id => incoming.get(id) === 0);
+  const order = [];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(id);
+
+    dependencies
+      .filter(link => link.predecessorId === id)
+      .forEach(link => {
+        incoming.set(link.successorId, incoming.get(link.successorId) - 1);
+        if (incoming.get(link.successorId) === 0) queue.push(link.successorId);
+      });
+  }
+
+  const placed = new Set(order);
+  return [...order, ...taskIds.filter(id => !placed.has(id)).sort((a, b) => a - b)];
+};
+
+/**
+ * Calculer le planning au plus tôt / au plus tard, la marge et le chemin critique
+ * Les durées sont exprimées en jours calendaires depuis l'origine du planning.
+ * @param {Task[]} tasks
+ * @param {TaskDependency[]} dependencies - Dépendances entre ces tâches
+ * @param {Date} origin - Début du planning
+ * @returns {Object}
+ */
+const schedule = (tasks, dependencies, origin) => {
+  const nodes = new Map(tasks.map(task => {
+    const hours = task.estimatedHours !== null && task.estimatedHours !== undefined
+      ? parseFloat(task.estimatedHours)
+      : null;
+
+    return [task.id, {
+      task,
+      estimated: hours !== null,
+      duration: hours !== null ? round(hours / HOURS_PER_DAY) : DEFAULT_DURATION_DAYS,
+      dueOffset: task.dueDate ? round((new Date(task.dueDate) - origin) / DAY_MS) : null
+    }];
+  }));
+
+  const links = dependencies.filter(link => nodes.has(link.predecessorId) && nodes.has(link.successorId));
+  const order = topologicalOrder([...nodes.keys()], links);
+
+  // Passe avant : dates au plus tôt
+  order.forEach(id => {
+    const node = nodes.get(id);
+    node.earliestStart = 0;
+
+    links.filter(link => link.successorId === id).forEach(link => {
+      const predecessor = nodes.get(link.predecessorId);
+      if (predecessor.earliestFinish === undefined) return;
+
+      const constraint = {
+        finish_to_start: predecessor.earliestFinish,
+        start_to_start: predecessor.earliestStart,
+        finish_to_finish: predecessor.earliestFinish - node.duration
+      }[link.type];
+
+      node.earliestStart = Math.max(node.earliestStart, constraint);
+    });
+
+    node.earliestFinish = node.earliestStart + node.duration;
+  });
+
+  const finish = Math.max(0, ...[...nodes.values()].map(node => node.earliestFinish));
+
+  // Passe arrière : dates au plus tard, bornées par la fin du planning et l'échéance de la tâche
+  [...order].reverse().forEach(id => {
+    const node = nodes.get(id);
+    node.latestFinish = node.dueOffset !== null ? Math.min(finish, node.dueOffset) : finish;
+
+    links.filter(link => link.predecessorId === id).forEach(link => {
+      const successor = nodes.get(link.successorId);
+      if (successor.latestStart === undefined) return;
+
+      const constraint = {
+        finish_to_start: successor.latestStart,
+        start_to_start: successor.latestStart + node.duration,
+        finish_to_finish: successor.latestFinish
+      }[link.type];
+
+      node.latestFinish = Math.min(node.latestFinish, constraint);
+    });
+
+    node.latestStart = node.latestFinish - node.duration;
+  });
+
+  const toDate = (offset) => new Date(origin.getTime() + offset * DAY_MS);
+
+  const rows = order.map(id => {
+    const node = nodes.get(id);
+    const slack = round(node.latestStart - node.earliestStart);
+
+    return {
+      id,
+      taskName: node.task.taskName,
+      status: node.task.status,
+      estimatedHours: node.estimated ? parseFloat(node.task.estimatedHours) : null,
+      durationDays: node.duration,
+      dueDate: node.task.dueDate,
+      earliestStart: toDate(node.earliestStart),
+      earliestFinish: toDate(node.earliestFinish),
+      latestStart: toDate(node.latestStart),
+      latestFinish: toDate(node.latestFinish),
+      slackDays: slack,
+      critical: slack <= 0
+    };
+  });
+
+  const criticalPath = rows
+    .filter(row => row.critical)
+    .sort((a, b) => a.earliestStart - b.earliestStart || a.earliestFinish - b.earliestFinish)
+    .map(row => row.id);
+
+  return {
+    start: origin,
+    finish: toDate(finish),
+    durationDays: round(finish),
+    criticalPath,
+    unestimatedTasks: rows.filter(row => row.estimatedHours === null).length,
+    tasks: rows
+  };
+};
+
+/**
+ * Calculer le chemin critique d'un projet
+ * Le planning part de la date de début du projet (ou d'aujourd'hui) ; une tâche sans estimation compte pour un jour.
+ * @param {Project} project
+ * @returns {Promise<Object>}
+ */
+const computeCriticalPath = async (project) => {
+  const tasks = await Task.findAll({
+    where: { projectId: project.id },
+    attributes: ['id', 'taskName', 'status', 'estimatedHours', 'dueDate'],
+    order: [['id', 'ASC']]
+  });
+
+  const dependencies = await TaskDependency.findAll({
+    where: { successorId: { [Op.in]: tasks.map(task => task.id) } },
+    attributes: ['predecessorId', 'successorId', 'type']
+  });
+
+  const origin = project.startDate ? new Date(project.startDate) : new Date(new Date().setHours(0, 0, 0, 0));
+
+  return schedule(tasks, dependencies, origin);
+};
+
+module.exports = {
+  HOURS_PER_DAY,
+  schedule,
+  computeCriticalPath
+};
@@ -0,0 +1,85 @@
+const { Op } = require('sequelize');
+const { Label, LabelAssignment } = require('../models');
+
+// Étiquettes jointes aux listes de tâches, projets et documents
+const LABELS_INCLUDE = {
+  model: Label,
+  as: 'labels',
+  attributes: ['id', 'name', 'color'],
+  through: { attributes: [] },
+  required: false
+};
+
+/**
+ * Lire une liste d'identifiants d'étiquettes (tableau ou "1,2,3")
+ * @param {Array|string|number} value
+ * @returns {Array<number>|null} - null si la liste contient une valeur invalide
+ */
+const parseLabelIds = (value) => {
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  const ids = values
+    .map(entry => String(entry).trim())
+    .filter(entry => entry !== '')
+    .map(Number);
+
+  if (ids.some(id => !Number.isInteger(id) || id <= 0)) {
+    return null;
+  }
+
+  return [...new Set(ids)];
+};
+
+/**
+ * Condition de filtrage par étiquettes d'une liste (?labels=1,2&labelMatch=any|all)
+ * @param {string} entityType - task, project ou document
+ * @param {Object} query - req.query
+ * @returns {Promise<Object|null>} - Clause where sur l'id, null sans filtre
+ */
+const buildLabelCondition = async (entityType, { labels, labelMatch = 'any' }) => {
+  if (labels === undefined || labels === '') {
+    return null;
+  }
+
+  const labelIds = parseLabelIds(labels) || [];
+  if (labelIds.length === 0) {
+    return { id: { [Op.in]: [] } };
+  }
+
+  const entityIds = await LabelAssignment.findEntityIds(entityType, labelIds, labelMatch === 'all' ? 'all' : 'any');
+  return { id: { [Op.in]: entityIds } };
+};
+
+/**
+ * Vérifier que des étiquettes sont utilisables dans le périmètre d'une entité
+ * @param {Array<number>} labelIds
+ * @param {Object} scope - { projectId, teamId }
+ * @returns {Promise<{labels: Array<Label>, invalidIds: Array<number>}>}
+ */
+const resolveLabels = async (labelIds, scope) => {
+  if (labelIds.length === 0) {
+    return { labels: [], invalidIds: [] };
+  }
+
+  const available = await Label.getAvailableWhere(scope);
+  if (!available) {
+    return { labels: [], invalidIds: labelIds };
+  }
+
+  const labels = await Label.findAll({
+    where: { [Op.and]: [available, { id: { [Op.in]: labelIds } }] },
+    attributes: ['id', 'name', 'color', 'projectId', 'teamId']
+  });
+  const foundIds = labels.map(label => label.id);
+
+  return {
+    labels,
+    invalidIds: labelIds.filter(id => !foundIds.includes(id))
+  };
+};
+
+module.exports = {
+  LABELS_INCLUDE,
+  parseLabelIds,
+  buildLabelCondition,
+  resolveLabels
+};
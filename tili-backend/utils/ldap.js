@@ -0,0 +1,232 @@
+const { Client, EqualityFilter, OrFilter, InvalidCredentialsError } = require('ldapts');
+const { mapGroupsToRole: mapRole } = require('./roleMapping');
+
+/**
+ * Client LDAP / Active Directory : authentification par bind et lecture de l'annuaire.
+ * Un compte de service (LDAP_BIND_DN) recherche l'entrée de l'utilisateur,
+ * puis le mot de passe est vérifié en se connectant (bind) avec le DN trouvé.
+ */
+
+/**
+ * Lire la configuration LDAP depuis les variables d'environnement
+ * @returns {Object}
+ */
+const getLdapConfig = () => ({
+  enabled: process.env.LDAP_ENABLED === 'true',
+  // exclusive : l'annuaire remplace bcrypt ; fallback : bcrypt d'abord, puis l'annuaire
+  mode: process.env.LDAP_MODE === 'exclusive' ? 'exclusive' : 'fallback',
+  // Rattachement d'un compte local de même email : désactivé sauf LDAP_LINK_BY_EMAIL=true
+  linkByEmail: process.env.LDAP_LINK_BY_EMAIL === 'true',
+  url: process.env.LDAP_URL,
+  bindDn: process.env.LDAP_BIND_DN,
+  bindPassword: process.env.LDAP_BIND_PASSWORD,
+  baseDn: process.env.LDAP_BASE_DN,
+  userFilter: process.env.LDAP_USER_FILTER || '(objectClass=inetOrgPerson)',
+  loginAttribute: process.env.LDAP_LOGIN_ATTRIBUTE || 'uid',
+  emailAttribute: process.env.LDAP_EMAIL_ATTRIBUTE || 'mail',
+  firstNameAttribute: process.env.LDAP_FIRSTNAME_ATTRIBUTE || 'givenName',
+  lastNameAttribute: process.env.LDAP_LASTNAME_ATTRIBUTE || 'sn',
+  groupAttribute: process.env.LDAP_GROUP_ATTRIBUTE || 'memberOf',
+  groupBaseDn: process.env.LDAP_GROUP_BASE_DN || null,
+  groupFilter: process.env.LDAP_GROUP_FILTER || '(objectClass=groupOfNames)',
+  groupMemberAttribute: process.env.LDAP_GROUP_MEMBER_ATTRIBUTE || 'member',
+  timeout: parseInt(process.env.LDAP_TIMEOUT_MS) || 5000,
+  rejectUnauthorized: process.env.LDAP_TLS_REJECT_UNAUTHORIZED !== 'false'
+});
+
+/**
+ * Vérifier que l'authentification LDAP est activée et configurée
+ * @returns {boolean}
+ */
+const isLdapEnabled = () => {
+  const config = getLdapConfig();
+  return config.enabled && !!config.url && !!config.baseDn;
+};
+
+/**
+ * Créer un client LDAP
+ * @returns {Client}
+ */
+const createClient = () => {
+  const config = getLdapConfig();
+
+  return new Client({
+    url: config.url,
+    timeout: config.timeout,
+    connectTimeout: config.timeout,
+    tlsOptions: { rejectUnauthorized: config.rejectUnauthorized }
+  });
+};
+
+/**
+ * Exécuter des opérations avec un client connecté au compte de service
+ * @param {Function} callback - Reçoit le client connecté
+ * @returns {Promise<*>}
+ */
+const withServiceClient = async (callback) => {
+  const config = getLdapConfig();
+  const client = createClient();
+
+  try {
+    if (config.bindDn) {
+      await client.bind(config.bindDn, config.bindPassword || '');
+    }
+
+    return await callback(client);
+  } finally {
+    await client.unbind().catch(() => {});
+  }
+};
+
+/**
+ * Lire la première valeur d'un attribut d'une entrée
+ * @param {Object} entry
+ * @param {string} attribute
+ * @returns {string|null}
+ */
+const firstValue = (entry, attribute) => {
+  const value = entry[attribute];
+  if (Array.isArray(value)) return value.length > 0 ? String(value[0]) : null;
+  return value !== undefined && value !== null && value !== '' ? String(value) : null;
+};
+
+/**
+ * Extraire le CN d'un DN de groupe (cn=tili-admins,ou=groups,... → tili-admins)
+ * @param {string} dn
+ * @returns {string|null}
+ */
+const extractCn = (dn) => {
+  const match = /^cn=([^,]+)/i.exec(dn);
+  return match ? match[1] : null;
+};
+
+/**
+ * Lister les groupes d'une entrée (attribut memberOf, ou recherche des groupes si LDAP_GROUP_BASE_DN)
+ * Les DN complets et les CN sont retournés, le mapping des rôles accepte l'un ou l'autre.
+ * @param {Client} client - Client connecté
+ * @param {Object} entry
+ * @returns {Promise<string[]>}
+ */
+const getEntryGroups = async (client, entry) => {
+  const config = getLdapConfig();
+  let dns;
+
+  if (config.groupBaseDn) {
+    const memberFilter = new EqualityFilter({ attribute: config.groupMemberAttribute, value: entry.dn });
+    const { searchEntries } = await client.search(config.groupBaseDn, {
+      scope: 'sub',
+      filter: `(&${config.groupFilter}${memberFilter.toString()})`,
+      attributes: ['dn']
+    });
+    dns = searchEntries.map(group => group.dn);
+  } else {
+    const value = entry[config.groupAttribute] || [];
+    dns = (Array.isArray(value) ? value : [value]).map(String);
+  }
+
+  return [...new Set(dns.flatMap(dn => [dn, extractCn(dn)]).filter(Boolean))];
+};
+
+/**
+ * Convertir une entrée de l'annuaire en profil TILI
+ * @param {Object} entry
+ * @param {string[]} groups
+ * @returns {Object} - { dn, login, email, firstName, lastName, groups, role }
+ */
+const toProfile = (entry, groups) => {
+  const config = getLdapConfig();
+
+  return {
+    dn: entry.dn,
+    login: firstValue(entry, config.loginAttribute),
+    email: firstValue(entry, config.emailAttribute),
+    firstName: firstValue(entry, config.firstNameAttribute),
+    lastName: firstValue(entry, config.lastNameAttribute),
+    groups,
+    role: mapRole(groups, 'LDAP')
+  };
+};
+
+/**
+ * Rechercher l'entrée d'un utilisateur par identifiant de connexion ou email
+ * @param {Client} client - Client connecté
+ * @param {string} identifier
+ * @returns {Promise<Object|null>}
+ */
+const findEntry = async (client, identifier) => {
+  const config = getLdapConfig();
+  const identifierFilter = new OrFilter({
+    filters: [
+      new EqualityFilter({ attribute: config.loginAttribute, value: identifier }),
+      new EqualityFilter({ attribute: config.emailAttribute, value: identifier })
+    ]
+  });
+
+  const { searchEntries } = await client.search(config.baseDn, {
+    scope: 'sub',
+    filter: `(&${config.userFilter}${identifierFilter.toString()})`
+  });
+
+  // Identifiant ambigu : refuser plutôt que de deviner
+  return searchEntries.length === 1 ? searchEntries[0] : null;
+};
+
+/**
+ * Authentifier un utilisateur auprès de l'annuaire
+ * @param {string} identifier - Login (uid / sAMAccountName) ou email
+ * @param {string} password
+ * @returns {Promise<Object|null>} - Le profil de l'annuaire, ou null si les identifiants sont invalides
+ * @throws {Error} - Si l'annuaire est injoignable ou mal configuré
+ */
+const authenticate = async (identifier, password) => {
+  // Un bind avec mot de passe vide serait un bind anonyme accepté par le serveur
+  if (!identifier || !password) return null;
+
+  return await withServiceClient(async (client) => {
+    const entry = await findEntry(client, identifier);
+    if (!entry) return null;
+
+    const userClient = createClient();
+    try {
+      await userClient.bind(entry.dn, password);
+    } catch (error) {
+      if (error instanceof InvalidCredentialsError) return null;
+      throw error;
+    } finally {
+      await userClient.unbind().catch(() => {});
+    }
+
+    return toProfile(entry, await getEntryGroups(client, entry));
+  });
+};
+
+/**
+ * Lister les identifiants de connexion de tous les utilisateurs de l'annuaire
+ * @returns {Promise<Set<string>>} - Logins en minuscules
+ */
+const listDirectoryLogins = async () => {
+  const config = getLdapConfig();
+
+  return await withServiceClient(async (client) => {
+    const { searchEntries } = await client.search(config.baseDn, {
+      scope: 'sub',
+      filter: config.userFilter,
+      attributes: [config.loginAttribute],
+      paged: true
+    });
+
+    return new Set(
+      searchEntries
+        .map(entry => firstValue(entry, config.loginAttribute))
+        .filter(Boolean)
+        .map(login => login.toLowerCase())
+    );
+  });
+};
+
+module.exports = {
+  getLdapConfig,
+  isLdapEnabled,
+  authenticate,
+  listDirectoryLogins
+};
@@ -0,0 +1,86 @@
+const { User, Session, Log } = require('../models');
+const ldap = require('./ldap');
+
+/**
+ * Désactiver les comptes LDAP qui n'existent plus dans l'annuaire
+ * @param {number|null} performedBy - Admin à l'origine de la synchronisation (null = tâche planifiée)
+ * @returns {Promise<{directoryUsers: number, checked: number, deactivated: Object[]}>}
+ */
+const runLdapSync = async (performedBy = null) => {
+  const logins = await ldap.listDirectoryLogins();
+
+  // Un annuaire vide signale plus sûrement une mauvaise configuration qu'un départ de tous les utilisateurs
+  if (logins.size === 0) {
+    throw new Error('Aucun utilisateur trouvé dans l\'annuaire LDAP, synchronisation annulée');
+  }
+
+  const users = await User.findAll({
+    where: { authProvider: 'ldap', isActive: true }
+  });
+
+  const deactivated = [];
+
+  for (const user of users) {
+    if (logins.has(String(user.externalId).toLowerCase())) continue;
+
+    user.isActive = false;
+    await user.save();
+
+    await Session.revokeAllForUser(user.id, 'ldap_removed');
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'LDAP_DEACTIVATE',
+      description: `Compte désactivé (absent de l'annuaire LDAP): ${user.email}`,
+      entityType: 'user',
+      entityId: user.id,
+      oldValue: { isActive: true },
+      newValue: { isActive: false, externalId: user.externalId },
+      performedBy: performedBy || user.id,
+      ipAddress: null,
+      userAgent: null
+    });
+
+    deactivated.push({ id: user.id, email: user.email, externalId: user.externalId });
+  }
+
+  return {
+    directoryUsers: logins.size,
+    checked: users.length,
+    deactivated
+  };
+};
+
+/**
+ * Planifier la synchronisation périodique (LDAP_SYNC_INTERVAL_MINUTES, 0 pour désactiver)
+ * @returns {NodeJS.Timeout|null}
+ */
+const scheduleLdapSync = () => {
+  const minutes = parseInt(process.env.LDAP_SYNC_INTERVAL_MINUTES ?? '60');
+
+  if (!ldap.isLdapEnabled() || !(minutes > 0)) {
+    return null;
+  }
+
+  const timer = setInterval(async () => {
+    try {
+      const result = await runLdapSync();
+      if (result.deactivated.length > 0) {
+        console.log(`🔄 Synchronisation LDAP: ${result.deactivated.length} compte(s) désactivé(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Erreur lors de la synchronisation LDAP:', error.message);
+    }
+  }, minutes * 60 * 1000);
+
+  // Ne pas empêcher l'arrêt du processus
+  timer.unref();
+
+  console.log(`🔄 Synchronisation LDAP planifiée toutes les ${minutes} minute(s)`);
+  return timer;
+};
+
+module.exports = {
+  runLdapSync,
+  scheduleLdapSync
+};
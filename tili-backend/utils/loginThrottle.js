@@ -0,0 +1,135 @@
+const { LoginAttempt, Log } = require('../models');
+
+/**
+ * Lire les limites anti brute-force depuis les variables d'environnement
+ * @returns {Object}
+ */
+const getLoginLimits = () => ({
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  ipMaxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20,
+  ipWindowMinutes: parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15,
+  delayBaseMs: parseInt(process.env.LOGIN_DELAY_BASE_MS) || 500,
+  delayMaxMs: parseInt(process.env.LOGIN_DELAY_MAX_MS) || 8000
+});
+
+/**
+ * Attendre un délai progressif (exponentiel) après un échec
+ * @param {number} failures - Nombre d'échecs consécutifs
+ * @returns {Promise<void>}
+ */
+const applyProgressiveDelay = async (failures) => {
+  if (failures <= 0) return;
+
+  const { delayBaseMs, delayMaxMs } = getLoginLimits();
+  const delay = Math.min(delayBaseMs * 2 ** (failures - 1), delayMaxMs);
+
+  await new Promise(resolve => setTimeout(resolve, delay));
+};
+
+/**
+ * Vérifier si l'adresse IP a dépassé le nombre d'échecs autorisés
+ * @param {Object} req - Objet Express request
+ * @returns {Promise<{blocked: boolean, failures: number, retryAfter: number}>}
+ */
+const checkIpThrottle = async (req) => {
+  const { ipMaxAttempts, ipWindowMinutes } = getLoginLimits();
+  const failures = await LoginAttempt.countRecentFailuresByIp(req.ip, ipWindowMinutes);
+
+  return {
+    blocked: failures >= ipMaxAttempts,
+    failures,
+    retryAfter: ipWindowMinutes * 60
+  };
+};
+
+/**
+ * Enregistrer un échec de connexion (compte et IP), verrouiller si nécessaire
+ * puis appliquer le délai progressif
+ * @param {Object} req - Objet Express request
+ * @param {string} identifier - Email ou username saisi
+ * @param {Object|null} user - Utilisateur correspondant s'il existe
+ * @param {string} reason - Motif (invalid_password, invalid_2fa_code, unknown_user)
+ * @returns {Promise<{locked: boolean}>}
+ */
+const recordLoginFailure = async (req, identifier, user, reason) => {
+  const { maxAttempts, lockoutMinutes } = getLoginLimits();
+  let locked = false;
+
+  await LoginAttempt.create({
+    identifier: identifier || null,
+    userId: user ? user.id : null,
+    ipAddress: req.ip || null,
+    success: false
+  });
+
+  if (user) {
+    // Incrément en base (UPDATE ... + 1) : des tentatives simultanées comptent toutes,
+    // puis le verrouillage se décide sur la valeur enregistrée
+    await user.increment('failedLoginAttempts');
+    await user.reload({ attributes: ['id', 'failedLoginAttempts', 'lockedUntil'] });
+
+    if (user.failedLoginAttempts >= maxAttempts) {
+      await user.update({ lockedUntil: new Date(Date.now() + lockoutMinutes * 60 * 1000) });
+      locked = true;
+    }
+
+    // Logger l'action
+    await Log.createLog({
+      action: 'LOGIN_FAILED',
+      description: `Échec de connexion: ${user.email} (${reason})`,
+      entityType: 'user',
+      entityId: user.id,
+      oldValue: null,
+      newValue: {
+        reason,
+        failedLoginAttempts: user.failedLoginAttempts,
+        lockedUntil: user.lockedUntil
+      },
+      performedBy: user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    await applyProgressiveDelay(user.failedLoginAttempts);
+  } else {
+    const { failures } = await checkIpThrottle(req);
+    await applyProgressiveDelay(failures);
+  }
+
+  return { locked };
+};
+
+/**
+ * Enregistrer une connexion réussie et remettre le compteur du compte à zéro
+ * @param {Object} req - Objet Express request
+ * @param {Object} user - Utilisateur
+ * @returns {Promise<void>}
+ */
+const recordLoginSuccess = async (req, user) => {
+  await LoginAttempt.create({
+    identifier: user.email,
+    userId: user.id,
+    ipAddress: req.ip || null,
+    success: true
+  });
+
+  await user.resetFailedLogins();
+};
+
+/**
+ * Nombre de secondes restantes avant la fin du verrouillage d'un compte
+ * @param {Object} user
+ * @returns {number}
+ */
+const getLockRetryAfter = (user) => {
+  return Math.max(1, Math.ceil((new Date(user.lockedUntil) - Date.now()) / 1000));
+};
+
+module.exports = {
+  getLoginLimits,
+  checkIpThrottle,
+  recordLoginFailure,
+  recordLoginSuccess,
+  getLockRetryAfter
+};
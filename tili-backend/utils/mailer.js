@@ -0,0 +1,133 @@
+const nodemailer = require('nodemailer');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Drivers de transport disponibles (MAIL_DRIVER)
+ * - smtp    : envoi réel via un serveur SMTP (ou un SMTP catcher local type MailHog/Mailpit)
+ * - file    : écrit chaque email au format .eml dans MAIL_FILE_DIR
+ * - console : affiche l'email dans la console (par défaut en développement)
+ */
+const drivers = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+
+    return {
+      send: async (message) => await transporter.sendMail(message)
+    };
+  },
+
+  file: () => {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    const mailDir = path.resolve(process.env.MAIL_FILE_DIR || './storage/mails');
+
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+
+        if (!fs.existsSync(mailDir)) {
+          fs.mkdirSync(mailDir, { recursive: true });
+        }
+
+        const recipient = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+        const filePath = path.join(mailDir, `${Date.now()}-${recipient}.eml`);
+        fs.writeFileSync(filePath, info.message);
+
+        return { ...info, filePath };
+      }
+    };
+  },
+
+  console: () => {
+    const transporter = nodemailer.createTransport({ jsonTransport: true });
+
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        console.log('📧 Email (driver console):', JSON.stringify(JSON.parse(info.message), null, 2));
+        return info;
+      }
+    };
+  }
+};
+
+let transport = null;
+
+/**
+ * Obtenir le transport configuré (instancié une seule fois)
+ * @returns {{send: Function}}
+ */
+const getTransport = () => {
+  if (!transport) {
+    const driverName = process.env.MAIL_DRIVER || 'console';
+    const driver = drivers[driverName];
+
+    if (!driver) {
+      throw new Error(`Driver email inconnu: ${driverName} (attendu: ${Object.keys(drivers).join(', ')})`);
+    }
+
+    transport = driver();
+  }
+
+  return transport;
+};
+
+/**
+ * Remplacer le transport courant (ex: transport factice ou SMTP catcher dans les tests)
+ * @param {{send: Function}|null} customTransport - null pour revenir au driver configuré
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Envoyer un email
+ * @param {Object} options
+ * @param {string} options.to - Destinataire
+ * @param {string} options.subject - Sujet
+ * @param {string} options.text - Contenu texte
+ * @param {string} [options.html] - Contenu HTML
+ * @returns {Promise<Object>} - Informations retournées par le transport
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  return await getTransport().send({
+    from: process.env.MAIL_FROM || 'TILI <no-reply@tili.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+/**
+ * Échapper une valeur insérée dans le corps HTML d'un email (champs saisis par les utilisateurs, liens)
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Construire un lien vers le frontend
+ * @param {string} pathname - Chemin de la page (ex: /reset-password)
+ * @param {Object} params - Paramètres de query
+ * @returns {string}
+ */
+const buildAppUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.APP_URL || 'http://localhost:5173');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = { sendMail, getTransport, setTransport, buildAppUrl, escapeHtml };
@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { buildAppUrl } = require('./mailer');
+const { splitList, mapGroupsToRole: mapRole } = require('./roleMapping');
+
+/**
+ * Client OpenID Connect minimal (flux authorization code + PKCE)
+ * basé sur la découverte (.well-known/openid-configuration) et les JWKS du fournisseur.
+ */
+const DISCOVERY_TTL = 60 * 60 * 1000;
+
+let discoveryCache = null;
+let jwksCache = null;
+
+/**
+ * Lire la configuration OIDC depuis les variables d'environnement
+ * @returns {Object}
+ */
+const getOidcConfig = () => ({
+  enabled: process.env.OIDC_ENABLED === 'true',
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+  redirectUri: process.env.OIDC_REDIRECT_URI || buildAppUrl('/auth/oidc/callback'),
+  scopes: process.env.OIDC_SCOPES || 'openid profile email',
+  groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+  linkByEmail: process.env.OIDC_LINK_BY_EMAIL !== 'false'
+});
+
+/**
+ * Vérifier que le SSO est activé et configuré
+ * @returns {boolean}
+ */
+const isOidcEnabled = () => {
+  const config = getOidcConfig();
+  return config.enabled && !!config.issuer && !!config.clientId;
+};
+
+/**
+ * Encoder un buffer en base64url
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const base64url = (buffer) => {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Générer une valeur aléatoire (state, nonce, code_verifier)
+ * @returns {string}
+ */
+const randomValue = () => base64url(crypto.randomBytes(32));
+
+/**
+ * Calculer le code_challenge PKCE (méthode S256)
+ * @param {string} codeVerifier
+ * @returns {string}
+ */
+const computeCodeChallenge = (codeVerifier) => {
+  return base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+};
+
+/**
+ * Effectuer une requête HTTP et retourner le JSON
+ * @param {string} url
+ * @param {Object} options - Options fetch
+ * @returns {Promise<Object>}
+ */
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...(options.headers || {}) }
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const detail = body.error_description || body.error || response.statusText;
+    throw new Error(`Requête OIDC échouée (${response.status}): ${detail}`);
+  }
+
+  return body;
+};
+
+/**
+ * Récupérer le document de découverte du fournisseur (mis en cache)
+ * @returns {Promise<Object>}
+ */
+const discover = async () => {
+  const { issuer } = getOidcConfig();
+
+  if (discoveryCache && discoveryCache.issuer === issuer && discoveryCache.expiresAt > Date.now()) {
+    return discoveryCache.metadata;
+  }
+
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+  if (metadata.issuer && metadata.issuer.replace(/\/+$/, '') !== issuer) {
+    throw new Error(`Issuer inattendu dans la découverte OIDC: ${metadata.issuer}`);
+  }
+
+  discoveryCache = { issuer, metadata, expiresAt: Date.now() + DISCOVERY_TTL };
+  jwksCache = null;
+  return metadata;
+};
+
+/**
+ * Trouver la clé publique de signature correspondant à un kid
+ * (les JWKS sont rechargés si le kid est inconnu, pour suivre la rotation des clés)
+ * @param {string} kid
+ * @returns {Promise<crypto.KeyObject>}
+ */
+const getSigningKey = async (kid) => {
+  const findKey = () => (jwksCache || []).find(key => !kid || key.kid === kid);
+
+  let jwk = findKey();
+
+  if (!jwk) {
+    const metadata = await discover();
+    const { keys } = await fetchJson(metadata.jwks_uri);
+    jwksCache = (keys || []).filter(key => !key.use || key.use === 'sig');
+    jwk = findKey();
+  }
+
+  if (!jwk) {
+    throw new Error('Clé de signature OIDC introuvable');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Construire l'URL d'autorisation du fournisseur
+ * @param {Object} params - { state, nonce, codeVerifier }
+ * @returns {Promise<string>}
+ */
+const buildAuthorizationUrl = async ({ state, nonce, codeVerifier }) => {
+  const config = getOidcConfig();
+  const metadata = await discover();
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: computeCodeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+};
+
+/**
+ * Échanger le code d'autorisation contre les tokens du fournisseur
+ * @param {string} code
+ * @param {string} codeVerifier
+ * @returns {Promise<Object>} - Réponse du token endpoint (id_token, access_token, ...)
+ */
+const exchangeCode = async (code, codeVerifier) => {
+  const config = getOidcConfig();
+  const metadata = await discover();
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: codeVerifier
+  });
+
+  if (config.clientSecret) {
+    params.set('client_secret', config.clientSecret);
+  }
+
+  return await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: params.toString()
+  });
+};
+
+/**
+ * Vérifier la signature et les claims de l'ID token
+ * @param {string} idToken
+ * @param {string} nonce - Nonce envoyé lors de l'autorisation
+ * @returns {Promise<Object>} - Claims de l'ID token
+ */
+const verifyIdToken = async (idToken, nonce) => {
+  const config = getOidcConfig();
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded) {
+    throw new Error('ID token OIDC illisible');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'],
+    issuer: [config.issuer, `${config.issuer}/`],
+    audience: config.clientId
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('Nonce OIDC invalide');
+  }
+
+  return claims;
+};
+
+/**
+ * Compléter les claims avec le userinfo endpoint (email, groupes absents de l'ID token)
+ * @param {string} accessToken
+ * @param {Object} claims - Claims de l'ID token
+ * @returns {Promise<Object>}
+ */
+const fetchUserInfo = async (accessToken, claims) => {
+  const metadata = await discover();
+
+  if (!metadata.userinfo_endpoint || !accessToken) {
+    return claims;
+  }
+
+  const userInfo = await fetchJson(metadata.userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+
+  // Le sub du userinfo doit correspondre à celui de l'ID token (OIDC Core §5.3.2)
+  if (userInfo.sub !== claims.sub) {
+    return claims;
+  }
+
+  return { ...userInfo, ...claims };
+};
+
+/**
+ * Lire les groupes de l'utilisateur (claim configurable, chemin pointé accepté)
+ * @param {Object} claims
+ * @returns {string[]}
+ */
+const getGroups = (claims) => {
+  const { groupsClaim } = getOidcConfig();
+  const value = groupsClaim.split('.').reduce((current, key) => (current ? current[key] : undefined), claims);
+
+  if (Array.isArray(value)) return value.map(String);
+  if (typeof value === 'string') return splitList(value);
+  return [];
+};
+
+/**
+ * Déterminer le rôle TILI à partir des groupes du fournisseur
+ * @param {string[]} groups
+ * @returns {string|null} - Le rôle, ou null si aucun mapping n'est configuré
+ */
+const mapGroupsToRole = (groups) => mapRole(groups, 'OIDC');
+
+module.exports = {
+  getOidcConfig,
+  isOidcEnabled,
+  randomValue,
+  computeCodeChallenge,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  fetchUserInfo,
+  getGroups,
+  mapGroupsToRole
+};
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { User, Setting, PasswordHistory } = require('../models');
+
+/**
+ * Politique de mots de passe, configurable par l'administrateur (paramètre `passwordPolicy`).
+ * Elle s'applique aux mots de passe TILI (comptes locaux) : inscription, création et modification
+ * par un admin, changement et réinitialisation par l'utilisateur.
+ */
+
+const DEFAULT_PASSWORD_POLICY = {
+  minLength: 8,
+  requireLowercase: true,
+  requireUppercase: true,
+  requireDigit: true,
+  requireSymbol: false,
+  denyCommonPasswords: true,
+  // Nombre de derniers mots de passe qui ne peuvent pas être réutilisés (0 pour désactiver)
+  historyCount: 5,
+  // Changement obligatoire après ce nombre de jours (0 pour désactiver)
+  maxAgeDays: 0
+};
+
+// Bornes des paramètres numériques
+const POLICY_LIMITS = {
+  minLength: [8, 128],
+  historyCount: [0, PasswordHistory.MAX_HISTORY],
+  maxAgeDays: [0, 3650]
+};
+
+const DENYLIST_PATH = path.join(__dirname, 'data', 'common-passwords.txt');
+
+let denylist = null;
+
+/**
+ * Charger la liste des mots de passe courants (une seule lecture du fichier)
+ * @returns {Set<string>}
+ */
+const getDenylist = () => {
+  if (!denylist) {
+    denylist = new Set(
+      fs.readFileSync(DENYLIST_PATH, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+
+  return denylist;
+};
+
+/**
+ * Vérifier si un mot de passe figure dans la liste des mots de passe courants
+ * Le mot de base est aussi vérifié sans les chiffres et symboles ajoutés autour (Password123! → password).
+ * @param {string} password
+ * @returns {boolean}
+ */
+const isCommonPassword = (password) => {
+  const list = getDenylist();
+  const lower = password.toLowerCase();
+
+  if (list.has(lower)) return true;
+
+  const base = lower.replace(/^[^a-z]+|[^a-z]+$/g, '');
+  return base.length >= 4 && list.has(base);
+};
+
+/**
+ * Lire la politique courante (paramètres enregistrés complétés par les valeurs par défaut)
+ * @returns {Promise<Object>}
+ */
+const getPasswordPolicy = async () => {
+  const stored = await Setting.getValue('passwordPolicy', {});
+  return { ...DEFAULT_PASSWORD_POLICY, ...stored };
+};
+
+/**
+ * Valider une modification partielle de la politique
+ * @param {Object} changes - Clés de DEFAULT_PASSWORD_POLICY à modifier
+ * @returns {string|null} - Message d'erreur, ou null si les valeurs sont valides
+ */
+const validatePolicyChanges = (changes) => {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return 'passwordPolicy doit être un objet';
+  }
+
+  for (const [key, value] of Object.entries(changes)) {
+    if (!(key in DEFAULT_PASSWORD_POLICY)) {
+      return `Paramètre de politique inconnu: ${key}`;
+    }
+
+    if (POLICY_LIMITS[key]) {
+      const [min, max] = POLICY_LIMITS[key];
+      if (!Number.isInteger(value) || value < min || value > max) {
+        return `${key} doit être un entier entre ${min} et ${max}`;
+      }
+    } else if (typeof value !== 'boolean') {
+      return `${key} doit être un booléen`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Vérifier les règles de composition d'un mot de passe
+ * @param {string} password
+ * @param {Object} policy
+ * @param {Object|null} user - Utilisateur concerné (username, email), pour refuser les mots de passe dérivés
+ * @returns {string[]} - Règles non respectées
+ */
+const checkPasswordRules = (password, policy, user = null) => {
+  const errors = [];
+
+  if (password.length < policy.minLength) {
+    errors.push(`Le mot de passe doit contenir au moins ${policy.minLength} caractères`);
+  }
+  if (password.length > 255) {
+    errors.push('Le mot de passe ne doit pas dépasser 255 caractères');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Le mot de passe doit contenir au moins une lettre minuscule');
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Le mot de passe doit contenir au moins une lettre majuscule');
+  }
+  if (policy.requireDigit && !/[0-9]/.test(password)) {
+    errors.push('Le mot de passe doit contenir au moins un chiffre');
+  }
+  if (policy.requireSymbol && !/[^a-zA-Z0-9]/.test(password)) {
+    errors.push('Le mot de passe doit contenir au moins un caractère spécial');
+  }
+  if (policy.denyCommonPasswords && isCommonPassword(password)) {
+    errors.push('Ce mot de passe est trop courant');
+  }
+
+  if (user) {
+    const lower = password.toLowerCase();
+    const identifiers = [user.username, user.email && user.email.split('@')[0]]
+      .filter(value => value && value.length >= 3)
+      .map(value => value.toLowerCase());
+
+    if (identifiers.some(identifier => lower.includes(identifier))) {
+      errors.push('Le mot de passe ne doit pas contenir votre nom d\'utilisateur ou votre email');
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Vérifier qu'un mot de passe ne fait pas partie des derniers mots de passe de l'utilisateur
+ * Le mot de passe actuel est toujours comparé, même sans historique (comptes antérieurs à la politique).
+ * @param {number} userId
+ * @param {string} password
+ * @param {number} count - Nombre de mots de passe à comparer
+ * @returns {Promise<boolean>}
+ */
+const isReusedPassword = async (userId, password, count) => {
+  const user = await User.scope('withPassword').findByPk(userId, { attributes: ['id', 'password'] });
+  const hashes = await PasswordHistory.getRecentHashes(userId, count);
+
+  if (user && user.password) {
+    hashes.push(user.password);
+  }
+
+  for (const hash of new Set(hashes)) {
+    if (await bcrypt.compare(password, hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Valider un mot de passe selon la politique courante
+ * @param {string} password
+ * @param {Object} [user] - Utilisateur concerné (instance existante ou { username, email } à l'inscription)
+ * @returns {Promise<{valid: boolean, errors: string[]}>}
+ */
+const validatePassword = async (password, user = null) => {
+  if (typeof password !== 'string' || password.length === 0) {
+    return { valid: false, errors: ['Le mot de passe est requis'] };
+  }
+
+  const policy = await getPasswordPolicy();
+  const errors = checkPasswordRules(password, policy, user);
+
+  if (errors.length === 0 && user && user.id && policy.historyCount > 0) {
+    if (await isReusedPassword(user.id, password, policy.historyCount)) {
+      errors.push(`Le mot de passe ne peut pas être l'un de vos ${policy.historyCount} derniers mots de passe`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Vérifier si l'utilisateur doit changer son mot de passe (rotation obligatoire)
+ * @param {User} user
+ * @returns {Promise<boolean>}
+ */
+const isPasswordChangeRequired = async (user) => {
+  if (!user.usesLocalPassword()) return false;
+
+  const { maxAgeDays } = await getPasswordPolicy();
+  return user.isPasswordExpired(maxAgeDays);
+};
+
+/**
+ * Réponse 400 commune lorsque le mot de passe ne respecte pas la politique
+ * @param {Object} res - Objet Express response
+ * @param {string[]} errors
+ */
+const sendPolicyError = (res, errors) => {
+  return res.status(400).json({
+    success: false,
+    code: 'PASSWORD_POLICY',
+    message: 'Le mot de passe ne respecte pas la politique de sécurité',
+    errors
+  });
+};
+
+module.exports = {
+  DEFAULT_PASSWORD_POLICY,
+  getPasswordPolicy,
+  validatePolicyChanges,
+  validatePassword,
+  isPasswordChangeRequired,
+  sendPolicyError
+};
@@ -0,0 +1,336 @@
+const { Project, ProjectMember, Team, TeamMember, Task, TaskAssignee, Document, Meeting, Comment, Label } = require('../models');
+const { Op } = require('sequelize');
+
+/**
+ * Moteur de permissions centralisé.
+ * Une capacité est nommée `<ressource>.<action>` (ex: task.update) et accordée selon :
+ *  - le rôle global de l'utilisateur (User.role) ;
+ *  - son rôle dans le périmètre de la ressource : ProjectMember.role pour un projet,
+ *    TeamMember.role (ou manager de l'équipe) pour une tâche d'équipe ;
+ *  - la propriété de la ressource (créateur, assigné, auteur...).
+ * Dans un projet ou une équipe, la propriété ne suffit plus si l'utilisateur n'en est plus membre
+ * ou n'y est qu'observateur : les observateurs ont un accès en lecture seule.
+ */
+
+// Rôles de périmètre, du plus fort au plus faible
+const SCOPE_ROLES = ['lead', 'member', 'consultant', 'observer'];
+
+// TeamMember.role est un libellé libre : les libellés inconnus valent 'member'
+const TEAM_ROLE_MAPPING = {
+  lead: 'lead',
+  manager: 'lead',
+  observer: 'observer'
+};
+
+/**
+ * Définition des capacités
+ *  - roles : rôles globaux autorisés quel que soit le périmètre
+ *  - scopeRoles : rôles de périmètre (projet ou équipe) autorisés
+ *  - owner : attributs de la ressource désignant un utilisateur autorisé
+ *  - unscoped : autorisé à tous lorsque la ressource n'est rattachée à aucun projet ni équipe
+ */
+const POLICIES = {
+  'project.read': { roles: ['admin'], scopeRoles: SCOPE_ROLES },
+  'project.create': { roles: ['admin', 'project_manager', 'consultant'] },
+  'project.update': { roles: ['admin'], scopeRoles: ['lead'] },
+  'project.delete': { roles: ['admin'], scopeRoles: ['lead'] },
+  'project.manageMembers': { roles: ['admin'], scopeRoles: ['lead'] },
+
+  'task.read': { roles: ['admin'], scopeRoles: SCOPE_ROLES },
+  'task.create': { roles: ['admin'], scopeRoles: ['lead', 'member'] },
+  'task.update': { roles: ['admin'], scopeRoles: ['lead', 'member'], owner: ['createdBy'] },
+  'task.updateStatus': { roles: ['admin'], scopeRoles: ['lead', 'member'], owner: ['createdBy', 'assignedTo'] },
+  'task.assign': { roles: ['admin'], scopeRoles: ['lead'] },
+  'task.delete': { roles: ['admin'], scopeRoles: ['lead'], owner: ['createdBy'] },
+  'task.logTime': { roles: ['admin'], scopeRoles: ['lead', 'member', 'consultant'], owner: ['assignedTo'] },
+
+  'document.read': { roles: ['admin'], scopeRoles: SCOPE_ROLES, unscoped: true },
+  'document.upload': { roles: ['admin'], scopeRoles: ['lead', 'member', 'consultant'], unscoped: true },
+  'document.update': { roles: ['admin'], scopeRoles: ['lead'], owner: ['uploadedBy'] },
+  'document.delete': { roles: ['admin'], scopeRoles: ['lead'], owner: ['uploadedBy'] },
+
+  'meeting.read': { roles: ['admin'], scopeRoles: SCOPE_ROLES, unscoped: true },
+  'meeting.create': { roles: ['admin'], scopeRoles: ['lead', 'member'], unscoped: true },
+  'meeting.update': { roles: ['admin'], scopeRoles: ['lead'], owner: ['createdBy'] },
+  'meeting.delete': { roles: ['admin'], scopeRoles: ['lead'], owner: ['createdBy'] },
+
+  'label.read': { roles: ['admin'], scopeRoles: SCOPE_ROLES },
+  'label.create': { roles: ['admin'], scopeRoles: ['lead', 'member'] },
+  'label.update': { roles: ['admin'], scopeRoles: ['lead'], owner: ['createdBy'] },
+  'label.delete': { roles: ['admin'], scopeRoles: ['lead'] },
+
+  'comment.create': { roles: ['admin'], scopeRoles: ['lead', 'member', 'consultant'], unscoped: true },
+  'comment.update': { owner: ['userId'] },
+  'comment.delete': { roles: ['admin'], owner: ['userId'] }
+};
+
+const ABILITIES = Object.keys(POLICIES);
+
+// Modèle chargé par requirePermission pour chaque type de ressource
+const RESOURCE_MODELS = {
+  project: Project,
+  task: Task,
+  document: Document,
+  meeting: Meeting,
+  comment: Comment,
+  label: Label
+};
+
+/**
+ * Extraire le type de ressource d'une capacité (task.update → task)
+ * @param {string} ability
+ * @returns {string}
+ */
+const getResourceType = (ability) => ability.split('.')[0];
+
+/**
+ * Garder le rôle de périmètre le plus fort
+ * @param {string[]} roles
+ * @returns {string|null}
+ */
+const strongestRole = (roles) => {
+  return SCOPE_ROLES.find(role => roles.includes(role)) || null;
+};
+
+/**
+ * Déterminer le périmètre (projet ou équipe) d'une ressource
+ * @param {string} resourceType
+ * @param {Object|null} resource - Instance ou objet { projectId, teamId, meetingId, parentId }
+ * @returns {Promise<{projectId: number|null, teamId: number|null}>}
+ */
+const resolveScope = async (resourceType, resource) => {
+  if (!resource) {
+    return { projectId: null, teamId: null };
+  }
+
+  if (resourceType === 'project') {
+    return { projectId: resource.id || resource.projectId || null, teamId: null };
+  }
+
+  let projectId = resource.projectId || null;
+  let teamId = resource.teamId || null;
+
+  // Une ressource liée uniquement à une réunion (document) hérite du projet de la réunion
+  if (!projectId && resource.meetingId) {
+    const meeting = await Meeting.findByPk(resource.meetingId, { attributes: ['id', 'projectId'] });
+    projectId = meeting ? meeting.projectId : null;
+  }
+
+  // Une sous-tâche en création hérite du périmètre de sa tâche parente
+  if (!projectId && !teamId && resource.parentId) {
+    const parent = await Task.findByPk(resource.parentId, { attributes: ['id', 'projectId', 'teamId'] });
+    projectId = parent ? parent.projectId : null;
+    teamId = parent ? parent.teamId : null;
+  }
+
+  return { projectId, teamId: projectId ? null : teamId };
+};
+
+/**
+ * Rôle d'un utilisateur dans un projet
+ * Le chef de projet est lead ; les membres de l'équipe du projet y ont leur rôle d'équipe.
+ * @param {number} userId
+ * @param {number} projectId
+ * @returns {Promise<string|null>}
+ */
+const getProjectRole = async (userId, projectId) => {
+  const project = await Project.findByPk(projectId, {
+    attributes: ['id', 'chefProjet', 'teamId']
+  });
+
+  if (!project) return null;
+
+  const roles = [];
+
+  if (project.chefProjet === userId) {
+    roles.push('lead');
+  }
+
+  const member = await ProjectMember.findOne({
+    where: { projectId, userId }
+  });
+
+  if (member) {
+    roles.push(member.role);
+  }
+
+  if (project.teamId) {
+    const teamRole = await getTeamRole(userId, project.teamId);
+    if (teamRole) {
+      roles.push(teamRole);
+    }
+  }
+
+  return strongestRole(roles);
+};
+
+/**
+ * Rôle de périmètre correspondant au rôle libre d'un membre d'équipe
+ * @param {string|null} role - TeamMember.role
+ * @returns {string}
+ */
+const mapTeamRole = (role) => TEAM_ROLE_MAPPING[String(role || '').toLowerCase()] || 'member';
+
+/**
+ * Rôle d'un utilisateur dans une équipe
+ * @param {number} userId
+ * @param {number} teamId
+ * @returns {Promise<string|null>}
+ */
+const getTeamRole = async (userId, teamId) => {
+  const team = await Team.findByPk(teamId, { attributes: ['id', 'managerId'] });
+
+  if (!team) return null;
+  if (team.managerId === userId) return 'lead';
+
+  const member = await TeamMember.findOne({
+    where: { teamId, userId }
+  });
+
+  if (!member) return null;
+
+  return mapTeamRole(member.role);
+};
+
+/**
+ * Rôle d'un utilisateur dans un périmètre
+ * @param {number} userId
+ * @param {Object} scope - { projectId, teamId }
+ * @param {Map} [cache] - Cache des rôles déjà résolus (plusieurs capacités évaluées d'un coup)
+ * @returns {Promise<string|null>}
+ */
+const getScopeRole = async (userId, { projectId, teamId }, cache = null) => {
+  const key = projectId ? `project:${projectId}` : `team:${teamId}`;
+
+  if (cache && cache.has(key)) {
+    return cache.get(key);
+  }
+
+  const role = projectId
+    ? await getProjectRole(userId, projectId)
+    : await getTeamRole(userId, teamId);
+
+  if (cache) cache.set(key, role);
+  return role;
+};
+
+/**
+ * Vérifier qu'un utilisateur dispose d'une capacité
+ * @param {Object} user - Utilisateur (req.user)
+ * @param {string} ability - Capacité `<ressource>.<action>`
+ * @param {Object|null} resource - Ressource concernée, ou { projectId, teamId } pour une création
+ * @param {Map} [cache] - Cache des rôles de périmètre
+ * @returns {Promise<boolean>}
+ */
+const can = async (user, ability, resource = null, cache = null) => {
+  const policy = POLICIES[ability];
+
+  if (!policy || !user) return false;
+
+  if ((policy.roles || []).includes(user.role)) {
+    return true;
+  }
+
+  let isOwner = !!resource && (policy.owner || []).some(attribute => {
+    return resource[attribute] !== null && resource[attribute] !== undefined && Number(resource[attribute]) === user.id;
+  });
+
+  // Les co-assignés d'une tâche ont les droits de l'assigné principal (assignedTo)
+  if (!isOwner && resource && resource.id && getResourceType(ability) === 'task' && (policy.owner || []).includes('assignedTo')) {
+    isOwner = await TaskAssignee.count({ where: { taskId: resource.id, userId: user.id } }) > 0;
+  }
+
+  if (!policy.scopeRoles) return isOwner;
+
+  const scope = await resolveScope(getResourceType(ability), resource);
+
+  if (!scope.projectId && !scope.teamId) {
+    return isOwner || !!policy.unscoped;
+  }
+
+  const role = await getScopeRole(user.id, scope, cache);
+
+  if (!role) return false;
+  if (policy.scopeRoles.includes(role)) return true;
+
+  return isOwner && role !== 'observer';
+};
+
+/**
+ * Identifiants des équipes d'un utilisateur (managées ou dont il est membre)
+ * @param {number} userId
+ * @returns {Promise<number[]>}
+ */
+const getUserTeamIds = async (userId) => {
+  const [managedTeams, memberships] = await Promise.all([
+    Team.findAll({ where: { managerId: userId }, attributes: ['id'] }),
+    TeamMember.findAll({ where: { userId }, attributes: ['teamId'] })
+  ]);
+
+  return [...new Set([
+    ...managedTeams.map(team => team.id),
+    ...memberships.map(member => member.teamId)
+  ])];
+};
+
+/**
+ * Périmètre visible par un utilisateur, pour filtrer les listes
+ * (mêmes règles que les capacités `*.read`)
+ * @param {Object} user
+ * @returns {Promise<{projectIds: number[], teamIds: number[]}|null>} - null si aucun filtre (admin)
+ */
+const getVisibleScope = async (user) => {
+  if (POLICIES['project.read'].roles.includes(user.role)) {
+    return null;
+  }
+
+  const teamIds = await getUserTeamIds(user.id);
+
+  const projectConditions = [{ chefProjet: user.id }];
+  if (teamIds.length > 0) {
+    projectConditions.push({ teamId: { [Op.in]: teamIds } });
+  }
+
+  const [memberships, projects] = await Promise.all([
+    ProjectMember.findAll({ where: { userId: user.id }, attributes: ['projectId'] }),
+    Project.findAll({ where: { [Op.or]: projectConditions }, attributes: ['id'] })
+  ]);
+
+  return {
+    projectIds: [...new Set([
+      ...memberships.map(member => member.projectId),
+      ...projects.map(project => project.id)
+    ])],
+    teamIds
+  };
+};
+
+/**
+ * Évaluer toutes les capacités d'un utilisateur, éventuellement dans un périmètre
+ * @param {Object} user
+ * @param {Object|null} resource - { projectId } ou { teamId }, null pour les capacités globales
+ * @returns {Promise<Object>} - { 'task.update': true, ... }
+ */
+const getAbilities = async (user, resource = null) => {
+  const cache = new Map();
+  const abilities = {};
+
+  for (const ability of ABILITIES) {
+    abilities[ability] = await can(user, ability, resource, cache);
+  }
+
+  return abilities;
+};
+
+module.exports = {
+  SCOPE_ROLES,
+  POLICIES,
+  ABILITIES,
+  RESOURCE_MODELS,
+  getResourceType,
+  mapTeamRole,
+  getScopeRole,
+  can,
+  getAbilities,
+  getVisibleScope
+};
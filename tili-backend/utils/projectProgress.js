@@ -0,0 +1,169 @@
+const { Op } = require('sequelize');
+const { Task, TimeEntry } = require('../models');
+
+/**
+ * Arrondir à deux décimales
+ * @param {number} value
+ * @returns {number}
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Lire une estimation décimale (null si absente)
+ * @param {string|number|null} value
+ * @returns {number|null}
+ */
+const toNumber = (value) => (value !== null && value !== undefined ? parseFloat(value) : null);
+
+/**
+ * Calculer l'avancement d'un ensemble de tâches pondéré par leur estimation
+ * Seules les tâches sans sous-tâches sont pondérées (l'estimation d'une tâche parente est portée par ses sous-tâches).
+ * La pondération se fait en heures si au moins une tâche est estimée en heures, sinon en points, sinon chaque
+ * tâche compte pour 1 ; une tâche non estimée vaut alors l'estimation moyenne des tâches estimées.
+ * @param {Array<Task>} tasks - Tâches du projet (id, parentId, status, statusCategory, taskName, estimatedHours, estimatedPoints)
+ * @param {Map<number, number>} loggedMinutes - Minutes saisies par tâche
+ * @param {Object} [options] - { detailed } pour lister les tâches en dépassement
+ * @returns {Object}
+ */
+const summarizeProgress = (tasks, loggedMinutes, { detailed = false } = {}) => {
+  const parentIds = new Set(tasks.filter(task => task.parentId).map(task => task.parentId));
+  const leaves = tasks.filter(task => !parentIds.has(task.id));
+  const loggedHoursOf = (task) => (loggedMinutes.get(task.id) || 0) / 60;
+
+  let weighting = 'count';
+  if (leaves.some(task => toNumber(task.estimatedHours) !== null)) {
+    weighting = 'hours';
+  } else if (leaves.some(task => toNumber(task.estimatedPoints) !== null)) {
+    weighting = 'points';
+  }
+
+  const estimateOf = (task) => {
+    if (weighting === 'hours') return toNumber(task.estimatedHours);
+    if (weighting === 'points') return toNumber(task.estimatedPoints);
+    return 1;
+  };
+
+  const estimates = leaves.map(estimateOf).filter(value => value !== null);
+  const fallback = estimates.length > 0
+    ? estimates.reduce((sum, value) => sum + value, 0) / estimates.length
+    : 1;
+
+  let totalWeight = 0;
+  let completedWeight = 0;
+  leaves.forEach(task => {
+    const weight = estimateOf(task) ?? fallback;
+    totalWeight += weight;
+    if (task.statusCategory === 'done') completedWeight += weight;
+  });
+
+  const openLeaves = leaves.filter(task => task.statusCategory !== 'done');
+
+  // Dépassement : temps saisi sur une tâche supérieur à son estimation en heures
+  const overrunTasks = tasks
+    .filter(task => toNumber(task.estimatedHours) !== null && loggedHoursOf(task) > toNumber(task.estimatedHours))
+    .map(task => ({
+      id: task.id,
+      taskName: task.taskName,
+      status: task.status,
+      estimatedHours: toNumber(task.estimatedHours),
+      loggedHours: round(loggedHoursOf(task)),
+      overrunHours: round(loggedHoursOf(task) - toNumber(task.estimatedHours))
+    }));
+
+  const progress = {
+    percent: totalWeight > 0 ? Math.round((completedWeight / totalWeight) * 100) : 0,
+    weighting,
+    tasks: {
+      total: leaves.length,
+      completed: leaves.length - openLeaves.length,
+      unestimated: leaves.filter(task => weighting !== 'count' && estimateOf(task) === null).length
+    },
+    estimatedHours: round(leaves.reduce((sum, task) => sum + (toNumber(task.estimatedHours) || 0), 0)),
+    estimatedPoints: round(leaves.reduce((sum, task) => sum + (toNumber(task.estimatedPoints) || 0), 0)),
+    loggedHours: round(tasks.reduce((sum, task) => sum + loggedHoursOf(task), 0)),
+    remaining: {
+      tasks: openLeaves.length,
+      hours: round(openLeaves.reduce((sum, task) => {
+        const estimate = toNumber(task.estimatedHours);
+        return estimate !== null ? sum + Math.max(estimate - loggedHoursOf(task), 0) : sum;
+      }, 0)),
+      points: round(openLeaves.reduce((sum, task) => sum + (toNumber(task.estimatedPoints) || 0), 0))
+    },
+    overrun: overrunTasks.length > 0,
+    overrunTaskCount: overrunTasks.length
+  };
+
+  if (detailed) {
+    progress.overrunTasks = overrunTasks;
+  }
+
+  return progress;
+};
+
+/**
+ * Minutes saisies (saisies terminées) par tâche
+ * @param {Array<number>} taskIds
+ * @returns {Promise<Map<number, number>>}
+ */
+const getLoggedMinutes = async (taskIds) => {
+  if (taskIds.length === 0) {
+    return new Map();
+  }
+
+  const rows = await TimeEntry.findAll({
+    where: { taskId: { [Op.in]: taskIds }, endedAt: { [Op.ne]: null } },
+    attributes: [
+      'taskId',
+      [TimeEntry.sequelize.fn('SUM', TimeEntry.sequelize.col('durationMinutes')), 'minutes']
+    ],
+    group: ['taskId'],
+    raw: true
+  });
+
+  return new Map(rows.map(row => [row.taskId, parseInt(row.minutes) || 0]));
+};
+
+/**
+ * Calculer l'avancement de plusieurs projets (listes) en deux requêtes
+ * @param {Array<number>} projectIds
+ * @returns {Promise<Map<number, Object>>} - Avancement par projet
+ */
+const computeProjectsProgress = async (projectIds) => {
+  if (projectIds.length === 0) {
+    return new Map();
+  }
+
+  const tasks = await Task.findAll({
+    where: { projectId: { [Op.in]: projectIds } },
+    attributes: ['id', 'projectId', 'parentId', 'taskName', 'status', 'statusCategory', 'estimatedHours', 'estimatedPoints']
+  });
+
+  const loggedMinutes = await getLoggedMinutes(tasks.map(task => task.id));
+
+  return new Map(projectIds.map(projectId => [
+    projectId,
+    summarizeProgress(tasks.filter(task => task.projectId === projectId), loggedMinutes)
+  ]));
+};
+
+/**
+ * Calculer l'avancement détaillé d'un projet (avec les tâches en dépassement)
+ * @param {Project} project
+ * @returns {Promise<Object>}
+ */
+const computeProjectProgress = async (project) => {
+  const tasks = await Task.findAll({
+    where: { projectId: project.id },
+    attributes: ['id', 'parentId', 'taskName', 'status', 'statusCategory', 'estimatedHours', 'estimatedPoints']
+  });
+
+  const loggedMinutes = await getLoggedMinutes(tasks.map(task => task.id));
+
+  return summarizeProgress(tasks, loggedMinutes, { detailed: true });
+};
+
+module.exports = {
+  summarizeProgress,
+  computeProjectsProgress,
+  computeProjectProgress
+};
@@ -0,0 +1,69 @@
+const { Op } = require('sequelize');
+const { TaskRecurrence } = require('../models');
+
+/**
+ * Générer l'occurrence suivante des séries dont la dernière occurrence est arrivée à échéance,
+ * même si elle n'a pas été terminée (une occurrence par série et par passage)
+ * @returns {Promise<{checked: number, generated: Object[]}>}
+ */
+const runRecurringTasks = async () => {
+  const series = await TaskRecurrence.findAll({
+    where: {
+      endedAt: null,
+      lastOccurrenceDate: { [Op.lte]: new Date() }
+    }
+  });
+
+  const generated = [];
+
+  for (const recurrence of series) {
+    // Une série en échec (annulée) est retentée au passage suivant sans bloquer les autres
+    try {
+      const task = await recurrence.generateNext();
+      if (task) {
+        generated.push({ recurrenceId: recurrence.id, taskId: task.id, occurrenceDate: task.occurrenceDate });
+      }
+    } catch (error) {
+      console.error(`❌ Erreur lors de la génération de l'occurrence de la série ${recurrence.id}:`, error.message);
+    }
+  }
+
+  return {
+    checked: series.length,
+    generated
+  };
+};
+
+/**
+ * Planifier la génération périodique (RECURRING_TASKS_INTERVAL_MINUTES, 0 pour désactiver)
+ * @returns {NodeJS.Timeout|null}
+ */
+const scheduleRecurringTasks = () => {
+  const minutes = parseInt(process.env.RECURRING_TASKS_INTERVAL_MINUTES ?? '60');
+
+  if (!(minutes > 0)) {
+    return null;
+  }
+
+  const timer = setInterval(async () => {
+    try {
+      const result = await runRecurringTasks();
+      if (result.generated.length > 0) {
+        console.log(`🔁 Tâches récurrentes: ${result.generated.length} occurrence(s) générée(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Erreur lors de la génération des tâches récurrentes:', error.message);
+    }
+  }, minutes * 60 * 1000);
+
+  // Ne pas empêcher l'arrêt du processus
+  timer.unref();
+
+  console.log(`🔁 Génération des tâches récurrentes planifiée toutes les ${minutes} minute(s)`);
+  return timer;
+};
+
+module.exports = {
+  runRecurringTasks,
+  scheduleRecurringTasks
+};
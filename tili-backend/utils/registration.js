@@ -0,0 +1,65 @@
+const { Setting } = require('../models');
+
+/**
+ * Mode d'inscription publique (POST /api/auth/register), configurable par l'administrateur :
+ *  - open : inscription libre ;
+ *  - domain : réservée aux emails des domaines autorisés ;
+ *  - invite_only : réservée aux détenteurs d'un code d'invitation.
+ * Un code d'invitation valide est accepté quel que soit le mode.
+ */
+
+const REGISTRATION_MODES = ['open', 'domain', 'invite_only'];
+
+// Nom de domaine : example.com, mail.example.co.uk (correspondance exacte avec le domaine de l'email)
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/;
+
+/**
+ * Lire la configuration d'inscription courante
+ * @returns {Promise<{mode: string, allowedDomains: string[]}>}
+ */
+const getRegistrationSettings = async () => {
+  return {
+    mode: await Setting.getValue('registrationMode', 'open'),
+    allowedDomains: await Setting.getValue('registrationAllowedDomains', [])
+  };
+};
+
+/**
+ * Normaliser une liste de domaines (minuscules, sans @ initial, sans doublons)
+ * @param {string[]} domains
+ * @returns {{domains: string[], invalid: string[]}}
+ */
+const normalizeDomains = (domains) => {
+  const normalized = domains.map(domain => String(domain).trim().toLowerCase().replace(/^@/, ''));
+
+  return {
+    domains: [...new Set(normalized)],
+    invalid: normalized.filter(domain => !DOMAIN_PATTERN.test(domain))
+  };
+};
+
+/**
+ * Extraire le domaine d'une adresse email
+ * @param {string} email
+ * @returns {string}
+ */
+const getEmailDomain = (email) => {
+  return String(email || '').split('@').pop().trim().toLowerCase();
+};
+
+/**
+ * Vérifier si une adresse email appartient à un domaine autorisé
+ * @param {string} email
+ * @param {string[]} allowedDomains
+ * @returns {boolean}
+ */
+const isEmailDomainAllowed = (email, allowedDomains) => {
+  return allowedDomains.includes(getEmailDomain(email));
+};
+
+module.exports = {
+  REGISTRATION_MODES,
+  getRegistrationSettings,
+  normalizeDomains,
+  isEmailDomainAllowed
+};
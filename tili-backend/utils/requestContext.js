@@ -0,0 +1,26 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Contexte propre à chaque requête HTTP, accessible sans passer `req`
+ * (ex: le modèle Log y lit l'administrateur qui usurpe l'identité de l'utilisateur).
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Exécuter la suite du traitement de la requête dans un contexte
+ * @param {Object} context - { impersonatorId }
+ * @param {Function} callback
+ * @returns {*}
+ */
+const runWithContext = (context, callback) => storage.run(context, callback);
+
+/**
+ * Lire le contexte de la requête en cours
+ * @returns {Object|null}
+ */
+const getRequestContext = () => storage.getStore() || null;
+
+module.exports = {
+  runWithContext,
+  getRequestContext
+};
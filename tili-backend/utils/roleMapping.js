@@ -0,0 +1,59 @@
+/**
+ * Correspondance entre les groupes d'un fournisseur d'identité (OIDC, LDAP)
+ * et les rôles TILI, configurée par variables d'environnement :
+ * <PREFIX>_ADMIN_GROUPS, <PREFIX>_PROJECT_MANAGER_GROUPS, <PREFIX>_CONSULTANT_GROUPS
+ * et <PREFIX>_DEFAULT_ROLE.
+ */
+const ROLES_BY_PRIORITY = ['admin', 'project_manager', 'consultant'];
+
+/**
+ * Découper une liste séparée par des virgules
+ * @param {string} value
+ * @returns {string[]}
+ */
+const splitList = (value) => {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Lire la configuration du mapping pour un préfixe (OIDC, LDAP)
+ * @param {string} prefix
+ * @returns {{roleGroups: Object, defaultRole: string}}
+ */
+const getRoleMapping = (prefix) => ({
+  roleGroups: {
+    admin: splitList(process.env[`${prefix}_ADMIN_GROUPS`]),
+    project_manager: splitList(process.env[`${prefix}_PROJECT_MANAGER_GROUPS`]),
+    consultant: splitList(process.env[`${prefix}_CONSULTANT_GROUPS`])
+  },
+  defaultRole: process.env[`${prefix}_DEFAULT_ROLE`] || 'consultant'
+});
+
+/**
+ * Déterminer le rôle TILI à partir des groupes (comparaison insensible à la casse)
+ * @param {string[]} groups - Groupes de l'utilisateur chez le fournisseur
+ * @param {string} prefix - Préfixe des variables d'environnement
+ * @returns {string|null} - Le rôle (le plus élevé l'emporte), ou null si aucun mapping n'est configuré
+ */
+const mapGroupsToRole = (groups, prefix) => {
+  const { roleGroups, defaultRole } = getRoleMapping(prefix);
+  const hasMapping = ROLES_BY_PRIORITY.some(role => roleGroups[role].length > 0);
+
+  if (!hasMapping) return null;
+
+  const normalized = groups.map(group => String(group).toLowerCase());
+  const role = ROLES_BY_PRIORITY.find(candidate =>
+    roleGroups[candidate].some(group => normalized.includes(group.toLowerCase()))
+  );
+
+  return role || defaultRole;
+};
+
+module.exports = {
+  splitList,
+  getRoleMapping,
+  mapGroupsToRole
+};
@@ -0,0 +1,220 @@
+/**
+ * Sous-ensemble des règles de récurrence RFC 5545 (RRULE) :
+ *  - FREQ=DAILY | WEEKLY | MONTHLY, INTERVAL ;
+ *  - BYDAY=MO,TU,... (hebdomadaire uniquement, sans préfixe numérique) ;
+ *  - BYMONTHDAY=1..31 ou -1..-31 (mensuel uniquement, négatif = depuis la fin du mois) ;
+ *  - fin par UNTIL (YYYYMMDD ou YYYYMMDDTHHMMSSZ) ou COUNT.
+ * Les dates sont calculées en UTC, à l'heure de la première occurrence (DTSTART).
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+// Jours RFC 5545, dans l'ordre de Date.getUTCDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const SUPPORTED_KEYS = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'UNTIL', 'COUNT'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Horizon de recherche de l'occurrence suivante
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * Lire une date UNTIL (YYYYMMDD : jusqu'à la fin de ce jour)
+ * @param {string} value
+ * @returns {Date|null}
+ */
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) return null;
+
+  const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+  const date = new Date(Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds));
+
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Formater une date UNTIL
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatUntil = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Analyser une règle de récurrence
+ * @param {string} rule - Ex: FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10 (préfixe RRULE: accepté)
+ * @returns {{options: Object|null, errors: string[]}}
+ */
+const parseRule = (rule) => {
+  const errors = [];
+  const text = String(rule || '').trim().replace(/^RRULE:/i, '');
+
+  if (!text) {
+    return { options: null, errors: ['La règle de récurrence est vide'] };
+  }
+
+  const parts = {};
+  for (const part of text.split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+    const name = String(key).trim().toUpperCase();
+
+    if (!SUPPORTED_KEYS.includes(name)) {
+      errors.push(`Élément de récurrence non supporté: ${name}`);
+    } else if (!value) {
+      errors.push(`Valeur manquante pour ${name}`);
+    } else {
+      parts[name] = value.trim().toUpperCase();
+    }
+  }
+
+  const options = {
+    freq: parts.FREQ,
+    interval: parts.INTERVAL !== undefined ? Number(parts.INTERVAL) : 1,
+    byDay: [],
+    byMonthDay: [],
+    until: null,
+    count: null
+  };
+
+  if (!FREQUENCIES.includes(options.freq)) {
+    errors.push(`FREQ doit être parmi: ${FREQUENCIES.join(', ')}`);
+  }
+
+  if (!Number.isInteger(options.interval) || options.interval < 1) {
+    errors.push('INTERVAL doit être un entier positif');
+  }
+
+  if (parts.BYDAY) {
+    if (options.freq !== 'WEEKLY') {
+      errors.push('BYDAY n\'est supporté qu\'avec FREQ=WEEKLY');
+    }
+
+    const days = parts.BYDAY.split(',');
+    const unknown = days.filter(day => !WEEKDAYS.includes(day));
+    if (unknown.length > 0) {
+      errors.push(`Jours invalides dans BYDAY: ${unknown.join(', ')}`);
+    }
+    options.byDay = [...new Set(days.filter(day => WEEKDAYS.includes(day)).map(day => WEEKDAYS.indexOf(day)))];
+  }
+
+  if (parts.BYMONTHDAY) {
+    if (options.freq !== 'MONTHLY') {
+      errors.push('BYMONTHDAY n\'est supporté qu\'avec FREQ=MONTHLY');
+    }
+
+    const days = parts.BYMONTHDAY.split(',').map(Number);
+    if (days.some(day => !Number.isInteger(day) || day === 0 || day < -31 || day > 31)) {
+      errors.push('BYMONTHDAY doit contenir des jours entre 1 et 31 (ou -1 à -31)');
+    }
+    options.byMonthDay = [...new Set(days)];
+  }
+
+  if (parts.UNTIL && parts.COUNT) {
+    errors.push('UNTIL et COUNT ne peuvent pas être utilisés ensemble');
+  }
+
+  if (parts.UNTIL) {
+    options.until = parseUntil(parts.UNTIL);
+    if (!options.until) {
+      errors.push('UNTIL doit être une date au format YYYYMMDD ou YYYYMMDDTHHMMSSZ');
+    }
+  }
+
+  if (parts.COUNT) {
+    options.count = Number(parts.COUNT);
+    if (!Number.isInteger(options.count) || options.count < 1) {
+      errors.push('COUNT doit être un entier positif');
+    }
+  }
+
+  return errors.length > 0 ? { options: null, errors } : { options, errors };
+};
+
+/**
+ * Reformater une règle analysée (forme stockée)
+ * @param {Object} options - Résultat de parseRule
+ * @returns {string}
+ */
+const formatRule = (options) => {
+  const parts = [`FREQ=${options.freq}`];
+
+  if (options.interval > 1) parts.push(`INTERVAL=${options.interval}`);
+  if (options.byDay.length > 0) parts.push(`BYDAY=${options.byDay.map(day => WEEKDAYS[day]).join(',')}`);
+  if (options.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${options.byMonthDay.join(',')}`);
+  if (options.until) parts.push(`UNTIL=${formatUntil(options.until)}`);
+  if (options.count) parts.push(`COUNT=${options.count}`);
+
+  return parts.join(';');
+};
+
+/**
+ * Vérifier si un jour appartient à la série
+ * @param {Object} options
+ * @param {Date} start - Première occurrence (DTSTART)
+ * @param {Date} date - Jour candidat, à la même heure que start
+ * @returns {boolean}
+ */
+const matches = (options, start, date) => {
+  const days = Math.round((date - start) / DAY_MS);
+
+  switch (options.freq) {
+    case 'DAILY':
+      return days % options.interval === 0;
+
+    case 'WEEKLY': {
+      const weekdays = options.byDay.length > 0 ? options.byDay : [start.getUTCDay()];
+      if (!weekdays.includes(date.getUTCDay())) return false;
+
+      // Semaines comptées du lundi (WKST=MO) de la semaine de départ
+      const startMonday = days + ((start.getUTCDay() + 6) % 7);
+      return Math.floor(startMonday / 7) % options.interval === 0;
+    }
+
+    case 'MONTHLY': {
+      const months = (date.getUTCFullYear() - start.getUTCFullYear()) * 12 + date.getUTCMonth() - start.getUTCMonth();
+      if (months % options.interval !== 0) return false;
+
+      const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+      const monthDays = options.byMonthDay.length > 0 ? options.byMonthDay : [start.getUTCDate()];
+
+      // Un jour absent du mois (ex: 31 en avril) est ignoré, comme dans la RFC
+      return monthDays.some(day => (day > 0 ? day : lastDay + day + 1) === date.getUTCDate());
+    }
+
+    default:
+      return false;
+  }
+};
+
+/**
+ * Calculer l'occurrence qui suit une date
+ * @param {Object} options - Résultat de parseRule
+ * @param {Date} start - Première occurrence (DTSTART)
+ * @param {Date} after - Occurrence précédente
+ * @param {number} occurrenceCount - Nombre d'occurrences déjà générées (pour COUNT)
+ * @returns {Date|null} - null si la série est terminée
+ */
+const nextOccurrence = (options, start, after, occurrenceCount) => {
+  if (options.count && occurrenceCount >= options.count) {
+    return null;
+  }
+
+  const first = Math.max(1, Math.floor((after - start) / DAY_MS) + 1);
+
+  for (let offset = first; offset < first + MAX_SEARCH_DAYS; offset++) {
+    const candidate = new Date(start.getTime() + offset * DAY_MS);
+
+    if (options.until && candidate > options.until) return null;
+    if (candidate > after && matches(options, start, candidate)) return candidate;
+  }
+
+  return null;
+};
+
+module.exports = {
+  FREQUENCIES,
+  parseRule,
+  formatRule,
+  nextOccurrence
+};
@@ -0,0 +1,48 @@
+const { Op } = require('sequelize');
+const { sequelize, Task, TaskAssignee, User } = require('../models');
+
+// Assignés joints aux tâches (isPrimary pour l'assigné principal)
+const ASSIGNEES_INCLUDE = {
+  model: User,
+  as: 'assignees',
+  attributes: ['id', 'firstName', 'lastName', 'email'],
+  through: { attributes: ['isPrimary'] },
+  required: false
+};
+
+/**
+ * Enregistrer au démarrage l'assigné des tâches créées avant les assignés multiples
+ * (Task.assignedTo sans ligne TaskAssignee principale)
+ * @returns {Promise<number>} - Nombre de tâches mises à jour
+ */
+const migrateTaskAssignees = async () => {
+  try {
+    const tasks = await Task.findAll({
+      where: {
+        assignedTo: { [Op.ne]: null },
+        id: { [Op.notIn]: sequelize.literal('(SELECT `taskId` FROM `task_assignees` WHERE `isPrimary` = true)') }
+      },
+      attributes: ['id', 'assignedTo', 'createdBy']
+    });
+
+    if (tasks.length === 0) {
+      return 0;
+    }
+
+    await TaskAssignee.bulkCreate(
+      tasks.map(task => ({ taskId: task.id, userId: task.assignedTo, isPrimary: true, assignedBy: task.createdBy })),
+      { updateOnDuplicate: ['isPrimary'] }
+    );
+
+    console.log(`✅ Assignés : assigné principal enregistré pour ${tasks.length} tâche(s)`);
+    return tasks.length;
+  } catch (error) {
+    console.error('❌ Erreur lors de la migration des assignés:', error.message);
+    return 0;
+  }
+};
+
+module.exports = {
+  ASSIGNEES_INCLUDE,
+  migrateTaskAssignees
+};
@@ -0,0 +1,161 @@
+const { Task, TaskChecklistItem, ProjectMember, TeamMember, Team, User } = require('../models');
+const { mapTeamRole } = require('./permissions');
+const { toDateOnly } = require('./timesheets');
+
+const ACTIVE_USER_INCLUDE = {
+  model: User,
+  as: 'user',
+  attributes: ['id'],
+  where: { isActive: true }
+};
+
+/**
+ * Date de référence des échéances d'un modèle : début du projet, sinon date fournie, sinon aujourd'hui
+ * @param {Project|null} project
+ * @param {string} [startDate] - YYYY-MM-DD
+ * @returns {string|null} - YYYY-MM-DD, null si startDate est invalide
+ */
+const getTemplateBaseDate = (project, startDate) => {
+  if (project && project.startDate) {
+    return project.startDate;
+  }
+
+  if (startDate) {
+    const date = new Date(`${startDate}T00:00:00`);
+    return !isNaN(date.getTime()) && toDateOnly(date) === startDate ? startDate : null;
+  }
+
+  return toDateOnly(new Date());
+};
+
+/**
+ * Échéance d'une tâche du modèle (heure locale du serveur, minuit)
+ * @param {string} baseDate - YYYY-MM-DD
+ * @param {number|null|undefined} offsetDays
+ * @returns {Date|null}
+ */
+const computeDueDate = (baseDate, offsetDays) => {
+  if (offsetDays === undefined || offsetDays === null) {
+    return null;
+  }
+
+  const date = new Date(`${baseDate}T00:00:00`);
+  date.setDate(date.getDate() + offsetDays);
+  return date;
+};
+
+/**
+ * Résoudre l'utilisateur d'un rôle de périmètre (premier membre actif arrivé ayant ce rôle)
+ * @param {Object} scope - { project } ou { teamId }
+ * @param {Object} [options] - { transaction }
+ * @returns {Function} - async (role) => userId|null, mis en cache par rôle
+ */
+const buildRoleResolver = ({ project, teamId }, { transaction } = {}) => {
+  const cache = new Map();
+
+  const resolveInTeam = async (id, role) => {
+    if (role === 'lead') {
+      const team = await Team.findByPk(id, { attributes: ['id', 'managerId'], transaction });
+      if (team && team.managerId) return team.managerId;
+    }
+
+    const members = await TeamMember.findAll({
+      where: { teamId: id },
+      include: [ACTIVE_USER_INCLUDE],
+      order: [['joinedAt', 'ASC']],
+      transaction
+    });
+
+    const member = members.find(item => mapTeamRole(item.role) === role);
+    return member ? member.userId : null;
+  };
+
+  const resolve = async (role) => {
+    if (!project) {
+      return await resolveInTeam(teamId, role);
+    }
+
+    if (role === 'lead' && project.chefProjet) {
+      return project.chefProjet;
+    }
+
+    const member = await ProjectMember.findOne({
+      where: { projectId: project.id, role },
+      include: [ACTIVE_USER_INCLUDE],
+      order: [['joinedAt', 'ASC']],
+      transaction
+    });
+
+    if (member) return member.userId;
+
+    return project.teamId ? await resolveInTeam(project.teamId, role) : null;
+  };
+
+  return async (role) => {
+    if (!cache.has(role)) {
+      cache.set(role, await resolve(role));
+    }
+    return cache.get(role);
+  };
+};
+
+/**
+ * Créer les tâches d'un modèle (sous-tâches et checklists comprises) dans un projet ou une équipe
+ * @param {TaskTemplate} template
+ * @param {Object} target - { project, teamId, parentId, baseDate, createdBy }
+ * @param {Object} options - { transaction }
+ * @returns {Promise<{tasks: Array<Task>, warnings: Array<string>}>} - Tâches dans l'ordre de création
+ */
+const expandTemplate = async (template, { project, teamId, parentId, baseDate, createdBy }, { transaction }) => {
+  const resolveRole = buildRoleResolver({ project, teamId }, { transaction });
+  const tasks = [];
+  const warnings = [];
+
+  const createItems = async (items, parent) => {
+    for (const item of items) {
+      const assignedTo = item.assigneeRole ? await resolveRole(item.assigneeRole) : null;
+      if (item.assigneeRole && !assignedTo) {
+        warnings.push(`${item.taskName} : aucun membre actif avec le rôle ${item.assigneeRole}, tâche non assignée`);
+      }
+
+      const task = await Task.create({
+        projectId: project ? project.id : null,
+        teamId: project ? null : teamId,
+        parentId: parent,
+        taskName: item.taskName.trim(),
+        description: item.description || null,
+        priority: item.priority || 'medium',
+        assignedTo,
+        dueDate: computeDueDate(baseDate, item.dueOffsetDays),
+        estimatedHours: item.estimatedHours ?? null,
+        estimatedPoints: item.estimatedPoints ?? null,
+        createdBy
+      }, { transaction });
+
+      tasks.push(task);
+
+      if (item.checklist && item.checklist.length > 0) {
+        await TaskChecklistItem.bulkCreate(item.checklist.map((label, position) => ({
+          taskId: task.id,
+          label: label.trim(),
+          position,
+          createdBy
+        })), { validate: true, transaction });
+      }
+
+      if (item.subtasks && item.subtasks.length > 0) {
+        await createItems(item.subtasks, task.id);
+      }
+    }
+  };
+
+  await createItems(template.tasks, parentId || null);
+
+  return { tasks, warnings };
+};
+
+module.exports = {
+  getTemplateBaseDate,
+  computeDueDate,
+  expandTemplate
+};
@@ -0,0 +1,84 @@
+const { Op } = require('sequelize');
+const { Task, TaskChecklistItem, User } = require('../models');
+
+/**
+ * Calculer l'avancement d'un nœud de l'arbre (après celui de ses sous-tâches)
+ * Chaque sous-tâche compte pour son propre avancement, chaque élément de checklist pour 0 ou 100 %.
+ * @param {Object} node - Tâche sérialisée avec subtasks et checklist
+ * @returns {Object} - Le nœud, complété de progress
+ */
+const applyProgress = (node) => {
+  node.subtasks.forEach(applyProgress);
+
+  const units = [
+    ...node.subtasks.map(subtask => subtask.progress.percent),
+    ...node.checklist.map(item => (item.isDone ? 100 : 0))
+  ];
+
+  let percent = 0;
+  if (node.statusCategory === 'done') {
+    percent = 100;
+  } else if (units.length > 0) {
+    percent = Math.round(units.reduce((sum, value) => sum + value, 0) / units.length);
+  }
+
+  node.progress = {
+    subtasks: {
+      completed: node.subtasks.filter(subtask => subtask.statusCategory === 'done').length,
+      total: node.subtasks.length
+    },
+    checklist: {
+      completed: node.checklist.filter(item => item.isDone).length,
+      total: node.checklist.length
+    },
+    percent
+  };
+
+  return node;
+};
+
+/**
+ * Construire l'arbre d'une tâche : sous-tâches imbriquées, checklists et avancement agrégé
+ * @param {Task} task - Tâche racine (avec ses relations déjà chargées)
+ * @returns {Promise<Object>}
+ */
+const buildTaskTree = async (task) => {
+  const descendants = await Task.findDescendants(task.id, {
+    include: [
+      {
+        model: User,
+        as: 'assignedUser',
+        attributes: ['id', 'firstName', 'lastName', 'email']
+      }
+    ]
+  });
+
+  const items = await TaskChecklistItem.findAll({
+    where: { taskId: { [Op.in]: [task.id, ...descendants.map(subtask => subtask.id)] } },
+    order: [['position', 'ASC'], ['id', 'ASC']]
+  });
+
+  const checklists = new Map();
+  items.forEach(item => {
+    if (!checklists.has(item.taskId)) checklists.set(item.taskId, []);
+    checklists.get(item.taskId).push(item.toJSON());
+  });
+
+  const toNode = (entry) => ({
+    ...entry.toJSON(),
+    checklist: checklists.get(entry.id) || [],
+    subtasks: []
+  });
+
+  const root = toNode(task);
+  const nodes = new Map([[task.id, root]]);
+
+  descendants.forEach(subtask => nodes.set(subtask.id, toNode(subtask)));
+  descendants.forEach(subtask => nodes.get(subtask.parentId).subtasks.push(nodes.get(subtask.id)));
+
+  return applyProgress(root);
+};
+
+module.exports = {
+  buildTaskTree
+};
@@ -0,0 +1,183 @@
+const { Op } = require('sequelize');
+const { TimeEntry, Timesheet, ProjectRate, ProjectMember, User } = require('../models');
+
+/**
+ * Arrondir à deux décimales (heures, montants)
+ * @param {number} value
+ * @returns {number}
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Formater une date locale en YYYY-MM-DD
+ * @param {Date} date
+ * @returns {string}
+ */
+const toDateOnly = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Lundi de la semaine d'une date (heure locale du serveur)
+ * @param {Date|string} [value] - Date, ou YYYY-MM-DD
+ * @returns {string|null} - YYYY-MM-DD, null si la date est invalide
+ */
+const getWeekStart = (value = new Date()) => {
+  const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T00:00:00`)
+    : new Date(value);
+
+  if (isNaN(date.getTime())) return null;
+
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return toDateOnly(date);
+};
+
+/**
+ * Bornes d'une semaine [lundi 00:00, lundi suivant 00:00[
+ * @param {string} weekStart - YYYY-MM-DD
+ * @returns {{start: Date, end: Date}}
+ */
+const getWeekRange = (weekStart) => {
+  const start = new Date(`${weekStart}T00:00:00`);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 7);
+  return { start, end };
+};
+
+/**
+ * Feuille de temps soumise ou approuvée qui verrouille les saisies d'un utilisateur
+ * @param {number} userId
+ * @param {number|null} projectId
+ * @param {Date|string} date - Date de la saisie
+ * @returns {Promise<Timesheet|null>}
+ */
+const findLockingTimesheet = async (userId, projectId, date) => {
+  const timesheet = await Timesheet.findForWeek(userId, projectId, getWeekStart(date));
+  return timesheet && timesheet.isLocked() ? timesheet : null;
+};
+
+/**
+ * Préparer la résolution des taux horaires d'un projet
+ * Ordre : taux de l'utilisateur sur le projet, taux de son rôle dans le projet, taux par défaut de l'utilisateur.
+ * @param {Project} project
+ * @returns {Promise<Function>} - (user) => { hourlyRate, rateSource }
+ */
+const buildRateResolver = async (project) => {
+  const [rates, members] = await Promise.all([
+    ProjectRate.findAll({ where: { projectId: project.id } }),
+    ProjectMember.findAll({ where: { projectId: project.id }, attributes: ['userId', 'role'] })
+  ]);
+
+  const userRates = new Map(rates.filter(rate => rate.userId).map(rate => [rate.userId, parseFloat(rate.hourlyRate)]));
+  const roleRates = new Map(rates.filter(rate => rate.projectRole).map(rate => [rate.projectRole, parseFloat(rate.hourlyRate)]));
+  const memberRoles = new Map(members.map(member => [member.userId, member.role]));
+
+  return (user) => {
+    if (userRates.has(user.id)) {
+      return { hourlyRate: userRates.get(user.id), rateSource: 'project_user' };
+    }
+
+    const role = memberRoles.get(user.id) || (project.chefProjet === user.id ? 'lead' : null);
+    if (role && roleRates.has(role)) {
+      return { hourlyRate: roleRates.get(role), rateSource: 'project_role' };
+    }
+
+    if (user.hourlyRate !== null && user.hourlyRate !== undefined) {
+      return { hourlyRate: parseFloat(user.hourlyRate), rateSource: 'user' };
+    }
+
+    return { hourlyRate: null, rateSource: null };
+  };
+};
+
+/**
+ * Totaux du temps passé sur un projet, valorisé aux taux horaires et comparé au budget
+ * Le coût porte sur tout le temps saisi ; le montant facturable sur les saisies facturables.
+ * @param {Project} project
+ * @param {Object} [range] - { from, to } pour limiter la période
+ * @returns {Promise<Object>}
+ */
+const computeProjectTimeReport = async (project, range = {}) => {
+  const where = { projectId: project.id, endedAt: { [Op.ne]: null } };
+
+  if (range.from || range.to) {
+    where.startedAt = {};
+    if (range.from) where.startedAt[Op.gte] = new Date(range.from);
+    if (range.to) where.startedAt[Op.lte] = new Date(range.to);
+  }
+
+  const [entries, approved, resolveRate] = await Promise.all([
+    TimeEntry.findAll({
+      where,
+      include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email', 'hourlyRate'] }]
+    }),
+    Timesheet.findAll({ where: { projectId: project.id, status: 'approved' }, attributes: ['userId', 'weekStart'] }),
+    buildRateResolver(project)
+  ]);
+
+  const approvedWeeks = new Set(approved.map(timesheet => `${timesheet.userId}:${timesheet.weekStart}`));
+  const byUser = new Map();
+
+  for (const entry of entries) {
+    if (!byUser.has(entry.userId)) {
+      byUser.set(entry.userId, {
+        user: { id: entry.user.id, firstName: entry.user.firstName, lastName: entry.user.lastName, email: entry.user.email },
+        ...resolveRate(entry.user),
+        minutes: 0,
+        billableMinutes: 0,
+        approvedMinutes: 0
+      });
+    }
+
+    const row = byUser.get(entry.userId);
+    row.minutes += entry.durationMinutes;
+    if (entry.isBillable) row.billableMinutes += entry.durationMinutes;
+    if (approvedWeeks.has(`${entry.userId}:${getWeekStart(entry.startedAt)}`)) row.approvedMinutes += entry.durationMinutes;
+  }
+
+  const users = [...byUser.values()].map(row => ({
+    user: row.user,
+    hourlyRate: row.hourlyRate,
+    rateSource: row.rateSource,
+    hours: round(row.minutes / 60),
+    billableHours: round(row.billableMinutes / 60),
+    approvedHours: round(row.approvedMinutes / 60),
+    cost: row.hourlyRate !== null ? round((row.minutes / 60) * row.hourlyRate) : null,
+    billableAmount: row.hourlyRate !== null ? round((row.billableMinutes / 60) * row.hourlyRate) : null
+  }));
+
+  const sum = (field) => round(users.reduce((total, row) => total + (row[field] || 0), 0));
+  const cost = sum('cost');
+  const budget = project.budget !== null && project.budget !== undefined ? parseFloat(project.budget) : null;
+
+  return {
+    totals: {
+      hours: sum('hours'),
+      billableHours: sum('billableHours'),
+      approvedHours: sum('approvedHours'),
+      unratedHours: round(users.filter(row => row.hourlyRate === null).reduce((total, row) => total + row.hours, 0)),
+      cost,
+      billableAmount: sum('billableAmount')
+    },
+    budget: {
+      amount: budget,
+      remaining: budget !== null ? round(budget - cost) : null,
+      consumedPercent: budget ? round((cost / budget) * 100) : null,
+      overBudget: budget !== null && cost > budget
+    },
+    users
+  };
+};
+
+module.exports = {
+  toDateOnly,
+  getWeekStart,
+  getWeekRange,
+  findLockingTimesheet,
+  buildRateResolver,
+  computeProjectTimeReport
+};
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+
+/**
+ * Implémentation TOTP (RFC 6238) basée sur HOTP (RFC 4226), HMAC-SHA1,
+ * codes à 6 chiffres et pas de 30 secondes : compatible Google Authenticator,
+ * FreeOTP, Microsoft Authenticator, etc.
+ */
+const DIGITS = 6;
+const PERIOD = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encoder un buffer en base32 (RFC 4648, sans padding)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Décoder une chaîne base32 en buffer
+ * @param {string} input
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Secret base32 invalide');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Générer un secret TOTP aléatoire (160 bits)
+ * @returns {string} - Secret encodé en base32
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Calculer le code HOTP pour un compteur donné
+ * @param {string} secret - Secret base32
+ * @param {number} counter
+ * @returns {string}
+ */
+const hotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Obtenir le compteur TOTP courant
+ * @param {number} timestamp - En millisecondes
+ * @returns {number}
+ */
+const getCounter = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / PERIOD);
+};
+
+/**
+ * Vérifier un code TOTP en tolérant un décalage d'horloge de ± window pas
+ * @param {string} secret - Secret base32
+ * @param {string} code - Code saisi par l'utilisateur
+ * @param {Object} options
+ * @param {number} options.window - Nombre de pas tolérés de chaque côté (défaut: 1)
+ * @param {number|null} options.lastCounter - Dernier compteur accepté (anti-rejeu)
+ * @returns {number|null} - Le compteur correspondant, ou null si le code est invalide
+ */
+const verify = (secret, code, { window = 1, lastCounter = null } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const current = getCounter();
+
+  for (let step = -window; step <= window; step++) {
+    const counter = current + step;
+    if (lastCounter !== null && counter <= lastCounter) continue;
+
+    const expected = hotp(secret, counter);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return counter;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Construire l'URI otpauth:// à encoder dans un QR code
+ * @param {string} secret - Secret base32
+ * @param {string} accountName - Identifiant affiché dans l'application (email)
+ * @param {string} issuer - Nom du service
+ * @returns {string}
+ */
+const buildOtpAuthUrl = (secret, accountName, issuer = 'TILI') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Générer des codes de récupération à usage unique
+ * @param {number} count
+ * @returns {string[]} - Codes en clair (format XXXXX-XXXXX)
+ */
+const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+};
+
+/**
+ * Hasher un code de récupération pour le stockage
+ * @param {string} code
+ * @returns {string}
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).toUpperCase().replace(/[^A-F0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+module.exports = {
+  generateSecret,
+  hotp,
+  verify,
+  buildOtpAuthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};
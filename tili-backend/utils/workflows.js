@@ -0,0 +1,33 @@
+const { Workflow } = require('../models');
+
+/**
+ * Rattacher les tâches à leur workflow au démarrage : créer le workflow par défaut
+ * (statuts historiques not_started, in_progress, blocked, completed) et recalculer
+ * la catégorie de statut des tâches qui ne l'ont pas encore
+ * @returns {Promise<number>} - Nombre de tâches mises à jour
+ */
+const migrateTaskWorkflows = async () => {
+  try {
+    await Workflow.getDefault();
+
+    const workflows = await Workflow.findAll();
+    let updated = 0;
+
+    for (const workflow of workflows) {
+      updated += await workflow.syncTaskCategories();
+    }
+
+    if (updated > 0) {
+      console.log(`✅ Workflows : catégorie de statut mise à jour pour ${updated} tâche(s)`);
+    }
+
+    return updated;
+  } catch (error) {
+    console.error('❌ Erreur lors de la migration des workflows:', error.message);
+    return 0;
+  }
+};
+
+module.exports = {
+  migrateTaskWorkflows
+};